@@ -0,0 +1,22 @@
+-- Stub token rows for every mint referenced by an existing pool, so `prisma db push` can
+-- add the pools.tokenA / pools.tokenB foreign keys to a database created before the tokens
+-- table. The metadata columns are added by `prisma db push` and filled in by Jupiter lookups.
+-- Safe to run on a fresh or an already migrated database.
+CREATE TABLE IF NOT EXISTS tokens (
+    mint TEXT PRIMARY KEY,
+    verified BOOLEAN NOT NULL DEFAULT false,
+    tags TEXT[],
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+DO $$
+BEGIN
+    IF to_regclass('pools') IS NOT NULL THEN
+        INSERT INTO tokens (mint)
+        SELECT "tokenA" FROM pools
+        UNION
+        SELECT "tokenB" FROM pools
+        ON CONFLICT (mint) DO NOTHING;
+    END IF;
+END $$;
@@ -0,0 +1,252 @@
+/**
+ * Command-line tools that share the server's parsing and storage path.
+ *
+ *   node run.js backfill --program <id|decoder> [--program ...] --since <slot|date> [--rpc <url>] [--delay <ms>] [--restart]
+ *   node run.js replay <capture> [<capture> ...] [--against db|<matched_pools.txt>] [--write] [--record <dir>]
+ */
+import { parseArgs } from 'node:util';
+import { loadConfig } from './src/utils/config.js';
+import { Logger } from './src/utils/logger.js';
+import { RateLimiter, RateLimiterRegistry } from './src/utils/rateLimiter.js';
+import { CircuitBreakerRegistry } from './src/utils/circuitBreaker.js';
+import { DefiLlamaClient } from './src/utils/defiLlamaClient.js';
+import { createStorage } from './src/storage/index.js';
+import { JupiterClient } from './src/utils/jupiterClient.js';
+import { WebhookHandler } from './src/utils/webhookHandler.js';
+import { SolanaRpcClient } from './src/utils/solanaRpc.js';
+import { RiskScorer } from './src/utils/riskScorer.js';
+import { Backfiller } from './src/utils/backfill.js';
+import { WebhookReplayer } from './src/utils/replay.js';
+import { CaptureRecorder, loadCapture, loadMatchedPools } from './src/utils/webhookCapture.js';
+import { createDefaultDecoderRegistry } from './src/decoders/index.js';
+
+const USAGE = `Usage:
+  node run.js backfill --program <id|decoder> [--program ...] --since <slot|date> [options]
+
+Backfill options:
+  --program <id|decoder>  Program ID or decoder name (e.g. raydium-cpmm); repeatable
+  --since <slot|date>     Walk back to this slot, or to this date (e.g. 2024-06-01)
+  --rpc <url>             RPC endpoint, overriding SOLANA_RPC_URL (e.g. http://127.0.0.1:8899)
+  --delay <ms>            Delay between getTransaction calls (default: BACKFILL_DELAY_MS or 250)
+  --restart               Ignore the saved checkpoint and start from the newest signature
+
+  node run.js replay <capture> [<capture> ...] [options]
+
+Replay options:
+  <capture>               webhook_logs.txt, a JSONL capture or a recording made with --record / WEBHOOK_CAPTURE_DIR
+  --against <db|file>     Diff detected pools against the database (default) or a matched_pools.txt file
+  --write                 Store pools and activity like the webhook does (default: dry run)
+  --record <dir>          Also write the deliveries to <dir>/webhooks.jsonl in the normalized format
+
+Decoders: ${[...createDefaultDecoderRegistry().decoders.values()].map(decoder => decoder.name).join(', ')}`;
+
+/**
+ * Load the configuration and apply its process-wide parts (logging, limiters, breakers)
+ * @returns {Object} Config
+ * @throws {ConfigError} If a setting is invalid
+ */
+function setup() {
+  const config = loadConfig();
+  Logger.default.configure(config.log);
+  RateLimiterRegistry.configure(config.rateLimits);
+  CircuitBreakerRegistry.configure(config.circuitBreaker);
+  return config;
+}
+
+/**
+ * Build the handler stack used by the server, without its timers and listeners
+ * @param {Object} config - Config
+ * @param {SolanaRpcClient} rpcClient - RPC client for risk checks
+ * @returns {{databaseClient: Object, webhookHandler: WebhookHandler}} Configured storage backend and the handler
+ */
+function createPipeline(config, rpcClient) {
+  const databaseClient = createStorage(config.storage);
+  const webhookHandler = new WebhookHandler(
+    databaseClient,
+    new DefiLlamaClient({ ...config.defillama, retry: config.retry }),
+    new JupiterClient({ ...config.jupiter, retry: config.retry }),
+    createDefaultDecoderRegistry(),
+    new RiskScorer(rpcClient, config.risk),
+    config.detection
+  );
+  return { databaseClient, webhookHandler };
+}
+
+/**
+ * Resolve --program values to program IDs, accepting decoder names
+ * @param {Array<string>} values - Raw --program values
+ * @returns {Array<string>} Program IDs
+ */
+function resolvePrograms(values) {
+  const decoders = [...createDefaultDecoderRegistry().decoders.values()];
+  return values.map(value => decoders.find(decoder => decoder.name === value)?.programId ?? value);
+}
+
+/**
+ * Backfill pools created by one or more programs from RPC history
+ * @param {Array<string>} args - Arguments after the command name
+ */
+async function backfill(args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      program: { type: 'string', multiple: true },
+      since: { type: 'string' },
+      rpc: { type: 'string' },
+      delay: { type: 'string' },
+      restart: { type: 'boolean', default: false }
+    }
+  });
+
+  if (!values.program || !values.since) {
+    throw new Error('--program and --since are required');
+  }
+  const since = Backfiller.parseSince(values.since);
+  const config = setup();
+  const delayMs = values.delay !== undefined ? parseInt(values.delay, 10) : config.backfill.delayMs;
+  if (Number.isNaN(delayMs) || delayMs < 0) {
+    throw new Error('--delay must be a non-negative number of milliseconds');
+  }
+
+  const rpcClient = SolanaRpcClient.fromConfig({ ...config.rpc, ...(values.rpc && { url: values.rpc }), retry: config.retry });
+  const { databaseClient, webhookHandler } = createPipeline(config, rpcClient);
+  const backfiller = new Backfiller(rpcClient, webhookHandler, databaseClient, new RateLimiter(delayMs), {
+    pageSize: config.backfill.pageSize
+  });
+
+  backfiller.on('skipped', ({ programId, since }) => {
+    console.log(`Backfill of ${programId} since ${since} already finished (use --restart to run it again)`);
+  });
+  backfiller.on('started', ({ programId, since, progress, resumed }) => {
+    console.log(resumed
+      ? `Resuming backfill of ${programId} since ${since} below ${progress.before?.slice(0, 8)}... (${progress.scanned} scanned)`
+      : `Starting backfill of ${programId} since ${since}`);
+  });
+  backfiller.on('page', ({ programId, progress }) => {
+    console.log(`Backfill ${programId}: ${progress.scanned} scanned, ${progress.processed} processed, ${progress.poolsFound} pool(s), ${progress.failed} failed (slot ${progress.lastSlot ?? '-'})`);
+  });
+  backfiller.on('finished', ({ programId, since, progress }) => {
+    console.log(progress.done
+      ? `Backfill of ${programId} since ${since} finished`
+      : `Backfill of ${programId} since ${since} stopped; run again to resume`);
+  });
+
+  // First Ctrl+C finishes the current transaction and saves the checkpoint; a second one exits
+  process.once('SIGINT', () => {
+    console.log('Stopping after the current transaction...');
+    backfiller.stop();
+    process.once('SIGINT', () => process.exit(130));
+  });
+
+  await databaseClient.connect();
+  try {
+    console.log(`Backfilling from ${rpcClient.url}`);
+    for (const programId of resolvePrograms(values.program)) {
+      if (backfiller.stopping) break;
+      await backfiller.run(programId, since, { restart: values.restart });
+    }
+  } finally {
+    await databaseClient.disconnect();
+  }
+}
+
+/**
+ * Print the differences between detected and baseline pools
+ * @param {Object} diff - Result of WebhookReplayer.diffPools
+ */
+function printDiff({ added, missing, changed, unchanged }) {
+  const describe = (pool) => `${pool.poolAddress} ${pool.tokenA}/${pool.tokenB} (${pool.decoder || pool.source || 'unknown'}) ${pool.signature?.slice(0, 8) ?? '-'}...`;
+
+  added.forEach(pool => console.log(`+ ${describe(pool)}`));
+  missing.forEach(pool => console.log(`- ${describe(pool)}`));
+  changed.forEach(change => {
+    console.log(`~ ${change.poolAddress} ${change.signature?.slice(0, 8) ?? '-'}...`);
+    change.fields.forEach(({ field, before, after }) => console.log(`    ${field}: ${before} -> ${after}`));
+  });
+  console.log(`${added.length} added, ${missing.length} missing, ${changed.length} changed, ${unchanged} unchanged`);
+}
+
+/**
+ * Re-run pool detection over captured webhook deliveries and diff the result
+ * @param {Array<string>} args - Arguments after the command name
+ */
+async function replay(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      against: { type: 'string', default: 'db' },
+      write: { type: 'boolean', default: false },
+      record: { type: 'string' }
+    }
+  });
+
+  if (positionals.length === 0) {
+    throw new Error('at least one capture file is required');
+  }
+
+  const captures = [];
+  for (const file of positionals) {
+    const { captures: parsed, skipped } = loadCapture(file);
+    console.log(`${file}: ${parsed.length} deliver(ies)${skipped > 0 ? `, ${skipped} unreadable entr(ies) skipped` : ''}`);
+    captures.push(...parsed);
+  }
+
+  const config = setup();
+  const useDatabase = values.write || values.against === 'db';
+  const { databaseClient, webhookHandler } = createPipeline(config, SolanaRpcClient.fromConfig({ ...config.rpc, retry: config.retry }));
+  const replayer = new WebhookReplayer(webhookHandler);
+
+  // Only baseline pools from the replayed transactions (or at the detected addresses) take part in the diff
+  const loadBaseline = values.against === 'db'
+    ? async (signatures, poolAddresses) => {
+      const pools = [
+        ...await databaseClient.getPoolsBySignatures(signatures),
+        ...await databaseClient.getPoolsByAddresses(poolAddresses)
+      ];
+      return [...new Map(pools.map(pool => [pool.id, pool])).values()];
+    }
+    : async (signatures, poolAddresses) => {
+      const inCapture = new Set([...signatures, ...poolAddresses]);
+      return loadMatchedPools(values.against).filter(pool => inCapture.has(pool.signature) || inCapture.has(pool.poolAddress));
+    };
+
+  if (useDatabase) await databaseClient.connect();
+  try {
+    const result = await replayer.replay(captures, { loadBaseline, write: values.write });
+
+    console.log(`Replayed ${result.transactions} transaction(s): ${result.detected.length} pool(s) detected (${values.write ? 'write' : 'dry run'})`);
+    console.log(`Diff against ${values.against === 'db' ? 'the database' : values.against}:`);
+    printDiff(result.diff);
+    result.failures.forEach(failure => console.log(`! ${failure.signature}: ${failure.error}`));
+
+    if (values.record) {
+      const recorder = new CaptureRecorder({ ...config.capture, dir: values.record });
+      for (const capture of captures) {
+        await recorder.record(capture.transactions, capture.receivedAt ?? new Date());
+      }
+      console.log(`Recorded ${captures.length} deliver(ies) to ${recorder.filePath()}`);
+    }
+  } finally {
+    if (useDatabase) await databaseClient.disconnect();
+  }
+}
+
+const COMMANDS = { backfill, replay };
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  if (!COMMANDS[command]) {
+    console.log(USAGE);
+    process.exit(command ? 1 : 0);
+  }
+
+  try {
+    await COMMANDS[command](args);
+  } catch (error) {
+    console.error(`${command} failed:`, error.message);
+    process.exit(1);
+  }
+}
+
+main();
@@ -1,34 +1,109 @@
+import http from 'http';
+import { randomUUID } from 'crypto';
 import express from 'express';
-import { RateLimiter } from './src/utils/rateLimiter.js';
+import { RateLimiterRegistry } from './src/utils/rateLimiter.js';
+import { CircuitBreakerRegistry } from './src/utils/circuitBreaker.js';
+import { RetryHelper } from './src/utils/retryHelper.js';
+import { MetricsRegistry, METRICS_CONTENT_TYPE } from './src/utils/metrics.js';
+import { HealthMonitor } from './src/utils/healthMonitor.js';
+import { Logger, withLogContext } from './src/utils/logger.js';
+import { loadConfig, ConfigError } from './src/utils/config.js';
 import { DefiLlamaClient } from './src/utils/defiLlamaClient.js';
-import { DatabaseClient } from './src/utils/databaseClient.js';
+import { createStorage } from './src/storage/index.js';
 import { JupiterClient } from './src/utils/jupiterClient.js';
 import { WebhookHandler } from './src/utils/webhookHandler.js';
+import { SolanaRpcClient } from './src/utils/solanaRpc.js';
+import { RiskScorer } from './src/utils/riskScorer.js';
+import { createDefaultDecoderRegistry } from './src/decoders/index.js';
+import { WebhookAuthenticator } from './src/utils/webhookAuth.js';
+import { AdminAuthenticator } from './src/utils/adminAuth.js';
+import { IngestionQueue } from './src/utils/ingestionQueue.js';
+import { MetricsScheduler } from './src/utils/metricsScheduler.js';
+import { parsePoolQuery, encodeCursor } from './src/utils/poolQuery.js';
+import { formatPool, formatToken, formatRisk } from './src/utils/poolFormatter.js';
+import { createPoolRouter } from './src/utils/poolRoutes.js';
+import { RealtimeFeed } from './src/utils/realtimeFeed.js';
+import { PoolEventStream } from './src/utils/poolEventStream.js';
+import { AlertEngine } from './src/alerts/alertEngine.js';
+import { CaptureRecorder } from './src/utils/webhookCapture.js';
+import { parseAlertRule, formatAlertRule } from './src/alerts/rules.js';
+
+const log = Logger.default.child({ module: 'server' });
+// Request IDs taken from a caller's X-Request-Id header
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Env, CONFIG_FILE and defaults, validated before anything is built
+let config;
+try {
+  config = loadConfig();
+} catch (error) {
+  if (!(error instanceof ConfigError)) throw error;
+  log.error('Invalid configuration', { errors: error.errors });
+  process.exit(1);
+}
+Logger.default.configure(config.log);
 
 const app = express();
-app.use(express.json());
+const server = http.createServer(app);
+app.use(express.json({
+  limit: '5mb',
+  // Keep the raw body around for HMAC verification of webhook payloads
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
+
+// Tag each request with an ID (the caller's X-Request-Id when valid) that every line it logs carries
+app.use((req, res, next) => {
+  const requestId = req.get('x-request-id');
+  req.id = requestId && REQUEST_ID_PATTERN.test(requestId) ? requestId : randomUUID();
+  res.set('X-Request-Id', req.id);
+  withLogContext({ requestId: req.id }, next);
+});
 
 // Initialize modular clients
-const rateLimiter = new RateLimiter(2000); // 2 second delay
-const defiLlamaClient = new DefiLlamaClient();
-const databaseClient = new DatabaseClient();
-const jupiterClient = new JupiterClient();
-const webhookHandler = new WebhookHandler(databaseClient, defiLlamaClient, jupiterClient, rateLimiter);
+// Per-upstream limiters, shared by every DefiLlama, Jupiter and RPC client
+const rateLimiters = RateLimiterRegistry.configure(config.rateLimits);
+// Per-upstream circuit breakers, shared the same way
+const circuitBreakers = CircuitBreakerRegistry.configure(config.circuitBreaker);
+const defiLlamaClient = new DefiLlamaClient({ ...config.defillama, retry: config.retry });
+const databaseClient = createStorage(config.storage);
+const jupiterClient = new JupiterClient({ ...config.jupiter, retry: config.retry });
+const rpcClient = SolanaRpcClient.fromConfig({ ...config.rpc, retry: config.retry });
+const riskScorer = new RiskScorer(rpcClient, config.risk);
+const webhookHandler = new WebhookHandler(databaseClient, defiLlamaClient, jupiterClient, createDefaultDecoderRegistry(), riskScorer, config.detection);
+const webhookAuth = new WebhookAuthenticator(config.webhook);
+// Guards the alert rule routes, which store URLs the server will call, and the dead-letter routes
+const adminAuth = new AdminAuthenticator(config.admin);
+const ingestionQueue = new IngestionQueue(databaseClient, webhookHandler, { ...config.ingest, rpcClient });
+const metricsScheduler = new MetricsScheduler(databaseClient, defiLlamaClient, jupiterClient, config.metrics);
+const realtimeFeed = new RealtimeFeed(server, webhookHandler, databaseClient);
+const poolEventStream = new PoolEventStream(webhookHandler, databaseClient);
+const alertEngine = new AlertEngine(databaseClient, config.alerts);
+alertEngine.attach(webhookHandler, metricsScheduler);
+const captureRecorder = CaptureRecorder.fromConfig(config.capture);
+const healthMonitor = new HealthMonitor({ databaseClient, ingestionQueue, defiLlamaClient, circuitBreakers }, config.health);
+
+// Time shutdown waits for in-flight requests, queue jobs and deliveries
+const SHUTDOWN_TIMEOUT_MS = config.server.shutdownTimeoutMs;
 
 // Webhook endpoint
-app.post('/webhook/helius', async (req, res) => {
-  console.log('='.repeat(60));
-  console.log('WEBHOOK RECEIVED:', new Date().toISOString());
-  console.log('='.repeat(60));
+app.post('/webhook/helius', webhookAuth.middleware(), async (req, res) => {
+  const transactions = req.webhookTransactions;
+  log.info('Webhook received', { transactions: transactions.length });
   
   try {
-    // Process transactions using modular handler
-    const transactions = req.body || [];
-    await webhookHandler.processWebhookPayload(transactions);
+    // Persist the transactions and acknowledge; queue workers do the slow enrichment
+    if (captureRecorder && transactions.length > 0) {
+      captureRecorder.record(transactions).catch(error => log.warn('Error recording webhook capture', { error }));
+    }
+    await ingestionQueue.enqueue(transactions, req.id);
     
     res.sendStatus(200);
   } catch (error) {
-    console.log('Error processing webhook:', error.message);
+    log.error('Error enqueueing webhook', { error });
+    // Let Helius retry these signatures instead of answering 409
+    webhookAuth.forget(req.webhookTransactions);
     res.sendStatus(500);
   }
 });
@@ -36,22 +111,17 @@ app.post('/webhook/helius', async (req, res) => {
 // API endpoint to get pool stats
 app.get('/api/pools', async (req, res) => {
   try {
-    const pools = await databaseClient.getAllPools(50);
+    const { filters, errors } = parsePoolQuery(req.query);
+    if (errors) {
+      return res.status(400).json({ error: 'Invalid query parameters', fields: errors });
+    }
+
+    const { pools, nextCursor } = await databaseClient.queryPools(filters);
     
     res.json({
       total: pools.length,
-      pools: pools.map(pool => ({
-        id: pool.id,
-        tokenA: pool.tokenA,
-        tokenB: pool.tokenB,
-        poolAddress: pool.poolAddress,
-        source: pool.source,
-        apy: pool.apy,
-        tvl: pool.tvl,
-        volume24h: pool.volume24h,
-        signature: pool.signature,
-        timestamp: pool.createdAt
-      }))
+      nextCursor: nextCursor ? encodeCursor(nextCursor) : null,
+      pools: pools.map(formatPool)
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -61,18 +131,26 @@ app.get('/api/pools', async (req, res) => {
 // API endpoint to get pools with APY data
 app.get('/api/pools/apy', async (req, res) => {
   try {
-    const pools = await databaseClient.getPoolsWithApy(25);
+    const { filters, errors } = parsePoolQuery(req.query, { sort: 'apy', order: 'desc', limit: 25 });
+    if (errors) {
+      return res.status(400).json({ error: 'Invalid query parameters', fields: errors });
+    }
+
+    const { pools, nextCursor } = await databaseClient.queryPools({ ...filters, hasApy: true });
     
     res.json({
       total: pools.length,
+      nextCursor: nextCursor ? encodeCursor(nextCursor) : null,
       pools: pools.map(pool => ({
         id: pool.id,
-        tokenA: pool.tokenA,
-        tokenB: pool.tokenB,
+        tokenA: formatToken(pool.tokenA, pool.tokenAInfo),
+        tokenB: formatToken(pool.tokenB, pool.tokenBInfo),
         poolAddress: pool.poolAddress,
         source: pool.source,
         apy: pool.apy,
+        apyConfidence: pool.apyConfidence,
         tvl: pool.tvl,
+        risk: formatRisk(pool),
         timestamp: pool.createdAt
       }))
     });
@@ -81,19 +159,273 @@ app.get('/api/pools/apy', async (req, res) => {
   }
 });
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({ 
-    status: 'ok', 
+// Server-Sent Events stream of pool events
+app.get('/api/stream/pools', poolEventStream.handler());
+
+// Pool detail, event timeline and history endpoints
+app.use('/api/pools', createPoolRouter(databaseClient));
+
+// API endpoint to list transactions that failed processing
+app.get('/api/dead-letters', adminAuth.middleware(), async (req, res) => {
+  try {
+    const includeReplayed = req.query.includeReplayed === 'true';
+    const deadLetters = await databaseClient.getDeadLetters(50, includeReplayed);
+    
+    res.json({
+      total: deadLetters.length,
+      deadLetters: deadLetters.map(deadLetter => ({
+        id: deadLetter.id,
+        signature: deadLetter.signature,
+        error: deadLetter.error,
+        attempts: deadLetter.attempts,
+        createdAt: deadLetter.createdAt,
+        replayedAt: deadLetter.replayedAt
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API endpoint to push a dead-lettered transaction back onto the queue
+app.post('/api/dead-letters/:id/replay', adminAuth.middleware(), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (Number.isNaN(id)) {
+      return res.status(400).json({ error: 'Invalid dead letter id' });
+    }
+
+    const job = await databaseClient.replayDeadLetter(id);
+    if (!job) {
+      return res.status(404).json({ error: 'Dead letter not found' });
+    }
+
+    ingestionQueue.wake();
+    res.status(202).json({ jobId: job.id, signature: job.signature });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API endpoint to list alert rules
+app.get('/api/alerts', adminAuth.middleware(), async (req, res) => {
+  try {
+    const rules = await databaseClient.getAlertRules();
+    res.json({ total: rules.length, rules: rules.map(formatAlertRule) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API endpoint to create an alert rule
+app.post('/api/alerts', adminAuth.middleware(), async (req, res) => {
+  try {
+    const { rule, errors } = parseAlertRule(req.body, { allowPrivateSinks: config.alerts.allowPrivateSinks });
+    if (errors) {
+      return res.status(400).json({ error: 'Invalid alert rule', fields: errors });
+    }
+
+    const created = await databaseClient.createAlertRule(rule);
+    alertEngine.invalidateRules();
+    res.status(201).json(formatAlertRule(created));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API endpoint to get an alert rule with its recent deliveries
+app.get('/api/alerts/:id', adminAuth.middleware(), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (Number.isNaN(id)) {
+      return res.status(400).json({ error: 'Invalid alert rule id' });
+    }
+
+    const rule = await databaseClient.getAlertRule(id);
+    if (!rule) {
+      return res.status(404).json({ error: 'Alert rule not found' });
+    }
+
+    const deliveries = await databaseClient.getAlertDeliveries(id);
+    res.json({
+      ...formatAlertRule(rule),
+      deliveries: deliveries.map(delivery => ({
+        id: delivery.id,
+        poolAddress: delivery.pool.poolAddress,
+        trigger: delivery.trigger,
+        status: delivery.status,
+        attempts: delivery.attempts,
+        message: delivery.message,
+        error: delivery.error,
+        createdAt: delivery.createdAt
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API endpoint to update an alert rule; omitted fields keep their value
+app.patch('/api/alerts/:id', adminAuth.middleware(), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (Number.isNaN(id)) {
+      return res.status(400).json({ error: 'Invalid alert rule id' });
+    }
+
+    const existing = await databaseClient.getAlertRule(id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Alert rule not found' });
+    }
+
+    const { rule, errors } = parseAlertRule(req.body, { existing, allowPrivateSinks: config.alerts.allowPrivateSinks });
+    if (errors) {
+      return res.status(400).json({ error: 'Invalid alert rule', fields: errors });
+    }
+
+    const updated = await databaseClient.updateAlertRule(id, rule);
+    alertEngine.invalidateRules();
+    res.json(formatAlertRule(updated));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API endpoint to delete an alert rule
+app.delete('/api/alerts/:id', adminAuth.middleware(), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (Number.isNaN(id)) {
+      return res.status(400).json({ error: 'Invalid alert rule id' });
+    }
+
+    if (!(await databaseClient.deleteAlertRule(id))) {
+      return res.status(404).json({ error: 'Alert rule not found' });
+    }
+
+    alertEngine.invalidateRules();
+    res.sendStatus(204);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API endpoint to send a rule's alert for a pool (the newest one by default), ignoring conditions and cooldown
+app.post('/api/alerts/:id/test', adminAuth.middleware(), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (Number.isNaN(id)) {
+      return res.status(400).json({ error: 'Invalid alert rule id' });
+    }
+
+    const rule = await databaseClient.getAlertRule(id);
+    if (!rule) {
+      return res.status(404).json({ error: 'Alert rule not found' });
+    }
+
+    const poolAddress = req.body?.poolAddress;
+    const pool = poolAddress
+      ? await databaseClient.getPoolByAddress(poolAddress)
+      : (await databaseClient.getAllPools(1))[0];
+    if (!pool) {
+      return res.status(404).json({ error: 'Pool not found' });
+    }
+
+    const delivery = await alertEngine.dispatch(AlertEngine.parseStoredRule(rule), pool, 'test');
+    res.status(delivery.status === 'sent' ? 200 : 502).json({
+      status: delivery.status,
+      attempts: delivery.attempts,
+      message: delivery.message,
+      error: delivery.error
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Liveness: the process is up (restart it if this fails)
+app.get('/health/live', (req, res) => {
+  res.json(healthMonitor.liveness());
+});
+
+// Readiness: 503 while the database is down or the server is draining
+app.get('/health/ready', async (req, res) => {
+  const readiness = await healthMonitor.readiness();
+  res.status(readiness.ready ? 200 : 503).json(readiness);
+});
+
+// Readiness with upstream and cache details
+app.get('/health', async (req, res) => {
+  const readiness = await healthMonitor.readiness();
+  res.status(readiness.ready ? 200 : 503).json({ 
+    ...readiness,
     timestamp: new Date().toISOString(),
-    modules: ['DefiLlama', 'Jupiter', 'Database', 'RateLimiter', 'WebhookHandler']
+    defiLlamaSnapshot: defiLlamaClient.snapshot.getStats(),
+    rateLimits: rateLimiters.stats(),
+    circuitBreakers: circuitBreakers.stats()
   });
 });
 
-// Cleanup function
-async function cleanup() {
-  console.log('Shutting down gracefully...');
+// Prometheus metrics; the components record them as they work
+app.get('/metrics', async (req, res) => {
+  try {
+    res.type(METRICS_CONTENT_TYPE).send(await MetricsRegistry.default.render());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+let shuttingDown = false;
+
+/**
+ * Graceful shutdown: report not ready, stop accepting connections, let in-flight requests
+ * and queue jobs finish (jobs still running at the deadline are released back to the queue),
+ * close WebSocket and SSE clients, and only then disconnect the database. A second
+ * signal exits immediately.
+ * @param {string} signal - Signal that triggered the shutdown
+ */
+async function cleanup(signal) {
+  if (shuttingDown) {
+    log.warn('Signal received again, exiting without waiting', { signal });
+    process.exit(1);
+  }
+  shuttingDown = true;
+  log.info('Shutting down gracefully', { signal, timeoutMs: SHUTDOWN_TIMEOUT_MS });
+
+  const deadline = Date.now() + SHUTDOWN_TIMEOUT_MS;
+  const remainingMs = () => Math.max(1, deadline - Date.now());
+  // Wait for a step until the deadline; a step that misses it is abandoned
+  const untilDeadline = async (name, step) => {
+    try {
+      await RetryHelper.withTimeout(() => step, remainingMs());
+    } catch (error) {
+      log.warn('Shutdown step did not finish', { step: name, error });
+    }
+  };
+  // Last resort if disconnecting hangs past the deadline
+  setTimeout(() => {
+    log.error('Shutdown did not complete in time, exiting');
+    process.exit(1);
+  }, SHUTDOWN_TIMEOUT_MS + 5000).unref();
+
+  healthMonitor.startDraining();
+  // Stop accepting connections; requests already received (webhooks being enqueued) still complete
+  const serverClosed = new Promise(resolve => server.close(() => resolve()));
+  server.closeIdleConnections();
+
+  defiLlamaClient.snapshot.stop();
+  await ingestionQueue.stop(remainingMs());
+  await untilDeadline('metrics scheduler', metricsScheduler.stop());
+  await untilDeadline('alert deliveries', alertEngine.close());
+  poolEventStream.close();
+  await untilDeadline('WebSocket clients', realtimeFeed.close());
+
+  await untilDeadline('open HTTP requests', serverClosed);
+  server.closeAllConnections();
+
+  await captureRecorder?.close();
   await databaseClient.disconnect();
+  log.info('Shutdown complete');
   process.exit(0);
 }
 
@@ -105,25 +437,32 @@ async function startServer() {
   try {
     // Connect to database
     await databaseClient.connect();
+    await ingestionQueue.start();
+    defiLlamaClient.snapshot.start();
+    metricsScheduler.start();
+
+    if (webhookAuth.disabled) {
+      log.warn('Webhook authentication is disabled (WEBHOOK_AUTH_DISABLED=true)');
+    } else if (webhookAuth.authTokens.length === 0) {
+      log.warn('HELIUS_WEBHOOK_AUTH_TOKENS is not set, all webhooks will be rejected');
+    }
+    if (adminAuth.authTokens.length === 0) {
+      log.warn('ADMIN_API_TOKENS is not set, all admin API requests will be rejected');
+    }
     
-    const PORT = process.env.PORT || 3000;
-    app.listen(PORT, () => {
-      console.log('Solana Pool Monitor Bot Started');
-      console.log('=' .repeat(50));
-      console.log(`Server listening on http://localhost:${PORT}`);
-      console.log(`Webhook endpoint: POST /webhook/helius`);
-      console.log('API endpoints:');
-      console.log('   - GET /api/pools - View all pool data');
-      console.log('   - GET /api/pools/apy - View pools with APY data');
-      console.log('   - GET /health - Health check');
-      console.log('Database connected and ready!');
-      console.log('Rate limiting enabled (2s between API calls)');
-      console.log('APY fetching via DefiLlama integrated');
-      console.log('Modular ES architecture implemented');
-      console.log('=' .repeat(50));
+    const PORT = config.server.port;
+    server.listen(PORT, () => {
+      log.info('Solana Pool Monitor Bot started', {
+        url: `http://localhost:${PORT}`,
+        webhook: 'POST /webhook/helius',
+        websocket: `ws://localhost:${PORT}/ws`,
+        health: '/health, /health/live, /health/ready',
+        metrics: '/metrics',
+        captureFile: captureRecorder?.filePath()
+      });
     });
   } catch (error) {
-    console.error('Failed to start server:', error);
+    log.error('Failed to start server', { error });
     process.exit(1);
   }
 }
@@ -0,0 +1,185 @@
+/**
+ * Evaluates stored alert rules against new and refreshed pools and dispatches
+ * matching alerts to their sinks, with per-pool cooldowns and delivery retries
+ */
+import { RetryHelper } from '../utils/retryHelper.js';
+import { Logger } from '../utils/logger.js';
+import { matchesConditions } from './rules.js';
+import { createSink } from './sinks.js';
+import { DEFAULT_ALERT_TEMPLATE, buildAlertContext, renderTemplate } from './templates.js';
+
+const log = Logger.default.child({ module: 'alertEngine' });
+
+export class AlertEngine {
+  /**
+   * @param {DatabaseClient} databaseClient - Database client holding rules and deliveries
+   * @param {Object} options
+   * @param {number} options.maxAttempts - Delivery attempts per alert
+   * @param {number} options.timeoutMs - Timeout of a single delivery request
+   * @param {number} options.ruleCacheMs - How long enabled rules are cached between evaluations
+   * @param {boolean} options.allowPrivateSinks - Deliver over http and to private hosts (local development)
+   */
+  constructor(databaseClient, { maxAttempts = 3, timeoutMs = 10000, ruleCacheMs = 30000, allowPrivateSinks = false } = {}) {
+    this.databaseClient = databaseClient;
+    this.maxAttempts = maxAttempts;
+    this.timeoutMs = timeoutMs;
+    this.allowPrivateSinks = allowPrivateSinks;
+    this.ruleCacheMs = ruleCacheMs;
+    this.rules = null;
+    this.rulesLoadedAt = 0;
+    this.inFlight = new Set();
+    this.pending = new Set();
+    this.subscriptions = [];
+  }
+
+  /**
+   * Parse the JSON columns of a stored rule
+   * @param {Object} rule - AlertRule record
+   * @returns {Object} Rule with conditions and sinkConfig as objects
+   */
+  static parseStoredRule(rule) {
+    return {
+      ...rule,
+      conditions: JSON.parse(rule.conditions),
+      sinkConfig: JSON.parse(rule.sinkConfig)
+    };
+  }
+
+  /**
+   * Evaluate rules whenever a pool is saved or its metrics are refreshed
+   * @param {WebhookHandler} webhookHandler - Emits "pool.saved"
+   * @param {MetricsScheduler} metricsScheduler - Emits "pool.refreshed"
+   */
+  attach(webhookHandler, metricsScheduler) {
+    const onSaved = ({ pool }) => this.evaluate(pool, 'created');
+    const onRefreshed = ({ pool }) => this.evaluate(pool, 'refresh');
+    webhookHandler.on('pool.saved', onSaved);
+    metricsScheduler.on('pool.refreshed', onRefreshed);
+    this.subscriptions.push([webhookHandler, 'pool.saved', onSaved], [metricsScheduler, 'pool.refreshed', onRefreshed]);
+  }
+
+  /**
+   * Get enabled rules, cached for ruleCacheMs
+   * @returns {Promise<Array>} Parsed rules
+   */
+  async getRules() {
+    if (!this.rules || Date.now() - this.rulesLoadedAt > this.ruleCacheMs) {
+      const rules = await this.databaseClient.getAlertRules({ enabled: true });
+      this.rules = rules.map(AlertEngine.parseStoredRule);
+      this.rulesLoadedAt = Date.now();
+    }
+    return this.rules;
+  }
+
+  /**
+   * Drop the rule cache after rules are created, changed or deleted
+   */
+  invalidateRules() {
+    this.rules = null;
+  }
+
+  /**
+   * Evaluate rules for a pool in the background. Errors are logged, never thrown.
+   * @param {Object} pool - Pool record with tokenAInfo/tokenBInfo
+   * @param {string} trigger - "created" or "refresh"
+   * @returns {Promise<void>} Settles once every matching alert was handled
+   */
+  evaluate(pool, trigger) {
+    const task = this.evaluateRules(pool, trigger)
+      .catch(error => log.error('Alert evaluation failed', { poolAddress: pool.poolAddress, error }))
+      .finally(() => this.pending.delete(task));
+    this.pending.add(task);
+    return task;
+  }
+
+  /**
+   * Dispatch an alert for every enabled rule that matches the pool and is not cooling down
+   * @param {Object} pool - Pool record with tokenAInfo/tokenBInfo
+   * @param {string} trigger - "created" or "refresh"
+   * @returns {Promise<number>} Number of alerts sent
+   */
+  async evaluateRules(pool, trigger) {
+    const rules = await this.getRules();
+    let sent = 0;
+
+    for (const rule of rules) {
+      if (!rule.triggers.includes(trigger) || !matchesConditions(pool, rule.conditions)) continue;
+
+      // Claim the rule/pool pair so concurrent evaluations don't both pass the cooldown check
+      const key = `${rule.id}:${pool.id}`;
+      if (this.inFlight.has(key)) continue;
+      this.inFlight.add(key);
+
+      try {
+        if (await this.isCoolingDown(rule, pool)) continue;
+        const delivery = await this.dispatch(rule, pool, trigger);
+        if (delivery.status === 'sent') sent++;
+      } finally {
+        this.inFlight.delete(key);
+      }
+    }
+    return sent;
+  }
+
+  /**
+   * Check whether the rule already alerted for this pool within its cooldown
+   * @param {Object} rule - Parsed rule
+   * @param {Object} pool - Pool record
+   * @returns {Promise<boolean>} True if the alert should be skipped
+   */
+  async isCoolingDown(rule, pool) {
+    if (rule.cooldownSeconds === 0) return false;
+    const last = await this.databaseClient.getLastAlertDelivery(rule.id, pool.id);
+    return !!last && Date.now() - last.createdAt.getTime() < rule.cooldownSeconds * 1000;
+  }
+
+  /**
+   * Render and deliver an alert with retries, and record the outcome
+   * @param {Object} rule - Parsed rule
+   * @param {Object} pool - Pool record with tokenAInfo/tokenBInfo
+   * @param {string} trigger - "created", "refresh" or "test"
+   * @returns {Promise<Object>} Stored AlertDelivery record
+   */
+  async dispatch(rule, pool, trigger) {
+    const context = buildAlertContext(rule, pool, trigger);
+    const message = renderTemplate(rule.template || DEFAULT_ALERT_TEMPLATE, context);
+
+    let attempts = 0;
+    let error = null;
+    try {
+      const sink = createSink(rule.sinkType, rule.sinkConfig, { timeoutMs: this.timeoutMs, allowPrivate: this.allowPrivateSinks });
+      await RetryHelper.withBackoff(() => {
+        attempts++;
+        return sink.send({ message, context });
+      }, { maxAttempts: this.maxAttempts });
+    } catch (sendError) {
+      error = sendError.message;
+      log.warn('Alert delivery failed', { rule: rule.name, poolAddress: pool.poolAddress, attempts, error: sendError });
+    }
+
+    if (!error) {
+      log.info('Alert sent', { rule: rule.name, poolAddress: pool.poolAddress, sink: rule.sinkType });
+    }
+
+    return this.databaseClient.recordAlertDelivery({
+      ruleId: rule.id,
+      poolId: pool.id,
+      trigger,
+      status: error ? 'failed' : 'sent',
+      attempts,
+      message,
+      error
+    });
+  }
+
+  /**
+   * Stop listening for pool events and wait for pending deliveries
+   */
+  async close() {
+    for (const [emitter, eventName, listener] of this.subscriptions) {
+      emitter.off(eventName, listener);
+    }
+    this.subscriptions = [];
+    await Promise.all([...this.pending]);
+  }
+}
@@ -0,0 +1,253 @@
+/**
+ * Alert rule conditions: validation of rules sent to /api/alerts and matching against pools
+ */
+import { checkSinkUrl } from './sinks.js';
+
+export const ALERT_TRIGGERS = ['created', 'refresh'];
+export const ALERT_SINK_TYPES = ['discord', 'telegram', 'http'];
+
+// Pool fields a condition can test, and how to read them from a pool with its tokens
+export const ALERT_FIELDS = {
+  source: pool => pool.source,
+  decoder: pool => pool.decoder,
+  poolAddress: pool => pool.poolAddress,
+  apy: pool => pool.apy,
+  apyConfidence: pool => pool.apyConfidence,
+  tvl: pool => pool.tvl,
+  volume24h: pool => pool.volume24h,
+  riskScore: pool => pool.riskScore,
+  riskLevel: pool => pool.riskLevel,
+  tokenA: pool => pool.tokenA,
+  tokenB: pool => pool.tokenB,
+  tokenASymbol: pool => pool.tokenAInfo?.symbol,
+  tokenBSymbol: pool => pool.tokenBInfo?.symbol,
+  tokenAVerified: pool => pool.tokenAInfo?.verified,
+  tokenBVerified: pool => pool.tokenBInfo?.verified
+};
+
+const NUMERIC_OPERATORS = ['gt', 'gte', 'lt', 'lte'];
+export const ALERT_OPERATORS = ['eq', 'neq', ...NUMERIC_OPERATORS, 'in', 'notIn'];
+
+/**
+ * Compare two values, ignoring case for strings
+ * @param {*} a - Pool value
+ * @param {*} b - Condition value
+ * @returns {boolean} True if equal
+ */
+function same(a, b) {
+  if (typeof a === 'string' && typeof b === 'string') {
+    return a.toLowerCase() === b.toLowerCase();
+  }
+  return a === b;
+}
+
+/**
+ * Test one condition against a pool. Missing pool values never match numeric operators.
+ * @param {Object} pool - Pool record with tokenAInfo/tokenBInfo
+ * @param {Object} condition - { field, op, value }
+ * @returns {boolean} True if the condition holds
+ */
+export function matchesCondition(pool, { field, op, value }) {
+  const actual = ALERT_FIELDS[field]?.(pool);
+
+  switch (op) {
+    case 'eq': return same(actual, value);
+    case 'neq': return !same(actual, value);
+    case 'gt': return typeof actual === 'number' && actual > value;
+    case 'gte': return typeof actual === 'number' && actual >= value;
+    case 'lt': return typeof actual === 'number' && actual < value;
+    case 'lte': return typeof actual === 'number' && actual <= value;
+    case 'in': return value.some(candidate => same(actual, candidate));
+    case 'notIn': return !value.some(candidate => same(actual, candidate));
+    default: return false;
+  }
+}
+
+/**
+ * Test every condition of a rule against a pool
+ * @param {Object} pool - Pool record with tokenAInfo/tokenBInfo
+ * @param {Array} conditions - Rule conditions
+ * @returns {boolean} True if all conditions hold
+ */
+export function matchesConditions(pool, conditions) {
+  return conditions.every(condition => matchesCondition(pool, condition));
+}
+
+/**
+ * Validate a condition list
+ * @param {*} conditions - Raw conditions
+ * @returns {string|null} Error message or null if valid
+ */
+function validateConditions(conditions) {
+  if (!Array.isArray(conditions)) return 'must be an array';
+
+  for (const [index, condition] of conditions.entries()) {
+    const { field, op, value } = condition || {};
+    if (!ALERT_FIELDS[field]) {
+      return `[${index}].field must be one of: ${Object.keys(ALERT_FIELDS).join(', ')}`;
+    }
+    if (!ALERT_OPERATORS.includes(op)) {
+      return `[${index}].op must be one of: ${ALERT_OPERATORS.join(', ')}`;
+    }
+    if (NUMERIC_OPERATORS.includes(op) && (typeof value !== 'number' || !Number.isFinite(value))) {
+      return `[${index}].value must be a number for ${op}`;
+    }
+    if (['in', 'notIn'].includes(op) && (!Array.isArray(value) || value.length === 0)) {
+      return `[${index}].value must be a non-empty array for ${op}`;
+    }
+    if (['eq', 'neq'].includes(op) && !['string', 'number', 'boolean'].includes(typeof value)) {
+      return `[${index}].value must be a string, number or boolean for ${op}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Validate a sink configuration
+ * @param {string} sinkType - "discord", "telegram" or "http"
+ * @param {*} config - Raw sink config
+ * @param {Object} options
+ * @param {boolean} options.allowPrivate - Accept http and private hosts (local development)
+ * @returns {string|null} Error message or null if valid
+ */
+function validateSinkConfig(sinkType, config, { allowPrivate = false } = {}) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) return 'must be an object';
+
+  if (sinkType === 'discord' || sinkType === 'http') {
+    const problem = checkSinkUrl(config.url, { allowPrivate });
+    if (problem) return `url ${problem}`;
+  }
+  if (sinkType === 'http' && config.headers !== undefined) {
+    const headers = config.headers;
+    if (!headers || typeof headers !== 'object' || !Object.values(headers).every(value => typeof value === 'string')) {
+      return 'headers must be an object of strings';
+    }
+  }
+  if (sinkType === 'telegram') {
+    if (typeof config.botToken !== 'string' || config.botToken === '') return 'botToken is required';
+    if (!['string', 'number'].includes(typeof config.chatId)) return 'chatId is required';
+    if (config.apiUrl !== undefined) {
+      const problem = checkSinkUrl(config.apiUrl, { allowPrivate });
+      if (problem) return `apiUrl ${problem}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Validate and normalize an alert rule from a request body
+ * @param {Object} body - Request body
+ * @param {Object} options
+ * @param {Object|null} options.existing - Stored rule being updated; missing fields are taken from it
+ * @param {boolean} options.allowPrivateSinks - Accept http and private sink hosts (local development)
+ * @returns {{rule: Object, errors: Object|null}} Data for DatabaseClient, or field errors
+ */
+export function parseAlertRule(body = {}, { existing = null, allowPrivateSinks = false } = {}) {
+  const errors = {};
+  const rule = {};
+  const has = (field) => body[field] !== undefined;
+
+  if (has('name') || !existing) {
+    if (typeof body.name !== 'string' || body.name.trim() === '') {
+      errors.name = 'must be a non-empty string';
+    } else {
+      rule.name = body.name.trim();
+    }
+  }
+
+  if (has('enabled')) {
+    if (typeof body.enabled !== 'boolean') {
+      errors.enabled = 'must be a boolean';
+    } else {
+      rule.enabled = body.enabled;
+    }
+  }
+
+  if (has('conditions') || !existing) {
+    const error = validateConditions(body.conditions);
+    if (error) {
+      errors.conditions = error;
+    } else {
+      rule.conditions = JSON.stringify(body.conditions);
+    }
+  }
+
+  if (has('triggers')) {
+    if (!Array.isArray(body.triggers) || body.triggers.length === 0 || !body.triggers.every(trigger => ALERT_TRIGGERS.includes(trigger))) {
+      errors.triggers = `must be a non-empty array of: ${ALERT_TRIGGERS.join(', ')}`;
+    } else {
+      rule.triggers = [...new Set(body.triggers)];
+    }
+  }
+
+  const sinkType = has('sinkType') ? body.sinkType : existing?.sinkType;
+  if (has('sinkType') || !existing) {
+    if (!ALERT_SINK_TYPES.includes(body.sinkType)) {
+      errors.sinkType = `must be one of: ${ALERT_SINK_TYPES.join(', ')}`;
+    } else {
+      rule.sinkType = body.sinkType;
+    }
+  }
+
+  // A new sink type needs a config for that type
+  if (has('sinkConfig') || has('sinkType') || !existing) {
+    const error = ALERT_SINK_TYPES.includes(sinkType) ? validateSinkConfig(sinkType, body.sinkConfig, { allowPrivate: allowPrivateSinks }) : null;
+    if (error) {
+      errors.sinkConfig = error;
+    } else {
+      rule.sinkConfig = JSON.stringify(body.sinkConfig);
+    }
+  }
+
+  if (has('template')) {
+    if (body.template !== null && (typeof body.template !== 'string' || body.template.trim() === '')) {
+      errors.template = 'must be a non-empty string or null';
+    } else {
+      rule.template = body.template;
+    }
+  }
+
+  if (has('cooldownSeconds')) {
+    if (!Number.isInteger(body.cooldownSeconds) || body.cooldownSeconds < 0) {
+      errors.cooldownSeconds = 'must be a non-negative integer';
+    } else {
+      rule.cooldownSeconds = body.cooldownSeconds;
+    }
+  }
+
+  return { rule, errors: Object.keys(errors).length > 0 ? errors : null };
+}
+
+/**
+ * Shape a stored rule for API responses, hiding the secrets in its sink config: the
+ * Telegram bot token, the token part of a Discord webhook URL and HTTP header values
+ * @param {Object} rule - AlertRule record
+ * @returns {Object} Rule with parsed JSON columns
+ */
+export function formatAlertRule(rule) {
+  const sinkConfig = JSON.parse(rule.sinkConfig);
+  if (sinkConfig.botToken) {
+    sinkConfig.botToken = `${sinkConfig.botToken.slice(0, 4)}...`;
+  }
+  if (rule.sinkType === 'discord' && sinkConfig.url) {
+    // https://discord.com/api/webhooks/<id>/<token>
+    sinkConfig.url = sinkConfig.url.replace(/[^/]*$/, '...');
+  }
+  if (sinkConfig.headers) {
+    sinkConfig.headers = Object.fromEntries(Object.entries(sinkConfig.headers).map(([name]) => [name, '...']));
+  }
+
+  return {
+    id: rule.id,
+    name: rule.name,
+    enabled: rule.enabled,
+    conditions: JSON.parse(rule.conditions),
+    triggers: rule.triggers,
+    sinkType: rule.sinkType,
+    sinkConfig,
+    template: rule.template,
+    cooldownSeconds: rule.cooldownSeconds,
+    createdAt: rule.createdAt,
+    updatedAt: rule.updatedAt
+  };
+}
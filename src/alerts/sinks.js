@@ -0,0 +1,227 @@
+/**
+ * Alert delivery sinks. Each sink posts a rendered message to one destination and
+ * throws if the destination does not accept it.
+ *
+ * Rule URLs come from API callers, so unless private sinks are allowed a sink only
+ * talks https to public addresses, checked again on the address actually connected to.
+ */
+import http from 'node:http';
+import https from 'node:https';
+import dns from 'node:dns';
+import { BlockList, isIP } from 'node:net';
+import { formatPool } from '../utils/poolFormatter.js';
+import { HttpError, RetryHelper } from '../utils/retryHelper.js';
+
+// Loopback, private, link-local, shared, multicast and reserved ranges
+const PRIVATE_RANGES = new BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  PRIVATE_RANGES.addSubnet(network, prefix, 'ipv4');
+}
+// IPv4-mapped IPv6 addresses are checked against the IPv4 ranges by BlockList itself
+for (const [network, prefix] of [['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  PRIVATE_RANGES.addSubnet(network, prefix, 'ipv6');
+}
+
+/**
+ * A sink URL or resolved address that a sink may not reach. Never retried.
+ */
+export class SinkAddressError extends Error {
+  /**
+   * @param {string} message - Error message
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'SinkAddressError';
+    this.retryable = false;
+  }
+}
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not public
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+export function isPrivateAddress(address) {
+  return PRIVATE_RANGES.check(address, isIP(address) === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Check a sink URL before it is stored or called. Host names are checked again when
+ * they are resolved.
+ * @param {string} value - URL
+ * @param {Object} options
+ * @param {boolean} options.allowPrivate - Accept http and private hosts (local development)
+ * @returns {string|null} Problem, or null if the URL may be used
+ */
+export function checkSinkUrl(value, { allowPrivate = false } = {}) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return 'must be an https URL';
+  }
+
+  if (allowPrivate) {
+    return ['http:', 'https:'].includes(url.protocol) ? null : 'must be an http(s) URL';
+  }
+  if (url.protocol !== 'https:') return 'must be an https URL';
+
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (host === 'localhost' || host.endsWith('.localhost') || (isIP(host) && isPrivateAddress(host))) {
+    return 'must not point to a private, loopback or link-local address';
+  }
+  return null;
+}
+
+/**
+ * dns.lookup() that fails when the host resolves to a private address. Used as the
+ * request's lookup, so the address checked is the one connected to.
+ * @param {string} hostname - Host to resolve
+ * @param {Object} options - dns.lookup options
+ * @param {Function} callback - dns.lookup callback
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.some(({ address }) => isPrivateAddress(address))) {
+      return callback(new SinkAddressError(`${hostname} resolves to a private address`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * POST a JSON body and fail on non-2xx responses. Redirects are not followed and the
+ * response body is never read, so nothing the destination returns reaches the caller
+ * beyond its status.
+ * @param {string} url - Destination URL
+ * @param {Object} body - JSON body
+ * @param {Object} options
+ * @param {Object} options.headers - Extra request headers
+ * @param {number} options.timeoutMs - Request timeout
+ * @param {boolean} options.allowPrivate - Accept http and private hosts (local development)
+ * @throws {SinkAddressError} If the URL or its address may not be reached
+ * @throws {HttpError} On a non-2xx response
+ */
+async function postJson(url, body, { headers = {}, timeoutMs = 10000, allowPrivate = false }) {
+  const problem = checkSinkUrl(url, { allowPrivate });
+  if (problem) {
+    throw new SinkAddressError(`Sink URL ${problem}`);
+  }
+
+  const target = new URL(url);
+  const payload = JSON.stringify(body);
+  const status = await RetryHelper.withTimeout(signal => new Promise((resolve, reject) => {
+    const request = (target.protocol === 'https:' ? https : http).request(target, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload), ...headers },
+      lookup: allowPrivate ? undefined : publicLookup,
+      signal
+    }, (response) => {
+      response.resume();
+      resolve(response.statusCode);
+    });
+    request.on('error', reject);
+    request.end(payload);
+  }), timeoutMs);
+
+  if (status < 200 || status >= 300) {
+    throw new HttpError(`HTTP ${status}`, status);
+  }
+}
+
+export class DiscordSink {
+  /**
+   * @param {Object} config - { url } of a Discord webhook
+   * @param {Object} options - { timeoutMs, allowPrivate }
+   */
+  constructor({ url }, options = {}) {
+    this.url = url;
+    this.options = options;
+  }
+
+  /**
+   * Post the message to the Discord channel
+   * @param {Object} alert - { message, context }
+   */
+  async send({ message }) {
+    // Discord rejects content longer than 2000 characters
+    await postJson(this.url, { content: message.slice(0, 2000) }, this.options);
+  }
+}
+
+export class TelegramSink {
+  /**
+   * @param {Object} config - { botToken, chatId, apiUrl }
+   * @param {Object} options - { timeoutMs, allowPrivate }
+   */
+  constructor({ botToken, chatId, apiUrl = 'https://api.telegram.org' }, options = {}) {
+    this.url = `${apiUrl.replace(/\/$/, '')}/bot${botToken}/sendMessage`;
+    this.chatId = chatId;
+    this.options = options;
+  }
+
+  /**
+   * Send the message to the Telegram chat
+   * @param {Object} alert - { message, context }
+   */
+  async send({ message }) {
+    await postJson(this.url, {
+      chat_id: this.chatId,
+      text: message.slice(0, 4096),
+      disable_web_page_preview: true
+    }, this.options);
+  }
+}
+
+export class HttpSink {
+  /**
+   * @param {Object} config - { url, headers }
+   * @param {Object} options - { timeoutMs, allowPrivate }
+   */
+  constructor({ url, headers = {} }, options = {}) {
+    this.url = url;
+    this.headers = headers;
+    this.options = options;
+  }
+
+  /**
+   * POST the message together with the rule, trigger and pool
+   * @param {Object} alert - { message, context }
+   */
+  async send({ message, context }) {
+    await postJson(this.url, {
+      rule: context.rule,
+      trigger: context.trigger,
+      message,
+      pool: formatPool(context.pool)
+    }, { ...this.options, headers: this.headers });
+  }
+}
+
+const SINKS = {
+  discord: DiscordSink,
+  telegram: TelegramSink,
+  http: HttpSink
+};
+
+/**
+ * Create the sink for a stored rule
+ * @param {string} sinkType - "discord", "telegram" or "http"
+ * @param {Object} config - Parsed sink config
+ * @param {Object} options
+ * @param {number} options.timeoutMs - Request timeout
+ * @param {boolean} options.allowPrivate - Accept http and private hosts (local development)
+ * @returns {Object} Sink with send({ message, context })
+ */
+export function createSink(sinkType, config, options = {}) {
+  const Sink = SINKS[sinkType];
+  if (!Sink) {
+    throw new Error(`Unknown alert sink type: ${sinkType}`);
+  }
+  return new Sink(config, options);
+}
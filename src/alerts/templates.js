@@ -0,0 +1,53 @@
+/**
+ * Message templates for alert notifications
+ */
+export const DEFAULT_ALERT_TEMPLATE = [
+  '🚨 {{rule.name}}',
+  '{{tokenA.symbol}}/{{tokenB.symbol}} on {{pool.source}} ({{trigger}})',
+  'APY: {{pool.apy}}% | TVL: ${{pool.tvl}}',
+  'Pool: {{pool.poolAddress}}'
+].join('\n');
+
+/**
+ * Format a value for a message: numbers are rounded to two decimals, missing values shown as "n/a"
+ * @param {*} value - Value from the template context
+ * @returns {string} Display text
+ */
+function display(value) {
+  if (value === null || value === undefined) return 'n/a';
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? String(value) : value.toFixed(2);
+  }
+  if (value instanceof Date) return value.toISOString();
+  return String(value);
+}
+
+/**
+ * Build the values a template can reference
+ * @param {Object} rule - Alert rule
+ * @param {Object} pool - Pool record with tokenAInfo/tokenBInfo
+ * @param {string} trigger - "created", "refresh" or "test"
+ * @returns {Object} Template context
+ */
+export function buildAlertContext(rule, pool, trigger) {
+  return {
+    rule: { id: rule.id, name: rule.name },
+    trigger,
+    pool,
+    tokenA: { mint: pool.tokenA, symbol: pool.tokenAInfo?.symbol || pool.tokenA?.slice(0, 8) },
+    tokenB: { mint: pool.tokenB, symbol: pool.tokenBInfo?.symbol || pool.tokenB?.slice(0, 8) }
+  };
+}
+
+/**
+ * Replace {{path.to.value}} placeholders with values from the context
+ * @param {string} template - Message template
+ * @param {Object} context - Values from buildAlertContext
+ * @returns {string} Rendered message
+ */
+export function renderTemplate(template, context) {
+  return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, path) => {
+    const value = path.split('.').reduce((current, key) => current?.[key], context);
+    return display(value);
+  });
+}
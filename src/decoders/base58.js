@@ -0,0 +1,41 @@
+/**
+ * Minimal base58 decoder for instruction data
+ */
+const ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const ALPHABET_MAP = new Map([...ALPHABET].map((char, index) => [char, index]));
+
+/**
+ * Decode a base58 string into bytes
+ * @param {string} input - Base58 encoded string
+ * @returns {Buffer} Decoded bytes
+ * @throws {Error} If the input contains a non-base58 character
+ */
+export function decodeBase58(input) {
+  const bytes = [];
+
+  for (const char of input) {
+    const value = ALPHABET_MAP.get(char);
+    if (value === undefined) {
+      throw new Error(`Invalid base58 character: ${char}`);
+    }
+
+    let carry = value;
+    for (let i = 0; i < bytes.length; i++) {
+      carry += bytes[i] * 58;
+      bytes[i] = carry & 0xff;
+      carry >>= 8;
+    }
+    while (carry > 0) {
+      bytes.push(carry & 0xff);
+      carry >>= 8;
+    }
+  }
+
+  // Leading '1's encode leading zero bytes
+  for (const char of input) {
+    if (char !== '1') break;
+    bytes.push(0);
+  }
+
+  return Buffer.from(bytes.reverse());
+}
@@ -0,0 +1,90 @@
+/**
+ * Registry of per-DEX pool decoders keyed by program ID
+ */
+import { raydiumAmmV4Decoder } from './raydiumAmmV4.js';
+import { raydiumCpmmDecoder } from './raydiumCpmm.js';
+import { raydiumClmmDecoder } from './raydiumClmm.js';
+import { orcaWhirlpoolDecoder } from './orcaWhirlpool.js';
+import { meteoraDlmmDecoder } from './meteoraDlmm.js';
+import { pumpfunMigrationDecoder } from './pumpfunMigration.js';
+
+export class DecoderRegistry {
+  constructor(decoders = []) {
+    this.decoders = new Map();
+    decoders.forEach(decoder => this.register(decoder));
+  }
+
+  /**
+   * Register a decoder, replacing any existing one for the same program
+   * @param {Object} decoder - Decoder with name, programId, source and decode(instruction)
+   */
+  register(decoder) {
+    this.decoders.set(decoder.programId, decoder);
+  }
+
+  /**
+   * Get the decoder for a program
+   * @param {string} programId - Program ID
+   * @returns {Object|undefined} Decoder or undefined if the program is unknown
+   */
+  get(programId) {
+    return this.decoders.get(programId);
+  }
+
+  /**
+   * Check whether a transaction invokes any registered program
+   * @param {Object} transaction - Transaction data from webhook
+   * @returns {boolean} True if at least one instruction targets a known program
+   */
+  isKnownProgramTransaction(transaction) {
+    return DecoderRegistry.flattenInstructions(transaction)
+      .some(instruction => this.decoders.has(instruction.programId));
+  }
+
+  /**
+   * Find the first pool-creating instruction of a registered program
+   * @param {Object} transaction - Transaction data from webhook
+   * @returns {Object|null} Decoded pool with decoder name and source, or null
+   */
+  decodeTransaction(transaction) {
+    for (const instruction of DecoderRegistry.flattenInstructions(transaction)) {
+      const decoder = this.decoders.get(instruction.programId);
+      if (!decoder) continue;
+
+      const decoded = decoder.decode(instruction);
+      if (decoded) {
+        return { ...decoded, decoder: decoder.name, source: decoder.source };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * List top-level instructions followed by their inner (CPI) instructions
+   * @param {Object} transaction - Transaction data from webhook
+   * @returns {Array} Flat list of instructions
+   */
+  static flattenInstructions(transaction) {
+    const instructions = [];
+    for (const instruction of transaction.instructions || []) {
+      instructions.push(instruction);
+      instructions.push(...(instruction.innerInstructions || []));
+    }
+    return instructions;
+  }
+}
+
+/**
+ * Create a registry with every built-in decoder
+ * @returns {DecoderRegistry}
+ */
+export function createDefaultDecoderRegistry() {
+  return new DecoderRegistry([
+    raydiumAmmV4Decoder,
+    raydiumCpmmDecoder,
+    raydiumClmmDecoder,
+    orcaWhirlpoolDecoder,
+    meteoraDlmmDecoder,
+    pumpfunMigrationDecoder
+  ]);
+}
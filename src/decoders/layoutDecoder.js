@@ -0,0 +1,63 @@
+/**
+ * Helpers for building pool decoders from instruction account layouts
+ */
+import crypto from 'crypto';
+import { decodeBase58 } from './base58.js';
+
+/**
+ * Compute the 8-byte Anchor instruction discriminator
+ * @param {string} name - Instruction name in snake_case
+ * @returns {Buffer} sha256("global:<name>")[0..8]
+ */
+export function anchorDiscriminator(name) {
+  return crypto.createHash('sha256').update(`global:${name}`).digest().subarray(0, 8);
+}
+
+/**
+ * Create a decoder that maps instruction accounts to pool fields by position
+ * @param {Object} definition
+ * @param {string} definition.name - Decoder name stored with the pool
+ * @param {string} definition.programId - Program the instructions belong to
+ * @param {string} definition.source - Source label (e.g. "RAYDIUM")
+ * @param {Array<{name: string, discriminator: Buffer, accounts: Object}>} definition.instructions -
+ *   Pool-creating instructions; `accounts` maps poolAddress/tokenA/tokenB/vaultA/vaultB/lpMint to account indexes
+ * @returns {Object} Decoder with a decode(instruction) method
+ */
+export function createLayoutDecoder({ name, programId, source, instructions }) {
+  return {
+    name,
+    programId,
+    source,
+
+    /**
+     * Decode a single instruction of this program
+     * @param {Object} instruction - Instruction with accounts and base58 data
+     * @returns {Object|null} Pool fields or null if it is not a pool-creating instruction
+     */
+    decode(instruction) {
+      if (!instruction?.data || !Array.isArray(instruction.accounts)) return null;
+
+      let data;
+      try {
+        data = decodeBase58(instruction.data);
+      } catch {
+        return null;
+      }
+
+      const layout = instructions.find(candidate =>
+        data.length >= candidate.discriminator.length &&
+        data.subarray(0, candidate.discriminator.length).equals(candidate.discriminator)
+      );
+      if (!layout) return null;
+
+      const maxIndex = Math.max(...Object.values(layout.accounts));
+      if (instruction.accounts.length <= maxIndex) return null;
+
+      const pool = { instruction: layout.name, vaultA: null, vaultB: null, lpMint: null };
+      for (const [field, index] of Object.entries(layout.accounts)) {
+        pool[field] = instruction.accounts[index];
+      }
+      return pool;
+    }
+  };
+}
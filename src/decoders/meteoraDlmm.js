@@ -0,0 +1,32 @@
+/**
+ * Meteora DLMM (dynamic liquidity market maker) pool decoder.
+ * Liquidity is tracked per position, so there is no LP mint.
+ */
+import { anchorDiscriminator, createLayoutDecoder } from './layoutDecoder.js';
+
+// Both pair-creating instructions share the leading account layout
+const LB_PAIR_ACCOUNTS = {
+  poolAddress: 0,
+  tokenA: 2,
+  tokenB: 3,
+  vaultA: 4,
+  vaultB: 5
+};
+
+export const meteoraDlmmDecoder = createLayoutDecoder({
+  name: 'meteora-dlmm',
+  programId: 'LBUZKhRxPF3XUpBCjp4YzTKgLccjZhTSDM9YuVaPwxo',
+  source: 'METEORA',
+  instructions: [
+    {
+      name: 'initialize_lb_pair',
+      discriminator: anchorDiscriminator('initialize_lb_pair'),
+      accounts: LB_PAIR_ACCOUNTS
+    },
+    {
+      name: 'initialize_customizable_permissionless_lb_pair',
+      discriminator: anchorDiscriminator('initialize_customizable_permissionless_lb_pair'),
+      accounts: LB_PAIR_ACCOUNTS
+    }
+  ]
+});
@@ -0,0 +1,36 @@
+/**
+ * Orca Whirlpool pool decoder.
+ * Positions are NFTs, so there is no LP mint.
+ */
+import { anchorDiscriminator, createLayoutDecoder } from './layoutDecoder.js';
+
+export const orcaWhirlpoolDecoder = createLayoutDecoder({
+  name: 'orca-whirlpool',
+  programId: 'whirLbMiicVdio4qvUfM5KAg6Ct8VwpYzGff3uctyCc',
+  source: 'ORCA',
+  instructions: [
+    {
+      name: 'initialize_pool',
+      discriminator: anchorDiscriminator('initialize_pool'),
+      accounts: {
+        tokenA: 1,
+        tokenB: 2,
+        poolAddress: 4,
+        vaultA: 5,
+        vaultB: 6
+      }
+    },
+    {
+      // v2 adds token badge accounts for Token-2022 mints
+      name: 'initialize_pool_v2',
+      discriminator: anchorDiscriminator('initialize_pool_v2'),
+      accounts: {
+        tokenA: 1,
+        tokenB: 2,
+        poolAddress: 6,
+        vaultA: 7,
+        vaultB: 8
+      }
+    }
+  ]
+});
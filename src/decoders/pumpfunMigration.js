@@ -0,0 +1,26 @@
+/**
+ * Pump.fun migration decoder.
+ * Graduating bonding curves are migrated by a CPI into the PumpSwap AMM `create_pool`
+ * instruction, so the pool is read from that (usually inner) instruction.
+ */
+import { anchorDiscriminator, createLayoutDecoder } from './layoutDecoder.js';
+
+export const pumpfunMigrationDecoder = createLayoutDecoder({
+  name: 'pumpfun-migration',
+  programId: 'pAMMBay6oceH9fJKBRHGP5D4bD4sWpmSwMn52FMfXEA',
+  source: 'PUMP_AMM',
+  instructions: [
+    {
+      name: 'create_pool',
+      discriminator: anchorDiscriminator('create_pool'),
+      accounts: {
+        poolAddress: 0,
+        tokenA: 3,
+        tokenB: 4,
+        lpMint: 5,
+        vaultA: 9,
+        vaultB: 10
+      }
+    }
+  ]
+});
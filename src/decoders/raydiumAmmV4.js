@@ -0,0 +1,25 @@
+/**
+ * Raydium AMM v4 (OpenBook market based) pool decoder
+ */
+import { createLayoutDecoder } from './layoutDecoder.js';
+
+export const raydiumAmmV4Decoder = createLayoutDecoder({
+  name: 'raydium-amm-v4',
+  programId: '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8',
+  source: 'RAYDIUM',
+  instructions: [
+    {
+      // Native (non-Anchor) program: the first data byte is the instruction tag
+      name: 'initialize2',
+      discriminator: Buffer.from([1]),
+      accounts: {
+        poolAddress: 4,
+        lpMint: 7,
+        tokenA: 8,
+        tokenB: 9,
+        vaultA: 10,
+        vaultB: 11
+      }
+    }
+  ]
+});
@@ -0,0 +1,24 @@
+/**
+ * Raydium CLMM (concentrated liquidity) pool decoder.
+ * Positions are NFTs, so there is no LP mint.
+ */
+import { anchorDiscriminator, createLayoutDecoder } from './layoutDecoder.js';
+
+export const raydiumClmmDecoder = createLayoutDecoder({
+  name: 'raydium-clmm',
+  programId: 'CAMMCzo5YL8w4VFF8KVHrK22GGUsp5VTaW7grrKgrWqK',
+  source: 'RAYDIUM',
+  instructions: [
+    {
+      name: 'create_pool',
+      discriminator: anchorDiscriminator('create_pool'),
+      accounts: {
+        poolAddress: 2,
+        tokenA: 3,
+        tokenB: 4,
+        vaultA: 5,
+        vaultB: 6
+      }
+    }
+  ]
+});
@@ -0,0 +1,24 @@
+/**
+ * Raydium CPMM (constant product, Token-2022 capable) pool decoder
+ */
+import { anchorDiscriminator, createLayoutDecoder } from './layoutDecoder.js';
+
+export const raydiumCpmmDecoder = createLayoutDecoder({
+  name: 'raydium-cpmm',
+  programId: 'CPMMoo8L3F4NbTegBCKVNunggL7H1ZpdTHKxQB5qKP1C',
+  source: 'RAYDIUM',
+  instructions: [
+    {
+      name: 'initialize',
+      discriminator: anchorDiscriminator('initialize'),
+      accounts: {
+        poolAddress: 3,
+        tokenA: 4,
+        tokenB: 5,
+        lpMint: 6,
+        vaultA: 10,
+        vaultB: 11
+      }
+    }
+  ]
+});
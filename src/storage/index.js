@@ -0,0 +1,65 @@
+/**
+ * Storage backends. Every backend implements the methods documented on DatabaseClient;
+ * the "storage" config section selects one at startup.
+ */
+import { DatabaseClient } from '../utils/databaseClient.js';
+import { STORAGE_BACKENDS } from '../utils/config.js';
+import { MemoryStorage } from './memoryStorage.js';
+import { SqliteStorage } from './sqliteStorage.js';
+
+// The storage interface: everything the handlers, queue, scheduler, alerts and API call
+export const STORAGE_METHODS = [
+  'connect', 'disconnect', 'ping',
+  // Pools and tokens
+  'poolExists', 'storePool', 'storePoolWithEvent', 'getPoolByAddress', 'getPoolsByAddresses', 'getPoolsBySignatures', 'getKnownPoolSignatures',
+  'getAllPools', 'queryPools', 'getPoolsWithApy', 'getTrackedPools',
+  'updatePoolApy', 'updatePoolRisk', 'updatePoolVolume', 'upsertTokens', 'getTokens',
+  // Events
+  'storeEvent', 'storeActivityEvent', 'getPoolEvents', 'getEventsSince', 'getLatestEventId',
+  // Metric snapshots
+  'storeMetricSnapshots', 'getLatestMetricSnapshot', 'hasChartSnapshots', 'getPoolHistory',
+  'downsampleMetricSnapshots', 'deleteMetricSnapshots',
+  // Ingestion queue and dead letters
+  'enqueueWebhookJobs', 'claimWebhookJobs', 'completeWebhookJob', 'retryWebhookJob', 'deadLetterWebhookJob',
+  'releaseStaleWebhookJobs', 'releaseWebhookJobs', 'countWebhookJobs', 'createDeadLetter', 'getDeadLetters', 'replayDeadLetter',
+  // Alerts
+  'createAlertRule', 'getAlertRules', 'getAlertRule', 'updateAlertRule', 'deleteAlertRule',
+  'getLastAlertDelivery', 'recordAlertDelivery', 'getAlertDeliveries',
+  // Backfill
+  'getBackfillCheckpoint', 'saveBackfillCheckpoint', 'deleteBackfillCheckpoint'
+];
+
+/**
+ * Check that a backend implements the whole storage interface
+ * @param {Object} storage - Backend instance
+ * @returns {Object} The same backend
+ * @throws {Error} Listing the missing methods
+ */
+export function assertStorage(storage) {
+  const missing = STORAGE_METHODS.filter(method => typeof storage[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`${storage.constructor.name} does not implement: ${missing.join(', ')}`);
+  }
+  return storage;
+}
+
+/**
+ * Create the storage backend selected by the "storage" config section
+ * @param {Object} options
+ * @param {string} options.backend - One of STORAGE_BACKENDS
+ * @param {string} options.sqliteUrl - SQLite URL for the "sqlite" backend
+ * @returns {DatabaseClient|SqliteStorage|MemoryStorage}
+ * @throws {Error} If the backend is unknown
+ */
+export function createStorage({ backend = 'postgres', sqliteUrl } = {}) {
+  switch (backend) {
+    case 'postgres':
+      return assertStorage(new DatabaseClient());
+    case 'sqlite':
+      return assertStorage(new SqliteStorage({ url: sqliteUrl }));
+    case 'memory':
+      return assertStorage(new MemoryStorage());
+    default:
+      throw new Error(`Storage backend must be one of: ${STORAGE_BACKENDS.join(', ')}`);
+  }
+}
@@ -0,0 +1,747 @@
+/**
+ * In-memory storage backend for tests and local runs without a database.
+ * Implements the storage interface documented on DatabaseClient and returns records
+ * shaped like Prisma's, including the tokens, pool and delivery relations it includes.
+ * Nothing survives a restart.
+ */
+import { averageIntoBuckets } from './metricBuckets.js';
+import { Logger } from '../utils/logger.js';
+
+const log = Logger.default.child({ module: 'memoryStorage' });
+
+const clone = (record) => structuredClone(record);
+
+/**
+ * Build an error that looks like Prisma's, so callers checking error.code behave the same
+ * @param {string} code - Prisma error code ("P2002" unique, "P2003" foreign key, "P2025" not found)
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function storageError(code, message) {
+  return Object.assign(new Error(message), { code });
+}
+
+/**
+ * Compare two column values for sorting (numbers, strings or dates)
+ * @returns {number} Negative, zero or positive
+ */
+function compareValues(a, b) {
+  const left = a instanceof Date ? a.getTime() : a;
+  const right = b instanceof Date ? b.getTime() : b;
+  if (left < right) return -1;
+  if (left > right) return 1;
+  return 0;
+}
+
+/**
+ * Case-insensitive string equality
+ * @returns {boolean}
+ */
+function equalsIgnoreCase(a, b) {
+  return typeof a === 'string' && typeof b === 'string' && a.toLowerCase() === b.toLowerCase();
+}
+
+export class MemoryStorage {
+  constructor() {
+    this.pools = new Map();
+    this.tokens = new Map();
+    this.events = new Map();
+    this.snapshots = new Map();
+    this.jobs = new Map();
+    this.deadLetters = new Map();
+    this.alertRules = new Map();
+    this.alertDeliveries = new Map();
+    this.checkpoints = new Map();
+    this.lastIds = {};
+  }
+
+  /**
+   * Next auto-increment ID of a table
+   * @param {string} table - Table name
+   * @returns {number} ID
+   */
+  nextId(table) {
+    this.lastIds[table] = (this.lastIds[table] || 0) + 1;
+    return this.lastIds[table];
+  }
+
+  /**
+   * Copy a pool with both tokens attached, like Prisma's include
+   * @param {Object} pool - Stored pool
+   * @returns {Object} Pool with tokenAInfo and tokenBInfo
+   */
+  withTokens(pool) {
+    return {
+      ...clone(pool),
+      tokenAInfo: clone(this.tokens.get(pool.tokenA)),
+      tokenBInfo: clone(this.tokens.get(pool.tokenB))
+    };
+  }
+
+  /**
+   * Find a pool by address
+   * @param {string} poolAddress - Pool address
+   * @returns {Object|undefined} Stored pool (not a copy)
+   */
+  findPool(poolAddress) {
+    return [...this.pools.values()].find(pool => pool.poolAddress === poolAddress);
+  }
+
+  /**
+   * Create a bare token row for a mint if it is unknown
+   * @param {string} mint - Mint address
+   */
+  ensureToken(mint) {
+    if (this.tokens.has(mint)) return;
+    const now = new Date();
+    this.tokens.set(mint, {
+      mint, symbol: null, name: null, decimals: null, verified: false, tags: [], logoURI: null,
+      website: null, twitter: null, telegram: null, holderCount: null, lastPrice: null,
+      createdAt: now, updatedAt: now
+    });
+  }
+
+  /** No connection to open */
+  async connect() {
+    log.info('Using in-memory storage');
+  }
+
+  /** No connection to close */
+  async disconnect() {}
+
+  /** Always answers */
+  async ping() {}
+
+  /** Check if a pool already exists */
+  async poolExists(poolAddress) {
+    return !!this.findPool(poolAddress);
+  }
+
+  /**
+   * Insert a pool, enforcing the poolAddress and signature unique keys and creating bare
+   * token rows for unknown mints
+   * @param {Object} poolData - Pool information to store
+   * @returns {Object} Stored pool (not a copy)
+   */
+  insertPool(poolData) {
+    const pools = [...this.pools.values()];
+    if (pools.some(pool => pool.poolAddress === poolData.poolAddress)) {
+      throw storageError('P2002', 'Unique constraint failed on the fields: (`poolAddress`)');
+    }
+    if (pools.some(pool => pool.signature === poolData.signature)) {
+      throw storageError('P2002', 'Unique constraint failed on the fields: (`signature`)');
+    }
+
+    this.ensureToken(poolData.tokenA);
+    this.ensureToken(poolData.tokenB);
+    const now = new Date();
+    const pool = {
+      id: this.nextId('pools'),
+      tokenA: poolData.tokenA,
+      tokenB: poolData.tokenB,
+      poolAddress: poolData.poolAddress,
+      timestamp: now,
+      source: poolData.source || 'Unknown',
+      signature: poolData.signature,
+      vaultA: poolData.vaultA || null,
+      vaultB: poolData.vaultB || null,
+      lpMint: poolData.lpMint || null,
+      decoder: poolData.decoder || null,
+      apy: poolData.apy || null,
+      apyPoolId: poolData.apyPoolId || null,
+      apyConfidence: poolData.apyConfidence || null,
+      tvl: poolData.tvl || null,
+      volume24h: poolData.volume24h || null,
+      riskScore: null,
+      riskLevel: null,
+      riskFlags: [],
+      riskCheckedAt: null,
+      createdAt: now,
+      updatedAt: now
+    };
+    this.pools.set(pool.id, pool);
+    return pool;
+  }
+
+  /** Store a pool, creating bare token rows for unknown mints */
+  async storePool(poolData) {
+    const pool = this.insertPool(poolData);
+    log.debug('Pool stored', { poolAddress: pool.poolAddress, tokenA: pool.tokenA, tokenB: pool.tokenB });
+    return this.withTokens(pool);
+  }
+
+  /** Store a new pool and its creation event together, or return the pool already stored with its address or signature */
+  async storePoolWithEvent(poolData, eventData) {
+    const known = [...this.pools.values()].find(pool => pool.poolAddress === poolData.poolAddress || pool.signature === poolData.signature);
+    if (known) return { pool: this.withTokens(known), event: null, created: false };
+
+    const pool = this.insertPool(poolData);
+    const event = this.insertEvent({ ...eventData, poolId: pool.id });
+    log.debug('Pool stored', { poolAddress: pool.poolAddress, tokenA: pool.tokenA, tokenB: pool.tokenB });
+    return { pool: this.withTokens(pool), event: clone(event), created: true };
+  }
+
+  /**
+   * Insert an event, enforcing the pool foreign key and the (signature, poolId) unique key
+   * @param {Object} eventData - Event columns
+   * @returns {Object} Stored event (not a copy)
+   */
+  insertEvent(eventData) {
+    if (!this.pools.has(eventData.poolId)) {
+      throw storageError('P2003', 'Foreign key constraint failed on the field: `poolId`');
+    }
+    if (eventData.signature && [...this.events.values()].some(event => event.signature === eventData.signature && event.poolId === eventData.poolId)) {
+      throw storageError('P2002', 'Unique constraint failed on the fields: (`signature`,`poolId`)');
+    }
+
+    const event = {
+      id: this.nextId('events'),
+      poolId: eventData.poolId,
+      eventType: eventData.eventType,
+      amount: eventData.amount ?? null,
+      amountA: eventData.amountA ?? null,
+      amountB: eventData.amountB ?? null,
+      valueUsd: eventData.valueUsd ?? null,
+      trader: eventData.trader ?? null,
+      timestamp: eventData.timestamp ?? new Date(),
+      signature: eventData.signature ?? null,
+      rawData: eventData.rawData ?? null
+    };
+    this.events.set(event.id, event);
+    return event;
+  }
+
+  /** Store event data */
+  async storeEvent(eventData) {
+    const event = this.insertEvent({
+      poolId: eventData.poolId,
+      eventType: eventData.eventType || 'created',
+      amount: eventData.amount || null,
+      signature: eventData.signature || null,
+      rawData: eventData.rawData || null
+    });
+
+    log.debug('Event stored', { eventType: event.eventType, poolId: event.poolId });
+    return clone(event);
+  }
+
+  /** Store a swap or liquidity event unless the transaction was already recorded for the pool */
+  async storeActivityEvent(eventData) {
+    try {
+      return clone(this.insertEvent(eventData));
+    } catch (error) {
+      if (error.code === 'P2002') return null;
+      throw error;
+    }
+  }
+
+  /** Recompute a pool's volume24h from its swap events */
+  async updatePoolVolume(poolId) {
+    const pool = this.pools.get(poolId);
+    if (!pool) throw storageError('P2025', 'Record to update not found.');
+
+    const since = Date.now() - 24 * 60 * 60 * 1000;
+    pool.volume24h = [...this.events.values()]
+      .filter(event => event.poolId === poolId && event.eventType === 'swap' && event.timestamp.getTime() >= since)
+      .reduce((total, event) => total + (event.valueUsd ?? 0), 0);
+    pool.updatedAt = new Date();
+    return this.withTokens(pool);
+  }
+
+  /** Get stored pools by address */
+  async getPoolsByAddresses(poolAddresses) {
+    return [...this.pools.values()]
+      .filter(pool => poolAddresses.includes(pool.poolAddress))
+      .map(pool => this.withTokens(pool));
+  }
+
+  /** Get the pools created by the given transactions */
+  async getPoolsBySignatures(signatures) {
+    return [...this.pools.values()]
+      .filter(pool => signatures.includes(pool.signature))
+      .map(clone);
+  }
+
+  /** Insert or refresh token metadata */
+  async upsertTokens(tokens) {
+    return tokens.map(token => {
+      this.ensureToken(token.mintAddress);
+      const record = this.tokens.get(token.mintAddress);
+      const data = {
+        symbol: token.symbol,
+        name: token.name,
+        decimals: token.decimals,
+        verified: token.verified,
+        tags: token.tags,
+        logoURI: token.logoURI,
+        website: token.website,
+        twitter: token.twitter,
+        telegram: token.telegram,
+        holderCount: token.holderCount,
+        lastPrice: token.price
+      };
+      // Like Prisma, undefined fields are left unchanged
+      Object.entries(data).forEach(([field, value]) => {
+        if (value !== undefined) record[field] = value;
+      });
+      record.updatedAt = new Date();
+      return clone(record);
+    });
+  }
+
+  /** Get token metadata for mints */
+  async getTokens(mints) {
+    return mints.filter(mint => this.tokens.has(mint)).map(mint => clone(this.tokens.get(mint)));
+  }
+
+  /** Get the newest pools */
+  async getAllPools(limit = 100) {
+    return [...this.pools.values()]
+      .sort((a, b) => compareValues(b.createdAt, a.createdAt) || b.id - a.id)
+      .slice(0, limit)
+      .map(pool => this.withTokens(pool));
+  }
+
+  /** Query pools with filters, sorting and keyset pagination */
+  async queryPools({
+    source, token, minApy, maxApy, minTvl, maxRiskScore, excludeRiskFlags, hasApy, createdAfter, createdBefore,
+    sort = 'createdAt', order = 'desc', limit = 50, cursor
+  } = {}) {
+    const isNumber = (value) => value !== null && value !== undefined;
+    const direction = order === 'desc' ? -1 : 1;
+
+    const rows = [...this.pools.values()].filter(pool => {
+      const tokenA = this.tokens.get(pool.tokenA);
+      const tokenB = this.tokens.get(pool.tokenB);
+
+      if (source && !equalsIgnoreCase(pool.source, source)) return false;
+      if (token && pool.tokenA !== token && pool.tokenB !== token &&
+        !equalsIgnoreCase(tokenA?.symbol, token) && !equalsIgnoreCase(tokenB?.symbol, token)) return false;
+      if (minApy !== undefined && !(isNumber(pool.apy) && pool.apy >= minApy)) return false;
+      if (maxApy !== undefined && !(isNumber(pool.apy) && pool.apy <= maxApy)) return false;
+      if (minTvl !== undefined && !(isNumber(pool.tvl) && pool.tvl >= minTvl)) return false;
+      if (maxRiskScore !== undefined && !(isNumber(pool.riskScore) && pool.riskScore <= maxRiskScore)) return false;
+      if (excludeRiskFlags?.length > 0 && pool.riskFlags.some(flag => excludeRiskFlags.includes(flag))) return false;
+      if (hasApy && !isNumber(pool.apy)) return false;
+      if (createdAfter && !(pool.createdAt > createdAfter)) return false;
+      if (createdBefore && !(pool.createdAt < createdBefore)) return false;
+      if (!isNumber(pool[sort])) return false;
+
+      if (cursor) {
+        const byValue = compareValues(pool[sort], cursor.value) * direction;
+        if (byValue < 0 || (byValue === 0 && (pool.id - cursor.id) * direction <= 0)) return false;
+      }
+      return true;
+    });
+
+    rows.sort((a, b) => (compareValues(a[sort], b[sort]) || a.id - b.id) * direction);
+    const pools = rows.slice(0, limit).map(pool => this.withTokens(pool));
+    const last = pools[pools.length - 1];
+    const nextCursor = rows.length > limit ? { sort, order, value: last[sort], id: last.id } : null;
+
+    return { pools, nextCursor };
+  }
+
+  /** Get pools with APY data, highest first */
+  async getPoolsWithApy(limit = 50) {
+    return [...this.pools.values()]
+      .filter(pool => pool.apy !== null)
+      .sort((a, b) => b.apy - a.apy)
+      .slice(0, limit)
+      .map(pool => this.withTokens(pool));
+  }
+
+  /**
+   * Update columns of a pool found by address
+   * @param {string} poolAddress - Pool address
+   * @param {Object} data - Columns to set
+   * @returns {Object} Updated pool with tokens
+   * @throws {Error} P2025 if the pool does not exist
+   */
+  updatePool(poolAddress, data) {
+    const pool = this.findPool(poolAddress);
+    if (!pool) throw storageError('P2025', 'Record to update not found.');
+    Object.assign(pool, data, { updatedAt: new Date() });
+    return this.withTokens(pool);
+  }
+
+  /** Update pool APY data */
+  async updatePoolApy(poolAddress, apyData) {
+    const pool = this.updatePool(poolAddress, {
+      apy: apyData.apy,
+      tvl: apyData.tvl,
+      apyPoolId: apyData.poolId,
+      apyConfidence: apyData.matchConfidence
+    });
+
+    log.debug('Pool APY updated', { poolAddress: pool.poolAddress, apy: pool.apy });
+    return pool;
+  }
+
+  /** Store a pool's rug-risk score */
+  async updatePoolRisk(poolAddress, risk) {
+    return this.updatePool(poolAddress, {
+      riskScore: risk.score,
+      riskLevel: risk.level,
+      riskFlags: [...risk.flags],
+      riskCheckedAt: new Date()
+    });
+  }
+
+  /** Get a pool by its address */
+  async getPoolByAddress(poolAddress) {
+    const pool = this.findPool(poolAddress);
+    return pool ? this.withTokens(pool) : null;
+  }
+
+  /** Get the most recent metric snapshot of a pool */
+  async getLatestMetricSnapshot(poolId) {
+    const [latest] = [...this.snapshots.values()]
+      .filter(snapshot => snapshot.poolId === poolId)
+      .sort((a, b) => compareValues(b.timestamp, a.timestamp) || b.id - a.id);
+    return latest ? clone(latest) : null;
+  }
+
+  /** Get a page of a pool's events, newest first */
+  async getPoolEvents(poolId, { eventType, limit = 50, beforeId } = {}) {
+    const rows = [...this.events.values()]
+      .filter(event => event.poolId === poolId && (!eventType || event.eventType === eventType) && (!beforeId || event.id < beforeId))
+      .sort((a, b) => b.id - a.id);
+
+    const events = rows.slice(0, limit).map(clone);
+    const nextBeforeId = rows.length > limit ? events[events.length - 1].id : null;
+    return { events, nextBeforeId };
+  }
+
+  /** Get events across all pools after an event ID, oldest first */
+  async getEventsSince(afterId, limit = 500) {
+    return [...this.events.values()]
+      .filter(event => event.id > afterId)
+      .sort((a, b) => a.id - b.id)
+      .slice(0, limit)
+      .map(event => ({ ...clone(event), pool: this.withTokens(this.pools.get(event.poolId)) }));
+  }
+
+  /** Get the ID of a pool's newest event */
+  async getLatestEventId(poolId, eventType) {
+    const ids = [...this.events.values()]
+      .filter(event => event.poolId === poolId && (!eventType || event.eventType === eventType))
+      .map(event => event.id);
+    return ids.length > 0 ? Math.max(...ids) : null;
+  }
+
+  /** Get pools created since a date, oldest first */
+  async getTrackedPools(since) {
+    return [...this.pools.values()]
+      .filter(pool => pool.createdAt >= since)
+      .sort((a, b) => compareValues(a.createdAt, b.createdAt) || a.id - b.id)
+      .map(pool => this.withTokens(pool));
+  }
+
+  /** Store metric snapshots for pools */
+  async storeMetricSnapshots(snapshots) {
+    for (const snapshot of snapshots) {
+      const id = this.nextId('snapshots');
+      this.snapshots.set(id, {
+        id,
+        poolId: snapshot.poolId,
+        timestamp: snapshot.timestamp ?? new Date(),
+        apy: snapshot.apy ?? null,
+        tvl: snapshot.tvl ?? null,
+        volume24h: snapshot.volume24h ?? null,
+        priceA: snapshot.priceA ?? null,
+        priceB: snapshot.priceB ?? null,
+        source: snapshot.source,
+        resolution: snapshot.resolution ?? 'raw'
+      });
+    }
+    return snapshots.length;
+  }
+
+  /** Check whether DefiLlama chart history was already imported for a pool */
+  async hasChartSnapshots(poolId) {
+    return [...this.snapshots.values()].some(snapshot => snapshot.poolId === poolId && snapshot.source === 'defillama_chart');
+  }
+
+  /** Get a pool's metrics averaged into time buckets */
+  async getPoolHistory(poolId, from, to, interval) {
+    const rows = [...this.snapshots.values()]
+      .filter(snapshot => snapshot.poolId === poolId && snapshot.timestamp >= from && snapshot.timestamp < to);
+    return averageIntoBuckets(rows, interval).map(({ key, ...bucket }) => bucket);
+  }
+
+  /** Roll snapshots up into a coarser resolution and delete the originals */
+  async downsampleMetricSnapshots(fromResolution, toResolution, unit, before) {
+    const rows = [...this.snapshots.values()]
+      .filter(snapshot => snapshot.resolution === fromResolution && snapshot.timestamp < before);
+
+    const rollups = averageIntoBuckets(rows, unit, snapshot => snapshot.poolId);
+    rows.forEach(snapshot => this.snapshots.delete(snapshot.id));
+    await this.storeMetricSnapshots(rollups.map(({ bucket, key, samples, ...averages }) => ({
+      ...averages,
+      poolId: key,
+      timestamp: bucket,
+      source: 'rollup',
+      resolution: toResolution
+    })));
+    return rows.length;
+  }
+
+  /** Delete snapshots of a resolution older than a date */
+  async deleteMetricSnapshots(resolution, before) {
+    const rows = [...this.snapshots.values()]
+      .filter(snapshot => snapshot.resolution === resolution && snapshot.timestamp < before);
+    rows.forEach(snapshot => this.snapshots.delete(snapshot.id));
+    return rows.length;
+  }
+
+  /**
+   * Insert a pending ingestion job
+   * @param {Object} jobData - { signature, payload }
+   * @returns {Object} Stored job (not a copy)
+   */
+  insertJob({ signature, payload, requestId }) {
+    const now = new Date();
+    const job = {
+      id: this.nextId('jobs'),
+      signature: signature ?? null,
+      payload,
+      requestId: requestId ?? null,
+      status: 'pending',
+      attempts: 0,
+      lastError: null,
+      availableAt: now,
+      lockedAt: null,
+      createdAt: now,
+      updatedAt: now
+    };
+    this.jobs.set(job.id, job);
+    return job;
+  }
+
+  /** Persist raw webhook transactions as pending ingestion jobs */
+  async enqueueWebhookJobs(transactions, requestId = null) {
+    transactions.forEach(transaction => this.insertJob({
+      signature: transaction.signature || null,
+      payload: JSON.stringify(transaction),
+      requestId
+    }));
+    return transactions.length;
+  }
+
+  /** Claim pending jobs for processing; claims are synchronous, so workers never share a job */
+  async claimWebhookJobs(limit = 1) {
+    const now = new Date();
+    return [...this.jobs.values()]
+      .filter(job => job.status === 'pending' && job.availableAt <= now)
+      .sort((a, b) => a.id - b.id)
+      .slice(0, limit)
+      .map(job => {
+        Object.assign(job, { status: 'processing', lockedAt: now, attempts: job.attempts + 1, updatedAt: now });
+        return clone(job);
+      });
+  }
+
+  /** Remove a successfully processed job */
+  async completeWebhookJob(jobId) {
+    if (!this.jobs.delete(jobId)) throw storageError('P2025', 'Record to delete does not exist.');
+  }
+
+  /** Put a failed job back in the queue */
+  async retryWebhookJob(jobId, error, availableAt) {
+    const job = this.jobs.get(jobId);
+    if (!job) throw storageError('P2025', 'Record to update not found.');
+    Object.assign(job, { status: 'pending', lastError: error, lockedAt: null, availableAt, updatedAt: new Date() });
+  }
+
+  /** Move a job that exhausted its attempts to the dead-letter table */
+  async deadLetterWebhookJob(job, error) {
+    if (!this.jobs.has(job.id)) throw storageError('P2025', 'Record to delete does not exist.');
+    const deadLetter = await this.createDeadLetter({
+      signature: job.signature,
+      payload: job.payload,
+      error,
+      attempts: job.attempts
+    });
+    this.jobs.delete(job.id);
+
+    log.warn('Job moved to dead letters', { jobId: job.id, attempts: job.attempts, error });
+    return deadLetter;
+  }
+
+  /** Return jobs left in "processing" by a crashed worker to the queue */
+  async releaseStaleWebhookJobs(olderThanMs) {
+    const cutoff = Date.now() - olderThanMs;
+    const stale = [...this.jobs.values()]
+      .filter(job => job.status === 'processing' && job.lockedAt && job.lockedAt.getTime() < cutoff);
+    stale.forEach(job => Object.assign(job, { status: 'pending', lockedAt: null, updatedAt: new Date() }));
+    return stale.length;
+  }
+
+  /** Return claimed jobs interrupted by a shutdown to the queue, without counting the attempt */
+  async releaseWebhookJobs(jobIds) {
+    const jobs = jobIds.map(id => this.jobs.get(id)).filter(job => job?.status === 'processing');
+    jobs.forEach(job => Object.assign(job, { status: 'pending', lockedAt: null, attempts: job.attempts - 1, updatedAt: new Date() }));
+    return jobs.length;
+  }
+
+  /** Count jobs waiting in the queue */
+  async countWebhookJobs() {
+    return this.jobs.size;
+  }
+
+  /** Get dead-lettered transactions, newest first */
+  async getDeadLetters(limit = 50, includeReplayed = false) {
+    return [...this.deadLetters.values()]
+      .filter(deadLetter => includeReplayed || deadLetter.replayedAt === null)
+      .sort((a, b) => compareValues(b.createdAt, a.createdAt) || b.id - a.id)
+      .slice(0, limit)
+      .map(clone);
+  }
+
+  /** Re-enqueue a dead-lettered transaction and mark it as replayed */
+  async replayDeadLetter(deadLetterId) {
+    const deadLetter = this.deadLetters.get(deadLetterId);
+    if (!deadLetter) return null;
+
+    const job = this.insertJob({ signature: deadLetter.signature, payload: deadLetter.payload });
+    deadLetter.replayedAt = new Date();
+
+    log.info('Dead letter replayed', { deadLetterId, jobId: job.id });
+    return clone(job);
+  }
+
+  /** Create an alert rule */
+  async createAlertRule(ruleData) {
+    const now = new Date();
+    const rule = {
+      id: this.nextId('alertRules'),
+      enabled: true,
+      triggers: ['created', 'refresh'],
+      template: null,
+      cooldownSeconds: 3600,
+      ...clone(ruleData),
+      createdAt: now,
+      updatedAt: now
+    };
+    this.alertRules.set(rule.id, rule);
+    return clone(rule);
+  }
+
+  /** Get alert rules, oldest first */
+  async getAlertRules({ enabled } = {}) {
+    return [...this.alertRules.values()]
+      .filter(rule => enabled === undefined || rule.enabled === enabled)
+      .sort((a, b) => a.id - b.id)
+      .map(clone);
+  }
+
+  /** Get an alert rule by ID */
+  async getAlertRule(ruleId) {
+    const rule = this.alertRules.get(ruleId);
+    return rule ? clone(rule) : null;
+  }
+
+  /** Update an alert rule */
+  async updateAlertRule(ruleId, ruleData) {
+    const rule = this.alertRules.get(ruleId);
+    if (!rule) throw storageError('P2025', 'Record to update not found.');
+    Object.assign(rule, clone(ruleData), { updatedAt: new Date() });
+    return clone(rule);
+  }
+
+  /** Delete an alert rule and its delivery log */
+  async deleteAlertRule(ruleId) {
+    if (!this.alertRules.delete(ruleId)) return false;
+    for (const delivery of [...this.alertDeliveries.values()]) {
+      if (delivery.ruleId === ruleId) this.alertDeliveries.delete(delivery.id);
+    }
+    return true;
+  }
+
+  /** Get the last successful alert a rule sent for a pool, ignoring test sends */
+  async getLastAlertDelivery(ruleId, poolId) {
+    const [last] = [...this.alertDeliveries.values()]
+      .filter(delivery => delivery.ruleId === ruleId && delivery.poolId === poolId && delivery.status === 'sent' && delivery.trigger !== 'test')
+      .sort((a, b) => compareValues(b.createdAt, a.createdAt) || b.id - a.id);
+    return last ? clone(last) : null;
+  }
+
+  /** Record the outcome of an alert delivery */
+  async recordAlertDelivery(deliveryData) {
+    if (!this.alertRules.has(deliveryData.ruleId) || !this.pools.has(deliveryData.poolId)) {
+      throw storageError('P2003', 'Foreign key constraint failed on the field: `ruleId` or `poolId`');
+    }
+    const delivery = {
+      id: this.nextId('alertDeliveries'),
+      error: null,
+      ...clone(deliveryData),
+      createdAt: new Date()
+    };
+    this.alertDeliveries.set(delivery.id, delivery);
+    return clone(delivery);
+  }
+
+  /** Get a rule's most recent deliveries with their pool address */
+  async getAlertDeliveries(ruleId, limit = 20) {
+    return [...this.alertDeliveries.values()]
+      .filter(delivery => delivery.ruleId === ruleId)
+      .sort((a, b) => compareValues(b.createdAt, a.createdAt) || b.id - a.id)
+      .slice(0, limit)
+      .map(delivery => ({ ...clone(delivery), pool: { poolAddress: this.pools.get(delivery.poolId).poolAddress } }));
+  }
+
+  /** Store a transaction that failed outside the ingestion queue as a dead letter */
+  async createDeadLetter(deadLetterData) {
+    const deadLetter = {
+      id: this.nextId('deadLetters'),
+      signature: deadLetterData.signature ?? null,
+      payload: deadLetterData.payload,
+      error: deadLetterData.error,
+      attempts: deadLetterData.attempts,
+      createdAt: new Date(),
+      replayedAt: null
+    };
+    this.deadLetters.set(deadLetter.id, deadLetter);
+    return clone(deadLetter);
+  }
+
+  /** Find which of the given transactions already created a pool */
+  async getKnownPoolSignatures(signatures) {
+    const wanted = new Set(signatures);
+    return new Set([...this.pools.values()].map(pool => pool.signature).filter(signature => wanted.has(signature)));
+  }
+
+  /** Get the checkpoint of a backfill run */
+  async getBackfillCheckpoint(programId, since) {
+    const checkpoint = this.checkpoints.get(`${programId}:${since}`);
+    return checkpoint ? clone(checkpoint) : null;
+  }
+
+  /** Create or update the checkpoint of a backfill run */
+  async saveBackfillCheckpoint(programId, since, progress) {
+    const key = `${programId}:${since}`;
+    const now = new Date();
+    const checkpoint = this.checkpoints.get(key) ?? {
+      id: this.nextId('checkpoints'),
+      programId,
+      since,
+      before: null,
+      lastSlot: null,
+      done: false,
+      scanned: 0,
+      processed: 0,
+      poolsFound: 0,
+      failed: 0,
+      createdAt: now
+    };
+    Object.assign(checkpoint, clone(progress), { updatedAt: now });
+    this.checkpoints.set(key, checkpoint);
+    return clone(checkpoint);
+  }
+
+  /** Delete the checkpoint of a backfill run so it starts over */
+  async deleteBackfillCheckpoint(programId, since) {
+    this.checkpoints.delete(`${programId}:${since}`);
+  }
+}
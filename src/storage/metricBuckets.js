@@ -0,0 +1,52 @@
+/**
+ * Time bucketing of metric snapshots for storage backends without date_trunc.
+ * Buckets are aligned in UTC like Postgres' date_trunc on UTC timestamps.
+ */
+
+const METRIC_FIELDS = ['apy', 'tvl', 'volume24h', 'priceA', 'priceB'];
+
+/**
+ * Truncate a date to the start of its hour, day or ISO week (Monday)
+ * @param {Date} date - Date to truncate
+ * @param {string} unit - "hour", "day" or "week"
+ * @returns {Date} Start of the bucket
+ */
+export function truncateDate(date, unit) {
+  const truncated = new Date(date);
+  truncated.setUTCMinutes(0, 0, 0);
+  if (unit === 'hour') return truncated;
+
+  truncated.setUTCHours(0);
+  if (unit === 'week') {
+    truncated.setUTCDate(truncated.getUTCDate() - ((truncated.getUTCDay() + 6) % 7));
+  }
+  return truncated;
+}
+
+/**
+ * Group snapshots into buckets and average each metric, ignoring missing values like SQL AVG
+ * @param {Array} snapshots - Snapshot records
+ * @param {string} unit - "hour", "day" or "week"
+ * @param {Function} keyOf - Extra grouping key per snapshot (e.g. its pool)
+ * @returns {Array} { bucket, key, apy, tvl, volume24h, priceA, priceB, samples }, oldest bucket first
+ */
+export function averageIntoBuckets(snapshots, unit, keyOf = () => null) {
+  const groups = new Map();
+  for (const snapshot of snapshots) {
+    const bucket = truncateDate(snapshot.timestamp, unit);
+    const key = keyOf(snapshot);
+    const groupKey = `${key}:${bucket.getTime()}`;
+    if (!groups.has(groupKey)) groups.set(groupKey, { bucket, key, rows: [] });
+    groups.get(groupKey).rows.push(snapshot);
+  }
+
+  return [...groups.values()]
+    .sort((a, b) => a.bucket - b.bucket)
+    .map(({ bucket, key, rows }) => {
+      const averages = Object.fromEntries(METRIC_FIELDS.map(field => {
+        const values = rows.map(row => row[field]).filter(value => value !== null && value !== undefined);
+        return [field, values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null];
+      }));
+      return { bucket, key, ...averages, samples: rows.length };
+    });
+}
@@ -0,0 +1,186 @@
+/**
+ * SQLite storage backend for single-binary deployments. Runs the PostgreSQL backend's
+ * queries against a Prisma client generated from prisma/sqlite/schema.prisma, and replaces
+ * the parts SQLite lacks: list columns, case-insensitive filters and the raw SQL queries.
+ */
+import { DatabaseClient, instrumentQueries } from '../utils/databaseClient.js';
+import { averageIntoBuckets } from './metricBuckets.js';
+
+// Generated by `npm run db:sqlite:generate`
+const SQLITE_CLIENT_PATH = '../../node_modules/.prisma/sqlite-client/index.js';
+
+// List columns of the PostgreSQL schema, stored as JSON text in SQLite
+const LIST_FIELDS = ['riskFlags', 'tags', 'triggers'];
+
+/**
+ * Serialize list columns of the rows being written
+ * @param {Object|Array} rows - Prisma data (one row or many)
+ * @returns {Object|Array} Rows with list columns as JSON text
+ */
+function encodeLists(rows) {
+  if (Array.isArray(rows)) return rows.map(encodeLists);
+  const encoded = { ...rows };
+  for (const field of LIST_FIELDS) {
+    if (Array.isArray(encoded[field])) encoded[field] = JSON.stringify(encoded[field]);
+  }
+  return encoded;
+}
+
+/**
+ * Parse list columns anywhere in a query result, including included relations
+ * @param {*} value - Query result
+ * @returns {*} Result with list columns as arrays
+ */
+function decodeLists(value) {
+  if (Array.isArray(value)) return value.map(decodeLists);
+  if (!value || typeof value !== 'object' || value instanceof Date) return value;
+
+  return Object.fromEntries(Object.entries(value).map(([field, fieldValue]) => [
+    field,
+    LIST_FIELDS.includes(field) && typeof fieldValue === 'string' ? JSON.parse(fieldValue) : decodeLists(fieldValue)
+  ]));
+}
+
+export class SqliteStorage extends DatabaseClient {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - SQLite URL, e.g. "file:./data/wildnet.db"
+   */
+  constructor({ url = 'file:./wildnet.db' } = {}) {
+    super(null);
+    this.url = url;
+  }
+
+  /**
+   * Load the generated SQLite client and open the database
+   */
+  async connect() {
+    if (!this.prisma) {
+      const { default: { PrismaClient } } = await import(SQLITE_CLIENT_PATH).catch(error => {
+        throw new Error(`SQLite Prisma client not found, run "npm run db:sqlite:generate" (${error.message})`);
+      });
+
+      this.prisma = instrumentQueries(new PrismaClient({ datasources: { db: { url: this.url } } })).$extends({
+        query: {
+          $allModels: {
+            async $allOperations({ args, query }) {
+              const encoded = { ...args };
+              for (const key of ['data', 'create', 'update']) {
+                if (encoded[key]) encoded[key] = encodeLists(encoded[key]);
+              }
+              return decodeLists(await query(encoded));
+            }
+          }
+        }
+      });
+    }
+    await super.connect();
+  }
+
+  /**
+   * Disconnect from the database
+   */
+  async disconnect() {
+    await this.prisma?.$disconnect();
+  }
+
+  /**
+   * SQLite compares text case-sensitively and Prisma has no insensitive mode for it, so
+   * look up the spellings stored in the column with COLLATE NOCASE and match those exactly
+   * @param {string} column - "source" (pools) or "symbol" (tokens)
+   * @param {string} value - Value to match
+   * @returns {Promise<Object>} Prisma string filter
+   */
+  async equalsIgnoreCase(column, value) {
+    const rows = column === 'source'
+      ? await this.prisma.$queryRaw`SELECT DISTINCT source AS value FROM pools WHERE source = ${value} COLLATE NOCASE`
+      : await this.prisma.$queryRaw`SELECT DISTINCT symbol AS value FROM tokens WHERE symbol = ${value} COLLATE NOCASE`;
+    return { in: rows.map(row => row.value) };
+  }
+
+  /**
+   * Condition excluding rows whose JSON list column contains any of the values
+   * @param {string} field - List column
+   * @param {Array<string>} values - Values to exclude
+   * @returns {Object} Prisma where condition
+   */
+  excludesAny(field, values) {
+    return { AND: values.map(value => ({ NOT: { [field]: { contains: JSON.stringify(value) } } })) };
+  }
+
+  /**
+   * Get a pool's metrics averaged into time buckets
+   * @param {number} poolId - Pool ID
+   * @param {Date} from - Start of the range (inclusive)
+   * @param {Date} to - End of the range (exclusive)
+   * @param {string} interval - Bucket size: "hour", "day" or "week"
+   * @returns {Promise<Array>} Buckets with averaged apy, tvl, volume24h and prices
+   */
+  async getPoolHistory(poolId, from, to, interval) {
+    const snapshots = await this.prisma.poolMetricSnapshot.findMany({
+      where: { poolId, timestamp: { gte: from, lt: to } }
+    });
+    return averageIntoBuckets(snapshots, interval).map(({ key, ...bucket }) => bucket);
+  }
+
+  /**
+   * Roll snapshots up into a coarser resolution and delete the originals
+   * @param {string} fromResolution - Resolution to roll up (e.g. "raw")
+   * @param {string} toResolution - Resolution of the rolled-up rows (e.g. "hourly")
+   * @param {string} unit - Bucket unit ("hour" or "day")
+   * @param {Date} before - Only snapshots older than this; must be aligned to `unit`
+   * @returns {Promise<number>} Number of snapshots removed
+   */
+  async downsampleMetricSnapshots(fromResolution, toResolution, unit, before) {
+    const where = { resolution: fromResolution, timestamp: { lt: before } };
+
+    return this.prisma.$transaction(async (tx) => {
+      const snapshots = await tx.poolMetricSnapshot.findMany({ where });
+      const rollups = averageIntoBuckets(snapshots, unit, snapshot => snapshot.poolId);
+      if (rollups.length > 0) {
+        await tx.poolMetricSnapshot.createMany({
+          data: rollups.map(({ bucket, key, samples, ...averages }) => ({
+            ...averages,
+            poolId: key,
+            timestamp: bucket,
+            source: 'rollup',
+            resolution: toResolution
+          }))
+        });
+      }
+      const deleted = await tx.poolMetricSnapshot.deleteMany({ where });
+      return deleted.count;
+    });
+  }
+
+  /**
+   * Claim pending jobs for processing. SQLite has no SKIP LOCKED, so each job is claimed
+   * with a conditional update and jobs another worker claimed first are skipped.
+   * @param {number} limit - Maximum number of jobs to claim
+   * @returns {Promise<Array>} Claimed job records
+   */
+  async claimWebhookJobs(limit = 1) {
+    const now = new Date();
+    const candidates = await this.prisma.webhookJob.findMany({
+      where: { status: 'pending', availableAt: { lte: now } },
+      orderBy: { id: 'asc' },
+      take: limit,
+      select: { id: true }
+    });
+
+    const claimed = [];
+    for (const { id } of candidates) {
+      const { count } = await this.prisma.webhookJob.updateMany({
+        where: { id, status: 'pending' },
+        data: { status: 'processing', lockedAt: now, attempts: { increment: 1 } }
+      });
+      if (count === 1) claimed.push(id);
+    }
+
+    if (claimed.length === 0) return [];
+    return this.prisma.webhookJob.findMany({
+      where: { id: { in: claimed } },
+      orderBy: { id: 'asc' }
+    });
+  }
+}
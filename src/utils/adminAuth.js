@@ -0,0 +1,43 @@
+/**
+ * Bearer token check for the admin API (alert rules and dead letters)
+ */
+import { WebhookAuthenticator } from './webhookAuth.js';
+import { Logger } from './logger.js';
+
+const log = Logger.default.child({ module: 'adminAuth' });
+
+export class AdminAuthenticator {
+  /**
+   * @param {Object} options
+   * @param {string[]} options.authTokens - Accepted tokens (several allow rotation); when empty every request is rejected
+   */
+  constructor({ authTokens = [] } = {}) {
+    this.authTokens = authTokens.filter(Boolean);
+  }
+
+  /**
+   * Check an Authorization header against the configured tokens
+   * @param {string} header - Raw Authorization header value, "Bearer <token>"
+   * @returns {boolean} True if the header carries an accepted token
+   */
+  verifyAuthorization(header) {
+    if (!header?.startsWith('Bearer ') || this.authTokens.length === 0) return false;
+
+    const token = header.slice(7);
+    return this.authTokens.some(valid => WebhookAuthenticator.safeEqual(token, valid));
+  }
+
+  /**
+   * Express middleware answering 401 unless the request carries an admin token
+   * @returns {Function} Express middleware
+   */
+  middleware() {
+    return (req, res, next) => {
+      if (!this.verifyAuthorization(req.get('authorization'))) {
+        log.warn('Admin request rejected: invalid or missing Authorization header', { method: req.method, path: req.path });
+        return res.status(401).json({ error: 'Unauthorized' });
+      }
+      next();
+    };
+  }
+}
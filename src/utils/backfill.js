@@ -0,0 +1,192 @@
+/**
+ * Historical backfill: walks a program's signatures back from the newest one and feeds
+ * each transaction through WebhookHandler, checkpointing progress so a run can resume
+ */
+import { EventEmitter } from 'events';
+import { toWebhookTransaction } from './solanaRpc.js';
+import { Logger } from './logger.js';
+
+const log = Logger.default.child({ module: 'backfill' });
+
+/**
+ * Emits "skipped" (the run already finished), "started", "page" and "finished" with
+ * { programId, since, progress }; "started" also carries `resumed`
+ */
+export class Backfiller extends EventEmitter {
+  /**
+   * @param {SolanaRpcClient} rpcClient - RPC client for signatures and transactions
+   * @param {WebhookHandler} webhookHandler - Handler that parses and stores each transaction
+   * @param {DatabaseClient} databaseClient - Database client holding checkpoints and dead letters
+   * @param {RateLimiter} rateLimiter - Spacing between getTransaction calls
+   * @param {Object} options
+   * @param {number} options.pageSize - Signatures per getSignaturesForAddress call (max 1000)
+   * @param {number} options.checkpointEvery - Transactions between checkpoint writes within a page
+   */
+  constructor(rpcClient, webhookHandler, databaseClient, rateLimiter, { pageSize = 1000, checkpointEvery = 25 } = {}) {
+    super();
+    this.rpcClient = rpcClient;
+    this.webhookHandler = webhookHandler;
+    this.databaseClient = databaseClient;
+    this.rateLimiter = rateLimiter;
+    this.pageSize = pageSize;
+    this.checkpointEvery = checkpointEvery;
+    this.stopping = false;
+  }
+
+  /**
+   * Parse the lower bound of a run: an integer is a slot, anything else a date
+   * @param {string} value - Slot number or date (e.g. "2024-06-01" or an ISO timestamp)
+   * @returns {{slot: number}|{date: Date}} Parsed bound
+   * @throws {Error} If the value is neither
+   */
+  static parseSince(value) {
+    if (/^\d+$/.test(String(value))) {
+      return { slot: parseInt(value, 10) };
+    }
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      throw new Error(`--since must be a slot number or a date, got "${value}"`);
+    }
+    return { date };
+  }
+
+  /**
+   * Normalize a bound into the key its checkpoint is stored under
+   * @param {{slot: number}|{date: Date}} since - Parsed bound
+   * @returns {string} "slot:<n>" or the ISO date
+   */
+  static sinceKey(since) {
+    return since.slot !== undefined ? `slot:${since.slot}` : since.date.toISOString();
+  }
+
+  /**
+   * Check whether a signature is older than the bound
+   * @param {Object} info - { slot, blockTime } from getSignaturesForAddress
+   * @param {{slot: number}|{date: Date}} since - Parsed bound
+   * @returns {boolean} True if the walk should stop here
+   */
+  static isBefore(info, since) {
+    if (since.slot !== undefined) return info.slot < since.slot;
+    // Signatures without a block time can't be placed; keep walking past them
+    return info.blockTime != null && info.blockTime * 1000 < since.date.getTime();
+  }
+
+  /**
+   * Backfill one program down to the bound, resuming from its checkpoint
+   * @param {string} programId - Program whose signatures are walked
+   * @param {{slot: number}|{date: Date}} since - Parsed bound
+   * @param {Object} options
+   * @param {boolean} options.restart - Discard an existing checkpoint and start from the newest signature
+   * @returns {Promise<Object>} Final checkpoint
+   */
+  async run(programId, since, { restart = false } = {}) {
+    const key = Backfiller.sinceKey(since);
+    if (restart) {
+      await this.databaseClient.deleteBackfillCheckpoint(programId, key);
+    }
+
+    const checkpoint = await this.databaseClient.getBackfillCheckpoint(programId, key);
+    if (checkpoint?.done) {
+      log.info('Backfill already finished', { programId, since: key });
+      this.emit('skipped', { programId, since: key, progress: checkpoint });
+      return checkpoint;
+    }
+
+    const progress = {
+      before: checkpoint?.before ?? null,
+      lastSlot: checkpoint?.lastSlot ?? null,
+      done: false,
+      scanned: checkpoint?.scanned ?? 0,
+      processed: checkpoint?.processed ?? 0,
+      poolsFound: checkpoint?.poolsFound ?? 0,
+      failed: checkpoint?.failed ?? 0
+    };
+    log.info(checkpoint ? 'Resuming backfill' : 'Starting backfill', { programId, since: key, before: progress.before, scanned: progress.scanned });
+    this.emit('started', { programId, since: key, progress: { ...progress }, resumed: !!checkpoint });
+
+    const save = () => this.databaseClient.saveBackfillCheckpoint(programId, key, progress);
+
+    while (!this.stopping && !progress.done) {
+      const signatures = await this.rpcClient.getSignaturesForAddress(programId, {
+        before: progress.before ?? undefined,
+        limit: this.pageSize
+      });
+      const inRange = [];
+      for (const info of signatures) {
+        if (Backfiller.isBefore(info, since)) break;
+        inRange.push(info);
+      }
+
+      // Only transactions that created a pool are recognizable by signature
+      const known = await this.databaseClient.getKnownPoolSignatures(inRange.map(info => info.signature));
+
+      for (const [index, info] of inRange.entries()) {
+        if (this.stopping) break;
+
+        if (!info.err && !known.has(info.signature)) {
+          await this.processSignature(info.signature, progress);
+        }
+        progress.scanned++;
+        progress.before = info.signature;
+        progress.lastSlot = info.slot;
+
+        if ((index + 1) % this.checkpointEvery === 0) {
+          await save();
+        }
+      }
+
+      if (!this.stopping && (inRange.length < signatures.length || signatures.length < this.pageSize)) {
+        progress.done = true;
+      }
+      await save();
+      log.debug('Backfill page done', { programId, since: key, ...progress });
+      this.emit('page', { programId, since: key, progress: { ...progress } });
+    }
+
+    log.info(progress.done ? 'Backfill finished' : 'Backfill stopped', { programId, since: key, ...progress });
+    this.emit('finished', { programId, since: key, progress: { ...progress } });
+    return progress;
+  }
+
+  /**
+   * Fetch one transaction and pass it to the handler. Failures are dead-lettered so the
+   * walk can continue; they can be replayed through the ingestion queue later. A
+   * transaction that could not be fetched is dead-lettered as { signature, refetch: true },
+   * and the queue fetches it over RPC when it is replayed.
+   * @param {string} signature - Transaction signature
+   * @param {Object} progress - Counters updated in place
+   */
+  async processSignature(signature, progress) {
+    let transaction = null;
+    try {
+      await this.rateLimiter.wait();
+      const rpcTransaction = await this.rpcClient.getTransaction(signature);
+      if (!rpcTransaction) {
+        throw new Error('Transaction not available from the RPC node');
+      }
+
+      transaction = toWebhookTransaction(rpcTransaction, this.webhookHandler.decoderRegistry);
+      const result = await this.webhookHandler.processTransaction(transaction);
+      progress.processed++;
+      if (result && !Array.isArray(result)) {
+        progress.poolsFound++;
+      }
+    } catch (error) {
+      progress.failed++;
+      log.warn('Backfill transaction failed', { signature, error });
+      await this.databaseClient.createDeadLetter({
+        signature,
+        payload: JSON.stringify(transaction ?? { signature, refetch: true }),
+        error: error.message,
+        attempts: 1
+      });
+    }
+  }
+
+  /**
+   * Finish the current transaction, save the checkpoint and return from run()
+   */
+  stop() {
+    this.stopping = true;
+  }
+}
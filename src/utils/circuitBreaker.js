@@ -0,0 +1,194 @@
+/**
+ * Per-upstream circuit breakers. After `failureThreshold` consecutive failures an upstream's
+ * breaker opens and calls fail fast with CircuitOpenError; after `resetTimeoutMs` one probe
+ * call is let through (half-open), and its outcome closes or re-opens the breaker.
+ */
+import { RetryHelper } from './retryHelper.js';
+import { Logger } from './logger.js';
+
+const log = Logger.default.child({ module: 'circuitBreaker' });
+
+// Upstreams with a breaker; the same names as the rate limiters
+export const UPSTREAMS = ['defillama', 'jupiter', 'rpc'];
+
+/**
+ * Thrown instead of calling an upstream whose breaker is open. Not retryable.
+ */
+export class CircuitOpenError extends Error {
+  /**
+   * @param {string} name - Upstream name
+   * @param {number} retryInMs - Time until the next probe is allowed
+   */
+  constructor(name, retryInMs) {
+    super(`Circuit open for ${name}, retry in ${retryInMs}ms`);
+    this.name = 'CircuitOpenError';
+    this.upstream = name;
+    this.retryInMs = retryInMs;
+    this.retryable = false;
+  }
+}
+
+export class CircuitBreaker {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Upstream name, for logs and errors
+   * @param {number} options.failureThreshold - Consecutive failures that open the breaker
+   * @param {number} options.resetTimeoutMs - Time the breaker stays open before a probe
+   */
+  constructor({ name, failureThreshold = 5, resetTimeoutMs = 30000 }) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.probing = false;
+    this.lastError = null;
+  }
+
+  /**
+   * Whether an error means the upstream is failing. 429s and non-retryable errors
+   * (4xx, bad input) come from an upstream that is up, so they do not count.
+   * @param {Error} error - Error thrown by a call
+   * @returns {boolean}
+   */
+  static isFailure(error) {
+    return error.status !== 429 && RetryHelper.isRetryable(error);
+  }
+
+  /**
+   * Run a call through the breaker
+   * @param {Function} fn - Call to the upstream
+   * @returns {Promise<*>} fn's result
+   * @throws {CircuitOpenError} While the breaker is open, or half-open with a probe in flight
+   */
+  async run(fn) {
+    this.beforeCall();
+    try {
+      const result = await fn();
+      this.recordSuccess();
+      return result;
+    } catch (error) {
+      if (CircuitBreaker.isFailure(error)) {
+        this.recordFailure(error);
+      } else {
+        this.recordSuccess();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Let a call through, or fail fast
+   * @throws {CircuitOpenError}
+   */
+  beforeCall() {
+    if (this.state === 'open') {
+      const retryInMs = this.openedAt + this.resetTimeoutMs - Date.now();
+      if (retryInMs > 0) throw new CircuitOpenError(this.name, retryInMs);
+      this.state = 'half_open';
+      log.info('Circuit half-open, probing', { upstream: this.name });
+    }
+    if (this.state === 'half_open') {
+      if (this.probing) throw new CircuitOpenError(this.name, 0);
+      this.probing = true;
+    }
+  }
+
+  /**
+   * Close the breaker after a call that reached the upstream
+   */
+  recordSuccess() {
+    if (this.state !== 'closed') {
+      log.info('Circuit closed', { upstream: this.name });
+    }
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.probing = false;
+  }
+
+  /**
+   * Count a failure, opening the breaker at the threshold or when a probe fails
+   * @param {Error} error - The failure
+   */
+  recordFailure(error) {
+    this.failures++;
+    this.lastError = error.message;
+    this.probing = false;
+
+    if (this.state === 'half_open' || this.failures >= this.failureThreshold) {
+      if (this.state !== 'open') {
+        log.warn('Circuit open', { upstream: this.name, failures: this.failures, error });
+      }
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * Current state, for health output
+   * @returns {Object} { state, failures, retryInMs, lastError }
+   */
+  stats() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      retryInMs: this.state === 'open' ? Math.max(0, this.openedAt + this.resetTimeoutMs - Date.now()) : null,
+      lastError: this.lastError
+    };
+  }
+}
+
+/**
+ * One CircuitBreaker per upstream. Like RateLimiterRegistry, the API clients take their
+ * breaker from CircuitBreakerRegistry.default unless one is passed in.
+ */
+export class CircuitBreakerRegistry {
+  /**
+   * @param {Object} options - failureThreshold and resetTimeoutMs for every breaker
+   */
+  constructor(options = {}) {
+    this.breakers = new Map(UPSTREAMS.map(name => [name, new CircuitBreaker({ name, ...options })]));
+  }
+
+  /**
+   * Process-wide registry, with the default options until configure() is called
+   * @returns {CircuitBreakerRegistry}
+   */
+  static get default() {
+    CircuitBreakerRegistry.instance ??= new CircuitBreakerRegistry();
+    return CircuitBreakerRegistry.instance;
+  }
+
+  /**
+   * Replace the process-wide registry. Like RateLimiterRegistry.configure(), call it
+   * before building clients.
+   * @param {Object} options - The "circuitBreaker" config section
+   * @returns {CircuitBreakerRegistry}
+   */
+  static configure(options) {
+    CircuitBreakerRegistry.instance = new CircuitBreakerRegistry(options);
+    return CircuitBreakerRegistry.instance;
+  }
+
+  /**
+   * Get an upstream's breaker
+   * @param {string} name - Upstream name (defillama, jupiter, rpc)
+   * @returns {CircuitBreaker}
+   * @throws {Error} If the upstream is unknown
+   */
+  get(name) {
+    const breaker = this.breakers.get(name);
+    if (!breaker) throw new Error(`No circuit breaker for upstream "${name}"`);
+    return breaker;
+  }
+
+  /**
+   * State of every breaker, for health output
+   * @returns {Object} { [upstream]: stats }
+   */
+  stats() {
+    return Object.fromEntries([...this.breakers].map(([name, breaker]) => [name, breaker.stats()]));
+  }
+}
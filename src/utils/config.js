@@ -0,0 +1,271 @@
+/**
+ * Application configuration. Every setting has a default, may be set in an optional JSON
+ * file named by CONFIG_FILE (nested like CONFIG_SCHEMA, e.g. { "jupiter": { "baseUrl": ... } })
+ * and is overridden by its environment variable. loadConfig() validates the result and
+ * reports every invalid setting at once; server.js and run.js pass the sections to the
+ * components they build.
+ */
+import { readFileSync } from 'fs';
+import { LOG_LEVELS, LOG_FORMATS } from './logger.js';
+import { UPSTREAM_LIMITS } from './rateLimiter.js';
+import { IGNORED_PROGRAM_IDS } from './webhookHandler.js';
+
+export const STORAGE_BACKENDS = ['postgres', 'sqlite', 'memory'];
+
+/**
+ * One or more invalid settings
+ */
+export class ConfigError extends Error {
+  /**
+   * @param {Array<string>} errors - One message per invalid setting
+   */
+  constructor(errors) {
+    super(`Invalid configuration:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Check a number against a setting's min and max
+ * @param {number} value - Value to check
+ * @param {Object} setting - Setting with optional min and max
+ * @returns {string|null} Problem, or null if the value is in range
+ */
+function checkRange(value, { min, max }) {
+  if (min !== undefined && value < min) return `must be at least ${min}`;
+  if (max !== undefined && value > max) return `must be at most ${max}`;
+  return null;
+}
+
+// Setting types: parse() reads an environment string, check() returns the problem with a value or null
+const TYPES = {
+  integer: {
+    parse: raw => Number(raw),
+    check: (value, setting) => Number.isInteger(value) ? checkRange(value, setting) : 'must be an integer'
+  },
+  number: {
+    parse: raw => Number(raw),
+    check: (value, setting) => Number.isFinite(value) ? checkRange(value, setting) : 'must be a number'
+  },
+  boolean: {
+    parse: raw => ({ true: true, false: false })[raw] ?? raw,
+    check: value => typeof value === 'boolean' ? null : 'must be true or false'
+  },
+  string: {
+    parse: raw => raw,
+    check: value => typeof value === 'string' && value !== '' ? null : 'must be a non-empty string'
+  },
+  url: {
+    parse: raw => raw,
+    check: value => URL.canParse(value) && ['http:', 'https:'].includes(new URL(value).protocol) ? null : 'must be an http(s) URL',
+    // Clients append paths to base URLs
+    normalize: value => value.replace(/\/+$/, '')
+  },
+  list: {
+    parse: raw => raw.split(',').map(item => item.trim()).filter(Boolean),
+    check: value => Array.isArray(value) && value.every(item => typeof item === 'string') ? null : 'must be a list of strings'
+  },
+  enum: {
+    parse: raw => raw,
+    check: (value, { values }) => values.includes(value) ? null : `must be one of: ${values.join(', ')}`
+  }
+};
+
+/**
+ * Every setting: its environment variable, type, default and constraints.
+ * A null default makes the setting optional.
+ */
+export const CONFIG_SCHEMA = {
+  server: {
+    port: { env: 'PORT', type: 'integer', default: 3000, min: 1, max: 65535 },
+    shutdownTimeoutMs: { env: 'SHUTDOWN_TIMEOUT_MS', type: 'integer', default: 30000, min: 0 }
+  },
+  log: {
+    level: { env: 'LOG_LEVEL', type: 'enum', values: Object.keys(LOG_LEVELS), default: 'info' },
+    // Defaults to pretty when NODE_ENV=development, JSON otherwise
+    format: { env: 'LOG_FORMAT', type: 'enum', values: LOG_FORMATS, default: null }
+  },
+  storage: {
+    backend: { env: 'STORAGE_BACKEND', type: 'enum', values: STORAGE_BACKENDS, default: 'postgres' },
+    sqliteUrl: { env: 'SQLITE_DATABASE_URL', type: 'string', default: 'file:./wildnet.db' }
+  },
+  defillama: {
+    baseUrl: { env: 'DEFILLAMA_BASE_URL', type: 'url', default: 'https://yields.llama.fi' },
+    cacheTtlMs: { env: 'DEFILLAMA_CACHE_TTL_MS', type: 'integer', default: 600000, min: 1000 },
+    timeoutMs: { env: 'DEFILLAMA_TIMEOUT_MS', type: 'integer', default: 30000, min: 1 }
+  },
+  jupiter: {
+    baseUrl: { env: 'JUPITER_BASE_URL', type: 'url', default: 'https://lite-api.jup.ag' },
+    cacheTtlMs: { env: 'JUPITER_CACHE_TTL_MS', type: 'integer', default: 300000, min: 0 },
+    timeoutMs: { env: 'JUPITER_TIMEOUT_MS', type: 'integer', default: 10000, min: 1 },
+    // Jupiter's search endpoint accepts up to 100 comma-separated mints
+    batchSize: { env: 'JUPITER_BATCH_SIZE', type: 'integer', default: 100, min: 1, max: 100 }
+  },
+  rpc: {
+    url: { env: 'SOLANA_RPC_URL', type: 'url', default: 'https://api.mainnet-beta.solana.com' },
+    timeoutMs: { env: 'SOLANA_RPC_TIMEOUT_MS', type: 'integer', default: 15000, min: 1 },
+    fixtures: { env: 'SOLANA_RPC_FIXTURES', type: 'string', default: null }
+  },
+  // Retries of DefiLlama, Jupiter and RPC requests
+  retry: {
+    maxAttempts: { env: 'RETRY_MAX_ATTEMPTS', type: 'integer', default: 3, min: 1 },
+    baseDelayMs: { env: 'RETRY_BASE_DELAY_MS', type: 'integer', default: 1000, min: 0 },
+    maxDelayMs: { env: 'RETRY_MAX_DELAY_MS', type: 'integer', default: 30000, min: 0 }
+  },
+  rateLimits: Object.fromEntries(Object.entries(UPSTREAM_LIMITS).map(([name, limits]) => {
+    const prefix = `RATE_LIMIT_${name.toUpperCase()}`;
+    return [name, {
+      ratePerSecond: { env: `${prefix}_RPS`, type: 'number', default: limits.ratePerSecond, min: 0.01 },
+      burst: { env: `${prefix}_BURST`, type: 'integer', default: limits.burst, min: 1 },
+      maxConcurrent: { env: `${prefix}_CONCURRENCY`, type: 'integer', default: limits.maxConcurrent, min: 1 }
+    }];
+  })),
+  circuitBreaker: {
+    failureThreshold: { env: 'CIRCUIT_FAILURE_THRESHOLD', type: 'integer', default: 5, min: 1 },
+    resetTimeoutMs: { env: 'CIRCUIT_RESET_TIMEOUT_MS', type: 'integer', default: 30000, min: 0 }
+  },
+  health: {
+    dbTimeoutMs: { env: 'HEALTH_DB_TIMEOUT_MS', type: 'integer', default: 2000, min: 1 },
+    maxWebhookAgeSeconds: { env: 'HEALTH_MAX_WEBHOOK_AGE_SECONDS', type: 'integer', default: 900, min: 1 },
+    maxSnapshotAgeSeconds: { env: 'HEALTH_MAX_SNAPSHOT_AGE_SECONDS', type: 'integer', default: 3600, min: 1 }
+  },
+  webhook: {
+    authTokens: { env: 'HELIUS_WEBHOOK_AUTH_TOKENS', type: 'list', default: [] },
+    hmacSecrets: { env: 'HELIUS_WEBHOOK_HMAC_SECRETS', type: 'list', default: [] },
+    maxAgeSeconds: { env: 'WEBHOOK_MAX_AGE_SECONDS', type: 'integer', default: 600, min: 1 },
+    disabled: { env: 'WEBHOOK_AUTH_DISABLED', type: 'boolean', default: false }
+  },
+  admin: {
+    authTokens: { env: 'ADMIN_API_TOKENS', type: 'list', default: [] }
+  },
+  capture: {
+    dir: { env: 'WEBHOOK_CAPTURE_DIR', type: 'string', default: null },
+    maxBytes: { env: 'WEBHOOK_CAPTURE_MAX_BYTES', type: 'integer', default: 50 * 1024 * 1024, min: 1 },
+    maxFiles: { env: 'WEBHOOK_CAPTURE_MAX_FILES', type: 'integer', default: 5, min: 0 }
+  },
+  detection: {
+    // Accounts never taken for the pool by the transfer heuristic
+    ignoredPrograms: { env: 'DETECTION_IGNORED_PROGRAMS', type: 'list', default: IGNORED_PROGRAM_IDS }
+  },
+  ingest: {
+    concurrency: { env: 'INGEST_CONCURRENCY', type: 'integer', default: 2, min: 1 },
+    maxAttempts: { env: 'INGEST_MAX_ATTEMPTS', type: 'integer', default: 5, min: 1 },
+    pollIntervalMs: { env: 'INGEST_POLL_INTERVAL_MS', type: 'integer', default: 1000, min: 1 }
+  },
+  metrics: {
+    intervalMs: { env: 'METRICS_INTERVAL_MS', type: 'integer', default: 900000, min: 1000 },
+    trackDays: { env: 'METRICS_TRACK_DAYS', type: 'integer', default: 30, min: 1 },
+    rawRetentionDays: { env: 'METRICS_RAW_RETENTION_DAYS', type: 'integer', default: 7, min: 1 },
+    hourlyRetentionDays: { env: 'METRICS_HOURLY_RETENTION_DAYS', type: 'integer', default: 90, min: 1 },
+    dailyRetentionDays: { env: 'METRICS_DAILY_RETENTION_DAYS', type: 'integer', default: 365, min: 1 }
+  },
+  alerts: {
+    maxAttempts: { env: 'ALERT_MAX_ATTEMPTS', type: 'integer', default: 3, min: 1 },
+    timeoutMs: { env: 'ALERT_TIMEOUT_MS', type: 'integer', default: 10000, min: 1 },
+    allowPrivateSinks: { env: 'ALERT_ALLOW_PRIVATE_SINKS', type: 'boolean', default: false }
+  },
+  risk: {
+    minLiquidityUsd: { env: 'RISK_MIN_LIQUIDITY_USD', type: 'number', default: 10000, min: 0 },
+    maxTopHolderShare: { env: 'RISK_MAX_TOP_HOLDER_SHARE', type: 'number', default: 0.5, min: 0, max: 1 },
+    minLpLockedShare: { env: 'RISK_MIN_LP_LOCKED_SHARE', type: 'number', default: 0.9, min: 0, max: 1 },
+    newTokenHours: { env: 'RISK_NEW_TOKEN_HOURS', type: 'number', default: 24, min: 0 }
+  },
+  backfill: {
+    delayMs: { env: 'BACKFILL_DELAY_MS', type: 'integer', default: 250, min: 0 },
+    pageSize: { env: 'BACKFILL_PAGE_SIZE', type: 'integer', default: 1000, min: 1, max: 1000 }
+  }
+};
+
+/**
+ * Resolve one setting: environment variable, then config file value, then default
+ * @param {Object} setting - Schema entry
+ * @param {*} fileValue - Value from the config file, if any
+ * @param {Object} env - Environment variables
+ * @param {string} name - Dotted setting name, for errors
+ * @param {Array<string>} errors - Collects problems
+ * @returns {*} Setting value
+ */
+function resolveSetting(setting, fileValue, env, name, errors) {
+  const type = TYPES[setting.type];
+  let value, source;
+  if (env[setting.env] !== undefined && env[setting.env] !== '') {
+    value = type.parse(env[setting.env]);
+    source = `${setting.env}=${JSON.stringify(env[setting.env])}`;
+  } else if (fileValue !== undefined && fileValue !== null) {
+    value = fileValue;
+    source = `${name}: ${JSON.stringify(fileValue)} in the config file`;
+  } else {
+    return setting.default;
+  }
+
+  const problem = type.check(value, setting);
+  if (problem) {
+    errors.push(`${name} ${problem} (got ${source})`);
+    return setting.default;
+  }
+  return type.normalize ? type.normalize(value) : value;
+}
+
+/**
+ * Resolve a schema section and its nested sections
+ * @param {Object} schema - Schema section
+ * @param {*} fileValues - The same section of the config file
+ * @param {Object} env - Environment variables
+ * @param {Array<string>} path - Section path, for errors
+ * @param {Array<string>} errors - Collects problems
+ * @returns {Object} Resolved section
+ */
+function resolveSection(schema, fileValues, env, path, errors) {
+  const name = path.join('.') || 'the config file';
+  if (typeof fileValues !== 'object' || fileValues === null || Array.isArray(fileValues)) {
+    errors.push(`${name} must be an object in the config file`);
+    fileValues = {};
+  }
+  for (const key of Object.keys(fileValues).filter(key => !(key in schema))) {
+    errors.push(`${[...path, key].join('.')} in the config file is not a known setting`);
+  }
+
+  return Object.fromEntries(Object.entries(schema).map(([key, node]) => {
+    const keyPath = [...path, key];
+    return [key, node.type
+      ? resolveSetting(node, fileValues[key], env, keyPath.join('.'), errors)
+      : resolveSection(node, fileValues[key] ?? {}, env, keyPath, errors)];
+  }));
+}
+
+/**
+ * Freeze a config object and its sections
+ * @param {Object} object - Resolved config
+ * @returns {Object} The same object, frozen
+ */
+function deepFreeze(object) {
+  Object.values(object).forEach(value => {
+    if (typeof value === 'object' && value !== null) deepFreeze(value);
+  });
+  return Object.freeze(object);
+}
+
+/**
+ * Load and validate the configuration
+ * @param {Object} env - Environment variables; CONFIG_FILE names an optional JSON config file
+ * @returns {Object} Frozen config, one section per CONFIG_SCHEMA entry
+ * @throws {ConfigError} Listing every invalid setting, or why the config file could not be read
+ */
+export function loadConfig(env = process.env) {
+  let fileValues = {};
+  if (env.CONFIG_FILE) {
+    try {
+      fileValues = JSON.parse(readFileSync(env.CONFIG_FILE, 'utf8'));
+    } catch (error) {
+      throw new ConfigError([`CONFIG_FILE ${env.CONFIG_FILE} could not be read: ${error.message}`]);
+    }
+  }
+
+  const errors = [];
+  const config = resolveSection(CONFIG_SCHEMA, fileValues, env, [], errors);
+  if (errors.length > 0) throw new ConfigError(errors);
+
+  config.log.format ??= env.NODE_ENV === 'development' ? 'pretty' : 'json';
+  return deepFreeze(config);
+}
@@ -1,11 +1,93 @@
 /**
- * Database utility for pool and event operations
+ * Database utility for pool and event operations. This is the PostgreSQL storage backend,
+ * and its methods define the storage interface the other backends implement (see src/storage).
  */
 import { PrismaClient } from '@prisma/client';
+import { MetricsRegistry } from './metrics.js';
+import { Logger } from './logger.js';
+
+const log = Logger.default.child({ module: 'databaseClient' });
+
+// Include both tokens' metadata with pool queries
+const POOL_TOKENS = { tokenAInfo: true, tokenBInfo: true };
+
+const queryDurationSeconds = MetricsRegistry.default.histogram({
+  name: 'wildnet_db_query_duration_seconds',
+  help: 'Database query latency by model and operation ("raw" for SQL queries)',
+  labelNames: ['model', 'operation', 'outcome']
+});
+
+/**
+ * Time every query of a Prisma client, raw SQL included
+ * @param {PrismaClient} prisma - Prisma client
+ * @returns {PrismaClient} Extended client
+ */
+export function instrumentQueries(prisma) {
+  return prisma.$extends({
+    query: {
+      async $allOperations({ model, operation, args, query }) {
+        const timer = queryDurationSeconds.startTimer({ model: model ?? 'raw', operation });
+        try {
+          const result = await query(args);
+          timer({ outcome: 'ok' });
+          return result;
+        } catch (error) {
+          timer({ outcome: 'error' });
+          throw error;
+        }
+      }
+    }
+  });
+}
+
+/**
+ * Prisma create data for a pool
+ * @param {Object} poolData - Pool information to store
+ * @returns {Object} Pool create data
+ */
+function poolCreateData(poolData) {
+  return {
+    // Tokens are normally upserted with Jupiter metadata first; create bare rows otherwise
+    tokenAInfo: {
+      connectOrCreate: { where: { mint: poolData.tokenA }, create: { mint: poolData.tokenA } }
+    },
+    tokenBInfo: {
+      connectOrCreate: { where: { mint: poolData.tokenB }, create: { mint: poolData.tokenB } }
+    },
+    poolAddress: poolData.poolAddress,
+    source: poolData.source || 'Unknown',
+    signature: poolData.signature,
+    vaultA: poolData.vaultA || null,
+    vaultB: poolData.vaultB || null,
+    lpMint: poolData.lpMint || null,
+    decoder: poolData.decoder || null,
+    apy: poolData.apy || null,
+    tvl: poolData.tvl || null,
+    apyPoolId: poolData.apyPoolId || null,
+    apyConfidence: poolData.apyConfidence || null,
+    volume24h: poolData.volume24h || null
+  };
+}
+
+/**
+ * Whether an error is a unique-constraint conflict on a pool's address or signature.
+ * Prisma reports the conflicting fields (or the index name, depending on the database)
+ * in meta.target; conflicts on token mints are not pool conflicts.
+ * @param {Error} error - Error thrown by a write
+ * @returns {boolean}
+ */
+function isPoolConflict(error) {
+  if (error.code !== 'P2002') return false;
+  const target = String(error.meta?.target ?? error.message);
+  return target.includes('poolAddress') || target.includes('signature');
+}
 
 export class DatabaseClient {
-  constructor() {
-    this.prisma = new PrismaClient();
+  /**
+   * @param {PrismaClient} prisma - Prisma client; subclasses for other databases may set it in connect()
+   */
+  constructor(prisma = new PrismaClient()) {
+    this.prisma = prisma && instrumentQueries(prisma);
   }
 
   /**
@@ -14,9 +96,9 @@ export class DatabaseClient {
   async connect() {
     try {
       await this.prisma.$connect();
-      console.log('Connected to database');
+      log.info('Connected to database');
     } catch (error) {
-      console.error('Failed to connect to database:', error);
+      log.error('Failed to connect to database', { error });
       throw error;
     }
   }
@@ -28,6 +110,33 @@ export class DatabaseClient {
     await this.prisma.$disconnect();
   }
 
+  /**
+   * Run a trivial query to check that the database answers
+   */
+  async ping() {
+    await this.prisma.$queryRaw`SELECT 1`;
+  }
+
+  /**
+   * Filter matching a text column regardless of case
+   * @param {string} column - "source" (pools) or "symbol" (tokens)
+   * @param {string} value - Value to match
+   * @returns {Promise<Object>} Prisma string filter
+   */
+  async equalsIgnoreCase(column, value) {
+    return { equals: value, mode: 'insensitive' };
+  }
+
+  /**
+   * Condition excluding rows whose list column contains any of the values
+   * @param {string} field - List column
+   * @param {Array<string>} values - Values to exclude
+   * @returns {Object} Prisma where condition
+   */
+  excludesAny(field, values) {
+    return { NOT: { [field]: { hasSome: values } } };
+  }
+
   /**
    * Check if a pool already exists
    * @param {string} poolAddress - The pool address to check
@@ -48,26 +157,49 @@ export class DatabaseClient {
   async storePool(poolData) {
     try {
       const pool = await this.prisma.pool.create({
-        data: {
-          tokenA: poolData.tokenA,
-          tokenB: poolData.tokenB,
-          poolAddress: poolData.poolAddress,
-          source: poolData.source || 'Unknown',
-          signature: poolData.signature,
-          apy: poolData.apy || null,
-          tvl: poolData.tvl || null,
-          volume24h: poolData.volume24h || null
-        }
+        data: poolCreateData(poolData),
+        include: POOL_TOKENS
       });
 
-      console.log(`Pool stored in database: ${pool.poolAddress} (${pool.tokenA}/${pool.tokenB})`);
+      log.debug('Pool stored', { poolAddress: pool.poolAddress, tokenA: pool.tokenA, tokenB: pool.tokenB });
       return pool;
     } catch (error) {
-      console.error('Error storing pool:', error);
+      log.error('Error storing pool', { poolAddress: poolData.poolAddress, error });
       throw error;
     }
   }
 
+  /**
+   * Store a new pool and its creation event in one transaction. If another writer already
+   * stored a pool with the same address or signature, nothing is written and that pool is
+   * returned instead, so concurrent deliveries of one transaction cannot fail or leave a
+   * pool without its creation event.
+   * @param {Object} poolData - Pool information to store
+   * @param {Object} eventData - Creation event (eventType, signature, rawData); poolId is filled in
+   * @returns {Promise<{pool: Object, event: Object|null, created: boolean}>} Stored pool and event, or the known pool with created false
+   */
+  async storePoolWithEvent(poolData, eventData) {
+    try {
+      const { pool, event } = await this.prisma.$transaction(async (tx) => {
+        const pool = await tx.pool.create({ data: poolCreateData(poolData), include: POOL_TOKENS });
+        const event = await tx.poolEvent.create({ data: { ...eventData, poolId: pool.id } });
+        return { pool, event };
+      });
+
+      log.debug('Pool stored', { poolAddress: pool.poolAddress, tokenA: pool.tokenA, tokenB: pool.tokenB });
+      return { pool, event, created: true };
+    } catch (error) {
+      if (!isPoolConflict(error)) throw error;
+
+      const pool = await this.prisma.pool.findFirst({
+        where: { OR: [{ poolAddress: poolData.poolAddress }, { signature: poolData.signature }] },
+        include: POOL_TOKENS
+      });
+      if (!pool) throw error;
+      return { pool, event: null, created: false };
+    }
+  }
+
   /**
    * Store event data in the database
    * @param {Object} eventData - Event information to store
@@ -80,19 +212,116 @@ export class DatabaseClient {
           poolId: eventData.poolId,
           eventType: eventData.eventType || 'created',
           amount: eventData.amount || null,
-          signature: eventData.signature,
+          signature: eventData.signature || null,
           rawData: eventData.rawData || null
         }
       });
 
-      console.log(`Event stored in database: ${event.eventType} for pool ${event.poolId}`);
+      log.debug('Event stored', { eventType: event.eventType, poolId: event.poolId });
       return event;
     } catch (error) {
-      console.error('Error storing event:', error);
+      log.error('Error storing event', { eventType: eventData.eventType, poolId: eventData.poolId, error });
       throw error;
     }
   }
 
+  /**
+   * Store a swap or liquidity event unless the transaction was already recorded for the pool
+   * @param {Object} eventData - Event information to store
+   * @returns {Promise<Object|null>} Created event, or null if it already exists
+   */
+  async storeActivityEvent(eventData) {
+    try {
+      return await this.prisma.poolEvent.create({ data: eventData });
+    } catch (error) {
+      if (error.code === 'P2002') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Recompute a pool's volume24h from its swap events
+   * @param {number} poolId - Pool ID
+   * @returns {Promise<Object>} Updated pool record
+   */
+  async updatePoolVolume(poolId) {
+    const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    const { _sum } = await this.prisma.poolEvent.aggregate({
+      where: { poolId, eventType: 'swap', timestamp: { gte: since } },
+      _sum: { valueUsd: true }
+    });
+
+    return this.prisma.pool.update({
+      where: { id: poolId },
+      data: { volume24h: _sum.valueUsd ?? 0 },
+      include: POOL_TOKENS
+    });
+  }
+
+  /**
+   * Get stored pools by address
+   * @param {Array<string>} poolAddresses - Candidate pool addresses
+   * @returns {Promise<Array>} Pools that exist, with their tokens
+   */
+  async getPoolsByAddresses(poolAddresses) {
+    if (poolAddresses.length === 0) return [];
+    return this.prisma.pool.findMany({
+      where: { poolAddress: { in: poolAddresses } },
+      include: POOL_TOKENS
+    });
+  }
+
+  /**
+   * Get the pools created by the given transactions
+   * @param {Array<string>} signatures - Transaction signatures
+   * @returns {Promise<Array>} Pool records
+   */
+  async getPoolsBySignatures(signatures) {
+    if (signatures.length === 0) return [];
+    return this.prisma.pool.findMany({
+      where: { signature: { in: signatures } }
+    });
+  }
+
+  /**
+   * Insert or refresh token metadata
+   * @param {Array} tokens - Token data as returned by JupiterClient.getFullTokenData
+   * @returns {Promise<Array>} Upserted token records
+   */
+  async upsertTokens(tokens) {
+    return this.prisma.$transaction(tokens.map(token => {
+      const data = {
+        symbol: token.symbol,
+        name: token.name,
+        decimals: token.decimals,
+        verified: token.verified,
+        tags: token.tags,
+        logoURI: token.logoURI,
+        website: token.website,
+        twitter: token.twitter,
+        telegram: token.telegram,
+        holderCount: token.holderCount,
+        lastPrice: token.price
+      };
+      return this.prisma.token.upsert({
+        where: { mint: token.mintAddress },
+        create: { mint: token.mintAddress, ...data },
+        update: data
+      });
+    }));
+  }
+
+  /**
+   * Get token metadata for mints
+   * @param {string[]} mints - Token mint addresses
+   * @returns {Promise<Array>} Token records (unknown mints are omitted)
+   */
+  async getTokens(mints) {
+    return this.prisma.token.findMany({
+      where: { mint: { in: mints } }
+    });
+  }
+
   /**
    * Get all pools from the database
    * @param {number} limit - Maximum number of pools to return
@@ -100,11 +329,85 @@ export class DatabaseClient {
    */
   async getAllPools(limit = 100) {
     return this.prisma.pool.findMany({
+      include: POOL_TOKENS,
       take: limit,
       orderBy: { createdAt: 'desc' }
     });
   }
 
+  /**
+   * Query pools with filters, sorting and keyset pagination.
+   * Pagination uses (sort field, id) as the key, so pools inserted while a client
+   * is paging do not shift later pages. Sorting by a metric skips pools without it.
+   * @param {Object} options
+   * @param {string} options.source - Exact source, case-insensitive
+   * @param {string} options.token - Mint address or symbol of either token
+   * @param {number} options.minApy - Minimum APY
+   * @param {number} options.maxApy - Maximum APY
+   * @param {number} options.minTvl - Minimum TVL
+   * @param {number} options.maxRiskScore - Maximum risk score (unscored pools are excluded)
+   * @param {Array<string>} options.excludeRiskFlags - Skip pools with any of these risk flags
+   * @param {boolean} options.hasApy - Only pools with APY data
+   * @param {Date} options.createdAfter - Only pools created after this date
+   * @param {Date} options.createdBefore - Only pools created before this date
+   * @param {string} options.sort - "createdAt", "apy", "tvl", "volume24h" or "riskScore"
+   * @param {string} options.order - "asc" or "desc"
+   * @param {number} options.limit - Page size
+   * @param {Object} options.cursor - { value, id } of the last row of the previous page
+   * @returns {Promise<{pools: Array, nextCursor: Object|null}>} Page of pools and the position after it
+   */
+  async queryPools({
+    source, token, minApy, maxApy, minTvl, maxRiskScore, excludeRiskFlags, hasApy, createdAfter, createdBefore,
+    sort = 'createdAt', order = 'desc', limit = 50, cursor
+  } = {}) {
+    const conditions = [];
+
+    if (source) conditions.push({ source: await this.equalsIgnoreCase('source', source) });
+    if (token) {
+      const symbol = await this.equalsIgnoreCase('symbol', token);
+      conditions.push({
+        OR: [
+          { tokenA: token },
+          { tokenB: token },
+          { tokenAInfo: { symbol } },
+          { tokenBInfo: { symbol } }
+        ]
+      });
+    }
+    if (minApy !== undefined) conditions.push({ apy: { gte: minApy } });
+    if (maxApy !== undefined) conditions.push({ apy: { lte: maxApy } });
+    if (minTvl !== undefined) conditions.push({ tvl: { gte: minTvl } });
+    if (maxRiskScore !== undefined) conditions.push({ riskScore: { lte: maxRiskScore } });
+    if (excludeRiskFlags?.length > 0) conditions.push(this.excludesAny('riskFlags', excludeRiskFlags));
+    if (hasApy) conditions.push({ apy: { not: null } });
+    if (createdAfter) conditions.push({ createdAt: { gt: createdAfter } });
+    if (createdBefore) conditions.push({ createdAt: { lt: createdBefore } });
+    if (sort !== 'createdAt') conditions.push({ [sort]: { not: null } });
+
+    if (cursor) {
+      const op = order === 'desc' ? 'lt' : 'gt';
+      conditions.push({
+        OR: [
+          { [sort]: { [op]: cursor.value } },
+          { [sort]: cursor.value, id: { [op]: cursor.id } }
+        ]
+      });
+    }
+
+    const rows = await this.prisma.pool.findMany({
+      where: { AND: conditions },
+      include: POOL_TOKENS,
+      orderBy: [{ [sort]: order }, { id: order }],
+      take: limit + 1
+    });
+
+    const pools = rows.slice(0, limit);
+    const last = pools[pools.length - 1];
+    const nextCursor = rows.length > limit ? { sort, order, value: last[sort], id: last.id } : null;
+
+    return { pools, nextCursor };
+  }
+
   /**
    * Get pools with APY data
    * @param {number} limit - Maximum number of pools to return
@@ -115,6 +418,7 @@ export class DatabaseClient {
       where: {
         apy: { not: null }
       },
+      include: POOL_TOKENS,
       take: limit,
       orderBy: { apy: 'desc' }
     });
@@ -132,15 +436,516 @@ export class DatabaseClient {
         where: { poolAddress },
         data: {
           apy: apyData.apy,
-          tvl: apyData.tvl
-        }
+          tvl: apyData.tvl,
+          apyPoolId: apyData.poolId,
+          apyConfidence: apyData.matchConfidence
+        },
+        include: POOL_TOKENS
       });
 
-      console.log(`Pool APY updated: ${pool.poolAddress} - ${pool.apy}%`);
+      log.debug('Pool APY updated', { poolAddress: pool.poolAddress, apy: pool.apy });
       return pool;
     } catch (error) {
-      console.error('Error updating pool APY:', error);
+      log.error('Error updating pool APY', { poolAddress, error });
       throw error;
     }
   }
+
+  /**
+   * Store a pool's rug-risk score
+   * @param {string} poolAddress - The pool address to update
+   * @param {Object} risk - { score, level, flags } from RiskScorer.scorePool
+   * @returns {Promise<Object>} Updated pool record
+   */
+  async updatePoolRisk(poolAddress, risk) {
+    return this.prisma.pool.update({
+      where: { poolAddress },
+      data: {
+        riskScore: risk.score,
+        riskLevel: risk.level,
+        riskFlags: risk.flags,
+        riskCheckedAt: new Date()
+      },
+      include: POOL_TOKENS
+    });
+  }
+
+  /**
+   * Get a pool by its address
+   * @param {string} poolAddress - The pool address
+   * @returns {Promise<Object|null>} Pool record or null if not found
+   */
+  async getPoolByAddress(poolAddress) {
+    return this.prisma.pool.findUnique({
+      where: { poolAddress },
+      include: POOL_TOKENS
+    });
+  }
+
+  /**
+   * Get the most recent metric snapshot of a pool
+   * @param {number} poolId - Pool ID
+   * @returns {Promise<Object|null>} Latest snapshot or null if none exist
+   */
+  async getLatestMetricSnapshot(poolId) {
+    return this.prisma.poolMetricSnapshot.findFirst({
+      where: { poolId },
+      orderBy: [{ timestamp: 'desc' }, { id: 'desc' }]
+    });
+  }
+
+  /**
+   * Get a page of a pool's events, newest first
+   * @param {number} poolId - Pool ID
+   * @param {Object} options
+   * @param {string} options.eventType - Only events of this type
+   * @param {number} options.limit - Page size
+   * @param {number} options.beforeId - Only events with a lower ID (keyset cursor)
+   * @returns {Promise<{events: Array, nextBeforeId: number|null}>} Page of events and the cursor after it
+   */
+  async getPoolEvents(poolId, { eventType, limit = 50, beforeId } = {}) {
+    const rows = await this.prisma.poolEvent.findMany({
+      where: {
+        poolId,
+        ...(eventType && { eventType }),
+        ...(beforeId && { id: { lt: beforeId } })
+      },
+      orderBy: { id: 'desc' },
+      take: limit + 1
+    });
+
+    const events = rows.slice(0, limit);
+    const nextBeforeId = rows.length > limit ? events[events.length - 1].id : null;
+    return { events, nextBeforeId };
+  }
+
+  /**
+   * Get events across all pools after an event ID, oldest first (used to resume feeds)
+   * @param {number} afterId - Only events with a higher ID
+   * @param {number} limit - Maximum number of events to return
+   * @returns {Promise<Array>} Events with their pool and the pool's tokens
+   */
+  async getEventsSince(afterId, limit = 500) {
+    return this.prisma.poolEvent.findMany({
+      where: { id: { gt: afterId } },
+      include: { pool: { include: POOL_TOKENS } },
+      orderBy: { id: 'asc' },
+      take: limit
+    });
+  }
+
+  /**
+   * Get the ID of a pool's newest event, used to build cheap ETags
+   * @param {number} poolId - Pool ID
+   * @param {string} eventType - Optional event type filter
+   * @returns {Promise<number|null>} Newest event ID or null if there are none
+   */
+  async getLatestEventId(poolId, eventType) {
+    const event = await this.prisma.poolEvent.findFirst({
+      where: { poolId, ...(eventType && { eventType }) },
+      orderBy: { id: 'desc' },
+      select: { id: true }
+    });
+    return event?.id ?? null;
+  }
+
+  /**
+   * Get pools whose metrics should still be refreshed
+   * @param {Date} since - Only pools created after this date
+   * @returns {Promise<Array>} Array of pool records, oldest first
+   */
+  async getTrackedPools(since) {
+    return this.prisma.pool.findMany({
+      where: { createdAt: { gte: since } },
+      orderBy: { createdAt: 'asc' },
+      include: POOL_TOKENS
+    });
+  }
+
+  /**
+   * Store metric snapshots for pools
+   * @param {Array} snapshots - Snapshot records (poolId, timestamp, apy, tvl, ...)
+   * @returns {Promise<number>} Number of snapshots stored
+   */
+  async storeMetricSnapshots(snapshots) {
+    if (snapshots.length === 0) return 0;
+    const result = await this.prisma.poolMetricSnapshot.createMany({ data: snapshots });
+    return result.count;
+  }
+
+  /**
+   * Check whether DefiLlama chart history was already imported for a pool
+   * @param {number} poolId - Pool ID
+   * @returns {Promise<boolean>} True if chart snapshots exist
+   */
+  async hasChartSnapshots(poolId) {
+    const count = await this.prisma.poolMetricSnapshot.count({
+      where: { poolId, source: 'defillama_chart' }
+    });
+    return count > 0;
+  }
+
+  /**
+   * Get a pool's metrics averaged into time buckets
+   * @param {number} poolId - Pool ID
+   * @param {Date} from - Start of the range (inclusive)
+   * @param {Date} to - End of the range (exclusive)
+   * @param {string} interval - Bucket size: "hour", "day" or "week"
+   * @returns {Promise<Array>} Buckets with averaged apy, tvl, volume24h and prices
+   */
+  async getPoolHistory(poolId, from, to, interval) {
+    return this.prisma.$queryRaw`
+      SELECT date_trunc(${interval}, timestamp) AS bucket,
+             AVG(apy) AS apy,
+             AVG(tvl) AS tvl,
+             AVG("volume24h") AS "volume24h",
+             AVG("priceA") AS "priceA",
+             AVG("priceB") AS "priceB",
+             COUNT(*)::int AS samples
+      FROM pool_metric_snapshots
+      WHERE "poolId" = ${poolId} AND timestamp >= ${from} AND timestamp < ${to}
+      GROUP BY bucket
+      ORDER BY bucket`;
+  }
+
+  /**
+   * Roll snapshots up into a coarser resolution and delete the originals
+   * @param {string} fromResolution - Resolution to roll up (e.g. "raw")
+   * @param {string} toResolution - Resolution of the rolled-up rows (e.g. "hourly")
+   * @param {string} unit - date_trunc unit of the new buckets ("hour" or "day")
+   * @param {Date} before - Only snapshots older than this; must be aligned to `unit`
+   * @returns {Promise<number>} Number of snapshots removed
+   */
+  async downsampleMetricSnapshots(fromResolution, toResolution, unit, before) {
+    const [, deleted] = await this.prisma.$transaction([
+      this.prisma.$executeRaw`
+        INSERT INTO pool_metric_snapshots ("poolId", timestamp, apy, tvl, "volume24h", "priceA", "priceB", source, resolution)
+        SELECT "poolId", date_trunc(${unit}, timestamp), AVG(apy), AVG(tvl), AVG("volume24h"), AVG("priceA"), AVG("priceB"), 'rollup', ${toResolution}
+        FROM pool_metric_snapshots
+        WHERE resolution = ${fromResolution} AND timestamp < ${before}
+        GROUP BY 1, 2`,
+      this.prisma.poolMetricSnapshot.deleteMany({
+        where: { resolution: fromResolution, timestamp: { lt: before } }
+      })
+    ]);
+    return deleted.count;
+  }
+
+  /**
+   * Delete snapshots of a resolution older than a date
+   * @param {string} resolution - Snapshot resolution
+   * @param {Date} before - Cutoff date
+   * @returns {Promise<number>} Number of snapshots deleted
+   */
+  async deleteMetricSnapshots(resolution, before) {
+    const result = await this.prisma.poolMetricSnapshot.deleteMany({
+      where: { resolution, timestamp: { lt: before } }
+    });
+    return result.count;
+  }
+
+  /**
+   * Persist raw webhook transactions as pending ingestion jobs
+   * @param {Array} transactions - Transactions to enqueue
+   * @param {string|null} requestId - ID of the webhook request that delivered them, for log correlation
+   * @returns {Promise<number>} Number of jobs created
+   */
+  async enqueueWebhookJobs(transactions, requestId = null) {
+    const result = await this.prisma.webhookJob.createMany({
+      data: transactions.map(transaction => ({
+        signature: transaction.signature || null,
+        payload: JSON.stringify(transaction),
+        requestId
+      }))
+    });
+    return result.count;
+  }
+
+  /**
+   * Claim pending jobs for processing. SKIP LOCKED lets several workers
+   * (or several server instances) drain the queue without double-processing.
+   * @param {number} limit - Maximum number of jobs to claim
+   * @returns {Promise<Array>} Claimed job records
+   */
+  async claimWebhookJobs(limit = 1) {
+    return this.prisma.$queryRaw`
+      UPDATE webhook_jobs
+      SET status = 'processing', "lockedAt" = NOW(), attempts = attempts + 1, "updatedAt" = NOW()
+      WHERE id IN (
+        SELECT id FROM webhook_jobs
+        WHERE status = 'pending' AND "availableAt" <= NOW()
+        ORDER BY id
+        LIMIT ${limit}
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *`;
+  }
+
+  /**
+   * Remove a successfully processed job
+   * @param {number} jobId - Job ID
+   */
+  async completeWebhookJob(jobId) {
+    await this.prisma.webhookJob.delete({ where: { id: jobId } });
+  }
+
+  /**
+   * Put a failed job back in the queue
+   * @param {number} jobId - Job ID
+   * @param {string} error - Error message of the failed attempt
+   * @param {Date} availableAt - Earliest time of the next attempt
+   */
+  async retryWebhookJob(jobId, error, availableAt) {
+    await this.prisma.webhookJob.update({
+      where: { id: jobId },
+      data: { status: 'pending', lastError: error, lockedAt: null, availableAt }
+    });
+  }
+
+  /**
+   * Move a job that exhausted its attempts to the dead-letter table
+   * @param {Object} job - Job record
+   * @param {string} error - Error message of the last attempt
+   * @returns {Promise<Object>} Created dead-letter record
+   */
+  async deadLetterWebhookJob(job, error) {
+    const [deadLetter] = await this.prisma.$transaction([
+      this.prisma.deadLetter.create({
+        data: {
+          signature: job.signature,
+          payload: job.payload,
+          error,
+          attempts: job.attempts
+        }
+      }),
+      this.prisma.webhookJob.delete({ where: { id: job.id } })
+    ]);
+
+    log.warn('Job moved to dead letters', { jobId: job.id, attempts: job.attempts, error });
+    return deadLetter;
+  }
+
+  /**
+   * Return jobs left in "processing" by a crashed worker to the queue
+   * @param {number} olderThanMs - Lock age after which a job is considered abandoned
+   * @returns {Promise<number>} Number of released jobs
+   */
+  async releaseStaleWebhookJobs(olderThanMs) {
+    const result = await this.prisma.webhookJob.updateMany({
+      where: {
+        status: 'processing',
+        lockedAt: { lt: new Date(Date.now() - olderThanMs) }
+      },
+      data: { status: 'pending', lockedAt: null }
+    });
+    return result.count;
+  }
+
+  /**
+   * Return claimed jobs whose processing was interrupted by a shutdown to the queue.
+   * The interrupted attempt is not counted.
+   * @param {Array<number>} jobIds - Job IDs
+   * @returns {Promise<number>} Number of released jobs
+   */
+  async releaseWebhookJobs(jobIds) {
+    if (jobIds.length === 0) return 0;
+
+    const result = await this.prisma.webhookJob.updateMany({
+      where: { id: { in: jobIds }, status: 'processing' },
+      data: { status: 'pending', lockedAt: null, attempts: { decrement: 1 } }
+    });
+    return result.count;
+  }
+
+  /**
+   * Count jobs waiting in the queue
+   * @returns {Promise<number>} Number of pending and processing jobs
+   */
+  async countWebhookJobs() {
+    return this.prisma.webhookJob.count();
+  }
+
+  /**
+   * Get dead-lettered transactions
+   * @param {number} limit - Maximum number of records to return
+   * @param {boolean} includeReplayed - Include records that were already replayed
+   * @returns {Promise<Array>} Dead-letter records, newest first
+   */
+  async getDeadLetters(limit = 50, includeReplayed = false) {
+    return this.prisma.deadLetter.findMany({
+      where: includeReplayed ? {} : { replayedAt: null },
+      take: limit,
+      orderBy: { createdAt: 'desc' }
+    });
+  }
+
+  /**
+   * Re-enqueue a dead-lettered transaction and mark it as replayed
+   * @param {number} deadLetterId - Dead-letter ID
+   * @returns {Promise<Object|null>} New job record, or null if the dead letter does not exist
+   */
+  async replayDeadLetter(deadLetterId) {
+    const deadLetter = await this.prisma.deadLetter.findUnique({ where: { id: deadLetterId } });
+    if (!deadLetter) return null;
+
+    const [job] = await this.prisma.$transaction([
+      this.prisma.webhookJob.create({
+        data: { signature: deadLetter.signature, payload: deadLetter.payload }
+      }),
+      this.prisma.deadLetter.update({
+        where: { id: deadLetterId },
+        data: { replayedAt: new Date() }
+      })
+    ]);
+
+    log.info('Dead letter replayed', { deadLetterId, jobId: job.id });
+    return job;
+  }
+
+  /**
+   * Create an alert rule
+   * @param {Object} ruleData - Validated rule from parseAlertRule
+   * @returns {Promise<Object>} Created rule
+   */
+  async createAlertRule(ruleData) {
+    return this.prisma.alertRule.create({ data: ruleData });
+  }
+
+  /**
+   * Get alert rules
+   * @param {Object} filters
+   * @param {boolean} filters.enabled - Only rules with this enabled flag
+   * @returns {Promise<Array>} Rules, oldest first
+   */
+  async getAlertRules({ enabled } = {}) {
+    return this.prisma.alertRule.findMany({
+      where: enabled === undefined ? {} : { enabled },
+      orderBy: { id: 'asc' }
+    });
+  }
+
+  /**
+   * Get an alert rule by ID
+   * @param {number} ruleId - Rule ID
+   * @returns {Promise<Object|null>} Rule or null
+   */
+  async getAlertRule(ruleId) {
+    return this.prisma.alertRule.findUnique({ where: { id: ruleId } });
+  }
+
+  /**
+   * Update an alert rule
+   * @param {number} ruleId - Rule ID
+   * @param {Object} ruleData - Validated fields from parseAlertRule
+   * @returns {Promise<Object>} Updated rule
+   */
+  async updateAlertRule(ruleId, ruleData) {
+    return this.prisma.alertRule.update({ where: { id: ruleId }, data: ruleData });
+  }
+
+  /**
+   * Delete an alert rule and its delivery log
+   * @param {number} ruleId - Rule ID
+   * @returns {Promise<boolean>} False if the rule does not exist
+   */
+  async deleteAlertRule(ruleId) {
+    const result = await this.prisma.alertRule.deleteMany({ where: { id: ruleId } });
+    return result.count > 0;
+  }
+
+  /**
+   * Get the last successful alert a rule sent for a pool, ignoring test sends
+   * @param {number} ruleId - Rule ID
+   * @param {number} poolId - Pool ID
+   * @returns {Promise<Object|null>} Delivery or null
+   */
+  async getLastAlertDelivery(ruleId, poolId) {
+    return this.prisma.alertDelivery.findFirst({
+      where: { ruleId, poolId, status: 'sent', trigger: { not: 'test' } },
+      orderBy: { createdAt: 'desc' }
+    });
+  }
+
+  /**
+   * Record the outcome of an alert delivery
+   * @param {Object} deliveryData - Rule, pool, trigger, status, attempts, message and error
+   * @returns {Promise<Object>} Stored delivery
+   */
+  async recordAlertDelivery(deliveryData) {
+    return this.prisma.alertDelivery.create({ data: deliveryData });
+  }
+
+  /**
+   * Get a rule's most recent deliveries
+   * @param {number} ruleId - Rule ID
+   * @param {number} limit - Maximum number of deliveries
+   * @returns {Promise<Array>} Deliveries with their pool address, newest first
+   */
+  async getAlertDeliveries(ruleId, limit = 20) {
+    return this.prisma.alertDelivery.findMany({
+      where: { ruleId },
+      take: limit,
+      orderBy: { createdAt: 'desc' },
+      include: { pool: { select: { poolAddress: true } } }
+    });
+  }
+
+  /**
+   * Store a transaction that failed outside the ingestion queue as a dead letter
+   * @param {Object} deadLetterData - Signature, payload, error and attempts
+   * @returns {Promise<Object>} Created dead letter
+   */
+  async createDeadLetter(deadLetterData) {
+    return this.prisma.deadLetter.create({ data: deadLetterData });
+  }
+
+  /**
+   * Find which of the given transactions already created a pool
+   * @param {Array<string>} signatures - Transaction signatures
+   * @returns {Promise<Set<string>>} Signatures of stored pools
+   */
+  async getKnownPoolSignatures(signatures) {
+    if (signatures.length === 0) return new Set();
+    const pools = await this.prisma.pool.findMany({
+      where: { signature: { in: signatures } },
+      select: { signature: true }
+    });
+    return new Set(pools.map(pool => pool.signature));
+  }
+
+  /**
+   * Get the checkpoint of a backfill run
+   * @param {string} programId - Program being backfilled
+   * @param {string} since - Normalized lower bound of the run
+   * @returns {Promise<Object|null>} Checkpoint or null
+   */
+  async getBackfillCheckpoint(programId, since) {
+    return this.prisma.backfillCheckpoint.findUnique({
+      where: { programId_since: { programId, since } }
+    });
+  }
+
+  /**
+   * Create or update the checkpoint of a backfill run
+   * @param {string} programId - Program being backfilled
+   * @param {string} since - Normalized lower bound of the run
+   * @param {Object} progress - before, lastSlot, done and counters
+   * @returns {Promise<Object>} Saved checkpoint
+   */
+  async saveBackfillCheckpoint(programId, since, progress) {
+    return this.prisma.backfillCheckpoint.upsert({
+      where: { programId_since: { programId, since } },
+      create: { programId, since, ...progress },
+      update: progress
+    });
+  }
+
+  /**
+   * Delete the checkpoint of a backfill run so it starts over
+   * @param {string} programId - Program being backfilled
+   * @param {string} since - Normalized lower bound of the run
+   */
+  async deleteBackfillCheckpoint(programId, since) {
+    await this.prisma.backfillCheckpoint.deleteMany({ where: { programId, since } });
+  }
 }
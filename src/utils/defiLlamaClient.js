@@ -1,55 +1,132 @@
 /**
  * DefiLlama API client for fetching APY data
  */
-import { RetryHelper } from './retryHelper.js';
+import { RetryHelper, HttpError } from './retryHelper.js';
+import { RateLimiterRegistry } from './rateLimiter.js';
+import { CircuitBreakerRegistry } from './circuitBreaker.js';
+import { DefiLlamaSnapshot } from './defiLlamaSnapshot.js';
+import { Logger } from './logger.js';
+
+const log = Logger.default.child({ module: 'defiLlamaClient' });
+
+// Detected DEX source -> DefiLlama project slug prefix
+const SOURCE_PROJECT_PREFIXES = {
+  RAYDIUM: 'raydium',
+  ORCA: 'orca',
+  METEORA: 'meteora',
+  PUMP_AMM: 'pump'
+};
+
+// SOL, USDC and USDT
+export const QUOTE_MINTS = new Set([
+  'So11111111111111111111111111111111111111112',
+  'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v',
+  'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB'
+]);
 
 export class DefiLlamaClient {
-  constructor() {
-    this.baseUrl = 'https://yields.llama.fi';
+  /**
+   * @param {Object} options
+   * @param {string} options.baseUrl - API base URL, e.g. a local mock server
+   * @param {number} options.cacheTtlMs - How long the pool list snapshot is reused
+   * @param {number} options.timeoutMs - Timeout of each request attempt, including the body
+   * @param {TokenBucketLimiter} options.limiter - Limiter for DefiLlama requests (default: the shared "defillama" limiter)
+   * @param {CircuitBreaker} options.breaker - Breaker for DefiLlama (default: the shared "defillama" breaker)
+   * @param {Object} options.retry - Retry options of each request ({ maxAttempts, baseDelayMs, maxDelayMs })
+   */
+  constructor({
+    baseUrl = 'https://yields.llama.fi',
+    cacheTtlMs = 600000,
+    timeoutMs = 30000,
+    limiter = RateLimiterRegistry.default.get('defillama'),
+    breaker = CircuitBreakerRegistry.default.get('defillama'),
+    retry = {}
+  } = {}) {
+    this.baseUrl = baseUrl;
+    this.timeoutMs = timeoutMs;
+    this.limiter = limiter;
+    this.breaker = breaker;
+    this.retry = retry;
+    this.snapshot = new DefiLlamaSnapshot(() => this.fetchAllPools(), { ttlMs: cacheTtlMs });
   }
 
   /**
-   * Fetches all pools from DefiLlama API
+   * Downloads the full pool list from DefiLlama API (bypasses the snapshot cache)
    * @returns {Promise<Array>} Array of pool data
    */
-  async getAllPools() {
-    return RetryHelper.withBackoff(async () => {
+  async fetchAllPools() {
+    return RetryHelper.withBackoff(async (signal) => {
       const url = `${this.baseUrl}/pools`;
-      console.log(`Fetching pools from DefiLlama: ${url}`);
+      log.info('Fetching pools from DefiLlama', { url });
       
-      const response = await fetch(url);
+      const response = await this.limiter.request(url, { signal });
       if (!response.ok) {
-        throw new Error(`DefiLlama API error: ${response.status}`);
+        throw new HttpError(`DefiLlama API error: ${response.status}`, response.status);
       }
       
       const data = await response.json();
       return data.data || [];
-    });
+    }, { ...this.retry, timeoutMs: this.timeoutMs, breaker: this.breaker, limiter: this.limiter });
+  }
+
+  /**
+   * Gets all pools from the cached snapshot
+   * @returns {Promise<Array>} Array of pool data
+   */
+  async getAllPools() {
+    const snapshot = await this.snapshot.get();
+    return snapshot.pools;
+  }
+
+  /**
+   * Gets a pool by its DefiLlama ID from the snapshot index
+   * @param {string} poolId - The pool ID from DefiLlama
+   * @returns {Promise<Object|null>} Pool data or null if not found
+   */
+  async getPoolById(poolId) {
+    const snapshot = await this.snapshot.get();
+    return snapshot.byId.get(poolId) || null;
   }
 
   /**
-   * Searches for pools matching the given criteria
+   * Gets pools on a chain from the snapshot index
+   * @param {string} chain - The blockchain (e.g. 'Solana')
+   * @returns {Promise<Array>} Array of pool data
+   */
+  async getPoolsByChain(chain) {
+    const snapshot = await this.snapshot.get();
+    return snapshot.byChain.get(chain) || [];
+  }
+
+  /**
+   * Gets pools of a project from the snapshot index
+   * @param {string} project - DefiLlama project slug (e.g. 'raydium-amm')
+   * @returns {Promise<Array>} Array of pool data
+   */
+  async getPoolsByProject(project) {
+    const snapshot = await this.snapshot.get();
+    return snapshot.byProject.get(project) || [];
+  }
+
+  /**
+   * Gets pools whose underlying tokens include a mint, from the snapshot index
+   * @param {string} mintAddress - The token mint address
+   * @returns {Promise<Array>} Array of pool data
+   */
+  async getPoolsByToken(mintAddress) {
+    const snapshot = await this.snapshot.get();
+    return snapshot.byToken.get(mintAddress) || [];
+  }
+
+  /**
+   * Searches for pools whose underlying tokens contain the mint
    * @param {string} mintAddress - The token mint address to search for
    * @param {string} chain - The blockchain (default: 'Solana')
    * @returns {Promise<Array>} Array of matching pools
    */
   async searchPools(mintAddress, chain = 'Solana') {
-    const pools = await this.getAllPools();
-    
-    return pools.filter(pool => {
-      // Check if the pool is on the specified chain
-      if (pool.chain !== chain) return false;
-      
-      // Check if the mint address appears in the pool data
-      const poolKey = pool.pool?.toLowerCase() || '';
-      const symbol = pool.symbol?.toLowerCase() || '';
-      const project = pool.project?.toLowerCase() || '';
-      const mintLower = mintAddress.toLowerCase();
-      
-      return poolKey.includes(mintLower) || 
-             symbol.includes(mintLower) || 
-             project.includes(mintLower);
-    });
+    const pools = await this.getPoolsByToken(mintAddress);
+    return pools.filter(pool => pool.chain === chain);
   }
 
   /**
@@ -58,18 +135,18 @@ export class DefiLlamaClient {
    * @returns {Promise<Object>} Pool data with APY information
    */
   async getPoolData(poolId) {
-    return RetryHelper.withBackoff(async () => {
+    return RetryHelper.withBackoff(async (signal) => {
       const url = `${this.baseUrl}/chart/${poolId}`;
-      console.log(`Fetching pool data from DefiLlama: ${url}`);
+      log.debug('Fetching pool data from DefiLlama', { url });
       
-      const response = await fetch(url);
+      const response = await this.limiter.request(url, { signal });
       if (!response.ok) {
-        throw new Error(`DefiLlama API error for pool ${poolId}: ${response.status}`);
+        throw new HttpError(`DefiLlama API error for pool ${poolId}: ${response.status}`, response.status);
       }
       
       const data = await response.json();
       return data;
-    });
+    }, { ...this.retry, timeoutMs: this.timeoutMs, breaker: this.breaker, limiter: this.limiter });
   }
 
   /**
@@ -80,41 +157,130 @@ export class DefiLlamaClient {
    */
   async getBestApyForMint(mintAddress, chain = 'Solana') {
     try {
-      console.log(`Searching for APY data for mint: ${mintAddress}`);
+      log.debug('Searching for APY data for mint', { mint: mintAddress });
       
       const matchingPools = await this.searchPools(mintAddress, chain);
       
       if (matchingPools.length === 0) {
-        console.log(`No pools found for mint address: ${mintAddress}`);
+        log.info('No DefiLlama pools found for mint', { mint: mintAddress });
         return null;
       }
       
-      console.log(`Found ${matchingPools.length} matching pools for ${mintAddress}`);
+      log.debug('Found matching DefiLlama pools for mint', { mint: mintAddress, count: matchingPools.length });
+      return DefiLlamaClient.formatApyResult(DefiLlamaClient.pickBestPool(matchingPools), 'single_token');
+    } catch (error) {
+      log.error('Error fetching APY for mint', { mint: mintAddress, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Gets current APY data for a previously matched DefiLlama pool
+   * @param {string} poolId - The pool ID from DefiLlama
+   * @param {string} matchConfidence - Confidence of the original match
+   * @returns {Promise<Object|null>} APY data or null if the pool is no longer listed
+   */
+  async getApyForPoolId(poolId, matchConfidence) {
+    const pool = await this.getPoolById(poolId);
+    return pool ? DefiLlamaClient.formatApyResult(pool, matchConfidence) : null;
+  }
+
+  /**
+   * Gets APY data for a token pair, trying progressively weaker matches:
+   * both underlying tokens, then the non-quote token alone, then the pool symbol
+   * @param {Object} pair
+   * @param {string} pair.tokenA - First token mint
+   * @param {string} pair.tokenB - Second token mint
+   * @param {string} pair.source - Detected DEX source (e.g. "RAYDIUM"), preferred as project
+   * @param {string} pair.symbolA - Optional tokenA symbol for the symbol fallback
+   * @param {string} pair.symbolB - Optional tokenB symbol for the symbol fallback
+   * @param {string} chain - The blockchain (default: 'Solana')
+   * @returns {Promise<Object|null>} APY data with matchConfidence, or null if nothing matched
+   */
+  async getBestApyForPair({ tokenA, tokenB, source, symbolA, symbolB }, chain = 'Solana') {
+    try {
+      log.debug('Searching for APY data for pair', { tokenA, tokenB });
       
-      // Sort by APY and get the highest
-      const bestPool = matchingPools.reduce((best, current) => {
-        const currentApy = current.apy || 0;
-        const bestApy = best?.apy || 0;
-        return currentApy > bestApy ? current : best;
-      }, null);
+      const poolsA = await this.searchPools(tokenA, chain);
+      const poolsB = await this.searchPools(tokenB, chain);
       
-      if (bestPool) {
-        console.log(`Best APY found: ${bestPool.apy}% for ${bestPool.symbol} on ${bestPool.project}`);
-        return {
-          apy: bestPool.apy,
-          symbol: bestPool.symbol,
-          project: bestPool.project,
-          chain: bestPool.chain,
-          poolId: bestPool.pool,
-          tvl: bestPool.tvlUsd,
-          url: `https://defillama.com/yields/pool/${bestPool.pool}`
-        };
+      const exactPair = poolsA.filter(pool => poolsB.includes(pool));
+      if (exactPair.length > 0) {
+        return this.pickForSource(exactPair, source, 'exact_pair');
       }
       
+      // Quote tokens appear in thousands of unrelated pools, so only the other side is meaningful
+      const singleToken = [
+        ...(QUOTE_MINTS.has(tokenA) ? [] : poolsA),
+        ...(QUOTE_MINTS.has(tokenB) ? [] : poolsB)
+      ];
+      if (singleToken.length > 0) {
+        return this.pickForSource(singleToken, source, 'single_token');
+      }
+      
+      if (symbolA && symbolB) {
+        const wanted = [symbolA, symbolB].map(symbol => symbol.toUpperCase()).sort().join('-');
+        const symbolMatches = (await this.getPoolsByChain(chain)).filter(pool =>
+          (pool.symbol || '').toUpperCase().split('-').sort().join('-') === wanted
+        );
+        if (symbolMatches.length > 0) {
+          return this.pickForSource(symbolMatches, source, 'symbol_fallback');
+        }
+      }
+      
+      log.info('No DefiLlama pools found for pair', { tokenA, tokenB });
       return null;
     } catch (error) {
-      console.error(`Error fetching APY for mint ${mintAddress}:`, error);
+      log.error('Error fetching APY for pair', { tokenA, tokenB, error });
       throw error;
     }
   }
+
+  /**
+   * Pick the best candidate, preferring pools of the same project as the detected source
+   * @param {Array} pools - Candidate DefiLlama pools
+   * @param {string} source - Detected DEX source
+   * @param {string} matchConfidence - Confidence label for the result
+   * @returns {Object} Formatted APY data
+   */
+  pickForSource(pools, source, matchConfidence) {
+    const prefix = SOURCE_PROJECT_PREFIXES[source?.toUpperCase()];
+    const sameProject = prefix ? pools.filter(pool => pool.project?.startsWith(prefix)) : [];
+    const bestPool = DefiLlamaClient.pickBestPool(sameProject.length > 0 ? sameProject : pools);
+    
+    log.info('APY match', { matchConfidence, apy: bestPool.apy, symbol: bestPool.symbol, project: bestPool.project });
+    return DefiLlamaClient.formatApyResult(bestPool, matchConfidence);
+  }
+
+  /**
+   * Choose the pool with the highest TVL. Tiny pools routinely report absurd APYs,
+   * so TVL is a better signal of the representative pool than APY itself.
+   * @param {Array} pools - Candidate DefiLlama pools
+   * @returns {Object} Selected pool
+   */
+  static pickBestPool(pools) {
+    return pools.reduce((best, current) =>
+      (current.tvlUsd || 0) > (best.tvlUsd || 0) ? current : best
+    );
+  }
+
+  /**
+   * Shape a DefiLlama pool into the APY result returned to callers
+   * @param {Object} pool - DefiLlama pool
+   * @param {string} matchConfidence - "exact_pair", "single_token" or "symbol_fallback"
+   * @returns {Object} APY data
+   */
+  static formatApyResult(pool, matchConfidence) {
+    return {
+      apy: pool.apy,
+      symbol: pool.symbol,
+      project: pool.project,
+      chain: pool.chain,
+      poolId: pool.pool,
+      tvl: pool.tvlUsd,
+      volume24h: pool.volumeUsd1d ?? null,
+      url: `https://defillama.com/yields/pool/${pool.pool}`,
+      matchConfidence
+    };
+  }
 }
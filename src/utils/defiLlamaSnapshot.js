@@ -0,0 +1,145 @@
+/**
+ * Cached, indexed snapshot of the DefiLlama /pools dataset
+ */
+import { Logger } from './logger.js';
+import { MetricsRegistry } from './metrics.js';
+
+const log = Logger.default.child({ module: 'defiLlamaSnapshot' });
+
+const snapshotAge = MetricsRegistry.default.gauge({
+  name: 'wildnet_defillama_snapshot_age_seconds',
+  help: 'Seconds since the DefiLlama pool snapshot was fetched (absent until one is loaded)'
+});
+
+export class DefiLlamaSnapshot {
+  /**
+   * @param {Function} fetchPools - Async function returning the full pool list
+   * @param {Object} options
+   * @param {number} options.ttlMs - Age after which the snapshot is refreshed
+   */
+  constructor(fetchPools, { ttlMs = 10 * 60 * 1000 } = {}) {
+    this.fetchPools = fetchPools;
+    this.ttlMs = ttlMs;
+    this.snapshot = null;
+    this.refreshing = null;
+    this.timer = null;
+    this.lastError = null;
+    snapshotAge.setCollector((gauge) => {
+      if (this.snapshot) gauge.set({}, (Date.now() - this.snapshot.fetchedAt) / 1000);
+    });
+  }
+
+  /**
+   * Build lookup indexes for a pool list
+   * @param {Array} pools - Pools from DefiLlama
+   * @returns {Object} Snapshot with pools, fetch time and indexes
+   */
+  static buildSnapshot(pools) {
+    const byId = new Map();
+    const byChain = new Map();
+    const byProject = new Map();
+    const byToken = new Map();
+
+    const add = (index, key, pool) => {
+      if (!key) return;
+      if (!index.has(key)) index.set(key, []);
+      index.get(key).push(pool);
+    };
+
+    for (const pool of pools) {
+      byId.set(pool.pool, pool);
+      add(byChain, pool.chain, pool);
+      add(byProject, pool.project, pool);
+      for (const token of new Set(pool.underlyingTokens || [])) {
+        add(byToken, token, pool);
+      }
+    }
+
+    return { pools, fetchedAt: Date.now(), byId, byChain, byProject, byToken };
+  }
+
+  /**
+   * Get the current snapshot. The first call waits for a download; afterwards a
+   * stale snapshot is returned immediately while a refresh runs in the background.
+   * @returns {Promise<Object>} Snapshot
+   * @throws {Error} If no snapshot has ever been loaded and the download fails
+   */
+  async get() {
+    if (!this.snapshot) {
+      return this.refresh();
+    }
+
+    if (this.getAgeMs() > this.ttlMs) {
+      this.refresh().catch(() => {});
+    }
+    return this.snapshot;
+  }
+
+  /**
+   * Download a new snapshot. Concurrent callers share the same download.
+   * @returns {Promise<Object>} Fresh snapshot
+   */
+  refresh() {
+    if (!this.refreshing) {
+      this.refreshing = (async () => {
+        try {
+          const pools = await this.fetchPools();
+          this.snapshot = DefiLlamaSnapshot.buildSnapshot(pools);
+          this.lastError = null;
+          log.info('DefiLlama snapshot refreshed', { pools: pools.length });
+          return this.snapshot;
+        } catch (error) {
+          this.lastError = error;
+          if (this.snapshot) {
+            log.warn('DefiLlama refresh failed, serving the previous snapshot', { ageSeconds: Math.round(this.getAgeMs() / 1000), error });
+          }
+          throw error;
+        } finally {
+          this.refreshing = null;
+        }
+      })();
+    }
+    return this.refreshing;
+  }
+
+  /**
+   * Refresh the snapshot on a timer so lookups rarely see stale data
+   */
+  start() {
+    if (this.timer) return;
+    this.refresh().catch(error => log.warn('Initial DefiLlama snapshot failed', { error }));
+    this.timer = setInterval(() => this.refresh().catch(() => {}), this.ttlMs);
+    this.timer.unref();
+  }
+
+  /**
+   * Stop the background refresh timer
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Age of the current snapshot
+   * @returns {number|null} Milliseconds since the snapshot was fetched, or null if none is loaded
+   */
+  getAgeMs() {
+    return this.snapshot ? Date.now() - this.snapshot.fetchedAt : null;
+  }
+
+  /**
+   * Snapshot status for health and metrics reporting
+   * @returns {Object} Age, pool count and last refresh error
+   */
+  getStats() {
+    const ageMs = this.getAgeMs();
+    return {
+      loaded: !!this.snapshot,
+      ageSeconds: ageMs === null ? null : Math.round(ageMs / 1000),
+      stale: ageMs === null || ageMs > this.ttlMs,
+      pools: this.snapshot?.pools.length || 0,
+      lastError: this.lastError?.message || null
+    };
+  }
+}
@@ -0,0 +1,135 @@
+/**
+ * Liveness and readiness checks. Readiness reports every component as "ok", "degraded"
+ * (the pipeline keeps working with less data, e.g. an upstream API is down) or "down"
+ * (requests cannot be served), with the reason. The server is ready while no component
+ * is down and it is not draining for shutdown.
+ */
+import { RetryHelper } from './retryHelper.js';
+
+export class HealthMonitor {
+  /**
+   * @param {Object} components
+   * @param {DatabaseClient} components.databaseClient - Storage backend, checked with ping()
+   * @param {IngestionQueue} components.ingestionQueue - Queue, for the age of the last processed webhook
+   * @param {DefiLlamaClient} components.defiLlamaClient - Client, for the age of its pool snapshot
+   * @param {CircuitBreakerRegistry} components.circuitBreakers - Upstream breakers
+   * @param {Object} options
+   * @param {number} options.dbTimeoutMs - Timeout of the database check
+   * @param {number} options.maxWebhookAgeSeconds - Older last processed webhook is reported as degraded
+   * @param {number} options.maxSnapshotAgeSeconds - Older DefiLlama snapshot is reported as degraded
+   */
+  constructor({ databaseClient, ingestionQueue, defiLlamaClient, circuitBreakers }, {
+    dbTimeoutMs = 2000,
+    maxWebhookAgeSeconds = 900,
+    maxSnapshotAgeSeconds = 3600
+  } = {}) {
+    this.databaseClient = databaseClient;
+    this.ingestionQueue = ingestionQueue;
+    this.defiLlamaClient = defiLlamaClient;
+    this.circuitBreakers = circuitBreakers;
+    this.dbTimeoutMs = dbTimeoutMs;
+    this.maxWebhookAgeSeconds = maxWebhookAgeSeconds;
+    this.maxSnapshotAgeSeconds = maxSnapshotAgeSeconds;
+    this.startedAt = Date.now();
+    this.draining = false;
+  }
+
+  /**
+   * Report not ready from now on, so load balancers stop sending traffic before shutdown
+   */
+  startDraining() {
+    this.draining = true;
+  }
+
+  /**
+   * Liveness: the process is up and its event loop answers
+   * @returns {Object} { status, uptimeSeconds }
+   */
+  liveness() {
+    return { status: 'ok', uptimeSeconds: Math.round((Date.now() - this.startedAt) / 1000) };
+  }
+
+  /**
+   * Check the database with a timed query
+   * @returns {Promise<Object>} { status, latencyMs, reason }
+   */
+  async checkDatabase() {
+    const start = Date.now();
+    try {
+      await RetryHelper.withTimeout(() => this.databaseClient.ping(), this.dbTimeoutMs);
+      return { status: 'ok', latencyMs: Date.now() - start };
+    } catch (error) {
+      return { status: 'down', latencyMs: Date.now() - start, reason: `Database check failed: ${error.message}` };
+    }
+  }
+
+  /**
+   * Check each upstream through its circuit breaker
+   * @returns {Object} { [upstream]: { status, state, reason } }
+   */
+  checkUpstreams() {
+    return Object.fromEntries(Object.entries(this.circuitBreakers.stats()).map(([name, breaker]) => {
+      if (breaker.state === 'closed') return [name, { status: 'ok', state: breaker.state }];
+      const reason = breaker.state === 'open'
+        ? `Circuit open after ${breaker.failures} failure(s), next probe in ${Math.ceil(breaker.retryInMs / 1000)}s: ${breaker.lastError}`
+        : `Circuit half-open, probing after: ${breaker.lastError}`;
+      return [name, { status: 'degraded', state: breaker.state, reason }];
+    }));
+  }
+
+  /**
+   * Check how long ago the queue last finished a webhook transaction
+   * @returns {Object} { status, lastProcessedAt, ageSeconds, reason }
+   */
+  checkWebhooks() {
+    const lastProcessedAt = this.ingestionQueue.lastProcessedAt;
+    const ageSeconds = Math.round((Date.now() - (lastProcessedAt ?? this.startedAt)) / 1000);
+    const check = { status: 'ok', lastProcessedAt: lastProcessedAt ? new Date(lastProcessedAt).toISOString() : null, ageSeconds };
+
+    if (ageSeconds > this.maxWebhookAgeSeconds) {
+      check.status = 'degraded';
+      check.reason = lastProcessedAt
+        ? `No webhook transaction processed for ${ageSeconds}s`
+        : `No webhook transaction processed since startup ${ageSeconds}s ago`;
+    }
+    return check;
+  }
+
+  /**
+   * Check the age of the DefiLlama pool snapshot used for APY matching
+   * @returns {Object} { status, ageSeconds, reason }
+   */
+  checkDefiLlama() {
+    const { loaded, ageSeconds, lastError } = this.defiLlamaClient.snapshot.getStats();
+    const lastErrorInfo = lastError ? ` (last error: ${lastError})` : '';
+
+    if (!loaded) {
+      return { status: 'degraded', ageSeconds, reason: `No DefiLlama snapshot loaded yet${lastErrorInfo}` };
+    }
+    if (ageSeconds > this.maxSnapshotAgeSeconds) {
+      return { status: 'degraded', ageSeconds, reason: `DefiLlama snapshot is ${ageSeconds}s old${lastErrorInfo}` };
+    }
+    return { status: 'ok', ageSeconds };
+  }
+
+  /**
+   * Readiness: every component's status and the overall result
+   * @returns {Promise<Object>} { status, ready, draining, components }; status is "ok", "degraded", "down" or "draining"
+   */
+  async readiness() {
+    const components = {
+      database: await this.checkDatabase(),
+      webhooks: this.checkWebhooks(),
+      defillamaSnapshot: this.checkDefiLlama(),
+      ...Object.fromEntries(Object.entries(this.checkUpstreams()).map(([name, check]) => [`upstream:${name}`, check]))
+    };
+
+    const statuses = Object.values(components).map(component => component.status);
+    let status = 'ok';
+    if (statuses.includes('degraded')) status = 'degraded';
+    if (statuses.includes('down')) status = 'down';
+    if (this.draining) status = 'draining';
+
+    return { status, ready: status === 'ok' || status === 'degraded', draining: this.draining, components };
+  }
+}
@@ -0,0 +1,231 @@
+/**
+ * Durable ingestion queue: webhook transactions are persisted first and
+ * processed by a pool of workers, with retries and a dead-letter table
+ */
+import { MetricsRegistry } from './metrics.js';
+import { Logger, withLogContext } from './logger.js';
+import { toWebhookTransaction } from './solanaRpc.js';
+
+const log = Logger.default.child({ module: 'ingestionQueue' });
+
+const queueDepth = MetricsRegistry.default.gauge({
+  name: 'wildnet_ingest_queue_depth',
+  help: 'Jobs in the ingestion queue (pending, processing or waiting for a retry)'
+});
+const jobsTotal = MetricsRegistry.default.counter({
+  name: 'wildnet_ingest_jobs_total',
+  help: 'Ingestion jobs finished, by result (completed, retried, dead_lettered)',
+  labelNames: ['result']
+});
+export class IngestionQueue {
+  /**
+   * @param {DatabaseClient} databaseClient - Database client holding the queue tables
+   * @param {WebhookHandler} webhookHandler - Handler that processes a single transaction
+   * @param {Object} options
+   * @param {number} options.concurrency - Number of parallel workers
+   * @param {number} options.maxAttempts - Attempts before a job is dead-lettered
+   * @param {number} options.pollIntervalMs - Idle wait between queue polls
+   * @param {number} options.staleLockMs - Lock age after which a "processing" job is released
+   * @param {SolanaRpcClient|null} options.rpcClient - Fetches transactions the backfill dead-lettered without one
+   */
+  constructor(databaseClient, webhookHandler, {
+    concurrency = 2,
+    maxAttempts = 5,
+    pollIntervalMs = 1000,
+    staleLockMs = 5 * 60 * 1000,
+    rpcClient = null
+  } = {}) {
+    this.databaseClient = databaseClient;
+    this.webhookHandler = webhookHandler;
+    this.rpcClient = rpcClient;
+    this.concurrency = concurrency;
+    this.maxAttempts = maxAttempts;
+    this.pollIntervalMs = pollIntervalMs;
+    this.staleLockMs = staleLockMs;
+    this.running = false;
+    this.workers = [];
+    this.wakeups = new Set();
+    // Claimed jobs being processed, by ID; released back to the queue if shutdown cannot wait for them
+    this.inFlight = new Map();
+    // When a worker last finished a transaction, for readiness checks
+    this.lastProcessedAt = null;
+    queueDepth.setCollector(async (gauge) => gauge.set({}, await this.databaseClient.countWebhookJobs()));
+  }
+
+  /**
+   * Persist transactions and wake idle workers
+   * @param {Array} transactions - Transactions from the webhook payload
+   * @param {string|null} requestId - ID of the webhook request, logged again when each job is processed
+   * @returns {Promise<number>} Number of jobs created
+   */
+  async enqueue(transactions, requestId = null) {
+    if (transactions.length === 0) return 0;
+
+    const count = await this.databaseClient.enqueueWebhookJobs(transactions, requestId);
+    log.info('Enqueued transactions for processing', { count });
+    this.wake();
+    return count;
+  }
+
+  /**
+   * Start the worker pool
+   */
+  async start() {
+    if (this.running) return;
+    this.running = true;
+
+    const released = await this.databaseClient.releaseStaleWebhookJobs(this.staleLockMs);
+    if (released > 0) {
+      log.warn('Released abandoned jobs back to the queue', { released });
+    }
+
+    this.workers = Array.from({ length: this.concurrency }, (_, index) => this.runWorker(index));
+    log.info('Ingestion queue started', { workers: this.concurrency });
+  }
+
+  /**
+   * Stop claiming new jobs and wait for in-flight jobs to finish. Jobs still running
+   * after timeoutMs are released back to the queue without counting the interrupted
+   * attempt, so the next start processes them again.
+   * @param {number|null} timeoutMs - Time to wait for in-flight jobs, or null to wait for them all
+   * @returns {Promise<number>} Number of jobs released unfinished
+   */
+  async stop(timeoutMs = null) {
+    this.running = false;
+    this.wake();
+
+    let timer;
+    const finished = Promise.all(this.workers).then(() => true);
+    const deadline = new Promise(resolve => {
+      if (timeoutMs !== null) timer = setTimeout(() => resolve(false), timeoutMs);
+    });
+    const drained = await Promise.race([finished, deadline]);
+    clearTimeout(timer);
+
+    let released = 0;
+    if (!drained) {
+      const jobIds = [...this.inFlight.keys()];
+      try {
+        released = await this.databaseClient.releaseWebhookJobs(jobIds);
+        log.warn('Ingestion queue stopped before its jobs finished, released them', { timeoutMs, released });
+      } catch (error) {
+        // They stay locked and are released by releaseStaleWebhookJobs on a later start
+        log.error('Failed to release unfinished jobs', { jobIds, error });
+      }
+    } else {
+      log.info('Ingestion queue stopped');
+    }
+    this.workers = [];
+    return released;
+  }
+
+  /**
+   * Worker loop: claim one job at a time until stopped
+   * @param {number} index - Worker number, for logging
+   */
+  async runWorker(index) {
+    while (this.running) {
+      let jobs = [];
+      try {
+        jobs = await this.databaseClient.claimWebhookJobs(1);
+      } catch (error) {
+        log.error('Failed to claim jobs', { worker: index, error });
+      }
+
+      if (jobs.length === 0) {
+        await this.idle();
+        continue;
+      }
+
+      await this.processJob(jobs[0]);
+    }
+  }
+
+  /**
+   * Process a claimed job, retrying or dead-lettering it on failure. Its log lines carry
+   * the job ID and the ID of the webhook request that delivered it.
+   * @param {Object} job - Claimed job record
+   */
+  processJob(job) {
+    return withLogContext({ requestId: job.requestId ?? undefined, jobId: job.id, signature: job.signature ?? undefined }, async () => {
+      this.inFlight.set(job.id, job);
+      try {
+        let transaction = JSON.parse(job.payload);
+        if (transaction.refetch) {
+          transaction = await this.refetchTransaction(transaction.signature);
+        }
+        await this.webhookHandler.processTransaction(transaction);
+        await this.databaseClient.completeWebhookJob(job.id);
+        jobsTotal.inc({ result: 'completed' });
+        this.lastProcessedAt = Date.now();
+      } catch (error) {
+        log.warn('Job failed', { attempt: job.attempts, error });
+
+        try {
+          if (job.attempts >= this.maxAttempts) {
+            await this.databaseClient.deadLetterWebhookJob(job, error.message);
+            jobsTotal.inc({ result: 'dead_lettered' });
+          } else {
+            await this.databaseClient.retryWebhookJob(job.id, error.message, this.nextAttemptAt(job.attempts));
+            jobsTotal.inc({ result: 'retried' });
+          }
+        } catch (dbError) {
+          // The job stays locked and is released by releaseStaleWebhookJobs on the next start
+          log.error('Failed to record job failure', { error: dbError });
+        }
+      } finally {
+        this.inFlight.delete(job.id);
+      }
+    });
+  }
+
+  /**
+   * Fetch a transaction that was queued by signature only
+   * @param {string} signature - Transaction signature
+   * @returns {Promise<Object>} Transaction in the webhook shape
+   * @throws {Error} If there is no RPC client or the node does not return the transaction,
+   *   so the job is retried and dead-lettered again rather than completed without it
+   */
+  async refetchTransaction(signature) {
+    if (!this.rpcClient) {
+      throw new Error('Transaction must be fetched over RPC but no RPC client is configured');
+    }
+    const rpcTransaction = await this.rpcClient.getTransaction(signature);
+    if (!rpcTransaction) {
+      throw new Error('Transaction not available from the RPC node');
+    }
+    return toWebhookTransaction(rpcTransaction, this.webhookHandler.decoderRegistry);
+  }
+
+  /**
+   * Exponential backoff for the next attempt
+   * @param {number} attempts - Attempts made so far
+   * @returns {Date} Earliest time of the next attempt
+   */
+  nextAttemptAt(attempts) {
+    const delay = Math.min(Math.pow(2, attempts) * 1000, 5 * 60 * 1000);
+    return new Date(Date.now() + delay);
+  }
+
+  /**
+   * Wait for the poll interval or until woken by enqueue/stop
+   */
+  idle() {
+    return new Promise(resolve => {
+      const wakeup = () => {
+        clearTimeout(timer);
+        this.wakeups.delete(wakeup);
+        resolve();
+      };
+      const timer = setTimeout(wakeup, this.pollIntervalMs);
+      this.wakeups.add(wakeup);
+    });
+  }
+
+  /**
+   * Wake all idle workers
+   */
+  wake() {
+    [...this.wakeups].forEach(wakeup => wakeup());
+  }
+}
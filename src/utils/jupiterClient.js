@@ -1,11 +1,66 @@
 /**
  * Jupiter API client for token data
  */
-import { RetryHelper } from './retryHelper.js';
+import { RetryHelper, HttpError } from './retryHelper.js';
+import { RateLimiterRegistry } from './rateLimiter.js';
+import { CircuitBreakerRegistry } from './circuitBreaker.js';
+import { Logger } from './logger.js';
+
+const log = Logger.default.child({ module: 'jupiterClient' });
 
 export class JupiterClient {
-  constructor() {
-    this.baseUrl = 'https://lite-api.jup.ag';
+  /**
+   * @param {Object} options
+   * @param {string} options.baseUrl - API base URL, e.g. a local mock server
+   * @param {number} options.cacheTtlMs - How long token data is cached
+   * @param {number} options.timeoutMs - Timeout of each request attempt
+   * @param {number} options.batchSize - Mints per search request (Jupiter accepts up to 100)
+   * @param {TokenBucketLimiter} options.limiter - Limiter for Jupiter requests (default: the shared "jupiter" limiter)
+   * @param {CircuitBreaker} options.breaker - Breaker for Jupiter (default: the shared "jupiter" breaker)
+   * @param {Object} options.retry - Retry options of each request ({ maxAttempts, baseDelayMs, maxDelayMs })
+   */
+  constructor({
+    baseUrl = 'https://lite-api.jup.ag',
+    cacheTtlMs = 300000,
+    timeoutMs = 10000,
+    batchSize = 100,
+    limiter = RateLimiterRegistry.default.get('jupiter'),
+    breaker = CircuitBreakerRegistry.default.get('jupiter'),
+    retry = {}
+  } = {}) {
+    this.baseUrl = baseUrl;
+    this.cacheTtlMs = cacheTtlMs;
+    this.timeoutMs = timeoutMs;
+    this.batchSize = batchSize;
+    this.limiter = limiter;
+    this.breaker = breaker;
+    this.retry = retry;
+    // mint -> { value, expiresAt }; misses are cached as null too
+    this.cache = new Map();
+  }
+
+  /**
+   * Read a token from the cache
+   * @param {string} mintAddress - The token mint address
+   * @returns {Object|null|undefined} Cached token info, null for a cached miss, undefined if not cached
+   */
+  getCached(mintAddress) {
+    const entry = this.cache.get(mintAddress);
+    if (!entry) return undefined;
+    if (entry.expiresAt <= Date.now()) {
+      this.cache.delete(mintAddress);
+      return undefined;
+    }
+    return entry.value;
+  }
+
+  /**
+   * Store a token (or a miss) in the cache
+   * @param {string} mintAddress - The token mint address
+   * @param {Object|null} value - Token info or null
+   */
+  setCached(mintAddress, value) {
+    this.cache.set(mintAddress, { value, expiresAt: Date.now() + this.cacheTtlMs });
   }
 
   /**
@@ -14,24 +69,81 @@ export class JupiterClient {
    * @returns {Promise<Object|null>} Token data or null if not found
    */
   async getTokenInfo(mintAddress) {
-    return RetryHelper.withBackoff(async () => {
-      const url = `${this.baseUrl}/tokens/v2/search?query=${mintAddress}`;
-      console.log(`Fetching token info from Jupiter: ${url}`);
+    const cached = this.getCached(mintAddress);
+    if (cached !== undefined) return cached;
+
+    const tokenInfo = await this.fetchTokenInfo(mintAddress);
+    this.setCached(mintAddress, tokenInfo);
+    return tokenInfo;
+  }
+
+  /**
+   * Fetches token information for several mints, one request per 100 uncached mints
+   * @param {string[]} mintAddresses - Token mint addresses
+   * @returns {Promise<Map<string, Object|null>>} Token data by mint (null if not found)
+   */
+  async getTokenInfoBatch(mintAddresses) {
+    const results = new Map();
+    const missing = [];
+
+    for (const mint of new Set(mintAddresses)) {
+      const cached = this.getCached(mint);
+      if (cached !== undefined) {
+        results.set(mint, cached);
+      } else {
+        missing.push(mint);
+      }
+    }
+
+    for (let i = 0; i < missing.length; i += this.batchSize) {
+      const chunk = missing.slice(i, i + this.batchSize);
+      const tokens = await this.searchTokens(chunk.join(','));
+
+      for (const mint of chunk) {
+        const tokenInfo = tokens.find(token => token.id === mint) || null;
+        this.setCached(mint, tokenInfo);
+        results.set(mint, tokenInfo);
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Runs a Jupiter token search
+   * @param {string} query - Search query (mint, comma-separated mints or symbol)
+   * @returns {Promise<Array>} Matching tokens
+   */
+  async searchTokens(query) {
+    return RetryHelper.withBackoff(async (signal) => {
+      const url = `${this.baseUrl}/tokens/v2/search?query=${query}`;
+      log.debug('Searching tokens on Jupiter', { url });
       
-      const response = await fetch(url);
+      const response = await this.limiter.request(url, { signal });
       if (!response.ok) {
-        if (response.status === 404) {
-          console.log(`Token not found on Jupiter: ${mintAddress}`);
-          return null;
-        }
-        throw new Error(`Jupiter API error: ${response.status}`);
+        if (response.status === 404) return [];
+        throw new HttpError(`Jupiter API error: ${response.status}`, response.status);
       }
       
-      const data = await response.json();
-      // The search returns an array, find the exact match
-      const exactMatch = data.find(token => token.id === mintAddress);
-      return exactMatch || (data.length > 0 ? data[0] : null);
-    });
+      return response.json();
+    }, { ...this.retry, timeoutMs: this.timeoutMs, breaker: this.breaker, limiter: this.limiter });
+  }
+
+  /**
+   * Fetches token information for a single mint, bypassing the cache
+   * @param {string} mintAddress - The token mint address
+   * @returns {Promise<Object|null>} Token data or null if not found
+   */
+  async fetchTokenInfo(mintAddress) {
+    const data = await this.searchTokens(mintAddress);
+    if (data.length === 0) {
+      log.info('Token not found on Jupiter', { mint: mintAddress });
+      return null;
+    }
+    
+    // The search returns an array, find the exact match
+    const exactMatch = data.find(token => token.id === mintAddress);
+    return exactMatch || data[0];
   }
 
   /**
@@ -61,33 +173,56 @@ export class JupiterClient {
   async getFullTokenData(mintAddress) {
     try {
       const tokenInfo = await this.getTokenInfo(mintAddress);
-      
-      if (!tokenInfo) {
-        return null;
-      }
-
-      return {
-        mintAddress: tokenInfo.id,
-        symbol: tokenInfo.symbol || 'Unknown',
-        name: tokenInfo.name || 'Unknown Token',
-        decimals: tokenInfo.decimals || 9,
-        price: tokenInfo.usdPrice || 0,
-        logoURI: tokenInfo.icon || null,
-        tags: tokenInfo.tags || [],
-        verified: tokenInfo.isVerified || false,
-        marketCap: tokenInfo.mcap || 0,
-        fdv: tokenInfo.fdv || 0,
-        liquidity: tokenInfo.liquidity || 0,
-        holderCount: tokenInfo.holderCount || 0,
-        totalSupply: tokenInfo.totalSupply || 0,
-        circSupply: tokenInfo.circSupply || 0,
-        website: tokenInfo.website || null,
-        twitter: tokenInfo.twitter || null,
-        telegram: tokenInfo.telegram || null
-      };
+      return tokenInfo ? JupiterClient.formatTokenData(tokenInfo) : null;
     } catch (error) {
-      console.error(`Error fetching token data for ${mintAddress}:`, error);
+      log.error('Error fetching token data', { mint: mintAddress, error });
       return null;
     }
   }
+
+  /**
+   * Gets comprehensive token data for several mints in as few requests as possible
+   * @param {string[]} mintAddresses - Token mint addresses
+   * @returns {Promise<Map<string, Object|null>>} Combined token data by mint (null if not found or on error)
+   */
+  async getFullTokenDataBatch(mintAddresses) {
+    try {
+      const tokenInfos = await this.getTokenInfoBatch(mintAddresses);
+      const results = new Map();
+      for (const [mint, tokenInfo] of tokenInfos) {
+        results.set(mint, tokenInfo ? JupiterClient.formatTokenData(tokenInfo) : null);
+      }
+      return results;
+    } catch (error) {
+      log.error('Error fetching token data', { mints: mintAddresses.length, error });
+      return new Map(mintAddresses.map(mint => [mint, null]));
+    }
+  }
+
+  /**
+   * Normalizes a Jupiter token search result
+   * @param {Object} tokenInfo - Raw token from the search endpoint
+   * @returns {Object} Combined token data
+   */
+  static formatTokenData(tokenInfo) {
+    return {
+      mintAddress: tokenInfo.id,
+      symbol: tokenInfo.symbol || 'Unknown',
+      name: tokenInfo.name || 'Unknown Token',
+      decimals: tokenInfo.decimals || 9,
+      price: tokenInfo.usdPrice || 0,
+      logoURI: tokenInfo.icon || null,
+      tags: tokenInfo.tags || [],
+      verified: tokenInfo.isVerified || false,
+      marketCap: tokenInfo.mcap || 0,
+      fdv: tokenInfo.fdv || 0,
+      liquidity: tokenInfo.liquidity || 0,
+      holderCount: tokenInfo.holderCount || 0,
+      totalSupply: tokenInfo.totalSupply || 0,
+      circSupply: tokenInfo.circSupply || 0,
+      website: tokenInfo.website || null,
+      twitter: tokenInfo.twitter || null,
+      telegram: tokenInfo.telegram || null
+    };
+  }
 }
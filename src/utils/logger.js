@@ -0,0 +1,163 @@
+/**
+ * Structured logging: one JSON object per line, or a human-readable line in development.
+ * Modules log through a child of Logger.default bound to their name. Context set with
+ * withLogContext (the webhook's request ID, a transaction's signature, a job ID) is added
+ * to every line logged inside it, across awaits, without passing loggers around.
+ */
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+export const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+export const LOG_FORMATS = ['json', 'pretty'];
+
+// Fields of the work being done, e.g. { requestId, signature }
+const logContext = new AsyncLocalStorage();
+
+/**
+ * Run fn with fields added to every line it logs, on top of the current context
+ * @param {Object} fields - Context fields
+ * @param {Function} fn - Work to run
+ * @returns {*} fn's result
+ */
+export function withLogContext(fields, fn) {
+  return logContext.run({ ...logContext.getStore(), ...fields }, fn);
+}
+
+/**
+ * Fields of the current context
+ * @returns {Object}
+ */
+export function getLogContext() {
+  return logContext.getStore() ?? {};
+}
+
+/**
+ * Plain-object form of an error, so JSON output keeps its message and stack
+ * @param {Error} error - Error to serialize
+ * @returns {Object} { name, message, code, status, stack }
+ */
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.code !== undefined && { code: error.code }),
+    ...(error.status !== undefined && { status: error.status }),
+    stack: error.stack
+  };
+}
+
+/**
+ * Render a field value for the pretty format
+ * @param {*} value - Field value
+ * @returns {string}
+ */
+function formatPrettyValue(value) {
+  if (value instanceof Error) return value.message;
+  if (typeof value === 'string') return /[\s"=]/.test(value) ? JSON.stringify(value) : value;
+  return JSON.stringify(value);
+}
+
+export class Logger {
+  /**
+   * @param {Object} options
+   * @param {string} options.level - Lowest level written (debug, info, warn, error)
+   * @param {string} options.format - "json" for log shipping, "pretty" for development
+   * @param {Object} options.fields - Fields added to every line, e.g. { module: 'webhookHandler' }
+   * @param {Object} options.stream - Output stream
+   * @throws {Error} If the level or format is unknown
+   */
+  constructor({ level = 'info', format = 'json', fields = {}, stream = process.stdout } = {}) {
+    this.configure({ level, format });
+    this.fields = fields;
+    this.stream = stream;
+  }
+
+  /**
+   * Process-wide logger. It writes JSON at info level until the entry point configures it
+   * from the "log" config section.
+   * @returns {Logger}
+   */
+  static get default() {
+    Logger.instance ??= new Logger();
+    return Logger.instance;
+  }
+
+  /**
+   * Change the level and format. Children share them, so configuring Logger.default
+   * applies to every module logger.
+   * @param {Object} options
+   * @param {string} options.level - Lowest level written
+   * @param {string} options.format - "json" or "pretty"
+   * @throws {Error} If the level or format is unknown
+   */
+  configure({ level = this.level, format = this.format }) {
+    if (!LOG_LEVELS[level]) throw new Error(`Unknown log level "${level}", expected one of: ${Object.keys(LOG_LEVELS).join(', ')}`);
+    if (!LOG_FORMATS.includes(format)) throw new Error(`Unknown log format "${format}", expected one of: ${LOG_FORMATS.join(', ')}`);
+    this.level = level;
+    this.format = format;
+  }
+
+  /**
+   * Logger that adds fields to every line, sharing this logger's level and output
+   * @param {Object} fields - Fields to add
+   * @returns {Logger}
+   */
+  child(fields) {
+    const child = Object.create(this);
+    child.fields = { ...this.fields, ...fields };
+    return child;
+  }
+
+  /**
+   * Whether a level is written
+   * @param {string} level - Level name
+   * @returns {boolean}
+   */
+  isLevelEnabled(level) {
+    return LOG_LEVELS[level] >= LOG_LEVELS[this.level];
+  }
+
+  /**
+   * Write a line
+   * @param {string} level - Level name
+   * @param {string} message - What happened
+   * @param {Object} fields - Details; Error values are serialized with their stack
+   */
+  log(level, message, fields = {}) {
+    if (!this.isLevelEnabled(level)) return;
+
+    const entry = { ...this.fields, ...getLogContext(), ...fields };
+    if (this.format === 'pretty') {
+      const { module, ...rest } = entry;
+      const details = Object.entries(rest)
+        .filter(([, value]) => value !== undefined)
+        .map(([key, value]) => `${key}=${formatPrettyValue(value)}`);
+      const stack = Object.values(rest).find(value => value instanceof Error && LOG_LEVELS[level] >= LOG_LEVELS.error)?.stack;
+      const time = new Date().toISOString().slice(11, 23);
+      this.stream.write(`${time} ${level.toUpperCase().padEnd(5)} ${module ? `[${module}] ` : ''}${message}${details.length ? ` ${details.join(' ')}` : ''}\n${stack ? `${stack}\n` : ''}`);
+      return;
+    }
+
+    const serialized = Object.fromEntries(Object.entries(entry).map(([key, value]) => [key, value instanceof Error ? serializeError(value) : value]));
+    this.stream.write(`${JSON.stringify({ time: new Date().toISOString(), level, msg: message, ...serialized })}\n`);
+  }
+
+  /** @see Logger#log */
+  debug(message, fields) {
+    this.log('debug', message, fields);
+  }
+
+  /** @see Logger#log */
+  info(message, fields) {
+    this.log('info', message, fields);
+  }
+
+  /** @see Logger#log */
+  warn(message, fields) {
+    this.log('warn', message, fields);
+  }
+
+  /** @see Logger#log */
+  error(message, fields) {
+    this.log('error', message, fields);
+  }
+}
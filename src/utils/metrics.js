@@ -0,0 +1,244 @@
+/**
+ * Minimal Prometheus instrumentation: labelled counters, gauges and histograms, rendered in
+ * the text exposition format by GET /metrics. Components define their metrics on
+ * MetricsRegistry.default next to the code they measure.
+ */
+import { Logger } from './logger.js';
+
+const log = Logger.default.child({ module: 'metrics' });
+
+// Content type of the text exposition format
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Latency buckets in seconds
+export const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+/**
+ * Escape a label value for the exposition format
+ * @param {*} value - Label value
+ * @returns {string} Escaped value
+ */
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Render a label set, e.g. {upstream="jupiter",status="200"}
+ * @param {Object} labels - Label values by name
+ * @returns {string} Rendered labels, or an empty string without labels
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+class Metric {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Metric name
+   * @param {string} options.help - Description
+   * @param {Array<string>} options.labelNames - Allowed labels; missing ones are rendered empty
+   * @param {string} type - Prometheus metric type
+   */
+  constructor({ name, help, labelNames = [] }, type) {
+    this.name = name;
+    this.type = type;
+    this.help = help;
+    this.labelNames = labelNames;
+    // Label key -> { labels, ...state }
+    this.series = new Map();
+  }
+
+  /**
+   * Get or create the series of a label set
+   * @param {Object} labels - Label values by name
+   * @param {Function} create - Initial state of a new series
+   * @returns {Object} Series
+   */
+  seriesFor(labels, create) {
+    const values = this.labelNames.map(name => String(labels[name] ?? ''));
+    const key = values.join('\u0000');
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels: Object.fromEntries(this.labelNames.map((name, i) => [name, values[i]])), ...create() });
+    }
+    return this.series.get(key);
+  }
+
+  /**
+   * HELP and TYPE lines
+   * @returns {Array<string>}
+   */
+  header() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+export class Counter extends Metric {
+  constructor(options) {
+    super(options, 'counter');
+  }
+
+  /**
+   * Increase the counter of a label set
+   * @param {Object} labels - Label values
+   * @param {number} value - Amount to add
+   */
+  inc(labels = {}, value = 1) {
+    this.seriesFor(labels, () => ({ value: 0 })).value += value;
+  }
+
+  /**
+   * @returns {Promise<Array<string>>} Exposition lines
+   */
+  async render() {
+    return [...this.header(), ...[...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`)];
+  }
+}
+
+export class Gauge extends Metric {
+  /**
+   * @param {Object} options - Metric options, plus:
+   * @param {Function} options.collect - Called with the gauge before each render to refresh its values
+   */
+  constructor({ collect = null, ...options }) {
+    super(options, 'gauge');
+    this.collect = collect;
+  }
+
+  /**
+   * Set the gauge of a label set
+   * @param {Object} labels - Label values
+   * @param {number} value - Current value
+   */
+  set(labels, value) {
+    this.seriesFor(labels, () => ({ value: 0 })).value = value;
+  }
+
+  /**
+   * Replace the function that refreshes the gauge before each render
+   * @param {Function} collect - Receives the gauge; may be async
+   */
+  setCollector(collect) {
+    this.collect = collect;
+  }
+
+  /**
+   * @returns {Promise<Array<string>>} Exposition lines; a failing collector leaves the last values
+   */
+  async render() {
+    if (this.collect) {
+      try {
+        await this.collect(this);
+      } catch (error) {
+        log.warn('Collecting metric failed', { metric: this.name, error });
+      }
+    }
+    return [...this.header(), ...[...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`)];
+  }
+}
+
+export class Histogram extends Metric {
+  /**
+   * @param {Object} options - Metric options, plus:
+   * @param {Array<number>} options.buckets - Upper bounds, ascending
+   */
+  constructor({ buckets = LATENCY_BUCKETS, ...options }) {
+    super(options, 'histogram');
+    this.buckets = buckets;
+  }
+
+  /**
+   * Record an observation
+   * @param {Object} labels - Label values
+   * @param {number} value - Observed value (seconds for latencies)
+   */
+  observe(labels, value) {
+    const series = this.seriesFor(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Start timing an operation
+   * @param {Object} labels - Labels known at the start
+   * @returns {Function} Call with any further labels to record the elapsed seconds
+   */
+  startTimer(labels = {}) {
+    const start = performance.now();
+    return (moreLabels = {}) => this.observe({ ...labels, ...moreLabels }, (performance.now() - start) / 1000);
+  }
+
+  /**
+   * @returns {Promise<Array<string>>} Exposition lines
+   */
+  async render() {
+    const lines = this.header();
+    for (const { labels, counts, sum, count } of this.series.values()) {
+      this.buckets.forEach((bound, i) => lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`));
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+export class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  /**
+   * Process-wide registry rendered by GET /metrics
+   * @returns {MetricsRegistry}
+   */
+  static get default() {
+    MetricsRegistry.instance ??= new MetricsRegistry();
+    return MetricsRegistry.instance;
+  }
+
+  /**
+   * Register a metric, or return the one already registered under its name
+   * @param {Function} MetricClass - Counter, Gauge or Histogram
+   * @param {Object} options - Metric options
+   * @returns {Metric}
+   * @throws {Error} If the name is taken by a metric of another type
+   */
+  register(MetricClass, options) {
+    const existing = this.metrics.get(options.name);
+    if (existing) {
+      if (!(existing instanceof MetricClass)) throw new Error(`Metric ${options.name} is already registered as a ${existing.type}`);
+      return existing;
+    }
+    const metric = new MetricClass(options);
+    this.metrics.set(options.name, metric);
+    return metric;
+  }
+
+  /** @returns {Counter} */
+  counter(options) {
+    return this.register(Counter, options);
+  }
+
+  /** @returns {Gauge} */
+  gauge(options) {
+    return this.register(Gauge, options);
+  }
+
+  /** @returns {Histogram} */
+  histogram(options) {
+    return this.register(Histogram, options);
+  }
+
+  /**
+   * Render every metric in the text exposition format
+   * @returns {Promise<string>}
+   */
+  async render() {
+    const blocks = await Promise.all([...this.metrics.values()].map(metric => metric.render()));
+    return `${blocks.flat().join('\n')}\n`;
+  }
+}
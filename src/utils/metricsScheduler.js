@@ -0,0 +1,205 @@
+/**
+ * Periodic re-enrichment of tracked pools into time-series metric snapshots,
+ * plus retention and downsampling of old snapshots.
+ * Emits "pool.refreshed" with { pool, snapshot } after each pool is refreshed.
+ */
+import { EventEmitter } from 'events';
+import { Logger } from './logger.js';
+
+const log = Logger.default.child({ module: 'metricsScheduler' });
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+export class MetricsScheduler extends EventEmitter {
+  /**
+   * @param {DatabaseClient} databaseClient - Database client
+   * @param {DefiLlamaClient} defiLlamaClient - DefiLlama client
+   * @param {JupiterClient} jupiterClient - Jupiter client
+   * @param {Object} options
+   * @param {number} options.intervalMs - Time between refresh runs
+   * @param {number} options.trackDays - Pools younger than this are refreshed
+   * @param {number} options.rawRetentionDays - Raw snapshots older than this are rolled up hourly
+   * @param {number} options.hourlyRetentionDays - Hourly snapshots older than this are rolled up daily
+   * @param {number} options.dailyRetentionDays - Daily snapshots older than this are deleted
+   */
+  constructor(databaseClient, defiLlamaClient, jupiterClient, {
+    intervalMs = 15 * 60 * 1000,
+    trackDays = 30,
+    rawRetentionDays = 7,
+    hourlyRetentionDays = 90,
+    dailyRetentionDays = 365
+  } = {}) {
+    super();
+    this.databaseClient = databaseClient;
+    this.defiLlamaClient = defiLlamaClient;
+    this.jupiterClient = jupiterClient;
+    this.intervalMs = intervalMs;
+    this.trackDays = trackDays;
+    this.rawRetentionDays = rawRetentionDays;
+    this.hourlyRetentionDays = hourlyRetentionDays;
+    this.dailyRetentionDays = dailyRetentionDays;
+    this.timer = null;
+    this.running = null;
+  }
+
+  /**
+   * Start periodic runs
+   */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.runOnce(), this.intervalMs);
+    this.timer.unref();
+    log.info('Metrics scheduler started', { intervalSeconds: Math.round(this.intervalMs / 1000) });
+  }
+
+  /**
+   * Stop periodic runs and wait for the current run to finish
+   */
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    await this.running;
+  }
+
+  /**
+   * Run a refresh followed by maintenance. Overlapping runs are skipped.
+   * @returns {Promise<void>}
+   */
+  runOnce() {
+    if (this.running) {
+      log.warn('Metrics refresh still running, skipping this tick');
+      return this.running;
+    }
+
+    this.running = (async () => {
+      try {
+        await this.refreshTrackedPools();
+        await this.applyRetention();
+      } catch (error) {
+        log.error('Metrics scheduler run failed', { error });
+      } finally {
+        this.running = null;
+      }
+    })();
+    return this.running;
+  }
+
+  /**
+   * Snapshot current metrics for every tracked pool
+   * @returns {Promise<number>} Number of pools refreshed
+   */
+  async refreshTrackedPools() {
+    const since = new Date(Date.now() - this.trackDays * DAY_MS);
+    const pools = await this.databaseClient.getTrackedPools(since);
+    log.info('Refreshing metrics for tracked pools', { pools: pools.length });
+
+    let refreshed = 0;
+    for (const pool of pools) {
+      try {
+        await this.refreshPool(pool);
+        refreshed++;
+      } catch (error) {
+        log.warn('Failed to refresh metrics', { poolAddress: pool.poolAddress, error });
+      }
+    }
+    return refreshed;
+  }
+
+  /**
+   * Re-enrich a single pool and store a snapshot
+   * @param {Object} pool - Pool record
+   * @returns {Promise<Object>} Stored snapshot data
+   */
+  async refreshPool(pool) {
+    const apyData = await this.lookupApy(pool);
+    const priceA = await this.jupiterClient.getTokenPrice(pool.tokenA);
+    const priceB = await this.jupiterClient.getTokenPrice(pool.tokenB);
+    // Recomputed here too so the rolling window moves on while a pool has no swaps
+    let refreshedPool = await this.databaseClient.updatePoolVolume(pool.id);
+
+    const snapshot = {
+      poolId: pool.id,
+      timestamp: new Date(),
+      apy: apyData?.apy ?? null,
+      tvl: apyData?.tvl ?? null,
+      volume24h: refreshedPool.volume24h,
+      priceA: priceA?.price ?? null,
+      priceB: priceB?.price ?? null,
+      source: 'refresh'
+    };
+    await this.databaseClient.storeMetricSnapshots([snapshot]);
+
+    if (apyData) {
+      refreshedPool = await this.databaseClient.updatePoolApy(pool.poolAddress, apyData);
+
+      if (!(await this.databaseClient.hasChartSnapshots(pool.id))) {
+        await this.importChartHistory(pool, apyData.poolId);
+      }
+    }
+
+    this.emit('pool.refreshed', { pool: refreshedPool, snapshot });
+    return snapshot;
+  }
+
+  /**
+   * Look up APY data, reusing the DefiLlama pool matched earlier when it still exists
+   * @param {Object} pool - Pool record
+   * @returns {Promise<Object|null>} APY data or null
+   */
+  async lookupApy(pool) {
+    if (pool.apyPoolId) {
+      const apyData = await this.defiLlamaClient.getApyForPoolId(pool.apyPoolId, pool.apyConfidence);
+      if (apyData) return apyData;
+    }
+    return this.defiLlamaClient.getBestApyForPair({
+      tokenA: pool.tokenA,
+      tokenB: pool.tokenB,
+      source: pool.source
+    });
+  }
+
+  /**
+   * Import DefiLlama's daily chart for a pool since it was detected
+   * @param {Object} pool - Pool record
+   * @param {string} llamaPoolId - DefiLlama pool ID
+   * @returns {Promise<number>} Number of imported points
+   */
+  async importChartHistory(pool, llamaPoolId) {
+    const chart = await this.defiLlamaClient.getPoolData(llamaPoolId);
+
+    const snapshots = (chart?.data || [])
+      .filter(point => new Date(point.timestamp) >= pool.createdAt)
+      .map(point => ({
+        poolId: pool.id,
+        timestamp: new Date(point.timestamp),
+        apy: point.apy ?? null,
+        tvl: point.tvlUsd ?? null,
+        source: 'defillama_chart',
+        resolution: 'daily'
+      }));
+
+    const count = await this.databaseClient.storeMetricSnapshots(snapshots);
+    log.info('Imported DefiLlama chart points', { poolAddress: pool.poolAddress, count });
+    return count;
+  }
+
+  /**
+   * Downsample old raw and hourly snapshots and drop expired daily ones
+   */
+  async applyRetention() {
+    const now = Date.now();
+    // Cutoffs are aligned to bucket boundaries so a bucket is never rolled up twice
+    const rawCutoff = new Date(Math.floor((now - this.rawRetentionDays * DAY_MS) / HOUR_MS) * HOUR_MS);
+    const hourlyCutoff = new Date(Math.floor((now - this.hourlyRetentionDays * DAY_MS) / DAY_MS) * DAY_MS);
+    const dailyCutoff = new Date(now - this.dailyRetentionDays * DAY_MS);
+
+    const rolledRaw = await this.databaseClient.downsampleMetricSnapshots('raw', 'hourly', 'hour', rawCutoff);
+    const rolledHourly = await this.databaseClient.downsampleMetricSnapshots('hourly', 'daily', 'day', hourlyCutoff);
+    const deleted = await this.databaseClient.deleteMetricSnapshots('daily', dailyCutoff);
+
+    if (rolledRaw || rolledHourly || deleted) {
+      log.info('Metric retention applied', { rolledUpRaw: rolledRaw, rolledUpHourly: rolledHourly, deletedDaily: deleted });
+    }
+  }
+}
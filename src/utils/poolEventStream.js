@@ -0,0 +1,236 @@
+/**
+ * Server-Sent Events stream of pool events, for consumers that can't use the WebSocket feed
+ */
+import { parsePoolQuery, matchesPoolQuery } from './poolQuery.js';
+import { formatPool, formatEvent } from './poolFormatter.js';
+import { messageTypeForEvent } from './realtimeFeed.js';
+import { Logger } from './logger.js';
+
+const log = Logger.default.child({ module: 'poolEventStream' });
+
+export class PoolEventStream {
+  /**
+   * @param {WebhookHandler} webhookHandler - Source of pool events
+   * @param {DatabaseClient} databaseClient - Used to replay events after Last-Event-ID
+   * @param {Object} options
+   * @param {number} options.keepAliveMs - Interval between keep-alive comments
+   * @param {number} options.replayPageSize - Events fetched per replay query
+   * @param {number} options.maxBufferedBytes - Unsent bytes after which a slow client is dropped
+   * @param {number} options.maxBufferedEvents - Live events held during replay before the client is dropped
+   * @param {number} options.retryMs - Reconnect delay suggested to clients
+   */
+  constructor(webhookHandler, databaseClient, {
+    keepAliveMs = 15000,
+    replayPageSize = 500,
+    maxBufferedBytes = 1024 * 1024,
+    maxBufferedEvents = 1000,
+    retryMs = 5000
+  } = {}) {
+    this.webhookHandler = webhookHandler;
+    this.databaseClient = databaseClient;
+    this.replayPageSize = replayPageSize;
+    this.maxBufferedBytes = maxBufferedBytes;
+    this.maxBufferedEvents = maxBufferedEvents;
+    this.retryMs = retryMs;
+    this.clients = new Set();
+
+    this.onPoolEvent = ({ pool, event }) => this.broadcast(pool, event);
+    webhookHandler.on('pool.created', this.onPoolEvent);
+    webhookHandler.on('pool.enriched', this.onPoolEvent);
+    webhookHandler.on('pool.event', this.onPoolEvent);
+
+    this.keepAlive = setInterval(() => this.sendKeepAlive(), keepAliveMs);
+    this.keepAlive.unref();
+  }
+
+  /**
+   * Express handler for GET /api/stream/pools
+   * @returns {Function} Request handler
+   */
+  handler() {
+    return (req, res) => this.handleRequest(req, res);
+  }
+
+  /**
+   * Open a stream, replaying events after Last-Event-ID before going live
+   * @param {Request} req - Express request
+   * @param {Response} res - Express response
+   */
+  async handleRequest(req, res) {
+    const { filters, errors } = parsePoolQuery(req.query);
+    if (errors) {
+      return res.status(400).json({ error: 'Invalid query parameters', fields: errors });
+    }
+
+    // EventSource sends the header on reconnect; the query parameter covers the first connect
+    const rawLastEventId = req.get('Last-Event-ID') ?? req.query.lastEventId;
+    const lastEventId = rawLastEventId === undefined ? null : Number(rawLastEventId);
+    if (lastEventId !== null && (!Number.isInteger(lastEventId) || lastEventId < 0)) {
+      return res.status(400).json({ error: 'Last-Event-ID must be a non-negative integer' });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${this.retryMs}\n\n`);
+
+    // Buffer live events while replaying so nothing falls between replay and live
+    const client = { res, filters, replaying: lastEventId !== null, buffered: [], replayedUpTo: lastEventId, closed: false };
+    this.clients.add(client);
+    res.on('close', () => {
+      client.closed = true;
+      this.clients.delete(client);
+    });
+
+    if (lastEventId !== null) {
+      await this.replay(client, lastEventId);
+    }
+  }
+
+  /**
+   * Send a client every event after its Last-Event-ID, pausing whenever its socket is full,
+   * then flush buffered live events
+   * @param {Object} client - Stream client state
+   * @param {number} lastEventId - Last PoolEvent ID the client saw
+   */
+  async replay(client, lastEventId) {
+    let cursor = lastEventId;
+    try {
+      while (!client.closed) {
+        const events = await this.databaseClient.getEventsSince(cursor, this.replayPageSize);
+        for (const event of events) {
+          if (client.closed) return;
+          if (!this.deliver(client, event.pool, event, true)) {
+            await this.waitForDrain(client.res);
+          }
+        }
+        if (events.length < this.replayPageSize) break;
+        cursor = events[events.length - 1].id;
+      }
+    } catch (error) {
+      log.error('SSE replay failed', { error });
+      return this.drop(client, 'replay failed');
+    }
+
+    client.replaying = false;
+    for (const { pool, event } of client.buffered) {
+      this.deliver(client, pool, event);
+    }
+    client.buffered = [];
+  }
+
+  /**
+   * Send an event to every client whose filters match
+   * @param {Object} pool - Pool record
+   * @param {Object} event - PoolEvent record
+   */
+  broadcast(pool, event) {
+    for (const client of this.clients) {
+      if (client.replaying) {
+        client.buffered.push({ pool, event });
+        if (client.buffered.length > this.maxBufferedEvents) {
+          this.drop(client, 'too many events buffered during replay');
+        }
+        continue;
+      }
+
+      if (client.res.writableLength > this.maxBufferedBytes) {
+        // The client resumes from its Last-Event-ID when it reconnects
+        this.drop(client, 'client is not keeping up');
+        continue;
+      }
+      this.deliver(client, pool, event);
+    }
+  }
+
+  /**
+   * Write one event to one client, skipping live events already sent by the replay
+   * @param {Object} client - Stream client state
+   * @param {Object} pool - Pool record
+   * @param {Object} event - PoolEvent record
+   * @param {boolean} replayed - Whether the event comes from the replay
+   * @returns {boolean} False if the socket buffer is full
+   */
+  deliver(client, pool, event, replayed = false) {
+    if (replayed) {
+      client.replayedUpTo = event.id;
+    } else if (client.replayedUpTo !== null && event.id <= client.replayedUpTo) {
+      return true;
+    }
+
+    if (!matchesPoolQuery(pool, client.filters)) return true;
+
+    const data = JSON.stringify({ replayed, pool: formatPool(pool), event: formatEvent(event) });
+    return client.res.write(`id: ${event.id}\nevent: ${messageTypeForEvent(event.eventType)}\ndata: ${data}\n\n`);
+  }
+
+  /**
+   * Wait until a response can take more data or is closed
+   * @param {Response} res - Express response
+   * @returns {Promise<void>}
+   */
+  waitForDrain(res) {
+    return new Promise(resolve => {
+      const done = () => {
+        res.off('drain', done);
+        res.off('close', done);
+        resolve();
+      };
+      res.on('drain', done);
+      res.on('close', done);
+    });
+  }
+
+  /**
+   * Write a keep-alive comment so proxies don't time out idle streams
+   */
+  sendKeepAlive() {
+    for (const client of this.clients) {
+      if (client.res.writableLength > this.maxBufferedBytes) {
+        this.drop(client, 'client is not keeping up');
+        continue;
+      }
+      client.res.write(': keep-alive\n\n');
+    }
+  }
+
+  /**
+   * Drop a client, discarding whatever is still buffered for it
+   * @param {Object} client - Stream client state
+   * @param {string} reason - Logged reason
+   */
+  drop(client, reason) {
+    log.info('Closing SSE stream', { reason });
+    client.closed = true;
+    this.clients.delete(client);
+    client.res.destroy();
+  }
+
+  /**
+   * Number of open streams
+   * @returns {number}
+   */
+  get clientCount() {
+    return this.clients.size;
+  }
+
+  /**
+   * Stop listening for events and end every open stream
+   */
+  close() {
+    clearInterval(this.keepAlive);
+    this.webhookHandler.off('pool.created', this.onPoolEvent);
+    this.webhookHandler.off('pool.enriched', this.onPoolEvent);
+    this.webhookHandler.off('pool.event', this.onPoolEvent);
+
+    for (const client of [...this.clients]) {
+      client.closed = true;
+      client.res.end();
+    }
+    this.clients.clear();
+  }
+}
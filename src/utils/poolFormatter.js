@@ -0,0 +1,111 @@
+/**
+ * Shapes pool, token and event records for API and realtime responses
+ */
+
+/**
+ * Shape a pool's token for API responses
+ * @param {string} mint - Token mint address
+ * @param {Object|null} token - Token record, if loaded
+ * @returns {Object} Mint with symbol, name and verified flag
+ */
+export function formatToken(mint, token) {
+  return {
+    mint,
+    symbol: token?.symbol || null,
+    name: token?.name || null,
+    verified: token?.verified || false
+  };
+}
+
+/**
+ * Shape a pool's token with full metadata for the pool detail response
+ * @param {string} mint - Token mint address
+ * @param {Object|null} token - Token record, if loaded
+ * @returns {Object} Token metadata
+ */
+export function formatTokenDetail(mint, token) {
+  return {
+    ...formatToken(mint, token),
+    decimals: token?.decimals ?? null,
+    tags: token?.tags || [],
+    logoURI: token?.logoURI || null,
+    website: token?.website || null,
+    twitter: token?.twitter || null,
+    telegram: token?.telegram || null,
+    holderCount: token?.holderCount ?? null,
+    lastPrice: token?.lastPrice ?? null
+  };
+}
+
+/**
+ * Parse an event's rawData, which is stored as a JSON string
+ * @param {string|null} rawData - Stored rawData
+ * @returns {*} Parsed value, the raw string if it is not JSON, or null
+ */
+export function parseRawData(rawData) {
+  if (!rawData) return null;
+  try {
+    return JSON.parse(rawData);
+  } catch {
+    return rawData;
+  }
+}
+
+/**
+ * Shape a pool's rug-risk score
+ * @param {Object} pool - Pool record
+ * @returns {Object|null} Score, level and flags, or null if the pool was not scored
+ */
+export function formatRisk(pool) {
+  if (pool.riskScore === null || pool.riskScore === undefined) return null;
+  return {
+    score: pool.riskScore,
+    level: pool.riskLevel,
+    flags: pool.riskFlags || [],
+    checkedAt: pool.riskCheckedAt
+  };
+}
+
+/**
+ * Shape a pool for list and realtime responses
+ * @param {Object} pool - Pool record, optionally with tokenAInfo/tokenBInfo
+ * @returns {Object} Pool summary
+ */
+export function formatPool(pool) {
+  return {
+    id: pool.id,
+    tokenA: formatToken(pool.tokenA, pool.tokenAInfo),
+    tokenB: formatToken(pool.tokenB, pool.tokenBInfo),
+    poolAddress: pool.poolAddress,
+    source: pool.source,
+    lpMint: pool.lpMint,
+    decoder: pool.decoder,
+    apy: pool.apy,
+    apyConfidence: pool.apyConfidence,
+    tvl: pool.tvl,
+    volume24h: pool.volume24h,
+    risk: formatRisk(pool),
+    signature: pool.signature,
+    timestamp: pool.createdAt
+  };
+}
+
+/**
+ * Shape a pool event
+ * @param {Object} event - PoolEvent record
+ * @returns {Object} Event with parsed data
+ */
+export function formatEvent(event) {
+  return {
+    id: event.id,
+    eventType: event.eventType,
+    amount: event.amount,
+    amountA: event.amountA ?? null,
+    amountB: event.amountB ?? null,
+    valueUsd: event.valueUsd ?? null,
+    trader: event.trader ?? null,
+    signature: event.signature,
+    timestamp: event.timestamp,
+    data: parseRawData(event.rawData)
+  };
+}
@@ -0,0 +1,229 @@
+/**
+ * Validation of pool API query parameters and opaque pagination cursors
+ */
+import { RISK_FLAGS } from './riskScorer.js';
+
+export const POOL_SORT_FIELDS = ['createdAt', 'apy', 'tvl', 'volume24h', 'riskScore'];
+export const MAX_POOL_LIMIT = 200;
+
+/**
+ * Encode a keyset position as an opaque cursor
+ * @param {Object} position - { sort, order, value, id } of the last returned row
+ * @returns {string} base64url cursor
+ */
+export function encodeCursor({ sort, order, value, id }) {
+  const encodedValue = value instanceof Date ? value.toISOString() : value;
+  return Buffer.from(JSON.stringify({ s: sort, o: order, v: encodedValue, id })).toString('base64url');
+}
+
+/**
+ * Decode an opaque cursor
+ * @param {string} cursor - base64url cursor
+ * @returns {Object|null} { sort, order, value, id } or null if the cursor is malformed
+ */
+export function decodeCursor(cursor) {
+  try {
+    const { s, o, v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!POOL_SORT_FIELDS.includes(s) || !['asc', 'desc'].includes(o) || !Number.isInteger(id)) {
+      return null;
+    }
+    if (s === 'createdAt') {
+      const value = typeof v === 'string' ? new Date(v) : null;
+      return value && !Number.isNaN(value.getTime()) ? { sort: s, order: o, value, id } : null;
+    }
+    // apy, tvl, volume24h and riskScore positions are numbers
+    return typeof v === 'number' && Number.isFinite(v) ? { sort: s, order: o, value: v, id } : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Validate and normalize pool list query parameters
+ * @param {Object} query - Express req.query
+ * @param {Object} defaults - Default sort, order and limit
+ * @returns {{filters: Object, errors: Object|null}} Filters for DatabaseClient.queryPools, or field errors
+ */
+export function parsePoolQuery(query, { sort = 'createdAt', order = 'desc', limit = 50 } = {}) {
+  const errors = {};
+  const filters = { sort, order, limit };
+
+  const number = (field) => {
+    if (query[field] === undefined) return;
+    const value = Number(query[field]);
+    if (query[field] === '' || !Number.isFinite(value)) {
+      errors[field] = 'must be a number';
+    } else {
+      filters[field] = value;
+    }
+  };
+
+  const date = (field) => {
+    if (query[field] === undefined) return;
+    const value = new Date(query[field]);
+    if (Number.isNaN(value.getTime())) {
+      errors[field] = 'must be an ISO 8601 date';
+    } else {
+      filters[field] = value;
+    }
+  };
+
+  const text = (field) => {
+    if (query[field] === undefined) return;
+    if (typeof query[field] !== 'string' || query[field].trim() === '') {
+      errors[field] = 'must be a non-empty string';
+    } else {
+      filters[field] = query[field].trim();
+    }
+  };
+
+  text('source');
+  text('token');
+  number('minApy');
+  number('maxApy');
+  number('minTvl');
+  number('maxRiskScore');
+  date('createdAfter');
+  date('createdBefore');
+
+  if (query.excludeRiskFlags !== undefined) {
+    const flags = String(query.excludeRiskFlags).split(',').map(flag => flag.trim()).filter(Boolean);
+    const unknown = flags.filter(flag => !(flag in RISK_FLAGS));
+    if (flags.length === 0 || unknown.length > 0) {
+      errors.excludeRiskFlags = `must be a comma-separated list of: ${Object.keys(RISK_FLAGS).join(', ')}`;
+    } else {
+      filters.excludeRiskFlags = flags;
+    }
+  }
+
+  if (query.sort !== undefined) {
+    if (!POOL_SORT_FIELDS.includes(query.sort)) {
+      errors.sort = `must be one of: ${POOL_SORT_FIELDS.join(', ')}`;
+    } else {
+      filters.sort = query.sort;
+    }
+  }
+
+  if (query.order !== undefined) {
+    if (!['asc', 'desc'].includes(query.order)) {
+      errors.order = 'must be asc or desc';
+    } else {
+      filters.order = query.order;
+    }
+  }
+
+  if (query.limit !== undefined) {
+    const value = Number(query.limit);
+    if (!Number.isInteger(value) || value < 1 || value > MAX_POOL_LIMIT) {
+      errors.limit = `must be an integer between 1 and ${MAX_POOL_LIMIT}`;
+    } else {
+      filters.limit = value;
+    }
+  }
+
+  if (filters.minApy !== undefined && filters.maxApy !== undefined && filters.minApy > filters.maxApy) {
+    errors.maxApy = 'must be greater than or equal to minApy';
+  }
+  if (filters.createdAfter && filters.createdBefore && filters.createdAfter >= filters.createdBefore) {
+    errors.createdBefore = 'must be after createdAfter';
+  }
+
+  if (query.cursor !== undefined) {
+    const cursor = decodeCursor(String(query.cursor));
+    if (!cursor) {
+      errors.cursor = 'is invalid';
+    } else if (cursor.sort !== filters.sort || cursor.order !== filters.order) {
+      errors.cursor = 'was created with a different sort or order';
+    } else {
+      filters.cursor = cursor;
+    }
+  }
+
+  return { filters, errors: Object.keys(errors).length > 0 ? errors : null };
+}
+
+/**
+ * Validate and normalize pool event timeline query parameters
+ * @param {Object} query - Express req.query
+ * @returns {{filters: Object, errors: Object|null}} Filters for DatabaseClient.getPoolEvents, or field errors
+ */
+export function parseEventQuery(query) {
+  const errors = {};
+  const filters = { limit: 50 };
+
+  if (query.eventType !== undefined) {
+    if (typeof query.eventType !== 'string' || query.eventType.trim() === '') {
+      errors.eventType = 'must be a non-empty string';
+    } else {
+      filters.eventType = query.eventType.trim();
+    }
+  }
+
+  if (query.limit !== undefined) {
+    const value = Number(query.limit);
+    if (!Number.isInteger(value) || value < 1 || value > MAX_POOL_LIMIT) {
+      errors.limit = `must be an integer between 1 and ${MAX_POOL_LIMIT}`;
+    } else {
+      filters.limit = value;
+    }
+  }
+
+  if (query.cursor !== undefined) {
+    const beforeId = Number(Buffer.from(String(query.cursor), 'base64url').toString('utf8'));
+    if (!Number.isInteger(beforeId) || beforeId < 1) {
+      errors.cursor = 'is invalid';
+    } else {
+      filters.beforeId = beforeId;
+    }
+  }
+
+  return { filters, errors: Object.keys(errors).length > 0 ? errors : null };
+}
+
+/**
+ * Encode an event timeline position as an opaque cursor
+ * @param {number} beforeId - ID of the last returned event
+ * @returns {string} base64url cursor
+ */
+export function encodeEventCursor(beforeId) {
+  return Buffer.from(String(beforeId)).toString('base64url');
+}
+
+/**
+ * Whether a nullable pool column has no value
+ * @param {*} value - Column value
+ * @returns {boolean}
+ */
+function isMissing(value) {
+  return value === null || value === undefined;
+}
+
+/**
+ * Check a pool against the same filters DatabaseClient.queryPools applies,
+ * for events that are pushed rather than queried
+ * @param {Object} pool - Pool record, optionally with tokenAInfo/tokenBInfo
+ * @param {Object} filters - Filters from parsePoolQuery
+ * @returns {boolean} True if the pool matches every given filter
+ */
+export function matchesPoolQuery(pool, {
+  source, token, minApy, maxApy, minTvl, maxRiskScore, excludeRiskFlags, createdAfter, createdBefore
+} = {}) {
+  if (source && pool.source?.toLowerCase() !== source.toLowerCase()) return false;
+  if (token) {
+    const symbol = token.toLowerCase();
+    const matchesToken = pool.tokenA === token || pool.tokenB === token ||
+      pool.tokenAInfo?.symbol?.toLowerCase() === symbol ||
+      pool.tokenBInfo?.symbol?.toLowerCase() === symbol;
+    if (!matchesToken) return false;
+  }
+  // Like SQL comparisons, a pool without the value never matches a bound on it
+  // (in JS, null >= 0 and null <= x are true)
+  if (minApy !== undefined && (isMissing(pool.apy) || pool.apy < minApy)) return false;
+  if (maxApy !== undefined && (isMissing(pool.apy) || pool.apy > maxApy)) return false;
+  if (minTvl !== undefined && (isMissing(pool.tvl) || pool.tvl < minTvl)) return false;
+  if (maxRiskScore !== undefined && (isMissing(pool.riskScore) || pool.riskScore > maxRiskScore)) return false;
+  if (excludeRiskFlags?.some(flag => pool.riskFlags?.includes(flag))) return false;
+  if (createdAfter && !(new Date(pool.createdAt) > createdAfter)) return false;
+  if (createdBefore && !(new Date(pool.createdAt) < createdBefore)) return false;
+  return true;
+}
@@ -0,0 +1,145 @@
+/**
+ * Routes for a single pool: detail, event timeline and metric history. Mounted under
+ * /api/pools by the server; kept apart so they can be served against any storage backend.
+ */
+import express from 'express';
+import { parseEventQuery, encodeEventCursor } from './poolQuery.js';
+import { formatTokenDetail, formatEvent, formatRisk } from './poolFormatter.js';
+
+export const HISTORY_INTERVALS = ['hour', 'day', 'week'];
+
+/**
+ * Build the router for /api/pools/:address, /:address/events and /:address/history
+ * @param {DatabaseClient} databaseClient - Storage backend
+ * @returns {express.Router} Router to mount under /api/pools
+ */
+export function createPoolRouter(databaseClient) {
+  const router = express.Router();
+
+  // API endpoint to get a single pool with token metadata and latest metrics
+  router.get('/:address', async (req, res) => {
+    try {
+      const pool = await databaseClient.getPoolByAddress(req.params.address);
+      if (!pool) {
+        return res.status(404).json({ error: 'Pool not found' });
+      }
+
+      const latestMetrics = await databaseClient.getLatestMetricSnapshot(pool.id);
+
+      // Changes whenever the pool row is updated or a new snapshot lands
+      res.set('ETag', `W/"pool-${pool.id}-${pool.updatedAt.getTime()}-${latestMetrics?.id ?? 0}"`);
+      if (req.fresh) {
+        return res.status(304).end();
+      }
+
+      res.json({
+        id: pool.id,
+        poolAddress: pool.poolAddress,
+        tokenA: formatTokenDetail(pool.tokenA, pool.tokenAInfo),
+        tokenB: formatTokenDetail(pool.tokenB, pool.tokenBInfo),
+        source: pool.source,
+        decoder: pool.decoder,
+        vaultA: pool.vaultA,
+        vaultB: pool.vaultB,
+        lpMint: pool.lpMint,
+        apy: pool.apy,
+        apyConfidence: pool.apyConfidence,
+        apyPoolId: pool.apyPoolId,
+        tvl: pool.tvl,
+        volume24h: pool.volume24h,
+        risk: formatRisk(pool),
+        signature: pool.signature,
+        timestamp: pool.createdAt,
+        updatedAt: pool.updatedAt,
+        latestMetrics: latestMetrics && {
+          timestamp: latestMetrics.timestamp,
+          apy: latestMetrics.apy,
+          tvl: latestMetrics.tvl,
+          volume24h: latestMetrics.volume24h,
+          priceA: latestMetrics.priceA,
+          priceB: latestMetrics.priceB,
+          source: latestMetrics.source
+        }
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // API endpoint to get a pool's event timeline
+  router.get('/:address/events', async (req, res) => {
+    try {
+      const { filters, errors } = parseEventQuery(req.query);
+      if (errors) {
+        return res.status(400).json({ error: 'Invalid query parameters', fields: errors });
+      }
+
+      const pool = await databaseClient.getPoolByAddress(req.params.address);
+      if (!pool) {
+        return res.status(404).json({ error: 'Pool not found' });
+      }
+
+      // Events are append-only, so the newest ID identifies the timeline
+      const latestEventId = await databaseClient.getLatestEventId(pool.id, filters.eventType);
+      res.set('ETag', `W/"events-${pool.id}-${latestEventId ?? 0}-${filters.eventType || ''}-${filters.limit}-${filters.beforeId || ''}"`);
+      if (req.fresh) {
+        return res.status(304).end();
+      }
+
+      const { events, nextBeforeId } = await databaseClient.getPoolEvents(pool.id, filters);
+
+      res.json({
+        poolAddress: pool.poolAddress,
+        total: events.length,
+        nextCursor: nextBeforeId ? encodeEventCursor(nextBeforeId) : null,
+        events: events.map(formatEvent)
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // API endpoint to get a pool's APY/TVL/volume history
+  router.get('/:address/history', async (req, res) => {
+    try {
+      const pool = await databaseClient.getPoolByAddress(req.params.address);
+      if (!pool) {
+        return res.status(404).json({ error: 'Pool not found' });
+      }
+
+      const from = req.query.from ? new Date(req.query.from) : pool.createdAt;
+      const to = req.query.to ? new Date(req.query.to) : new Date();
+      if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from >= to) {
+        return res.status(400).json({ error: 'from and to must be valid dates with from < to' });
+      }
+
+      // Default to hourly buckets for up to a week, daily beyond that
+      const interval = req.query.interval || (to - from <= 7 * 24 * 60 * 60 * 1000 ? 'hour' : 'day');
+      if (!HISTORY_INTERVALS.includes(interval)) {
+        return res.status(400).json({ error: `interval must be one of: ${HISTORY_INTERVALS.join(', ')}` });
+      }
+
+      const buckets = await databaseClient.getPoolHistory(pool.id, from, to, interval);
+
+      res.json({
+        poolAddress: pool.poolAddress,
+        from,
+        to,
+        interval,
+        series: buckets.map(bucket => ({
+          timestamp: bucket.bucket,
+          apy: bucket.apy,
+          tvl: bucket.tvl,
+          volume24h: bucket.volume24h,
+          priceA: bucket.priceA,
+          priceB: bucket.priceB,
+          samples: bucket.samples
+        }))
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+}
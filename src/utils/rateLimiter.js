@@ -1,6 +1,23 @@
 /**
- * Rate limiter utility for API calls
+ * Rate limiting for API calls: a fixed delay between calls (RateLimiter) and per-upstream
+ * token buckets with concurrency caps (TokenBucketLimiter, RateLimiterRegistry)
  */
+import { MetricsRegistry } from './metrics.js';
+import { Logger } from './logger.js';
+
+const log = Logger.default.child({ module: 'rateLimiter' });
+
+const metrics = MetricsRegistry.default;
+const upstreamRequestSeconds = metrics.histogram({
+  name: 'wildnet_upstream_request_duration_seconds',
+  help: 'Upstream API request latency until the response headers, by upstream and HTTP status (or timeout/error)',
+  labelNames: ['upstream', 'status']
+});
+const limiterWaitSeconds = metrics.histogram({
+  name: 'wildnet_rate_limiter_wait_seconds',
+  help: 'Time requests waited for a rate limiter token and a free slot',
+  labelNames: ['upstream']
+});
 export class RateLimiter {
   constructor(delayMs = 2000) {
     this.lastCall = 0;
@@ -13,10 +30,243 @@ export class RateLimiter {
     
     if (timeSinceLastCall < this.delay) {
       const waitTime = this.delay - timeSinceLastCall;
-      console.log(`Rate limiting: waiting ${waitTime}ms`);
+      log.debug('Rate limiting', { waitMs: waitTime });
       await new Promise(resolve => setTimeout(resolve, waitTime));
     }
     
     this.lastCall = Date.now();
   }
 }
+
+// Default limits per upstream: requests per second, burst size and requests in flight
+export const UPSTREAM_LIMITS = {
+  defillama: { ratePerSecond: 0.5, burst: 2, maxConcurrent: 2 },
+  jupiter: { ratePerSecond: 1, burst: 5, maxConcurrent: 4 },
+  rpc: { ratePerSecond: 5, burst: 10, maxConcurrent: 4 }
+};
+
+// Pause after a 429 without a usable Retry-After header
+const DEFAULT_RETRY_AFTER_MS = 5000;
+
+/**
+ * Parse a Retry-After header (delay in seconds or an HTTP date)
+ * @param {string|null} value - Header value
+ * @returns {number|null} Delay in milliseconds, or null if missing or unreadable
+ */
+export function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Token-bucket limiter for one upstream API, with a cap on requests in flight.
+ * A 429 pauses the bucket for Retry-After and halves its rate; each later success
+ * recovers a tenth of the configured rate.
+ */
+export class TokenBucketLimiter {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Upstream name, for logs
+   * @param {number} options.ratePerSecond - Sustained request rate
+   * @param {number} options.burst - Bucket size: requests allowed back to back after a quiet period
+   * @param {number} options.maxConcurrent - Maximum requests in flight
+   */
+  constructor({ name, ratePerSecond, burst, maxConcurrent }) {
+    this.name = name;
+    this.baseRate = ratePerSecond;
+    this.rate = ratePerSecond;
+    this.burst = burst;
+    this.maxConcurrent = maxConcurrent;
+    this.tokens = burst;
+    this.refilledAt = Date.now();
+    this.pausedUntil = 0;
+    this.inFlight = 0;
+    this.throttled = 0;
+    // Callers waiting for a token and a free slot, served in order
+    this.queue = [];
+    this.timer = null;
+  }
+
+  /**
+   * Add the tokens earned since the last refill
+   */
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.burst, this.tokens + (now - this.refilledAt) / 1000 * this.rate);
+    this.refilledAt = now;
+  }
+
+  /**
+   * Wait for a token and a free slot
+   * @returns {Promise<Function>} Call it once the request has finished
+   */
+  acquire() {
+    return new Promise(resolve => {
+      this.queue.push(resolve);
+      this.drain();
+    });
+  }
+
+  /**
+   * Hand out tokens to waiting callers, or schedule the next attempt
+   */
+  drain() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.refill();
+
+    while (this.queue.length > 0 && this.inFlight < this.maxConcurrent && this.tokens >= 1 && Date.now() >= this.pausedUntil) {
+      this.tokens -= 1;
+      this.inFlight++;
+      const resolve = this.queue.shift();
+      let released = false;
+      resolve(() => {
+        if (released) return;
+        released = true;
+        this.inFlight--;
+        this.drain();
+      });
+    }
+
+    // Slots free up on release; tokens and pauses need a timer
+    if (this.queue.length > 0 && this.inFlight < this.maxConcurrent) {
+      const waitMs = Math.max(this.pausedUntil - Date.now(), (1 - this.tokens) / this.rate * 1000, 1);
+      this.timer = setTimeout(() => this.drain(), waitMs);
+    }
+  }
+
+  /**
+   * Back off after a 429: pause until Retry-After and halve the rate
+   * @param {number|null} retryAfterMs - Delay from the Retry-After header
+   */
+  throttle(retryAfterMs) {
+    const delayMs = retryAfterMs ?? DEFAULT_RETRY_AFTER_MS;
+    this.throttled++;
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + delayMs);
+    this.rate = Math.max(this.baseRate / 8, this.rate / 2);
+    this.tokens = 0;
+    log.warn('Rate limited by upstream, pausing', { upstream: this.name, pauseMs: delayMs, ratePerSecond: Number(this.rate.toFixed(2)) });
+  }
+
+  /**
+   * Recover part of the configured rate after a successful request
+   */
+  recover() {
+    if (this.rate < this.baseRate) {
+      this.rate = Math.min(this.baseRate, this.rate + this.baseRate / 10);
+    }
+  }
+
+  /**
+   * Run fn once a token and a free slot are available. The slot is held until fn settles,
+   * so a timeout started inside fn only covers the request, not the wait in the queue.
+   * @param {Function} fn - Request to run
+   * @returns {Promise<*>} fn's result
+   */
+  async schedule(fn) {
+    const waited = limiterWaitSeconds.startTimer({ upstream: this.name });
+    const release = await this.acquire();
+    waited();
+
+    try {
+      return await fn();
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * fetch() for a caller already holding a slot (see schedule). 429 responses are returned
+   * to the caller after throttling the limiter.
+   * @param {string} url - Request URL
+   * @param {Object} options - fetch options
+   * @returns {Promise<Response>} Response
+   */
+  async request(url, options) {
+    const timer = upstreamRequestSeconds.startTimer({ upstream: this.name });
+    const response = await fetch(url, options).catch(error => {
+      timer({ status: error.name === 'TimeoutError' ? 'timeout' : 'error' });
+      throw error;
+    });
+    timer({ status: response.status });
+    if (response.status === 429) {
+      this.throttle(parseRetryAfter(response.headers.get('retry-after')));
+    } else {
+      this.recover();
+    }
+    return response;
+  }
+
+  /**
+   * Current state, for health output
+   * @returns {Object} { rate, burst, maxConcurrent, inFlight, queued, pausedMs, throttled }
+   */
+  stats() {
+    return {
+      rate: this.rate,
+      burst: this.burst,
+      maxConcurrent: this.maxConcurrent,
+      inFlight: this.inFlight,
+      queued: this.queue.length,
+      pausedMs: Math.max(0, this.pausedUntil - Date.now()),
+      throttled: this.throttled
+    };
+  }
+}
+
+/**
+ * One TokenBucketLimiter per upstream. The API clients take their limiter from
+ * RateLimiterRegistry.default unless one is passed in, so every client of an upstream
+ * in the process shares its bucket.
+ */
+export class RateLimiterRegistry {
+  /**
+   * @param {Object} limits - { [upstream]: { ratePerSecond, burst, maxConcurrent } }
+   */
+  constructor(limits = UPSTREAM_LIMITS) {
+    this.limiters = new Map(Object.entries(limits).map(([name, options]) => [name, new TokenBucketLimiter({ name, ...options })]));
+  }
+
+  /**
+   * Process-wide registry, with the default limits until configure() is called
+   * @returns {RateLimiterRegistry}
+   */
+  static get default() {
+    RateLimiterRegistry.instance ??= new RateLimiterRegistry();
+    return RateLimiterRegistry.instance;
+  }
+
+  /**
+   * Replace the process-wide registry. Call it before building clients, which take their
+   * limiter from the registry when constructed.
+   * @param {Object} limits - The "rateLimits" config section
+   * @returns {RateLimiterRegistry}
+   */
+  static configure(limits) {
+    RateLimiterRegistry.instance = new RateLimiterRegistry(limits);
+    return RateLimiterRegistry.instance;
+  }
+
+  /**
+   * Get an upstream's limiter
+   * @param {string} name - Upstream name (defillama, jupiter, rpc)
+   * @returns {TokenBucketLimiter}
+   * @throws {Error} If the upstream is unknown
+   */
+  get(name) {
+    const limiter = this.limiters.get(name);
+    if (!limiter) throw new Error(`No rate limiter for upstream "${name}"`);
+    return limiter;
+  }
+
+  /**
+   * State of every limiter, for health output
+   * @returns {Object} { [upstream]: stats }
+   */
+  stats() {
+    return Object.fromEntries([...this.limiters].map(([name, limiter]) => [name, limiter.stats()]));
+  }
+}
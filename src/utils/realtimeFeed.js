@@ -0,0 +1,315 @@
+/**
+ * WebSocket feed of pool events, attached to the HTTP server
+ */
+import { WebSocketServer, WebSocket } from 'ws';
+import { formatPool, formatEvent } from './poolFormatter.js';
+import { Logger } from './logger.js';
+
+const log = Logger.default.child({ module: 'realtimeFeed' });
+
+/**
+ * Map a stored PoolEvent type to a feed message type
+ * @param {string} eventType - PoolEvent.eventType
+ * @returns {string} "pool.created", "pool.enriched" or "pool.event"
+ */
+export function messageTypeForEvent(eventType) {
+  if (eventType === 'created') return 'pool.created';
+  if (eventType === 'enriched') return 'pool.enriched';
+  return 'pool.event';
+}
+
+/**
+ * Check a pool against subscription filters
+ * @param {Object} pool - Pool record
+ * @param {Object} filters - { source, minApy, tokens }
+ * @returns {boolean} True if the pool matches every given filter
+ */
+export function matchesFilters(pool, { source, minApy, tokens } = {}) {
+  if (source && pool.source?.toLowerCase() !== source.toLowerCase()) return false;
+  if (minApy !== undefined && (pool.apy === null || pool.apy === undefined || pool.apy < minApy)) return false;
+  if (tokens?.length > 0 && !tokens.includes(pool.tokenA) && !tokens.includes(pool.tokenB)) return false;
+  return true;
+}
+
+/**
+ * Validate subscription filters sent by a client
+ * @param {Object} filters - Raw filters from the subscribe message
+ * @returns {{filters: Object, errors: Object|null}} Normalized filters or field errors
+ */
+export function parseSubscriptionFilters(filters = {}) {
+  const errors = {};
+  const parsed = {};
+
+  if (filters.source !== undefined) {
+    if (typeof filters.source !== 'string' || filters.source.trim() === '') {
+      errors.source = 'must be a non-empty string';
+    } else {
+      parsed.source = filters.source.trim();
+    }
+  }
+  if (filters.minApy !== undefined) {
+    if (typeof filters.minApy !== 'number' || !Number.isFinite(filters.minApy)) {
+      errors.minApy = 'must be a number';
+    } else {
+      parsed.minApy = filters.minApy;
+    }
+  }
+  if (filters.tokens !== undefined) {
+    if (!Array.isArray(filters.tokens) || !filters.tokens.every(token => typeof token === 'string')) {
+      errors.tokens = 'must be an array of mint addresses';
+    } else {
+      parsed.tokens = filters.tokens;
+    }
+  }
+
+  return { filters: parsed, errors: Object.keys(errors).length > 0 ? errors : null };
+}
+
+export class RealtimeFeed {
+  /**
+   * @param {http.Server} server - HTTP server to attach to
+   * @param {WebhookHandler} webhookHandler - Source of pool events
+   * @param {DatabaseClient} databaseClient - Used to replay missed events
+   * @param {Object} options
+   * @param {string} options.path - WebSocket endpoint path
+   * @param {number} options.heartbeatMs - Ping interval; clients that miss a pong are dropped
+   * @param {number} options.replayLimit - Maximum number of events replayed on resume
+   * @param {number} options.maxPayload - Largest accepted client message in bytes
+   * @param {number} options.maxBufferedBytes - Unsent bytes after which a slow client is dropped
+   * @param {number} options.maxBufferedEvents - Live events held during replay before the client is dropped
+   */
+  constructor(server, webhookHandler, databaseClient, {
+    path = '/ws',
+    heartbeatMs = 30000,
+    replayLimit = 500,
+    maxPayload = 64 * 1024,
+    maxBufferedBytes = 1024 * 1024,
+    maxBufferedEvents = 1000
+  } = {}) {
+    this.databaseClient = databaseClient;
+    this.replayLimit = replayLimit;
+    this.maxBufferedBytes = maxBufferedBytes;
+    this.maxBufferedEvents = maxBufferedEvents;
+    this.wss = new WebSocketServer({ server, path, maxPayload });
+    this.wss.on('connection', ws => this.handleConnection(ws));
+
+    this.onPoolEvent = ({ pool, event }) => this.broadcast(pool, event);
+    webhookHandler.on('pool.created', this.onPoolEvent);
+    webhookHandler.on('pool.enriched', this.onPoolEvent);
+    webhookHandler.on('pool.event', this.onPoolEvent);
+    this.webhookHandler = webhookHandler;
+
+    this.heartbeat = setInterval(() => this.checkClients(), heartbeatMs);
+    this.heartbeat.unref();
+  }
+
+  /**
+   * Set up a new client. Clients receive nothing until they subscribe.
+   * @param {WebSocket} ws - Client socket
+   */
+  handleConnection(ws) {
+    ws.isAlive = true;
+    ws.subscription = null;
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+    ws.on('message', data => this.handleMessage(ws, data).catch(error => {
+      log.error('WebSocket message handling failed', { error });
+      this.send(ws, { type: 'error', error: 'Internal error' });
+    }));
+    // Malformed or oversized frames are reported here; drop that client only
+    ws.on('error', error => {
+      log.warn('WebSocket client error, closing connection', { error });
+      ws.terminate();
+    });
+
+    this.send(ws, { type: 'welcome', messageTypes: ['pool.created', 'pool.enriched', 'pool.event'] });
+  }
+
+  /**
+   * Handle a client message: { type: "subscribe", filters, cursor } or { type: "unsubscribe" }
+   * @param {WebSocket} ws - Client socket
+   * @param {Buffer} data - Raw message
+   */
+  async handleMessage(ws, data) {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch {
+      return this.send(ws, { type: 'error', error: 'Messages must be JSON' });
+    }
+    if (typeof message !== 'object' || message === null || Array.isArray(message)) {
+      return this.send(ws, { type: 'error', error: 'Messages must be JSON objects' });
+    }
+
+    if (message.type === 'unsubscribe') {
+      ws.subscription = null;
+      return this.send(ws, { type: 'unsubscribed' });
+    }
+
+    if (message.type !== 'subscribe') {
+      return this.send(ws, { type: 'error', error: `Unknown message type: ${message.type}` });
+    }
+
+    const { filters, errors } = parseSubscriptionFilters(message.filters);
+    if (errors) {
+      return this.send(ws, { type: 'error', error: 'Invalid filters', fields: errors });
+    }
+
+    const cursor = message.cursor === undefined ? null : Number(message.cursor);
+    if (cursor !== null && (!Number.isInteger(cursor) || cursor < 0)) {
+      return this.send(ws, { type: 'error', error: 'cursor must be a non-negative integer' });
+    }
+
+    // Buffer live events while replaying so nothing falls between replay and live
+    ws.subscription = { filters, replaying: cursor !== null, buffered: [], replayedUpTo: cursor };
+
+    if (cursor !== null) {
+      await this.replay(ws, cursor);
+    }
+    this.send(ws, { type: 'subscribed', filters, cursor: ws.subscription?.replayedUpTo ?? null });
+  }
+
+  /**
+   * Send a client the events it missed since a cursor, then flush buffered live events
+   * @param {WebSocket} ws - Client socket
+   * @param {number} cursor - Last PoolEvent ID the client saw
+   */
+  async replay(ws, cursor) {
+    const subscription = ws.subscription;
+    try {
+      const events = await this.databaseClient.getEventsSince(cursor, this.replayLimit);
+      for (const event of events) {
+        this.deliver(ws, subscription, event.pool, event, true);
+      }
+      if (events.length === this.replayLimit) {
+        this.send(ws, { type: 'replay.truncated', cursor: subscription.replayedUpTo });
+      }
+    } catch (error) {
+      log.error('WebSocket replay failed', { error });
+      this.send(ws, { type: 'error', error: 'Replay failed' });
+    }
+
+    subscription.replaying = false;
+    for (const { pool, event } of subscription.buffered) {
+      this.deliver(ws, subscription, pool, event);
+    }
+    subscription.buffered = [];
+  }
+
+  /**
+   * Send an event to every subscribed client whose filters match
+   * @param {Object} pool - Pool record
+   * @param {Object} event - PoolEvent record
+   */
+  broadcast(pool, event) {
+    for (const ws of this.wss.clients) {
+      const subscription = ws.subscription;
+      if (!subscription || ws.readyState !== WebSocket.OPEN) continue;
+
+      if (subscription.replaying) {
+        subscription.buffered.push({ pool, event });
+        if (subscription.buffered.length > this.maxBufferedEvents) {
+          this.drop(ws, 'too many events buffered during replay');
+        }
+      } else {
+        this.deliver(ws, subscription, pool, event);
+      }
+    }
+  }
+
+  /**
+   * Deliver one event to one client, skipping live events already sent by the replay
+   * @param {WebSocket} ws - Client socket
+   * @param {Object} subscription - Client subscription state
+   * @param {Object} pool - Pool record
+   * @param {Object} event - PoolEvent record
+   * @param {boolean} replayed - Whether the event comes from the replay
+   */
+  deliver(ws, subscription, pool, event, replayed = false) {
+    if (replayed) {
+      subscription.replayedUpTo = event.id;
+    } else if (subscription.replayedUpTo !== null && event.id <= subscription.replayedUpTo) {
+      return;
+    }
+
+    if (!matchesFilters(pool, subscription.filters)) return;
+
+    this.send(ws, {
+      type: messageTypeForEvent(event.eventType),
+      cursor: event.id,
+      replayed,
+      pool: formatPool(pool),
+      event: formatEvent(event)
+    });
+  }
+
+  /**
+   * Send a JSON message if the socket is open, dropping the client instead once more than
+   * maxBufferedBytes are waiting to be sent to it
+   * @param {WebSocket} ws - Client socket
+   * @param {Object} message - Message to send
+   */
+  send(ws, message) {
+    if (ws.readyState !== WebSocket.OPEN) return;
+
+    if (ws.bufferedAmount > this.maxBufferedBytes) {
+      // The client resumes from its last cursor when it reconnects
+      this.drop(ws, 'client is not keeping up');
+      return;
+    }
+    ws.send(JSON.stringify(message));
+  }
+
+  /**
+   * Drop a client, discarding whatever is still buffered for it
+   * @param {WebSocket} ws - Client socket
+   * @param {string} reason - Logged reason
+   */
+  drop(ws, reason) {
+    log.info('Closing WebSocket client', { reason });
+    if (ws.subscription) {
+      ws.subscription.buffered = [];
+      ws.subscription = null;
+    }
+    ws.terminate();
+  }
+
+  /**
+   * Ping clients and drop those that did not answer the previous ping
+   */
+  checkClients() {
+    for (const ws of this.wss.clients) {
+      if (!ws.isAlive) {
+        ws.terminate();
+        continue;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    }
+  }
+
+  /**
+   * Number of connected clients
+   * @returns {number}
+   */
+  get clientCount() {
+    return this.wss.clients.size;
+  }
+
+  /**
+   * Close every client and stop the server
+   * @returns {Promise<void>}
+   */
+  close() {
+    clearInterval(this.heartbeat);
+    this.webhookHandler.off('pool.created', this.onPoolEvent);
+    this.webhookHandler.off('pool.enriched', this.onPoolEvent);
+    this.webhookHandler.off('pool.event', this.onPoolEvent);
+
+    for (const ws of this.wss.clients) {
+      ws.close(1001, 'Server shutting down');
+    }
+    return new Promise(resolve => this.wss.close(() => resolve()));
+  }
+}
@@ -0,0 +1,110 @@
+/**
+ * Replays captured webhook deliveries through WebhookHandler and compares the pools it
+ * detects with a baseline (the database or matched_pools.txt)
+ */
+import { POOL_CREATION_TYPES } from './webhookHandler.js';
+
+// Pool fields compared between a detection and its baseline
+const DIFF_FIELDS = ['poolAddress', 'tokenA', 'tokenB', 'source', 'decoder'];
+
+export class WebhookReplayer {
+  /**
+   * @param {WebhookHandler} webhookHandler - Handler whose parsing is being checked
+   */
+  constructor(webhookHandler) {
+    this.webhookHandler = webhookHandler;
+  }
+
+  /**
+   * Flatten deliveries into transactions, keeping the first copy of each signature
+   * @param {Array} captures - Deliveries as { receivedAt, transactions }
+   * @returns {Array} Unique transactions in capture order
+   */
+  static uniqueTransactions(captures) {
+    const seen = new Set();
+    const transactions = [];
+    for (const capture of captures) {
+      for (const transaction of capture.transactions) {
+        if (transaction.signature && seen.has(transaction.signature)) continue;
+        if (transaction.signature) seen.add(transaction.signature);
+        transactions.push(transaction);
+      }
+    }
+    return transactions;
+  }
+
+  /**
+   * Run the parser over transactions without storing anything
+   * @param {Array} transactions - Webhook transactions
+   * @returns {Array} Detected pool data, one per pool-creating transaction
+   */
+  detectPools(transactions) {
+    return transactions
+      .filter(transaction => POOL_CREATION_TYPES.includes(transaction.type))
+      .map(transaction => this.webhookHandler.parsePoolFromTransaction(transaction))
+      .filter(Boolean);
+  }
+
+  /**
+   * Compare detected pools with baseline pools. A pool is matched to the baseline entry of
+   * the same transaction signature, or by pool address when the signature has none, so a
+   * pool whose address is now read differently shows up as changed rather than added and missing.
+   * @param {Array} detected - Pools from detectPools
+   * @param {Array} baseline - Stored or previously matched pools
+   * @returns {{added: Array, missing: Array, changed: Array, unchanged: number}} Differences
+   */
+  static diffPools(detected, baseline) {
+    const baselineBySignature = new Map(baseline.filter(pool => pool.signature).map(pool => [pool.signature, pool]));
+    const baselineByAddress = new Map(baseline.map(pool => [pool.poolAddress, pool]));
+    const matched = new Set();
+    const added = [];
+    const changed = [];
+    let unchanged = 0;
+
+    for (const pool of detected) {
+      const previous = [baselineBySignature.get(pool.signature), baselineByAddress.get(pool.poolAddress)]
+        .find(candidate => candidate && !matched.has(candidate));
+      if (!previous) {
+        added.push(pool);
+        continue;
+      }
+      matched.add(previous);
+
+      // Baselines without a field (matched_pools.txt has no decoder) don't count as a change
+      const fields = DIFF_FIELDS
+        .filter(field => previous[field] != null && previous[field] !== pool[field])
+        .map(field => ({ field, before: previous[field], after: pool[field] }));
+      if (fields.length > 0) {
+        changed.push({ poolAddress: pool.poolAddress, signature: pool.signature, fields });
+      } else {
+        unchanged++;
+      }
+    }
+
+    const missing = baseline.filter(pool => !matched.has(pool));
+    return { added, missing, changed, unchanged };
+  }
+
+  /**
+   * Replay captured deliveries. The diff is taken before anything is written, so in write
+   * mode it shows what the run is about to change.
+   * @param {Array} captures - Deliveries as { receivedAt, transactions }
+   * @param {Object} options
+   * @param {Function} options.loadBaseline - async (signatures, poolAddresses) => baseline pools
+   * @param {boolean} options.write - Store pools and activity through processWebhookPayload
+   * @returns {Promise<Object>} { transactions, detected, diff, failures }
+   */
+  async replay(captures, { loadBaseline, write = false }) {
+    const transactions = WebhookReplayer.uniqueTransactions(captures);
+    const detected = this.detectPools(transactions);
+
+    const baseline = await loadBaseline(
+      transactions.map(transaction => transaction.signature).filter(Boolean),
+      detected.map(pool => pool.poolAddress)
+    );
+    const diff = WebhookReplayer.diffPools(detected, baseline);
+
+    const failures = write ? await this.webhookHandler.processWebhookPayload(transactions) : [];
+    return { transactions: transactions.length, detected, diff, failures };
+  }
+}
@@ -1,16 +1,135 @@
 /**
- * Retry utility with exponential backoff
+ * Retry utility with full-jitter exponential backoff, per-attempt timeouts and
+ * classification of errors into retryable (network, timeouts, 408, 429, 5xx) and not
  */
+import { Logger } from './logger.js';
+
+const log = Logger.default.child({ module: 'retryHelper' });
+
+// Socket-level error codes (Node and undici) worth retrying
+const RETRYABLE_CODES = new Set([
+  'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'ENOTFOUND', 'EAI_AGAIN',
+  'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT', 'UND_ERR_BODY_TIMEOUT'
+]);
+
+/**
+ * Non-2xx HTTP response from an upstream
+ */
+export class HttpError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {number} status - HTTP status
+   */
+  constructor(message, status) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+/**
+ * An attempt that did not finish within its timeout
+ */
+export class TimeoutError extends Error {
+  /**
+   * @param {number} timeoutMs - Timeout that elapsed
+   */
+  constructor(timeoutMs) {
+    super(`Timed out after ${timeoutMs}ms`);
+    this.name = 'TimeoutError';
+    this.timeoutMs = timeoutMs;
+  }
+}
+
 export class RetryHelper {
-  static async withBackoff(fn, maxRetries = 3) {
-    for (let i = 0; i < maxRetries; i++) {
+  /**
+   * Whether an error is worth retrying. An explicit `retryable` flag on the error wins;
+   * otherwise network errors, timeouts, 408, 429 and 5xx responses are retryable and
+   * everything else (other 4xx, parse errors, bugs) is not.
+   * @param {Error} error - Error thrown by an attempt
+   * @returns {boolean}
+   */
+  static isRetryable(error) {
+    if (typeof error.retryable === 'boolean') return error.retryable;
+    if (error instanceof HttpError) {
+      return error.status === 408 || error.status === 429 || error.status >= 500;
+    }
+    // Ours, and the DOMException thrown by AbortSignal.timeout()
+    if (error.name === 'TimeoutError') return true;
+    // fetch() rejects with a TypeError("fetch failed") whose cause is the socket error
+    if (error.name === 'TypeError' && error.message === 'fetch failed') return true;
+    return RETRYABLE_CODES.has(error.code) || RETRYABLE_CODES.has(error.cause?.code);
+  }
+
+  /**
+   * Full-jitter backoff: a random delay between 0 and the capped exponential delay
+   * @param {number} attempt - Failed attempt, starting at 0
+   * @param {number} baseDelayMs - Delay cap after the first failure
+   * @param {number} maxDelayMs - Upper bound of the delay cap
+   * @returns {number} Delay in milliseconds
+   */
+  static backoffDelay(attempt, baseDelayMs, maxDelayMs) {
+    return Math.floor(Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt));
+  }
+
+  /**
+   * Run fn with an AbortSignal that fires after timeoutMs. Rejects with a TimeoutError
+   * when the time is up, even if fn ignores the signal.
+   * @param {Function} fn - Receives the AbortSignal (undefined without a timeout)
+   * @param {number|null} timeoutMs - Timeout, or null for none
+   * @returns {Promise<*>} fn's result
+   */
+  static withTimeout(fn, timeoutMs) {
+    if (!timeoutMs) return fn(undefined);
+
+    const controller = new AbortController();
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        const error = new TimeoutError(timeoutMs);
+        controller.abort(error);
+        reject(error);
+      }, timeoutMs);
+
+      new Promise(settle => settle(fn(controller.signal)))
+        .then(resolve, reject)
+        .finally(() => clearTimeout(timer));
+    });
+  }
+
+  /**
+   * Run fn until it succeeds, retrying retryable errors with full-jitter backoff
+   * @param {Function} fn - Attempt; receives an AbortSignal for its timeout
+   * @param {Object} options
+   * @param {number} options.maxAttempts - Attempts before giving up
+   * @param {number} options.baseDelayMs - Backoff cap after the first failure (doubles per attempt)
+   * @param {number} options.maxDelayMs - Upper bound of the backoff cap
+   * @param {number|null} options.timeoutMs - Timeout of each attempt
+   * @param {CircuitBreaker|null} options.breaker - Breaker of the upstream; fails fast while open
+   * @param {TokenBucketLimiter|null} options.limiter - Limiter of the upstream. Each attempt waits for
+   *   its slot first, so the wait counts towards neither the timeout nor the breaker.
+   * @param {Function} options.isRetryable - Error classification
+   * @returns {Promise<*>} fn's result
+   * @throws {Error} The first non-retryable error, or the last one
+   */
+  static async withBackoff(fn, {
+    maxAttempts = 3,
+    baseDelayMs = 1000,
+    maxDelayMs = 30000,
+    timeoutMs = null,
+    breaker = null,
+    limiter = null,
+    isRetryable = RetryHelper.isRetryable
+  } = {}) {
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
       try {
-        return await fn();
+        const run = () => RetryHelper.withTimeout(fn, timeoutMs);
+        const guarded = () => breaker ? breaker.run(run) : run();
+        return await (limiter ? limiter.schedule(guarded) : guarded());
       } catch (error) {
-        if (i === maxRetries - 1) throw error;
-        
-        const delay = Math.pow(2, i) * 1000; // 1s, 2s, 4s
-        console.log(`Retry ${i + 1}/${maxRetries} failed, waiting ${delay}ms: ${error.message}`);
+        if (!isRetryable(error) || attempt === maxAttempts - 1) throw error;
+
+        const delay = RetryHelper.backoffDelay(attempt, baseDelayMs, maxDelayMs);
+        log.warn('Attempt failed, retrying', { attempt: attempt + 1, maxAttempts, delayMs: delay, error });
         await new Promise(resolve => setTimeout(resolve, delay));
       }
     }
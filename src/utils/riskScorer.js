@@ -0,0 +1,236 @@
+/**
+ * Rug-risk scoring for newly detected pools. Each check that fails adds a flag and
+ * its points to a 0-100 score; checks that could not run are reported but add nothing.
+ */
+import { QUOTE_MINTS } from './defiLlamaClient.js';
+
+// Holders whose LP tokens can no longer be withdrawn
+const BURN_ADDRESSES = new Set([
+  '1nc1nerator11111111111111111111111111111111',
+  '11111111111111111111111111111111'
+]);
+const LOCKER_PROGRAMS = new Set([
+  'strmRqUCoQUgGUan5YhzUZa6KqdzwX5L6FpUxfmKg5m', // Streamflow
+  'LocpQgucEQHbqNABEYvBvwoxCPsSbG91A1QaQhQQqjn', // Meteora lock
+  'LockrWmn6K5twhz3y9w1dQERbmgSaRkfnTeTKbpofwE' // Raydium burn & earn
+]);
+
+export const RISK_FLAGS = {
+  mint_authority: 25, // Supply can still be inflated
+  freeze_authority: 25, // Holders can be frozen (honeypot)
+  lp_unlocked: 20, // Most LP tokens can still be withdrawn
+  holder_concentration: 15, // Top holders own most of the supply
+  low_liquidity: 15, // Small initial liquidity
+  unverified_token: 10, // Not verified on Jupiter
+  new_token: 5, // Mint created recently
+  token_2022: 5, // Token-2022 extensions can add transfer fees or hooks
+  incomplete: 0 // Some checks could not run
+};
+
+export class RiskScorer {
+  /**
+   * @param {SolanaRpcClient} rpcClient - RPC client for mint, holder and signature reads
+   * @param {Object} options
+   * @param {number} options.minLiquidityUsd - Initial liquidity below this is flagged
+   * @param {number} options.maxTopHolderShare - Share of supply the top 10 holders may own
+   * @param {number} options.minLpLockedShare - Share of LP supply that should be burned or locked
+   * @param {number} options.newTokenHours - Mints younger than this are flagged
+   */
+  constructor(rpcClient, {
+    minLiquidityUsd = 10000,
+    maxTopHolderShare = 0.5,
+    minLpLockedShare = 0.9,
+    newTokenHours = 24
+  } = {}) {
+    this.rpcClient = rpcClient;
+    this.minLiquidityUsd = minLiquidityUsd;
+    this.maxTopHolderShare = maxTopHolderShare;
+    this.minLpLockedShare = minLpLockedShare;
+    this.newTokenHours = newTokenHours;
+  }
+
+  /**
+   * Map a score to a level
+   * @param {number} score - Risk score
+   * @returns {string} "low", "medium" or "high"
+   */
+  static levelForScore(score) {
+    if (score >= 60) return 'high';
+    if (score >= 30) return 'medium';
+    return 'low';
+  }
+
+  /**
+   * Score a pool. Only non-quote tokens are checked, so SOL/USDC/USDT never add flags.
+   * @param {Object} pool - Pool data with tokenA, tokenB, vaultA, vaultB and lpMint
+   * @param {Object} context
+   * @param {Object|null} context.tokenAInfo - Jupiter data for tokenA
+   * @param {Object|null} context.tokenBInfo - Jupiter data for tokenB
+   * @param {Object|null} context.initialLiquidity - { tokenA, tokenB } amounts from the creation transfers
+   * @returns {Promise<{score: number, level: string, flags: Array<string>, checks: Object}>} Score with per-check details
+   */
+  async scorePool(pool, { tokenAInfo = null, tokenBInfo = null, initialLiquidity = null } = {}) {
+    const flags = new Set();
+    const checks = {};
+    const tokens = [
+      { mint: pool.tokenA, info: tokenAInfo },
+      { mint: pool.tokenB, info: tokenBInfo }
+    ].filter(token => !QUOTE_MINTS.has(token.mint));
+
+    const run = async (name, check) => {
+      try {
+        const result = await check();
+        checks[name] = result;
+        (result.flags || []).forEach(flag => flags.add(flag));
+      } catch (error) {
+        checks[name] = { error: error.message };
+        flags.add('incomplete');
+      }
+    };
+
+    for (const token of tokens) {
+      await run(`mint:${token.mint}`, () => this.checkMint(token.mint));
+      await run(`holders:${token.mint}`, () => this.checkHolders(token.mint, checks[`mint:${token.mint}`]?.supply, [pool.vaultA, pool.vaultB]));
+      await run(`age:${token.mint}`, () => this.checkTokenAge(token.mint));
+      await run(`jupiter:${token.mint}`, async () => this.checkJupiter(token.info));
+    }
+    if (pool.lpMint) {
+      await run('lp', () => this.checkLp(pool.lpMint));
+    }
+    await run('liquidity', async () => this.checkLiquidity(initialLiquidity, tokenAInfo, tokenBInfo));
+
+    const score = Math.min(100, [...flags].reduce((total, flag) => total + RISK_FLAGS[flag], 0));
+    return { score, level: RiskScorer.levelForScore(score), flags: [...flags], checks };
+  }
+
+  /**
+   * Check whether mint and freeze authorities were revoked
+   * @param {string} mint - Mint address
+   * @returns {Promise<Object>} Authorities and flags
+   */
+  async checkMint(mint) {
+    const info = await this.rpcClient.getMintInfo(mint);
+    if (!info) throw new Error('Mint account not found');
+
+    const flags = [];
+    if (info.mintAuthority) flags.push('mint_authority');
+    if (info.freezeAuthority) flags.push('freeze_authority');
+    if (info.program === 'spl-token-2022') flags.push('token_2022');
+    return {
+      mintAuthority: info.mintAuthority,
+      freezeAuthority: info.freezeAuthority,
+      supply: info.supply,
+      program: info.program,
+      flags
+    };
+  }
+
+  /**
+   * Check how much of the supply the largest holders own, ignoring the pool's own vaults
+   * @param {string} mint - Mint address
+   * @param {number|undefined} supply - Mint supply from checkMint
+   * @param {Array<string|null>} poolAccounts - Pool vaults
+   * @returns {Promise<Object>} Top holder shares and flags
+   */
+  async checkHolders(mint, supply, poolAccounts) {
+    if (!supply) throw new Error('Mint supply unavailable');
+
+    const holders = (await this.rpcClient.getLargestHolders(mint))
+      .filter(holder => !poolAccounts.includes(holder.address) && !BURN_ADDRESSES.has(holder.owner))
+      .slice(0, 10);
+    const topHolderShare = (holders[0]?.amount || 0) / supply;
+    const top10Share = holders.reduce((total, holder) => total + holder.amount, 0) / supply;
+
+    return {
+      topHolderShare,
+      top10Share,
+      flags: top10Share > this.maxTopHolderShare ? ['holder_concentration'] : []
+    };
+  }
+
+  /**
+   * Check how long ago the mint first appeared on chain
+   * @param {string} mint - Mint address
+   * @returns {Promise<Object>} First-seen time and flags
+   */
+  async checkTokenAge(mint) {
+    const { firstSeen, exact } = await this.rpcClient.getFirstSeen(mint);
+    if (!firstSeen) throw new Error('No signatures found');
+
+    // With more history than we page through, the mint is at least this old
+    const ageHours = (Date.now() - firstSeen.getTime()) / (60 * 60 * 1000);
+    return {
+      firstSeen,
+      exact,
+      ageHours,
+      flags: exact && ageHours < this.newTokenHours ? ['new_token'] : []
+    };
+  }
+
+  /**
+   * Check Jupiter's verification flag and tags
+   * @param {Object|null} tokenInfo - Jupiter data
+   * @returns {Object} Verification status and flags
+   */
+  checkJupiter(tokenInfo) {
+    if (!tokenInfo) throw new Error('No Jupiter data');
+
+    const tags = tokenInfo.tags || [];
+    const verified = !!tokenInfo.verified || tags.includes('verified') || tags.includes('strict');
+    return { verified, tags, flags: verified ? [] : ['unverified_token'] };
+  }
+
+  /**
+   * Check how much of the LP supply is burned or held by a locker program
+   * @param {string} lpMint - LP mint address
+   * @returns {Promise<Object>} Locked share and flags
+   */
+  async checkLp(lpMint) {
+    const info = await this.rpcClient.getMintInfo(lpMint);
+    if (!info) throw new Error('LP mint not found');
+
+    // Burning LP tokens reduces the supply, so an empty supply means everything was burned
+    if (info.supply === 0) {
+      return { supply: 0, lockedShare: 1, flags: [] };
+    }
+
+    const holders = await this.rpcClient.getLargestHolders(lpMint);
+    const authorities = [...new Set(holders.map(holder => holder.owner).filter(Boolean))];
+    const authorityPrograms = authorities.length > 0 ? await this.rpcClient.getAccountOwners(authorities) : new Map();
+
+    const locked = holders
+      .filter(holder => BURN_ADDRESSES.has(holder.owner) || LOCKER_PROGRAMS.has(authorityPrograms.get(holder.owner)?.program))
+      .reduce((total, holder) => total + holder.amount, 0);
+    const lockedShare = locked / info.supply;
+
+    return {
+      supply: info.supply,
+      lockedShare,
+      flags: lockedShare < this.minLpLockedShare ? ['lp_unlocked'] : []
+    };
+  }
+
+  /**
+   * Value the liquidity deposited by the creation transaction. AMM deposits are balanced,
+   * so a side without a price is valued like the other side.
+   * @param {Object|null} initialLiquidity - { tokenA, tokenB } amounts
+   * @param {Object|null} tokenAInfo - Jupiter data with price
+   * @param {Object|null} tokenBInfo - Jupiter data with price
+   * @returns {Object} USD value and flags
+   */
+  checkLiquidity(initialLiquidity, tokenAInfo, tokenBInfo) {
+    if (!initialLiquidity) throw new Error('No creation transfers');
+
+    const valueA = tokenAInfo?.price ? initialLiquidity.tokenA * tokenAInfo.price : null;
+    const valueB = tokenBInfo?.price ? initialLiquidity.tokenB * tokenBInfo.price : null;
+    if (valueA === null && valueB === null) throw new Error('No token prices');
+
+    const usd = (valueA ?? valueB) + (valueB ?? valueA);
+    return {
+      amountA: initialLiquidity.tokenA,
+      amountB: initialLiquidity.tokenB,
+      usd,
+      flags: usd < this.minLiquidityUsd ? ['low_liquidity'] : []
+    };
+  }
+}
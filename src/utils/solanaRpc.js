@@ -0,0 +1,305 @@
+/**
+ * Minimal Solana JSON-RPC client for the chain reads the pool checks and the backfill need.
+ * FixtureRpcClient serves the same calls from recorded responses.
+ */
+import { readFileSync } from 'fs';
+import { RetryHelper, HttpError } from './retryHelper.js';
+import { RateLimiterRegistry } from './rateLimiter.js';
+import { CircuitBreakerRegistry } from './circuitBreaker.js';
+import { Logger } from './logger.js';
+import { createDefaultDecoderRegistry } from '../decoders/index.js';
+
+const log = Logger.default.child({ module: 'solanaRpc' });
+
+// JSON-RPC error codes of a node that is behind or briefly unable to serve: worth retrying
+const TRANSIENT_RPC_ERRORS = new Set([-32004, -32005, -32014]);
+
+export class SolanaRpcClient {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - RPC endpoint (mainnet, a local test validator, ...)
+   * @param {number} options.timeoutMs - Request timeout
+   * @param {TokenBucketLimiter} options.limiter - Limiter for RPC requests (default: the shared "rpc" limiter)
+   * @param {CircuitBreaker} options.breaker - Breaker for the RPC (default: the shared "rpc" breaker)
+   * @param {Object} options.retry - Retry options of each request ({ maxAttempts, baseDelayMs, maxDelayMs })
+   */
+  constructor({
+    url = 'https://api.mainnet-beta.solana.com',
+    timeoutMs = 15000,
+    limiter = RateLimiterRegistry.default.get('rpc'),
+    breaker = CircuitBreakerRegistry.default.get('rpc'),
+    retry = {}
+  } = {}) {
+    this.url = url;
+    this.timeoutMs = timeoutMs;
+    this.limiter = limiter;
+    this.breaker = breaker;
+    this.retry = retry;
+  }
+
+  /**
+   * Build a client from the "rpc" config section. A fixtures file selects recorded responses.
+   * @param {Object} options - Constructor options, plus:
+   * @param {string|null} options.fixtures - Fixtures file to answer from instead of the RPC
+   * @returns {SolanaRpcClient}
+   */
+  static fromConfig({ fixtures = null, ...options } = {}) {
+    if (fixtures) {
+      return FixtureRpcClient.fromFile(fixtures);
+    }
+    return new SolanaRpcClient(options);
+  }
+
+  /**
+   * Send a JSON-RPC request
+   * @param {string} method - RPC method
+   * @param {Array} params - Method parameters
+   * @returns {Promise<*>} Result
+   * @throws {Error} On HTTP or RPC errors
+   */
+  async call(method, params = []) {
+    return RetryHelper.withBackoff(async (signal) => {
+      const response = await this.limiter.request(this.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params }),
+        signal
+      });
+
+      if (!response.ok) {
+        throw new HttpError(`RPC ${method} failed: HTTP ${response.status}`, response.status);
+      }
+
+      const body = await response.json();
+      if (body.error) {
+        throw Object.assign(new Error(`RPC ${method} failed: ${body.error.message}`), {
+          code: body.error.code,
+          retryable: TRANSIENT_RPC_ERRORS.has(body.error.code)
+        });
+      }
+      return body.result;
+    }, { ...this.retry, timeoutMs: this.timeoutMs, breaker: this.breaker, limiter: this.limiter });
+  }
+
+  /**
+   * Get a mint's authorities and supply
+   * @param {string} mint - Mint address
+   * @returns {Promise<Object|null>} { mintAuthority, freezeAuthority, supply, decimals, program } or null if missing
+   */
+  async getMintInfo(mint) {
+    const result = await this.call('getAccountInfo', [mint, { encoding: 'jsonParsed' }]);
+    const parsed = result?.value?.data?.parsed;
+    if (!parsed || parsed.type !== 'mint') return null;
+
+    return {
+      mintAuthority: parsed.info.mintAuthority ?? null,
+      freezeAuthority: parsed.info.freezeAuthority ?? null,
+      supply: Number(parsed.info.supply) / Math.pow(10, parsed.info.decimals),
+      decimals: parsed.info.decimals,
+      program: result.value.data.program
+    };
+  }
+
+  /**
+   * Get the largest token accounts of a mint with their owners
+   * @param {string} mint - Mint address
+   * @returns {Promise<Array>} [{ address, owner, amount }], largest first (up to 20)
+   */
+  async getLargestHolders(mint) {
+    const result = await this.call('getTokenLargestAccounts', [mint]);
+    const accounts = result?.value || [];
+    if (accounts.length === 0) return [];
+
+    const owners = await this.getAccountOwners(accounts.map(account => account.address));
+    return accounts.map(account => ({
+      address: account.address,
+      owner: owners.get(account.address)?.owner ?? null,
+      amount: account.uiAmount ?? Number(account.uiAmountString || 0)
+    }));
+  }
+
+  /**
+   * Get the authority of token accounts, or the program owning other accounts
+   * @param {Array<string>} addresses - Account addresses
+   * @returns {Promise<Map>} Address -> { owner, program }
+   */
+  async getAccountOwners(addresses) {
+    const result = await this.call('getMultipleAccounts', [addresses, { encoding: 'jsonParsed' }]);
+    const owners = new Map();
+    (result?.value || []).forEach((account, index) => {
+      if (!account) return;
+      owners.set(addresses[index], {
+        // Token accounts are owned by the token program; their "owner" is the authority
+        owner: account.data?.parsed?.info?.owner ?? account.owner,
+        program: account.owner
+      });
+    });
+    return owners;
+  }
+
+  /**
+   * Get signatures involving an address, newest first
+   * @param {string} address - Account or program address
+   * @param {Object} options
+   * @param {string} options.before - Start below this signature
+   * @param {number} options.limit - Page size (max 1000)
+   * @returns {Promise<Array>} [{ signature, slot, blockTime, err }]
+   */
+  async getSignaturesForAddress(address, { before, limit = 1000 } = {}) {
+    return this.call('getSignaturesForAddress', [address, { limit, ...(before && { before }) }]);
+  }
+
+  /**
+   * Get a confirmed transaction, including versioned (v0) transactions
+   * @param {string} signature - Transaction signature
+   * @returns {Promise<Object|null>} Transaction in "json" encoding, or null if the node does not have it
+   */
+  async getTransaction(signature) {
+    return this.call('getTransaction', [signature, { encoding: 'json', maxSupportedTransactionVersion: 0, commitment: 'confirmed' }]);
+  }
+
+  /**
+   * Estimate when an address first appeared by paging back through its signatures
+   * @param {string} address - Account address
+   * @param {number} maxPages - Pages of 1000 signatures to read before giving up
+   * @returns {Promise<{firstSeen: Date|null, exact: boolean}>} Oldest block time seen, and whether it is the first
+   */
+  async getFirstSeen(address, maxPages = 3) {
+    let before;
+    let oldest = null;
+
+    for (let page = 0; page < maxPages; page++) {
+      const signatures = await this.getSignaturesForAddress(address, { before });
+      if (signatures.length > 0) {
+        oldest = signatures[signatures.length - 1];
+        before = oldest.signature;
+      }
+      if (signatures.length < 1000) {
+        return { firstSeen: oldest?.blockTime ? new Date(oldest.blockTime * 1000) : null, exact: true };
+      }
+    }
+    return { firstSeen: oldest?.blockTime ? new Date(oldest.blockTime * 1000) : null, exact: false };
+  }
+}
+
+export class FixtureRpcClient extends SolanaRpcClient {
+  /**
+   * @param {Object} fixtures - { [method]: { [first param]: result } }
+   */
+  constructor(fixtures) {
+    super({ url: 'fixtures' });
+    this.fixtures = fixtures;
+  }
+
+  /**
+   * Load fixtures from a JSON file
+   * @param {string} path - Fixture file
+   * @returns {FixtureRpcClient}
+   */
+  static fromFile(path) {
+    log.info('Using Solana RPC fixtures', { path });
+    return new FixtureRpcClient(JSON.parse(readFileSync(path, 'utf8')));
+  }
+
+  /**
+   * Answer a request from the fixtures. getMultipleAccounts is answered per address
+   * from its getAccountInfo fixtures, and getSignaturesForAddress pages through the
+   * recorded list with "before" and "limit".
+   * @param {string} method - RPC method
+   * @param {Array} params - Method parameters
+   * @returns {Promise<*>} Recorded result
+   * @throws {Error} If no fixture exists for the request
+   */
+  async call(method, params = []) {
+    if (method === 'getMultipleAccounts') {
+      const value = await Promise.all(params[0].map(async address => {
+        const result = await this.call('getAccountInfo', [address]).catch(() => null);
+        return result?.value ?? null;
+      }));
+      return { value };
+    }
+
+    const key = params[0];
+    const recorded = this.fixtures[method]?.[key];
+    if (recorded === undefined) {
+      throw new Error(`No RPC fixture for ${method} ${key}`);
+    }
+
+    if (method === 'getSignaturesForAddress') {
+      const { before, limit = 1000 } = params[1] || {};
+      const start = before ? recorded.findIndex(info => info.signature === before) + 1 : 0;
+      return start === 0 && before ? [] : recorded.slice(start, start + limit);
+    }
+    return recorded;
+  }
+}
+
+/**
+ * Convert an RPC transaction into the shape of a Helius enhanced transaction, so it can go
+ * through WebhookHandler. Token transfers are reconstructed from token balance changes:
+ * each token account whose balance changed becomes a transfer into or out of that account.
+ * RPC transactions carry no Helius type: those with a pool-creating instruction of a known
+ * program become CREATE_POOL with that program's source, everything else UNKNOWN, which
+ * WebhookHandler skips instead of running the transfer heuristic on it.
+ * @param {Object} rpcTransaction - Result of getTransaction in "json" encoding
+ * @param {DecoderRegistry} decoderRegistry - Decoders that recognize pool creations
+ * @returns {Object} Enhanced-transaction-like object
+ */
+export function toWebhookTransaction(rpcTransaction, decoderRegistry = createDefaultDecoderRegistry()) {
+  const { transaction, meta } = rpcTransaction;
+  const message = transaction.message;
+  const accountKeys = [
+    ...message.accountKeys,
+    ...(meta?.loadedAddresses?.writable || []),
+    ...(meta?.loadedAddresses?.readonly || [])
+  ];
+
+  const toInstruction = (instruction) => ({
+    programId: accountKeys[instruction.programIdIndex],
+    accounts: instruction.accounts.map(index => accountKeys[index]),
+    data: instruction.data,
+    innerInstructions: []
+  });
+
+  const instructions = message.instructions.map(toInstruction);
+  for (const inner of meta?.innerInstructions || []) {
+    if (instructions[inner.index]) {
+      instructions[inner.index].innerInstructions = inner.instructions.map(toInstruction);
+    }
+  }
+
+  const balances = new Map();
+  const balanceKey = (balance) => `${balance.accountIndex}:${balance.mint}`;
+  for (const balance of meta?.preTokenBalances || []) {
+    balances.set(balanceKey(balance), { ...balance, change: -(balance.uiTokenAmount.uiAmount || 0) });
+  }
+  for (const balance of meta?.postTokenBalances || []) {
+    const previous = balances.get(balanceKey(balance));
+    balances.set(balanceKey(balance), { ...balance, change: (previous?.change || 0) + (balance.uiTokenAmount.uiAmount || 0) });
+  }
+
+  const tokenTransfers = [...balances.values()]
+    .filter(balance => balance.change !== 0)
+    .map(balance => {
+      const account = accountKeys[balance.accountIndex];
+      return balance.change > 0
+        ? { mint: balance.mint, toTokenAccount: account, toUserAccount: balance.owner, tokenAmount: balance.change }
+        : { mint: balance.mint, fromTokenAccount: account, fromUserAccount: balance.owner, tokenAmount: -balance.change };
+    });
+
+  const decoded = decoderRegistry.decodeTransaction({ instructions });
+  return {
+    type: decoded ? 'CREATE_POOL' : 'UNKNOWN',
+    source: decoded?.source ?? null,
+    signature: transaction.signatures[0],
+    slot: rpcTransaction.slot,
+    timestamp: rpcTransaction.blockTime,
+    feePayer: accountKeys[0],
+    instructions,
+    tokenTransfers,
+    accountData: accountKeys.map((account, index) => ({
+      account,
+      nativeBalanceChange: (meta?.postBalances?.[index] ?? 0) - (meta?.preBalances?.[index] ?? 0)
+    }))
+  };
+}
@@ -0,0 +1,197 @@
+/**
+ * Authentication and replay protection for incoming Helius webhooks
+ */
+import crypto from 'crypto';
+import { MetricsRegistry } from './metrics.js';
+import { Logger } from './logger.js';
+
+const log = Logger.default.child({ module: 'webhookAuth' });
+
+const webhooksReceivedTotal = MetricsRegistry.default.counter({
+  name: 'wildnet_webhooks_received_total',
+  help: 'Webhook deliveries received, by result (accepted, unauthorized, invalid_signature, invalid_payload, stale_payload, replayed_payload)',
+  labelNames: ['result']
+});
+const webhookTransactionsTotal = MetricsRegistry.default.counter({
+  name: 'wildnet_webhook_transactions_total',
+  help: 'Transactions in webhook deliveries, by result (fresh, stale, duplicate)',
+  labelNames: ['result']
+});
+
+export class WebhookAuthenticator {
+  /**
+   * @param {Object} options
+   * @param {string[]} options.authTokens - Accepted Authorization header values (several allow rotation)
+   * @param {string[]} options.hmacSecrets - Accepted HMAC secrets; when empty the body signature is not checked
+   * @param {number} options.maxAgeSeconds - Transactions older than this are rejected as stale
+   * @param {boolean} options.disabled - Skip the Authorization check entirely (local development only)
+   */
+  constructor({ authTokens = [], hmacSecrets = [], maxAgeSeconds = 600, disabled = false } = {}) {
+    this.authTokens = authTokens.filter(Boolean);
+    this.hmacSecrets = hmacSecrets.filter(Boolean);
+    this.maxAgeSeconds = maxAgeSeconds;
+    this.disabled = disabled;
+    // signature -> expiry timestamp (ms). Anything older than maxAge is rejected as stale
+    // anyway, so entries only need to outlive that window.
+    this.seenSignatures = new Map();
+    this.seenTtlMs = maxAgeSeconds * 2 * 1000;
+  }
+
+  /**
+   * Constant-time string comparison
+   * @param {string} a
+   * @param {string} b
+   * @returns {boolean}
+   */
+  static safeEqual(a, b) {
+    const bufA = Buffer.from(a || '');
+    const bufB = Buffer.from(b || '');
+    if (bufA.length !== bufB.length) return false;
+    return crypto.timingSafeEqual(bufA, bufB);
+  }
+
+  /**
+   * Check the Authorization header against the configured tokens
+   * @param {string} header - Raw Authorization header value
+   * @returns {boolean} True if the header matches any accepted token
+   */
+  verifyAuthorization(header) {
+    if (this.disabled) return true;
+    if (!header || this.authTokens.length === 0) return false;
+
+    const token = header.startsWith('Bearer ') ? header.slice(7) : header;
+    return this.authTokens.some(valid =>
+      WebhookAuthenticator.safeEqual(header, valid) || WebhookAuthenticator.safeEqual(token, valid)
+    );
+  }
+
+  /**
+   * Check the HMAC-SHA256 signature of the raw request body
+   * @param {Buffer} rawBody - Unparsed request body
+   * @param {string} signatureHeader - Hex digest, optionally prefixed with "sha256="
+   * @returns {boolean} True if no HMAC secrets are configured or the signature matches one
+   */
+  verifyBodySignature(rawBody, signatureHeader) {
+    if (this.hmacSecrets.length === 0) return true;
+    if (!rawBody || !signatureHeader) return false;
+
+    const provided = signatureHeader.replace(/^sha256=/, '');
+    return this.hmacSecrets.some(secret => {
+      const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+      return WebhookAuthenticator.safeEqual(provided, expected);
+    });
+  }
+
+  /**
+   * Split transactions into fresh, stale and already seen ones
+   * @param {Array} transactions - Transactions from the webhook payload
+   * @returns {{fresh: Array, stale: Array, duplicate: Array}}
+   */
+  classifyTransactions(transactions) {
+    const now = Date.now();
+    this.pruneSeen(now);
+
+    const result = { fresh: [], stale: [], duplicate: [] };
+    const inPayload = new Set();
+
+    for (const transaction of transactions) {
+      const signature = transaction.signature;
+
+      if (transaction.timestamp && now - transaction.timestamp * 1000 > this.maxAgeSeconds * 1000) {
+        result.stale.push(transaction);
+      } else if (signature && (this.seenSignatures.has(signature) || inPayload.has(signature))) {
+        result.duplicate.push(transaction);
+      } else {
+        if (signature) inPayload.add(signature);
+        result.fresh.push(transaction);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Remember signatures so later deliveries are treated as replays
+   * @param {Array} transactions - Transactions accepted for processing
+   */
+  markSeen(transactions) {
+    const expiresAt = Date.now() + this.seenTtlMs;
+    for (const transaction of transactions) {
+      if (transaction.signature) this.seenSignatures.set(transaction.signature, expiresAt);
+    }
+  }
+
+  /**
+   * Forget signatures so a retried delivery is accepted again (used when processing fails)
+   * @param {Array} transactions - Transactions that were not processed
+   */
+  forget(transactions) {
+    for (const transaction of transactions) {
+      this.seenSignatures.delete(transaction.signature);
+    }
+  }
+
+  /**
+   * Drop expired signatures from the replay cache
+   * @param {number} now - Current time in ms
+   */
+  pruneSeen(now = Date.now()) {
+    for (const [signature, expiresAt] of this.seenSignatures) {
+      if (expiresAt <= now) this.seenSignatures.delete(signature);
+    }
+  }
+
+  /**
+   * Express middleware that authenticates the request and filters replayed transactions.
+   * Accepted transactions are exposed as req.webhookTransactions.
+   * @returns {Function} Express middleware
+   */
+  middleware() {
+    return (req, res, next) => {
+      if (!this.verifyAuthorization(req.get('authorization'))) {
+        log.warn('Webhook rejected: invalid or missing Authorization header');
+        webhooksReceivedTotal.inc({ result: 'unauthorized' });
+        return res.status(401).json({ error: 'Unauthorized', reason: 'invalid_authorization' });
+      }
+
+      if (!this.verifyBodySignature(req.rawBody, req.get('x-webhook-signature'))) {
+        log.warn('Webhook rejected: invalid body signature');
+        webhooksReceivedTotal.inc({ result: 'invalid_signature' });
+        return res.status(401).json({ error: 'Unauthorized', reason: 'invalid_signature' });
+      }
+
+      const transactions = Array.isArray(req.body) ? req.body : [];
+      if (!transactions.every(transaction => transaction !== null && typeof transaction === 'object' && !Array.isArray(transaction))) {
+        log.warn('Webhook rejected: payload contains a non-object transaction');
+        webhooksReceivedTotal.inc({ result: 'invalid_payload' });
+        return res.status(400).json({ error: 'Bad Request', reason: 'invalid_payload' });
+      }
+
+      const { fresh, stale, duplicate } = this.classifyTransactions(transactions);
+      webhookTransactionsTotal.inc({ result: 'fresh' }, fresh.length);
+      webhookTransactionsTotal.inc({ result: 'stale' }, stale.length);
+      webhookTransactionsTotal.inc({ result: 'duplicate' }, duplicate.length);
+
+      if (transactions.length > 0 && fresh.length === 0) {
+        log.warn('Webhook rejected: no fresh transactions', { stale: stale.length, duplicate: duplicate.length });
+        const reason = stale.length > 0 && duplicate.length === 0 ? 'stale_payload' : 'replayed_payload';
+        webhooksReceivedTotal.inc({ result: reason });
+        return res.status(409).json({
+          error: 'Conflict',
+          reason,
+          stale: stale.map(tx => tx.signature),
+          duplicate: duplicate.map(tx => tx.signature)
+        });
+      }
+
+      if (stale.length > 0 || duplicate.length > 0) {
+        log.info('Ignoring stale and duplicate transactions', { stale: stale.length, duplicate: duplicate.length });
+      }
+
+      this.markSeen(fresh);
+      webhooksReceivedTotal.inc({ result: 'accepted' });
+      req.webhookTransactions = fresh;
+      next();
+    };
+  }
+}
@@ -0,0 +1,193 @@
+/**
+ * Webhook capture files: parsers for the formats we have captured deliveries in, and a
+ * recorder that writes new deliveries as normalized JSONL with size-based rotation.
+ *
+ * Normalized format, one delivery per line:
+ *   {"receivedAt":"2025-07-27T19:39:23.640Z","transactions":[...]}
+ */
+import { readFileSync } from 'fs';
+import { appendFile, mkdir, rename, rm, stat } from 'fs/promises';
+import path from 'path';
+
+const WEBHOOK_LOG_HEADER = /^=== WEBHOOK (\S+) ===$/gm;
+
+/**
+ * Check whether a value looks like a webhook transaction
+ * @param {*} value - Parsed JSON value
+ * @returns {boolean} True if it has a signature or a transaction type
+ */
+function isTransaction(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value) &&
+    (typeof value.signature === 'string' || typeof value.type === 'string');
+}
+
+/**
+ * Parse a webhook_logs.txt dump: "=== WEBHOOK <timestamp> ===" headers, each followed by
+ * the delivery's JSON array
+ * @param {string} text - File contents
+ * @returns {{captures: Array, skipped: number}} Deliveries as { receivedAt, transactions } and the number of unreadable blocks
+ */
+export function parseWebhookLog(text) {
+  const headers = [...text.matchAll(WEBHOOK_LOG_HEADER)];
+  const captures = [];
+  let skipped = 0;
+
+  headers.forEach((header, index) => {
+    const start = header.index + header[0].length;
+    const end = headers[index + 1]?.index ?? text.length;
+    try {
+      const body = JSON.parse(text.slice(start, end));
+      const transactions = (Array.isArray(body) ? body : [body]).filter(isTransaction);
+      captures.push({ receivedAt: header[1], transactions });
+    } catch {
+      skipped++;
+    }
+  });
+  return { captures, skipped };
+}
+
+/**
+ * Parse a JSONL capture. Each line may be a normalized delivery, a request record with the
+ * payload under "body", a bare transaction array or a single transaction. Other lines are skipped.
+ * @param {string} text - File contents
+ * @returns {{captures: Array, skipped: number}} Deliveries as { receivedAt, transactions } and the number of skipped lines
+ */
+export function parseJsonlCapture(text) {
+  const captures = [];
+  let skipped = 0;
+
+  for (const line of text.split('\n')) {
+    if (line.trim() === '') continue;
+
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch {
+      skipped++;
+      continue;
+    }
+
+    const body = Array.isArray(record) ? record : (record.transactions ?? record.body ?? record);
+    const transactions = (Array.isArray(body) ? body : [body]).filter(isTransaction);
+    if (transactions.length === 0) {
+      skipped++;
+      continue;
+    }
+    captures.push({
+      receivedAt: record.receivedAt ?? record.timestamp ?? null,
+      transactions
+    });
+  }
+  return { captures, skipped };
+}
+
+/**
+ * Load a capture file, detecting its format from the contents
+ * @param {string} file - Path to webhook_logs.txt, a JSONL capture or a normalized recording
+ * @returns {{captures: Array, skipped: number}} Parsed deliveries
+ */
+export function loadCapture(file) {
+  const text = readFileSync(file, 'utf8');
+  return text.trimStart().startsWith('=== WEBHOOK ') ? parseWebhookLog(text) : parseJsonlCapture(text);
+}
+
+/**
+ * Load matched_pools.txt: one JSON pool per line, as written by the original matcher
+ * @param {string} file - Path to the file
+ * @returns {Array} Pools with poolAddress, tokenA, tokenB, signature and source
+ */
+export function loadMatchedPools(file) {
+  return readFileSync(file, 'utf8')
+    .split('\n')
+    .filter(line => line.trim() !== '')
+    .map(line => JSON.parse(line));
+}
+
+export class CaptureRecorder {
+  /**
+   * @param {Object} options
+   * @param {string} options.dir - Directory holding webhooks.jsonl and its rotated files
+   * @param {number} options.maxBytes - Size at which the current file is rotated
+   * @param {number} options.maxFiles - Rotated files to keep (webhooks.1.jsonl is the newest)
+   */
+  constructor({ dir, maxBytes = 50 * 1024 * 1024, maxFiles = 5 }) {
+    this.dir = dir;
+    this.maxBytes = maxBytes;
+    this.maxFiles = maxFiles;
+    this.size = null;
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Build a recorder from the "capture" config section
+   * @param {Object} options - Constructor options
+   * @returns {CaptureRecorder|null} Recorder, or null when no directory is configured
+   */
+  static fromConfig(options) {
+    if (!options.dir) return null;
+    return new CaptureRecorder(options);
+  }
+
+  /**
+   * Path of the current file, or of a rotated one
+   * @param {number} index - 0 for the current file
+   * @returns {string} File path
+   */
+  filePath(index = 0) {
+    return path.join(this.dir, index === 0 ? 'webhooks.jsonl' : `webhooks.${index}.jsonl`);
+  }
+
+  /**
+   * Append a delivery. Writes are serialized so lines never interleave.
+   * @param {Array} transactions - Transactions of the delivery
+   * @param {Date|string} receivedAt - When the delivery arrived
+   * @returns {Promise<void>} Settles once the line is written
+   */
+  record(transactions, receivedAt = new Date()) {
+    const line = JSON.stringify({
+      receivedAt: receivedAt instanceof Date ? receivedAt.toISOString() : receivedAt,
+      transactions
+    }) + '\n';
+    const write = this.writing.then(() => this.append(line));
+    this.writing = write.catch(() => {});
+    return write;
+  }
+
+  /**
+   * Append a line, rotating first if it would push the file past maxBytes
+   * @param {string} line - Serialized delivery
+   */
+  async append(line) {
+    if (this.size === null) {
+      await mkdir(this.dir, { recursive: true });
+      this.size = await stat(this.filePath()).then(stats => stats.size, () => 0);
+    }
+
+    const bytes = Buffer.byteLength(line);
+    if (this.size > 0 && this.size + bytes > this.maxBytes) {
+      await this.rotate();
+    }
+    await appendFile(this.filePath(), line);
+    this.size += bytes;
+  }
+
+  /**
+   * Shift webhooks.jsonl to webhooks.1.jsonl, .1 to .2 and so on, dropping the oldest
+   */
+  async rotate() {
+    await rm(this.filePath(this.maxFiles), { force: true });
+    for (let index = this.maxFiles - 1; index >= 0; index--) {
+      await rename(this.filePath(index), this.filePath(index + 1)).catch(error => {
+        if (error.code !== 'ENOENT') throw error;
+      });
+    }
+    this.size = 0;
+  }
+
+  /**
+   * Wait for pending writes
+   */
+  async close() {
+    await this.writing;
+  }
+}
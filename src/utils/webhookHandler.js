@@ -1,12 +1,79 @@
 /**
- * Webhook handler for processing Solana transaction data
+ * Webhook handler for processing Solana transaction data.
+ * Emits "pool.created" and "pool.enriched" with { pool, event } as pools are stored,
+ * "pool.event" for other stored events (such as "risk_scored"), and "pool.saved" with
+ * { pool } once a new pool is fully processed.
  */
-export class WebhookHandler {
-  constructor(databaseClient, defiLlamaClient, jupiterClient, rateLimiter) {
+import { EventEmitter } from 'events';
+import { createDefaultDecoderRegistry, DecoderRegistry } from '../decoders/index.js';
+import { MetricsRegistry } from './metrics.js';
+import { Logger, withLogContext } from './logger.js';
+
+const log = Logger.default.child({ module: 'webhookHandler' });
+
+// Helius transaction types that may create a pool
+export const POOL_CREATION_TYPES = ['ENHANCED_TRANSACTION', 'CREATE_POOL'];
+
+// Accounts the transfer heuristic never takes for the pool: the SOL mint and the Token,
+// System and Associated Token Account programs
+export const IGNORED_PROGRAM_IDS = [
+  'So11111111111111111111111111111111111111112',
+  'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA',
+  '11111111111111111111111111111111',
+  'ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL'
+];
+
+// Helius transaction types recorded as activity on pools we already know
+const ACTIVITY_EVENT_TYPES = {
+  SWAP: 'swap',
+  ADD_LIQUIDITY: 'add_liquidity',
+  WITHDRAW_LIQUIDITY: 'withdraw_liquidity'
+};
+
+const metrics = MetricsRegistry.default;
+const transactionsTotal = metrics.counter({
+  name: 'wildnet_transactions_total',
+  help: 'Transactions handled, by Helius type and outcome (processed, skipped, failed)',
+  labelNames: ['type', 'outcome']
+});
+const poolsDetectedTotal = metrics.counter({
+  name: 'wildnet_pools_detected_total',
+  help: 'New pools stored, by source and decoder',
+  labelNames: ['source', 'decoder']
+});
+const parseFailuresTotal = metrics.counter({
+  name: 'wildnet_parse_failures_total',
+  help: 'Pool-creation transactions no pool could be parsed from, by reason',
+  labelNames: ['reason']
+});
+const enrichmentTotal = metrics.counter({
+  name: 'wildnet_enrichment_total',
+  help: 'Enrichment lookups by provider (defillama, jupiter, risk) and result (hit, miss, error)',
+  labelNames: ['provider', 'result']
+});
+
+export class WebhookHandler extends EventEmitter {
+  /**
+   * @param {DatabaseClient} databaseClient - Storage backend
+   * @param {DefiLlamaClient} defiLlamaClient - APY enrichment
+   * @param {JupiterClient} jupiterClient - Token metadata enrichment
+   * @param {DecoderRegistry} decoderRegistry - Pool-creation decoders
+   * @param {RiskScorer|null} riskScorer - Scores new pools, if set
+   * @param {Object} options
+   * @param {Array<string>} options.ignoredPrograms - Accounts the transfer heuristic never takes for the pool
+   */
+  constructor(databaseClient, defiLlamaClient, jupiterClient, decoderRegistry = createDefaultDecoderRegistry(), riskScorer = null, {
+    ignoredPrograms = IGNORED_PROGRAM_IDS
+  } = {}) {
+    super();
     this.databaseClient = databaseClient;
     this.defiLlamaClient = defiLlamaClient;
     this.jupiterClient = jupiterClient;
-    this.rateLimiter = rateLimiter;
+    this.decoderRegistry = decoderRegistry;
+    this.riskScorer = riskScorer;
+    this.ignoredPrograms = new Set(ignoredPrograms);
+    // Addresses of pools being enriched, so a concurrent duplicate delivery does not enrich them twice
+    this.enriching = new Set();
   }
 
   /**
@@ -16,156 +83,487 @@ export class WebhookHandler {
    */
   parsePoolFromTransaction(transaction) {
     try {
-      console.log('Parsing transaction:', {
-        type: transaction.type,
+      log.debug('Parsing transaction', {
         source: transaction.source,
-        signature: transaction.signature?.slice(0, 8) + '...',
-        hasTokenTransfers: !!transaction.tokenTransfers,
         transferCount: transaction.tokenTransfers?.length || 0
       });
 
-      if (!transaction.tokenTransfers || transaction.tokenTransfers.length < 2) {
-        console.log('Insufficient token transfers for pool detection');
-        return null;
+      const decoded = this.decoderRegistry.decodeTransaction(transaction);
+      if (decoded) {
+        return this.buildPoolData(transaction, decoded);
       }
 
-      // Extract unique token mints from transfers
-      const tokenMints = [...new Set(
-        transaction.tokenTransfers.map(transfer => transfer.mint)
-          .filter(mint => mint && mint !== 'So11111111111111111111111111111111111111112') // Filter out SOL
-      )];
+      if (this.decoderRegistry.isKnownProgramTransaction(transaction)) {
+        log.info('Known DEX program but no pool-creating instruction found');
+        parseFailuresTotal.inc({ reason: 'no_pool_instruction' });
+        return null;
+      }
 
-      if (tokenMints.length < 2) {
-        console.log('Less than 2 unique token mints found');
+      const guessed = this.guessPoolFromTransfers(transaction);
+      if (!guessed) {
+        parseFailuresTotal.inc({ reason: 'heuristic_miss' });
         return null;
       }
+      return this.buildPoolData(transaction, guessed);
+    } catch (error) {
+      log.warn('Error parsing pool from transaction', { error });
+      parseFailuresTotal.inc({ reason: 'error' });
+      return null;
+    }
+  }
 
-      // Find potential pool address from accounts
-      const poolAddress = transaction.accountData?.find(account => 
-        account.account && 
-        account.account !== transaction.feePayer &&
-        !tokenMints.includes(account.account) &&
-        account.account !== 'So11111111111111111111111111111111111111112' && // Not SOL mint
-        account.account !== 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA' && // Not Token Program
-        account.account !== '11111111111111111111111111111111' && // Not System Program
-        account.account !== 'ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL' && // Not Associated Token Account Program
-        account.account !== '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8' // Not Raydium Program
-      )?.account;
-
-      const detectedPoolAddress = poolAddress || transaction.signature;
-
-      console.log('Pool detected:', {
-        tokenA: tokenMints[0]?.slice(0, 8) + '...',
-        tokenB: tokenMints[1]?.slice(0, 8) + '...',
-        poolAddress: detectedPoolAddress?.slice(0, 8) + '...',
-        source: transaction.source
-      });
+  /**
+   * Fallback for programs without a decoder: guess the pool from token transfers and accounts
+   * @param {Object} transaction - Transaction data from webhook
+   * @returns {Object|null} Guessed pool fields or null
+   */
+  guessPoolFromTransfers(transaction) {
+    if (!transaction.tokenTransfers || transaction.tokenTransfers.length < 2) {
+      log.info('Insufficient token transfers for pool detection');
+      return null;
+    }
 
-      return {
-        tokenA: tokenMints[0],
-        tokenB: tokenMints[1],
-        poolAddress: detectedPoolAddress,
-        signature: transaction.signature,
-        timestamp: new Date(transaction.timestamp * 1000),
-        source: transaction.source || 'unknown'
-      };
-    } catch (error) {
-      console.log('Error parsing pool from transaction:', error.message);
+    // Extract unique token mints from transfers
+    const tokenMints = [...new Set(
+      transaction.tokenTransfers.map(transfer => transfer.mint)
+        .filter(mint => mint && mint !== 'So11111111111111111111111111111111111111112') // Filter out SOL
+    )];
+
+    if (tokenMints.length < 2) {
+      log.info('Less than 2 unique token mints found');
+      return null;
+    }
+
+    // Find potential pool address from accounts
+    const poolAddress = transaction.accountData?.find(account => 
+      account.account && 
+      account.account !== transaction.feePayer &&
+      !tokenMints.includes(account.account) &&
+      !this.ignoredPrograms.has(account.account) && // Not the SOL mint or a system program
+      !this.decoderRegistry.get(account.account) // Not a known DEX program
+    )?.account;
+
+    if (!poolAddress) {
+      log.info('No candidate pool account found');
       return null;
     }
+
+    return {
+      poolAddress,
+      tokenA: tokenMints[0],
+      tokenB: tokenMints[1],
+      vaultA: null,
+      vaultB: null,
+      lpMint: null,
+      decoder: 'heuristic',
+      source: null
+    };
+  }
+
+  /**
+   * Combine decoded pool fields with transaction metadata
+   * @param {Object} transaction - Transaction data from webhook
+   * @param {Object} decoded - Pool fields from a decoder or the heuristic
+   * @returns {Object} Pool data
+   */
+  buildPoolData(transaction, decoded) {
+    log.info('Pool detected', {
+      poolAddress: decoded.poolAddress,
+      tokenA: decoded.tokenA,
+      tokenB: decoded.tokenB,
+      source: transaction.source,
+      decoder: decoded.decoder
+    });
+
+    return {
+      tokenA: decoded.tokenA,
+      tokenB: decoded.tokenB,
+      poolAddress: decoded.poolAddress,
+      vaultA: decoded.vaultA,
+      vaultB: decoded.vaultB,
+      lpMint: decoded.lpMint,
+      decoder: decoded.decoder,
+      signature: transaction.signature,
+      timestamp: new Date(transaction.timestamp * 1000),
+      source: transaction.source || decoded.source || 'unknown',
+      initialLiquidity: this.extractInitialLiquidity(transaction, decoded)
+    };
+  }
+
+  /**
+   * Sum the token amounts the creation transaction deposited into the pool
+   * @param {Object} transaction - Transaction data from webhook
+   * @param {Object} decoded - Pool fields from a decoder or the heuristic
+   * @returns {Object|null} { tokenA, tokenB } amounts, or null if no deposit was found
+   */
+  extractInitialLiquidity(transaction, decoded) {
+    // Without known vaults, count transfers to the pool account itself
+    const isDeposit = (transfer) => decoded.vaultA || decoded.vaultB
+      ? [decoded.vaultA, decoded.vaultB].includes(transfer.toTokenAccount)
+      : transfer.toUserAccount === decoded.poolAddress;
+
+    const amounts = { tokenA: 0, tokenB: 0 };
+    for (const transfer of transaction.tokenTransfers || []) {
+      if (!isDeposit(transfer)) continue;
+      if (transfer.mint === decoded.tokenA) amounts.tokenA += transfer.tokenAmount || 0;
+      if (transfer.mint === decoded.tokenB) amounts.tokenB += transfer.tokenAmount || 0;
+    }
+    return amounts.tokenA > 0 || amounts.tokenB > 0 ? amounts : null;
   }
 
   /**
-   * Save pool to database with APY data
+   * Save pool to database with APY data. The pool and its creation event are written in one
+   * transaction; a pool stored earlier (or concurrently, by another delivery of the same
+   * transaction) counts as already known, and its enrichment is finished if it never completed.
    * @param {Object} poolData - Pool data to save
-   * @returns {Promise<Object|null>} Saved pool or null
+   * @returns {Promise<Object|null>} Saved pool or null if it was already known
+   * @throws {Error} If storage fails, so the caller can retry the transaction
    */
   async savePoolToDatabase(poolData) {
     try {
-      // Check if pool already exists
-      const exists = await this.databaseClient.poolExists(poolData.poolAddress);
+      // Cheap check first; the transactional write below settles races
+      const knownPool = await this.databaseClient.getPoolByAddress(poolData.poolAddress);
       
-      if (exists) {
-        console.log(`Pool ${poolData.poolAddress} already exists in database`);
+      if (knownPool) {
+        log.info('Pool already exists in database', { poolAddress: poolData.poolAddress });
+        await this.completeKnownPool(knownPool, poolData);
         return null;
       }
       
-      // Fetch APY data from DefiLlama
-      console.log(`Fetching APY for ${poolData.tokenA}/${poolData.tokenB}...`);
-      await this.rateLimiter.wait();
-      
-      // Try to get APY data for both tokens
-      let apyData = await this.defiLlamaClient.getBestApyForMint(poolData.tokenA);
-      if (!apyData) {
-        apyData = await this.defiLlamaClient.getBestApyForMint(poolData.tokenB);
-      }
-      
-      // Get additional token info from Jupiter
-      const tokenAInfo = await this.jupiterClient.getFullTokenData(poolData.tokenA);
-      const tokenBInfo = await this.jupiterClient.getFullTokenData(poolData.tokenB);
+      // Get token metadata from Jupiter in one request (symbols feed the APY symbol fallback)
+      const tokenData = await this.jupiterClient.getFullTokenDataBatch([poolData.tokenA, poolData.tokenB]);
+      const tokenAInfo = tokenData.get(poolData.tokenA);
+      const tokenBInfo = tokenData.get(poolData.tokenB);
+      [tokenAInfo, tokenBInfo].forEach(info => enrichmentTotal.inc({ provider: 'jupiter', result: info ? 'hit' : 'miss' }));
+      await this.databaseClient.upsertTokens([tokenAInfo, tokenBInfo].filter(Boolean));
       
-      // Prepare pool data for storage
-      const poolToStore = {
+      // Store the pool with its creation event right away so subscribers hear about it before enrichment
+      const { pool: newPool, event: createdEvent, created } = await this.databaseClient.storePoolWithEvent({
         tokenA: poolData.tokenA,
         tokenB: poolData.tokenB,
         poolAddress: poolData.poolAddress,
         signature: poolData.signature,
         source: poolData.source,
-        apy: apyData?.apy || null,
-        tvl: apyData?.tvl || null
-      };
-      
-      // Store in database
-      const newPool = await this.databaseClient.storePool(poolToStore);
-      
-      // Store event data
-      await this.databaseClient.storeEvent({
-        poolId: newPool.id,
+        vaultA: poolData.vaultA,
+        vaultB: poolData.vaultB,
+        lpMint: poolData.lpMint,
+        decoder: poolData.decoder
+      }, {
         signature: poolData.signature,
         eventType: 'created',
         rawData: JSON.stringify({
           tokenA: poolData.tokenA,
           tokenB: poolData.tokenB,
           source: poolData.source,
-          tokenAInfo,
-          tokenBInfo
+          decoder: poolData.decoder
         })
       });
       
-      // Log success
-      const apyInfo = apyData ? `APY: ${apyData.apy?.toFixed(2)}%` : 'APY: Not found';
-      const tokenASymbol = tokenAInfo?.symbol || 'Unknown';
-      const tokenBSymbol = tokenBInfo?.symbol || 'Unknown';
-      console.log(`✅ Saved pool to DB: ${tokenASymbol}/${tokenBSymbol} - ${apyInfo}`);
+      if (!created) {
+        log.info('Pool was stored by another delivery', { poolAddress: poolData.poolAddress });
+        await this.completeKnownPool(newPool, poolData, { tokenAInfo, tokenBInfo });
+        return null;
+      }
+      this.emit('pool.created', { pool: newPool, event: createdEvent });
+      poolsDetectedTotal.inc({ source: newPool.source, decoder: newPool.decoder || 'none' });
       
-      return newPool;
+      this.enriching.add(newPool.poolAddress);
+      let enriched, pool;
+      try {
+        enriched = await this.enrichPool(newPool, tokenAInfo, tokenBInfo);
+        pool = await this.scorePoolRisk(enriched.pool, { tokenAInfo, tokenBInfo, initialLiquidity: poolData.initialLiquidity });
+      } finally {
+        this.enriching.delete(newPool.poolAddress);
+      }
+      const { apyData } = enriched;
+      
+      log.info('Saved pool', {
+        poolAddress: pool.poolAddress,
+        pair: `${tokenAInfo?.symbol || 'Unknown'}/${tokenBInfo?.symbol || 'Unknown'}`,
+        apy: apyData?.apy ?? null,
+        apyConfidence: apyData?.matchConfidence ?? null
+      });
+      
+      this.emit('pool.saved', { pool });
+      return pool;
     } catch (error) {
-      console.log(`❌ Error saving pool to database:`, error.message);
-      return null;
+      log.error('Error saving pool to database', { poolAddress: poolData.poolAddress, error });
+      throw error;
     }
   }
 
+  /**
+   * Finish enrichment of a pool that was already stored, e.g. when the delivery that stored
+   * it failed before enrichment and is now being retried. A pool counts as enriched once it
+   * has a metric snapshot (and a risk score, when risk scoring is on). Pools this handler is
+   * enriching right now are left to that delivery.
+   * @param {Object} pool - Stored pool record
+   * @param {Object} poolData - Pool data parsed from the transaction
+   * @param {Object} tokens - Jupiter data already fetched for tokenA and tokenB, if any
+   * @returns {Promise<Object>} The pool, updated if enrichment ran
+   */
+  async completeKnownPool(pool, poolData, { tokenAInfo, tokenBInfo } = {}) {
+    if (this.enriching.has(pool.poolAddress)) return pool;
+
+    const hasSnapshot = !!await this.databaseClient.getLatestMetricSnapshot(pool.id);
+    const needsRisk = !!this.riskScorer && !pool.riskCheckedAt;
+    if (hasSnapshot && !needsRisk) return pool;
+
+    this.enriching.add(pool.poolAddress);
+    try {
+      if (!tokenAInfo && !tokenBInfo) {
+        const tokenData = await this.jupiterClient.getFullTokenDataBatch([pool.tokenA, pool.tokenB]);
+        tokenAInfo = tokenData.get(pool.tokenA);
+        tokenBInfo = tokenData.get(pool.tokenB);
+      }
+
+      log.info('Completing enrichment of known pool', { poolAddress: pool.poolAddress });
+      if (!hasSnapshot) {
+        ({ pool } = await this.enrichPool(pool, tokenAInfo, tokenBInfo));
+      }
+      if (needsRisk) {
+        pool = await this.scorePoolRisk(pool, { tokenAInfo, tokenBInfo, initialLiquidity: poolData.initialLiquidity });
+      }
+      return pool;
+    } finally {
+      this.enriching.delete(pool.poolAddress);
+    }
+  }
+
+  /**
+   * Attach DefiLlama APY data to a freshly stored pool and record its first metric snapshot.
+   * Failures are logged rather than thrown: the pool is already stored and the metrics
+   * scheduler retries enrichment on its next run.
+   * @param {Object} pool - Stored pool record
+   * @param {Object|null} tokenAInfo - Jupiter data for tokenA
+   * @param {Object|null} tokenBInfo - Jupiter data for tokenB
+   * @returns {Promise<{pool: Object, apyData: Object|null}>} Updated pool and the APY match
+   */
+  async enrichPool(pool, tokenAInfo, tokenBInfo) {
+    let apyData = null;
+    
+    try {
+      // Fetch APY data from DefiLlama
+      log.debug('Fetching APY', { poolAddress: pool.poolAddress, tokenA: pool.tokenA, tokenB: pool.tokenB });
+      
+      // Match the pair against DefiLlama pools
+      apyData = await this.defiLlamaClient.getBestApyForPair({
+        tokenA: pool.tokenA,
+        tokenB: pool.tokenB,
+        source: pool.source,
+        symbolA: tokenAInfo?.symbol,
+        symbolB: tokenBInfo?.symbol
+      });
+      
+      enrichmentTotal.inc({ provider: 'defillama', result: apyData ? 'hit' : 'miss' });
+      if (apyData) {
+        pool = await this.databaseClient.updatePoolApy(pool.poolAddress, apyData);
+        const enrichedEvent = await this.databaseClient.storeEvent({
+          poolId: pool.id,
+          eventType: 'enriched',
+          rawData: JSON.stringify({
+            apy: apyData.apy,
+            tvl: apyData.tvl,
+            apyPoolId: apyData.poolId,
+            apyConfidence: apyData.matchConfidence
+          })
+        });
+        this.emit('pool.enriched', { pool, event: enrichedEvent });
+      }
+      
+      // First point of the pool's metric history
+      await this.databaseClient.storeMetricSnapshots([{
+        poolId: pool.id,
+        timestamp: pool.createdAt,
+        apy: apyData?.apy ?? null,
+        tvl: apyData?.tvl ?? null,
+        volume24h: apyData?.volume24h ?? null,
+        priceA: tokenAInfo?.price || null,
+        priceB: tokenBInfo?.price || null,
+        source: 'detection'
+      }]);
+    } catch (error) {
+      log.warn('Enrichment failed, leaving it to the metrics scheduler', { poolAddress: pool.poolAddress, error });
+      enrichmentTotal.inc({ provider: 'defillama', result: 'error' });
+    }
+    
+    return { pool, apyData };
+  }
+
+  /**
+   * Score a freshly stored pool's rug risk and store the result. Like enrichment,
+   * failures are logged rather than thrown.
+   * @param {Object} pool - Stored pool record
+   * @param {Object} context - tokenAInfo, tokenBInfo and initialLiquidity for RiskScorer.scorePool
+   * @returns {Promise<Object>} Pool with its risk score, or the pool unchanged
+   */
+  async scorePoolRisk(pool, context) {
+    if (!this.riskScorer) return pool;
+
+    try {
+      const risk = await this.riskScorer.scorePool(pool, context);
+      const scoredPool = await this.databaseClient.updatePoolRisk(pool.poolAddress, risk);
+      const riskEvent = await this.databaseClient.storeEvent({
+        poolId: pool.id,
+        eventType: 'risk_scored',
+        rawData: JSON.stringify(risk)
+      });
+      this.emit('pool.event', { pool: scoredPool, event: riskEvent });
+      enrichmentTotal.inc({ provider: 'risk', result: 'hit' });
+      log.info('Risk scored', { poolAddress: pool.poolAddress, score: risk.score, level: risk.level, flags: risk.flags });
+      return scoredPool;
+    } catch (error) {
+      log.warn('Risk scoring failed', { poolAddress: pool.poolAddress, error });
+      enrichmentTotal.inc({ provider: 'risk', result: 'error' });
+      return pool;
+    }
+  }
+
+  /**
+   * Process a single transaction
+   * @param {Object} transaction - Transaction data from webhook
+   * @returns {Promise<Object|Array|null>} Saved pool, recorded activity events, or null if nothing was stored
+   * @throws {Error} If the transaction could not be processed
+   */
+  processTransaction(transaction) {
+    // Everything logged while handling the transaction carries its signature
+    return withLogContext({ signature: transaction.signature }, async () => {
+      log.debug('Processing transaction', { type: transaction.type });
+      let outcome = 'skipped';
+
+      try {
+        if (POOL_CREATION_TYPES.includes(transaction.type)) {
+          const poolData = this.parsePoolFromTransaction(transaction);
+
+          if (poolData) {
+            outcome = 'processed';
+            return await this.savePoolToDatabase(poolData);
+          }
+        } else if (ACTIVITY_EVENT_TYPES[transaction.type]) {
+          outcome = 'processed';
+          return await this.processPoolActivity(transaction);
+        } else {
+          log.debug('Skipping transaction type', { type: transaction.type });
+        }
+        return null;
+      } catch (error) {
+        outcome = 'failed';
+        throw error;
+      } finally {
+        transactionsTotal.inc({ type: transaction.type || 'UNKNOWN', outcome });
+      }
+    });
+  }
+
+  /**
+   * Record a swap or liquidity change for every stored pool the transaction touches
+   * @param {Object} transaction - SWAP, ADD_LIQUIDITY or WITHDRAW_LIQUIDITY transaction
+   * @returns {Promise<Array>} Newly recorded events
+   */
+  async processPoolActivity(transaction) {
+    const eventType = ACTIVITY_EVENT_TYPES[transaction.type];
+    const accounts = new Set([
+      ...(transaction.accountData || []).map(account => account.account),
+      ...DecoderRegistry.flattenInstructions(transaction).flatMap(instruction => instruction.accounts || [])
+    ]);
+
+    const pools = await this.databaseClient.getPoolsByAddresses([...accounts].filter(Boolean));
+    if (pools.length === 0) {
+      log.debug('No known pool in activity transaction', { type: transaction.type });
+      return [];
+    }
+
+    const recorded = [];
+    for (const pool of pools) {
+      const activity = this.measurePoolActivity(transaction, pool);
+      if (!activity) continue;
+
+      const valueUsd = await this.valueActivity(pool, activity, eventType);
+      const event = await this.databaseClient.storeActivityEvent({
+        poolId: pool.id,
+        eventType,
+        signature: transaction.signature,
+        timestamp: transaction.timestamp ? new Date(transaction.timestamp * 1000) : new Date(),
+        amountA: activity.amountA,
+        amountB: activity.amountB,
+        valueUsd,
+        trader: transaction.feePayer || null,
+        rawData: JSON.stringify({ source: transaction.source, description: transaction.description })
+      });
+      if (!event) {
+        log.info('Activity already recorded', { eventType, poolAddress: pool.poolAddress });
+        continue;
+      }
+
+      const updatedPool = eventType === 'swap' ? await this.databaseClient.updatePoolVolume(pool.id) : pool;
+      this.emit('pool.event', { pool: updatedPool, event });
+      recorded.push(event);
+    }
+    return recorded;
+  }
+
+  /**
+   * Net token flows into a pool from a transaction's transfers. Pools without known
+   * vaults are measured by transfers to and from the pool account.
+   * @param {Object} transaction - Transaction data from webhook
+   * @param {Object} pool - Stored pool record
+   * @returns {Object|null} { amountA, amountB } (negative when tokens left the pool), or null if the pool was not touched
+   */
+  measurePoolActivity(transaction, pool) {
+    const vaults = [pool.vaultA, pool.vaultB].filter(Boolean);
+    const intoPool = (transfer) => vaults.length > 0 ? vaults.includes(transfer.toTokenAccount) : transfer.toUserAccount === pool.poolAddress;
+    const outOfPool = (transfer) => vaults.length > 0 ? vaults.includes(transfer.fromTokenAccount) : transfer.fromUserAccount === pool.poolAddress;
+
+    const flows = { [pool.tokenA]: 0, [pool.tokenB]: 0 };
+    for (const transfer of transaction.tokenTransfers || []) {
+      if (!(transfer.mint in flows)) continue;
+      if (intoPool(transfer)) flows[transfer.mint] += transfer.tokenAmount || 0;
+      if (outOfPool(transfer)) flows[transfer.mint] -= transfer.tokenAmount || 0;
+    }
+
+    if (flows[pool.tokenA] === 0 && flows[pool.tokenB] === 0) return null;
+    return { amountA: flows[pool.tokenA], amountB: flows[pool.tokenB] };
+  }
+
+  /**
+   * USD value of a pool activity from Jupiter prices. A swap is worth one side of the trade;
+   * a liquidity change is worth both sides, valuing an unpriced side like the priced one.
+   * @param {Object} pool - Stored pool record
+   * @param {Object} activity - { amountA, amountB }
+   * @param {string} eventType - "swap", "add_liquidity" or "withdraw_liquidity"
+   * @returns {Promise<number|null>} USD value, or null if neither token has a price
+   */
+  async valueActivity(pool, activity, eventType) {
+    const tokenData = await this.jupiterClient.getFullTokenDataBatch([pool.tokenA, pool.tokenB]);
+    const priceA = tokenData.get(pool.tokenA)?.price;
+    const priceB = tokenData.get(pool.tokenB)?.price;
+
+    const valueA = priceA ? Math.abs(activity.amountA) * priceA : null;
+    const valueB = priceB ? Math.abs(activity.amountB) * priceB : null;
+    if (valueA === null && valueB === null) return null;
+
+    if (eventType === 'swap') {
+      return valueA !== null && valueB !== null ? (valueA + valueB) / 2 : (valueA ?? valueB);
+    }
+    return (valueA ?? valueB) + (valueB ?? valueA);
+  }
+
   /**
    * Process webhook payload
    * @param {Array} transactions - Array of transactions from webhook
-   * @returns {Promise<void>}
+   * @returns {Promise<Array>} Transactions that failed, with their errors
    */
   async processWebhookPayload(transactions) {
-    console.log(`Processing ${transactions.length} transaction(s)`);
+    log.info('Processing webhook payload', { transactions: transactions.length });
+    const failures = [];
     
     for (const transaction of transactions) {
-      console.log(`Processing transaction type: ${transaction.type}`);
-      
-      if (transaction.type === 'ENHANCED_TRANSACTION' || transaction.type === 'CREATE_POOL') {
-        const poolData = this.parsePoolFromTransaction(transaction);
-        
-        if (poolData) {
-          console.log(`Found potential pool: ${poolData.tokenA}/${poolData.tokenB}`);
-          await this.savePoolToDatabase(poolData);
-        }
-      } else {
-        console.log(`Skipping transaction type: ${transaction.type}`);
+      try {
+        await this.processTransaction(transaction);
+      } catch (error) {
+        failures.push({ signature: transaction.signature, error: error.message });
       }
     }
+    return failures;
   }
 }
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import express from 'express';
+import { AdminAuthenticator } from '../src/utils/adminAuth.js';
+
+/**
+ * Serve one guarded route on a random port
+ * @param {Object} options - AdminAuthenticator options
+ * @returns {Promise<{url: string, close: Function}>}
+ */
+async function startApp(options) {
+  const app = express();
+  app.get('/api/alerts', new AdminAuthenticator(options).middleware(), (req, res) => res.json({ rules: [] }));
+  const server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  return {
+    url: `http://127.0.0.1:${server.address().port}/api/alerts`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+test('admin routes need a Bearer token from the configured list', async (t) => {
+  const app = await startApp({ authTokens: ['current', 'previous'] });
+  t.after(app.close);
+  const get = (authorization) => fetch(app.url, { headers: authorization ? { authorization } : {} });
+
+  assert.equal((await get()).status, 401);
+  assert.equal((await get('Bearer wrong')).status, 401);
+  // The bare token is not enough
+  assert.equal((await get('current')).status, 401);
+  assert.equal((await get('Bearer current')).status, 200);
+  assert.equal((await get('Bearer previous')).status, 200);
+});
+
+test('every admin request is rejected while no token is configured', async (t) => {
+  const app = await startApp({ authTokens: [''] });
+  t.after(app.close);
+
+  assert.equal((await fetch(app.url, { headers: { authorization: 'Bearer ' } })).status, 401);
+});
@@ -0,0 +1,217 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import dns from 'node:dns';
+import { once } from 'node:events';
+import { DiscordSink, TelegramSink, HttpSink, SinkAddressError, createSink } from '../src/alerts/sinks.js';
+import { AlertEngine } from '../src/alerts/alertEngine.js';
+import { parseAlertRule, formatAlertRule } from '../src/alerts/rules.js';
+import { MemoryStorage } from '../src/storage/memoryStorage.js';
+import { HttpError } from '../src/utils/retryHelper.js';
+
+/**
+ * Start an HTTP stub on a random port that records requests and answers with queued statuses
+ * @param {Array<number>} statuses - Response statuses in order; 200 once they run out
+ * @returns {Promise<{url: string, requests: Array, close: Function}>}
+ */
+async function startStub(statuses = []) {
+  const requests = [];
+  const server = http.createServer(async (req, res) => {
+    let body = '';
+    for await (const chunk of req) body += chunk;
+    requests.push({ method: req.method, url: req.url, headers: req.headers, body: JSON.parse(body) });
+    res.statusCode = statuses.shift() ?? 200;
+    res.end(res.statusCode === 200 ? 'ok' : 'stub error');
+  });
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+const pool = { id: 1, poolAddress: 'POOL', tokenA: 'A', tokenB: 'B', source: 'RAYDIUM', apy: 42, tvl: 1000 };
+const context = { rule: { id: 7, name: 'High APY' }, trigger: 'created', pool };
+// The stub listens on plain http on 127.0.0.1
+const local = { timeoutMs: 1000, allowPrivate: true };
+
+test('Discord sink truncates content to 2000 characters', async (t) => {
+  const stub = await startStub();
+  t.after(stub.close);
+
+  await new DiscordSink({ url: `${stub.url}/api/webhooks/1/abc` }, local).send({ message: 'x'.repeat(2500), context });
+
+  const [request] = stub.requests;
+  assert.equal(request.url, '/api/webhooks/1/abc');
+  assert.equal(request.headers['content-type'], 'application/json');
+  assert.equal(request.body.content, 'x'.repeat(2000));
+});
+
+test('Telegram sink posts to sendMessage under the configured apiUrl', async (t) => {
+  const stub = await startStub();
+  t.after(stub.close);
+
+  await new TelegramSink({ botToken: '123:abc', chatId: '-100', apiUrl: `${stub.url}/` }, local).send({ message: 'hello', context });
+
+  const [request] = stub.requests;
+  assert.equal(request.url, '/bot123:abc/sendMessage');
+  assert.deepEqual(request.body, { chat_id: '-100', text: 'hello', disable_web_page_preview: true });
+});
+
+test('HTTP sink sends its headers with the rule, trigger, message and pool', async (t) => {
+  const stub = await startStub();
+  t.after(stub.close);
+
+  await createSink('http', { url: `${stub.url}/hook`, headers: { Authorization: 'Bearer secret' } }, local).send({ message: 'hello', context });
+
+  const [request] = stub.requests;
+  assert.equal(request.headers.authorization, 'Bearer secret');
+  assert.deepEqual(request.body.rule, { id: 7, name: 'High APY' });
+  assert.equal(request.body.trigger, 'created');
+  assert.equal(request.body.message, 'hello');
+  assert.equal(request.body.pool.poolAddress, 'POOL');
+});
+
+test('a non-2xx response fails with its status only, leaving out the response body', async (t) => {
+  const stub = await startStub([503]);
+  t.after(stub.close);
+
+  await assert.rejects(
+    new HttpSink({ url: stub.url }, local).send({ message: 'hello', context }),
+    error => error instanceof HttpError && error.status === 503 && error.message === 'HTTP 503'
+  );
+});
+
+test('sinks only call https URLs on public addresses unless private sinks are allowed', async (t) => {
+  const stub = await startStub();
+  t.after(stub.close);
+
+  for (const url of [stub.url, 'https://127.0.0.1/hook', 'https://[::1]/hook', 'https://169.254.169.254/latest', 'https://10.1.2.3/', 'https://localhost/']) {
+    await assert.rejects(createSink('http', { url }, { timeoutMs: 1000 }).send({ message: 'hello', context }), SinkAddressError, url);
+  }
+  assert.equal(stub.requests.length, 0);
+});
+
+test('a host name resolving to a private address is refused before connecting', async (t) => {
+  t.mock.method(dns, 'lookup', (hostname, options, callback) => callback(null, [{ address: '192.168.1.10', family: 4 }]));
+
+  await assert.rejects(
+    new DiscordSink({ url: 'https://hooks.example.com/api/webhooks/1/abc' }, { timeoutMs: 1000 }).send({ message: 'hello', context }),
+    { name: 'SinkAddressError', message: 'hooks.example.com resolves to a private address' }
+  );
+});
+
+test('rules are rejected when a sink URL is not https or points to a private address', () => {
+  const rule = (sinkType, sinkConfig) => ({ name: 'r', conditions: [], sinkType, sinkConfig });
+
+  assert.deepEqual(parseAlertRule(rule('http', { url: 'http://hooks.example.com/' })).errors, { sinkConfig: 'url must be an https URL' });
+  assert.deepEqual(parseAlertRule(rule('discord', { url: 'https://192.168.0.5/api/webhooks/1/abc' })).errors, {
+    sinkConfig: 'url must not point to a private, loopback or link-local address'
+  });
+  assert.deepEqual(parseAlertRule(rule('telegram', { botToken: '1:a', chatId: 1, apiUrl: 'https://[fe80::1]/' })).errors, {
+    sinkConfig: 'apiUrl must not point to a private, loopback or link-local address'
+  });
+  assert.equal(parseAlertRule(rule('discord', { url: 'https://discord.com/api/webhooks/1/abc' })).errors, null);
+  assert.equal(parseAlertRule(rule('http', { url: 'http://127.0.0.1:8080/' }), { allowPrivateSinks: true }).errors, null);
+});
+
+test('rule responses mask bot tokens, Discord webhook tokens and HTTP header values', () => {
+  const stored = (sinkType, sinkConfig) => ({ id: 1, conditions: '[]', sinkType, sinkConfig: JSON.stringify(sinkConfig) });
+
+  assert.deepEqual(formatAlertRule(stored('telegram', { botToken: '123456:secret', chatId: 1 })).sinkConfig, { botToken: '1234...', chatId: 1 });
+  assert.deepEqual(formatAlertRule(stored('discord', { url: 'https://discord.com/api/webhooks/42/secret-token' })).sinkConfig, {
+    url: 'https://discord.com/api/webhooks/42/...'
+  });
+  assert.deepEqual(formatAlertRule(stored('http', { url: 'https://hooks.example.com/', headers: { Authorization: 'Bearer secret' } })).sinkConfig, {
+    url: 'https://hooks.example.com/',
+    headers: { Authorization: '...' }
+  });
+});
+
+/**
+ * Storage with one pool and one HTTP rule pointing at the stub
+ * @param {string} url - Stub URL
+ * @param {Object} rule - Rule overrides
+ */
+async function setupEngine(url, rule = {}) {
+  const storage = new MemoryStorage();
+  const stored = await storage.storePool({ poolAddress: 'POOL', tokenA: 'A', tokenB: 'B', source: 'RAYDIUM', signature: 'SIG', apy: 42 });
+  await storage.createAlertRule({
+    name: 'High APY',
+    conditions: JSON.stringify([{ field: 'apy', op: 'gte', value: 10 }]),
+    sinkType: 'http',
+    sinkConfig: JSON.stringify({ url }),
+    ...rule
+  });
+  return { storage, pool: stored, engine: new AlertEngine(storage, { maxAttempts: 3, timeoutMs: 1000, allowPrivateSinks: true }) };
+}
+
+test('deliveries are retried on 5xx and recorded with their attempts', async (t) => {
+  // No backoff delay between attempts
+  t.mock.method(Math, 'random', () => 0);
+  const stub = await startStub([503, 502]);
+  t.after(stub.close);
+  const { storage, engine, pool: stored } = await setupEngine(stub.url);
+
+  assert.equal(await engine.evaluateRules(stored, 'created'), 1);
+  assert.equal(stub.requests.length, 3);
+
+  const [delivery] = await storage.getAlertDeliveries(1);
+  assert.equal(delivery.status, 'sent');
+  assert.equal(delivery.attempts, 3);
+});
+
+test('4xx responses are not retried and the delivery is recorded as failed', async (t) => {
+  const stub = await startStub([400]);
+  t.after(stub.close);
+  const { storage, engine, pool: stored } = await setupEngine(stub.url);
+
+  assert.equal(await engine.evaluateRules(stored, 'created'), 0);
+  assert.equal(stub.requests.length, 1);
+
+  const [delivery] = await storage.getAlertDeliveries(1);
+  assert.equal(delivery.status, 'failed');
+  assert.equal(delivery.attempts, 1);
+  assert.equal(delivery.error, 'HTTP 400');
+});
+
+test('a refused sink address is not retried', async () => {
+  const { storage, pool: stored } = await setupEngine('https://127.0.0.1/hook');
+  const engine = new AlertEngine(storage, { maxAttempts: 3, timeoutMs: 1000 });
+
+  assert.equal(await engine.evaluateRules(stored, 'created'), 0);
+  const [delivery] = await storage.getAlertDeliveries(1);
+  assert.equal(delivery.status, 'failed');
+  assert.equal(delivery.attempts, 1);
+});
+
+test('a rule alerts once per pool within its cooldown', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.UTC(2025, 0, 1) });
+  const stub = await startStub();
+  t.after(stub.close);
+  const { engine, pool: stored } = await setupEngine(stub.url, { cooldownSeconds: 600 });
+  const [rule] = await engine.getRules();
+
+  assert.equal(await engine.evaluateRules(stored, 'created'), 1);
+  assert.equal(await engine.isCoolingDown(rule, stored), true);
+  assert.equal(await engine.evaluateRules(stored, 'refresh'), 0);
+
+  t.mock.timers.tick(599_000);
+  assert.equal(await engine.isCoolingDown(rule, stored), true);
+  t.mock.timers.tick(1_000);
+  assert.equal(await engine.isCoolingDown(rule, stored), false);
+  assert.equal(await engine.evaluateRules(stored, 'refresh'), 1);
+  assert.equal(stub.requests.length, 2);
+});
+
+test('a cooldown of 0 alerts on every evaluation', async (t) => {
+  const stub = await startStub();
+  t.after(stub.close);
+  const { engine, pool: stored } = await setupEngine(stub.url, { cooldownSeconds: 0 });
+
+  assert.equal(await engine.evaluateRules(stored, 'created'), 1);
+  assert.equal(await engine.evaluateRules(stored, 'refresh'), 1);
+  assert.equal(stub.requests.length, 2);
+});
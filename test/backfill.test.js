@@ -0,0 +1,175 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { Backfiller } from '../src/utils/backfill.js';
+import { IngestionQueue } from '../src/utils/ingestionQueue.js';
+import { toWebhookTransaction } from '../src/utils/solanaRpc.js';
+import { RateLimiter } from '../src/utils/rateLimiter.js';
+import { MemoryStorage } from '../src/storage/memoryStorage.js';
+import { Logger } from '../src/utils/logger.js';
+
+const PROGRAM = 'CPMMoo8L3F4NbTegBCKVNunggL7H1ZpdTHKxQB5qKP1C';
+
+// Minimal getTransaction result: one instruction, no token balance changes
+const rpcTransaction = (signature) => ({
+  slot: 100,
+  blockTime: 1700000000,
+  transaction: { signatures: [signature], message: { accountKeys: ['Payer', PROGRAM], instructions: [{ programIdIndex: 1, accounts: [0], data: '' }] } },
+  meta: {}
+});
+
+/**
+ * Backfiller over two signatures, the second of which the RPC node does not have
+ * @returns {{backfiller: Backfiller, storage: MemoryStorage, processed: Array}}
+ */
+function setup() {
+  const storage = new MemoryStorage();
+  const processed = [];
+  const rpcClient = {
+    getSignaturesForAddress: async () => [
+      { signature: 'SigOk', slot: 101, blockTime: 1700000001, err: null },
+      { signature: 'SigMissing', slot: 100, blockTime: 1700000000, err: null }
+    ],
+    getTransaction: async (signature) => signature === 'SigOk' ? rpcTransaction(signature) : null
+  };
+  const webhookHandler = {
+    processTransaction: async (transaction) => {
+      processed.push(transaction.signature);
+      return null;
+    }
+  };
+  return { storage, processed, backfiller: new Backfiller(rpcClient, webhookHandler, storage, new RateLimiter(0), { pageSize: 1000 }) };
+}
+
+/**
+ * Collect what the module loggers write
+ * @param {TestContext} t - Test whose end restores the logger
+ * @returns {Array<Object>} Parsed JSON lines, filled as they are written
+ */
+function captureLogs(t) {
+  const lines = [];
+  const { stream, level } = Logger.default;
+  Logger.default.stream = { write: line => lines.push(JSON.parse(line)) };
+  Logger.default.configure({ level: 'info' });
+  t.after(() => {
+    Logger.default.stream = stream;
+    Logger.default.configure({ level });
+  });
+  return lines;
+}
+
+test('a run reports its progress as events and logs failures with their signature', async (t) => {
+  const logs = captureLogs(t);
+  const { backfiller, storage, processed } = setup();
+  const events = [];
+  for (const name of ['skipped', 'started', 'page', 'finished']) {
+    backfiller.on(name, ({ progress }) => events.push([name, progress.scanned]));
+  }
+
+  const progress = await backfiller.run(PROGRAM, { slot: 0 });
+
+  assert.deepEqual(events, [['started', 0], ['page', 2], ['finished', 2]]);
+  assert.deepEqual(processed, ['SigOk']);
+  assert.equal(progress.done, true);
+  assert.equal(progress.failed, 1);
+
+  const failure = logs.find(line => line.msg === 'Backfill transaction failed');
+  assert.equal(failure.module, 'backfill');
+  assert.equal(failure.signature, 'SigMissing');
+  assert.equal(failure.error.message, 'Transaction not available from the RPC node');
+  const [deadLetter] = await storage.getDeadLetters();
+  assert.equal(deadLetter.signature, 'SigMissing');
+});
+
+test('a finished run is skipped until restarted', async (t) => {
+  captureLogs(t);
+  const { backfiller } = setup();
+  await backfiller.run(PROGRAM, { slot: 0 });
+
+  const events = [];
+  backfiller.on('skipped', () => events.push('skipped'));
+  backfiller.on('started', ({ resumed }) => events.push(resumed ? 'resumed' : 'started'));
+
+  await backfiller.run(PROGRAM, { slot: 0 });
+  await backfiller.run(PROGRAM, { slot: 0 }, { restart: true });
+  assert.deepEqual(events, ['skipped', 'started']);
+});
+
+test('a transaction the RPC node did not return is fetched again when its dead letter is replayed', async (t) => {
+  captureLogs(t);
+  const { backfiller, storage, processed } = setup();
+  await backfiller.run(PROGRAM, { slot: 0 });
+
+  const [deadLetter] = await storage.getDeadLetters();
+  assert.deepEqual(JSON.parse(deadLetter.payload), { signature: 'SigMissing', refetch: true });
+
+  // The node has caught up by the time the dead letter is replayed
+  const rpcClient = { getTransaction: async (signature) => rpcTransaction(signature) };
+  const queue = new IngestionQueue(storage, backfiller.webhookHandler, { rpcClient });
+  await storage.replayDeadLetter(deadLetter.id);
+  await queue.processJob((await storage.claimWebhookJobs(1))[0]);
+
+  assert.deepEqual(processed, ['SigOk', 'SigMissing']);
+  assert.equal(await storage.countWebhookJobs(), 0);
+});
+
+test('a replayed transaction that still cannot be fetched is retried instead of completed', async (t) => {
+  captureLogs(t);
+  const { backfiller, storage, processed } = setup();
+  await backfiller.run(PROGRAM, { slot: 0 });
+  const [deadLetter] = await storage.getDeadLetters();
+  await storage.replayDeadLetter(deadLetter.id);
+
+  for (const rpcClient of [null, { getTransaction: async () => null }]) {
+    const queue = new IngestionQueue(storage, backfiller.webhookHandler, { rpcClient });
+    const [job] = await storage.claimWebhookJobs(1);
+    await queue.processJob(job);
+    // Make the retried job claimable again right away
+    storage.jobs.get(job.id).availableAt = new Date(0);
+  }
+
+  assert.deepEqual(processed, ['SigOk']);
+  const [job] = await storage.claimWebhookJobs(1);
+  assert.equal(job.attempts, 3);
+  assert.equal(job.lastError, 'Transaction not available from the RPC node');
+});
+
+/**
+ * Rebuild the getTransaction result of a webhook fixture transaction
+ * @param {Object} transaction - Webhook transaction with programId/accounts per instruction
+ * @returns {Object} RPC transaction in "json" encoding
+ */
+function toRpcTransaction(transaction) {
+  const accountKeys = [transaction.feePayer];
+  const indexOf = (account) => {
+    if (!accountKeys.includes(account)) accountKeys.push(account);
+    return accountKeys.indexOf(account);
+  };
+  const toRpcInstruction = ({ programId, accounts, data }) => ({ programIdIndex: indexOf(programId), accounts: accounts.map(indexOf), data });
+
+  const instructions = transaction.instructions.map(toRpcInstruction);
+  const innerInstructions = transaction.instructions
+    .map((instruction, index) => ({ index, instructions: (instruction.innerInstructions || []).map(toRpcInstruction) }))
+    .filter(inner => inner.instructions.length > 0);
+  return {
+    slot: transaction.slot,
+    blockTime: transaction.timestamp,
+    transaction: { signatures: [transaction.signature], message: { accountKeys, instructions } },
+    meta: { innerInstructions }
+  };
+}
+
+test('RPC transactions are typed by their decoded instruction so only pool creations reach the pool parser', () => {
+  const fixtures = JSON.parse(readFileSync(new URL('./fixtures/poolCreations.json', import.meta.url), 'utf8'));
+  const { transaction, expected } = fixtures['orca-whirlpool-v2'];
+
+  const created = toWebhookTransaction(toRpcTransaction(transaction));
+  assert.equal(created.type, 'CREATE_POOL');
+  assert.equal(created.source, 'ORCA');
+  assert.equal(created.signature, transaction.signature);
+  assert.ok(created.instructions.some(instruction => instruction.accounts.includes(expected.poolAddress)));
+
+  const other = toWebhookTransaction(rpcTransaction('SigOther'));
+  assert.equal(other.type, 'UNKNOWN');
+  assert.equal(other.source, null);
+});
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DatabaseClient } from '../src/utils/databaseClient.js';
+
+const poolData = { poolAddress: 'Pool1111111111111111111111111111111111111111', signature: 'sig-1', tokenA: 'MintA', tokenB: 'MintB', source: 'ORCA' };
+const eventData = { signature: 'sig-1', eventType: 'created', rawData: '{}' };
+
+/**
+ * Client over a stand-in Prisma whose transactional insert fails with the given error,
+ * as when a concurrent delivery committed the same pool first
+ * @param {Error} insertError - Error thrown by the transaction
+ * @param {Object|null} storedPool - Pool found after the conflict
+ * @returns {{client: DatabaseClient, lookups: Array}}
+ */
+function conflictingClient(insertError, storedPool) {
+  const lookups = [];
+  const client = new DatabaseClient(null);
+  client.prisma = {
+    $transaction: async () => { throw insertError; },
+    pool: {
+      findFirst: async (query) => {
+        lookups.push(query.where);
+        return storedPool;
+      }
+    }
+  };
+  return { client, lookups };
+}
+
+/**
+ * Prisma unique constraint error
+ * @param {string[]} target - Fields of the violated constraint
+ * @returns {Error}
+ */
+function uniqueViolation(target) {
+  return Object.assign(new Error(`Unique constraint failed on the fields: (${target.map(field => `\`${field}\``).join(',')})`), { code: 'P2002', meta: { target } });
+}
+
+test('a pool committed by a concurrent writer is returned as known instead of failing', async () => {
+  const storedPool = { id: 7, ...poolData };
+  const { client, lookups } = conflictingClient(uniqueViolation(['poolAddress']), storedPool);
+
+  assert.deepEqual(await client.storePoolWithEvent(poolData, eventData), { pool: storedPool, event: null, created: false });
+  assert.deepEqual(lookups, [{ OR: [{ poolAddress: poolData.poolAddress }, { signature: poolData.signature }] }]);
+
+  // SQLite reports the constraint in the message only
+  const signatureConflict = Object.assign(new Error('Unique constraint failed on the fields: (`signature`)'), { code: 'P2002' });
+  const { client: sqliteClient } = conflictingClient(signatureConflict, storedPool);
+  assert.equal((await sqliteClient.storePoolWithEvent(poolData, eventData)).created, false);
+});
+
+test('other insert failures are rethrown', async () => {
+  const otherConflict = uniqueViolation(['lpMint']);
+  await assert.rejects(conflictingClient(otherConflict, { id: 7 }).client.storePoolWithEvent(poolData, eventData), otherConflict);
+
+  const foreignKey = Object.assign(new Error('Foreign key constraint failed'), { code: 'P2003' });
+  await assert.rejects(conflictingClient(foreignKey, { id: 7 }).client.storePoolWithEvent(poolData, eventData), foreignKey);
+
+  // A conflict whose pool cannot be found again is not swallowed
+  const conflict = uniqueViolation(['poolAddress']);
+  await assert.rejects(conflictingClient(conflict, null).client.storePoolWithEvent(poolData, eventData), conflict);
+});
@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { createDefaultDecoderRegistry } from '../src/decoders/index.js';
+import { anchorDiscriminator } from '../src/decoders/layoutDecoder.js';
+import { WebhookHandler } from '../src/utils/webhookHandler.js';
+import { loadCapture } from '../src/utils/webhookCapture.js';
+
+// Pool-creating transactions per DEX in the Helius enhanced format, with the accounts
+// each decoder should read (named after the program's IDL accounts)
+const fixtures = JSON.parse(readFileSync(new URL('./fixtures/poolCreations.json', import.meta.url), 'utf8'));
+
+const registry = createDefaultDecoderRegistry();
+const handler = new WebhookHandler(null, null, null, registry);
+
+test('Anchor discriminators are sha256("global:<name>")[0..8]', () => {
+  assert.equal(anchorDiscriminator('initialize').toString('hex'), 'afaf6d1f0d989bed');
+  assert.equal(anchorDiscriminator('create_pool').toString('hex'), 'e992d18ecf6840bc');
+  assert.equal(anchorDiscriminator('initialize_pool').toString('hex'), '5fb40aac54aee828');
+});
+
+test('Raydium AMM v4 initialize2 from the captured webhook log', () => {
+  const [transaction] = loadCapture(new URL('../webhook_logs.txt', import.meta.url).pathname).captures[0].transactions;
+
+  assert.deepEqual(registry.decodeTransaction(transaction), {
+    instruction: 'initialize2',
+    poolAddress: 'D4XAR4KyPUk5y4PxCUjUowXhrVSVZCgzCTV7od38aEoh',
+    lpMint: 'CkD3w5PhtfMSgoGX8JVySRdJQ9PTiW6k5a8JF9KSWxuj',
+    tokenA: 'FG1FCUKQRLtojGvvdGXwjKcDWbbP6T3u2tchkMoqbonk',
+    tokenB: 'So11111111111111111111111111111111111111112',
+    vaultA: '9s82WUmqpd7jKn8KzbGvu2TeS9DbxtiRbzVQ9xNXqqoz',
+    vaultB: 'AQFfGvqo2J8Aqvw5RgAcDKGU8n1TpNd76u67LZMZFK9J',
+    decoder: 'raydium-amm-v4',
+    source: 'RAYDIUM'
+  });
+});
+
+const DECODER_CASES = [
+  ['raydium-cpmm', 'raydium-cpmm', 'RAYDIUM'],
+  ['raydium-clmm', 'raydium-clmm', 'RAYDIUM'],
+  ['orca-whirlpool-v1', 'orca-whirlpool', 'ORCA'],
+  ['orca-whirlpool-v2', 'orca-whirlpool', 'ORCA'],
+  ['meteora-dlmm', 'meteora-dlmm', 'METEORA'],
+  ['pumpswap-create-pool', 'pumpfun-migration', 'PUMP_AMM']
+];
+
+for (const [fixture, decoder, source] of DECODER_CASES) {
+  test(`${fixture} reads the pool, mint, vault and LP accounts`, () => {
+    const { transaction, expected } = fixtures[fixture];
+    assert.deepEqual(registry.decodeTransaction(transaction), { ...expected, decoder, source });
+  });
+}
+
+test('PumpSwap create_pool is found as an inner instruction of the pump.fun migration', () => {
+  const { transaction } = fixtures['pumpswap-create-pool'];
+  const [, migrate] = transaction.instructions;
+  assert.equal(migrate.programId, '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P');
+  assert.equal(migrate.innerInstructions[0].programId, 'pAMMBay6oceH9fJKBRHGP5D4bD4sWpmSwMn52FMfXEA');
+});
+
+test('a decoded pool is parsed with its decoder name and vaults', () => {
+  const { transaction, expected } = fixtures['orca-whirlpool-v2'];
+  const pool = handler.parsePoolFromTransaction(transaction);
+
+  assert.equal(pool.poolAddress, expected.poolAddress);
+  assert.equal(pool.tokenA, expected.tokenA);
+  assert.equal(pool.vaultB, expected.vaultB);
+  assert.equal(pool.decoder, 'orca-whirlpool');
+});
+
+test('a known program without a pool-creating instruction yields no pool and no heuristic guess', () => {
+  const { transaction } = fixtures['raydium-cpmm-swap'];
+
+  assert.equal(registry.isKnownProgramTransaction(transaction), true);
+  assert.equal(registry.decodeTransaction(transaction), null);
+  assert.equal(handler.parsePoolFromTransaction(transaction), null);
+});
+
+test('too few accounts for the layout is not decoded', () => {
+  const { transaction } = fixtures['raydium-cpmm'];
+  const instruction = transaction.instructions[1];
+
+  assert.equal(registry.get(instruction.programId).decode({ ...instruction, accounts: instruction.accounts.slice(0, 11) }), null);
+});
+
+test('an unknown program falls back to the transfer heuristic', () => {
+  const { transaction, expected } = fixtures['unknown-program'];
+
+  assert.equal(registry.isKnownProgramTransaction(transaction), false);
+  const pool = handler.parsePoolFromTransaction(transaction);
+
+  assert.equal(pool.decoder, 'heuristic');
+  assert.equal(pool.poolAddress, expected.poolAddress);
+  assert.equal(pool.tokenA, expected.tokenA);
+  assert.equal(pool.tokenB, expected.tokenB);
+  assert.equal(pool.vaultA, null);
+  assert.equal(pool.lpMint, null);
+});
@@ -0,0 +1,20 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DefiLlamaSnapshot } from '../src/utils/defiLlamaSnapshot.js';
+import { MetricsRegistry } from '../src/utils/metrics.js';
+
+const ageLine = async () => (await MetricsRegistry.default.render())
+  .split('\n')
+  .find(line => line.startsWith('wildnet_defillama_snapshot_age_seconds '));
+
+test('the snapshot age gauge is absent until a snapshot is loaded, then follows its fetch time', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 1_000_000 });
+  const snapshot = new DefiLlamaSnapshot(async () => [{ pool: 'p1', chain: 'Solana', underlyingTokens: ['A', 'B'] }]);
+
+  assert.equal(await ageLine(), undefined);
+
+  await snapshot.refresh();
+  t.mock.timers.tick(90_000);
+  assert.equal(await ageLine(), 'wildnet_defillama_snapshot_age_seconds 90');
+  assert.equal(snapshot.getStats().ageSeconds, 90);
+});
@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { IngestionQueue } from '../src/utils/ingestionQueue.js';
+import { MemoryStorage } from '../src/storage/memoryStorage.js';
+
+/**
+ * Queue over a fresh in-memory backend whose handler fails the first `failures` calls
+ * @param {number} failures - Calls that throw before the handler succeeds
+ * @param {Object} options - IngestionQueue options
+ * @returns {{storage: MemoryStorage, queue: IngestionQueue, processed: Array}}
+ */
+function setup(failures = 0, options = {}) {
+  const storage = new MemoryStorage();
+  const processed = [];
+  const webhookHandler = {
+    processTransaction: async (transaction) => {
+      if (failures-- > 0) throw new Error('RPC unavailable');
+      processed.push(transaction.signature);
+      return null;
+    }
+  };
+  return { storage, processed, queue: new IngestionQueue(storage, webhookHandler, { maxAttempts: 3, ...options }) };
+}
+
+test('each job is claimed by one worker at a time, and completed jobs leave the queue', async () => {
+  const { storage, queue, processed } = setup();
+  assert.equal(await queue.enqueue([{ signature: 'A' }, { signature: 'B' }], 'req-1'), 2);
+
+  const [first] = await storage.claimWebhookJobs(1);
+  const [second] = await storage.claimWebhookJobs(1);
+  assert.deepEqual([first.signature, first.status, first.attempts, first.requestId], ['A', 'processing', 1, 'req-1']);
+  assert.equal(second.signature, 'B');
+  assert.deepEqual(await storage.claimWebhookJobs(1), []);
+
+  await queue.processJob(first);
+  assert.deepEqual(processed, ['A']);
+  assert.equal(await storage.countWebhookJobs(), 1);
+  assert.ok(queue.lastProcessedAt);
+});
+
+test('a failed job is retried after an exponential backoff', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.UTC(2025, 0, 1) });
+  const { storage, queue, processed } = setup(1);
+  await queue.enqueue([{ signature: 'A' }]);
+
+  await queue.processJob((await storage.claimWebhookJobs(1))[0]);
+  const [retried] = [...storage.jobs.values()];
+  assert.equal(retried.status, 'pending');
+  assert.equal(retried.lastError, 'RPC unavailable');
+  assert.equal(retried.availableAt.getTime(), Date.now() + 2000);
+  assert.deepEqual(await storage.claimWebhookJobs(1), []);
+
+  t.mock.timers.tick(2000);
+  const [job] = await storage.claimWebhookJobs(1);
+  assert.equal(job.attempts, 2);
+  await queue.processJob(job);
+  assert.deepEqual(processed, ['A']);
+  assert.equal(await storage.countWebhookJobs(), 0);
+});
+
+test('a job is dead-lettered after maxAttempts and can be replayed', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.UTC(2025, 0, 1) });
+  const { storage, queue, processed } = setup(3);
+  await queue.enqueue([{ signature: 'A', type: 'CREATE_POOL' }]);
+
+  for (let attempt = 1; attempt <= 3; attempt++) {
+    const [job] = await storage.claimWebhookJobs(1);
+    assert.equal(job.attempts, attempt);
+    await queue.processJob(job);
+    t.mock.timers.tick(60_000);
+  }
+
+  assert.equal(await storage.countWebhookJobs(), 0);
+  const [deadLetter] = await storage.getDeadLetters();
+  assert.deepEqual([deadLetter.signature, deadLetter.attempts, deadLetter.error], ['A', 3, 'RPC unavailable']);
+  assert.deepEqual(JSON.parse(deadLetter.payload), { signature: 'A', type: 'CREATE_POOL' });
+
+  const replayed = await storage.replayDeadLetter(deadLetter.id);
+  assert.equal(replayed.attempts, 0);
+  assert.deepEqual(await storage.getDeadLetters(), []);
+  assert.notEqual((await storage.getDeadLetters(50, true))[0].replayedAt, null);
+
+  await queue.processJob((await storage.claimWebhookJobs(1))[0]);
+  assert.deepEqual(processed, ['A']);
+  assert.equal(await storage.countWebhookJobs(), 0);
+  assert.equal(await storage.replayDeadLetter(999), null);
+});
+
+test('started workers process enqueued jobs and stop once they are idle', async () => {
+  const { storage, queue, processed } = setup(0, { concurrency: 2, pollIntervalMs: 10 });
+  await queue.start();
+  await queue.enqueue([{ signature: 'A' }, { signature: 'B' }, { signature: 'C' }]);
+
+  while (processed.length < 3) await new Promise(resolve => setTimeout(resolve, 5));
+  assert.equal(await queue.stop(1000), 0);
+  assert.deepEqual(processed.sort(), ['A', 'B', 'C']);
+  assert.equal(await storage.countWebhookJobs(), 0);
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createStorage } from '../src/storage/index.js';
+import { MetricsScheduler } from '../src/utils/metricsScheduler.js';
+
+test('retention rolls raw snapshots up hourly, hourly ones daily, and drops expired daily ones', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-06-15T12:30:00Z') });
+  const storage = createStorage({ backend: 'memory' });
+  const scheduler = new MetricsScheduler(storage, null, null, { rawRetentionDays: 7, hourlyRetentionDays: 90, dailyRetentionDays: 365 });
+  const snapshot = (poolId, timestamp, apy, resolution = 'raw') => ({ poolId, timestamp: new Date(timestamp), apy, tvl: apy * 10, source: 'scheduler', resolution });
+
+  await storage.storeMetricSnapshots([
+    // Raw, older than the 2026-06-08T12:00 cutoff: one hourly row per pool and hour
+    snapshot(1, '2026-06-08T11:10:00Z', 10),
+    snapshot(1, '2026-06-08T11:50:00Z', 20),
+    snapshot(2, '2026-06-08T11:20:00Z', 50),
+    snapshot(1, '2026-06-08T12:10:00Z', 99),
+    // Hourly, older than the 2026-03-17 cutoff: one daily row
+    snapshot(1, '2026-03-16T05:00:00Z', 4, 'hourly'),
+    snapshot(1, '2026-03-16T07:00:00Z', 8, 'hourly'),
+    snapshot(1, '2026-03-17T01:00:00Z', 7, 'hourly'),
+    // Daily, older than a year: deleted
+    snapshot(1, '2025-06-14T00:00:00Z', 1, 'daily'),
+    snapshot(1, '2025-06-16T00:00:00Z', 2, 'daily')
+  ]);
+
+  await scheduler.applyRetention();
+
+  const rows = () => [...storage.snapshots.values()]
+    .sort((a, b) => a.timestamp - b.timestamp || a.poolId - b.poolId)
+    .map(row => [row.poolId, row.timestamp.toISOString(), row.resolution, row.source, row.apy, row.tvl]);
+  const expected = [
+    [1, '2025-06-16T00:00:00.000Z', 'daily', 'scheduler', 2, 20],
+    [1, '2026-03-16T00:00:00.000Z', 'daily', 'rollup', 6, 60],
+    [1, '2026-03-17T01:00:00.000Z', 'hourly', 'scheduler', 7, 70],
+    [1, '2026-06-08T11:00:00.000Z', 'hourly', 'rollup', 15, 150],
+    [2, '2026-06-08T11:00:00.000Z', 'hourly', 'rollup', 50, 500],
+    [1, '2026-06-08T12:10:00.000Z', 'raw', 'scheduler', 99, 990]
+  ];
+  assert.deepEqual(rows(), expected);
+
+  // Cutoffs are aligned to bucket boundaries, so a second run rolls nothing up again
+  await scheduler.applyRetention();
+  assert.deepEqual(rows(), expected);
+});
@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { matchesPoolQuery, parsePoolQuery, encodeCursor, decodeCursor, MAX_POOL_LIMIT } from '../src/utils/poolQuery.js';
+
+const unscored = { source: 'RAYDIUM', tokenA: 'A', tokenB: 'B', apy: null, tvl: null, riskScore: null, riskFlags: [], createdAt: new Date() };
+const scored = { ...unscored, apy: 12, tvl: 5000, riskScore: 30 };
+
+test('bounds on APY, TVL and risk score never match a pool without the value', () => {
+  for (const filters of [{ minApy: 0 }, { maxApy: 100 }, { minTvl: 0 }, { maxRiskScore: 100 }]) {
+    assert.equal(matchesPoolQuery(unscored, filters), false, JSON.stringify(filters));
+    assert.equal(matchesPoolQuery({ ...unscored, apy: undefined, tvl: undefined, riskScore: undefined }, filters), false, JSON.stringify(filters));
+    assert.equal(matchesPoolQuery(scored, filters), true, JSON.stringify(filters));
+  }
+});
+
+test('bounds are inclusive', () => {
+  assert.equal(matchesPoolQuery(scored, { minApy: 12, maxApy: 12, minTvl: 5000, maxRiskScore: 30 }), true);
+  assert.equal(matchesPoolQuery(scored, { maxApy: 11.9 }), false);
+  assert.equal(matchesPoolQuery(scored, { maxRiskScore: 29 }), false);
+});
+
+test('a pool without a value still matches when no bound is set on it', () => {
+  assert.equal(matchesPoolQuery(unscored, { source: 'raydium', token: 'A' }), true);
+});
+
+// A cursor as encodeCursor would write it, with any fields
+const rawCursor = (fields) => Buffer.from(JSON.stringify(fields)).toString('base64url');
+
+test('invalid query parameters are reported per field', () => {
+  const { errors } = parsePoolQuery({
+    source: ' ',
+    minApy: 'abc',
+    minTvl: '',
+    createdAfter: 'yesterday',
+    excludeRiskFlags: 'mint_authority,bogus',
+    sort: 'name',
+    order: 'up'
+  });
+
+  assert.deepEqual(errors, {
+    source: 'must be a non-empty string',
+    minApy: 'must be a number',
+    minTvl: 'must be a number',
+    createdAfter: 'must be an ISO 8601 date',
+    excludeRiskFlags: errors.excludeRiskFlags,
+    sort: 'must be one of: createdAt, apy, tvl, volume24h, riskScore',
+    order: 'must be asc or desc'
+  });
+  assert.match(errors.excludeRiskFlags, /^must be a comma-separated list of: /);
+});
+
+test('valid parameters are normalized into filters with the defaults', () => {
+  const { filters, errors } = parsePoolQuery({ token: ' USDC ', minApy: '5', maxRiskScore: '40', excludeRiskFlags: 'mint_authority, freeze_authority' });
+
+  assert.equal(errors, null);
+  assert.deepEqual(filters, {
+    sort: 'createdAt',
+    order: 'desc',
+    limit: 50,
+    token: 'USDC',
+    minApy: 5,
+    maxRiskScore: 40,
+    excludeRiskFlags: ['mint_authority', 'freeze_authority']
+  });
+});
+
+test('limit must be an integer between 1 and the maximum', () => {
+  for (const limit of ['0', String(MAX_POOL_LIMIT + 1), '1.5', 'ten']) {
+    assert.deepEqual(parsePoolQuery({ limit }).errors, { limit: `must be an integer between 1 and ${MAX_POOL_LIMIT}` }, limit);
+  }
+  assert.equal(parsePoolQuery({ limit: '1' }).filters.limit, 1);
+  assert.equal(parsePoolQuery({ limit: String(MAX_POOL_LIMIT) }).filters.limit, MAX_POOL_LIMIT);
+});
+
+test('minApy may not exceed maxApy', () => {
+  assert.deepEqual(parsePoolQuery({ minApy: '10', maxApy: '5' }).errors, { maxApy: 'must be greater than or equal to minApy' });
+  assert.equal(parsePoolQuery({ minApy: '10', maxApy: '10' }).errors, null);
+});
+
+test('cursors survive an encode and decode round trip', () => {
+  const createdAt = new Date('2025-01-02T03:04:05.678Z');
+  assert.deepEqual(decodeCursor(encodeCursor({ sort: 'createdAt', order: 'desc', value: createdAt, id: 7 })), { sort: 'createdAt', order: 'desc', value: createdAt, id: 7 });
+  assert.deepEqual(decodeCursor(encodeCursor({ sort: 'apy', order: 'asc', value: 12.5, id: 8 })), { sort: 'apy', order: 'asc', value: 12.5, id: 8 });
+
+  const cursor = encodeCursor({ sort: 'tvl', order: 'desc', value: 0, id: 9 });
+  assert.deepEqual(parsePoolQuery({ sort: 'tvl', cursor }).filters.cursor, { sort: 'tvl', order: 'desc', value: 0, id: 9 });
+});
+
+test('a cursor must match the sort and order of the query', () => {
+  const cursor = encodeCursor({ sort: 'apy', order: 'desc', value: 12.5, id: 8 });
+
+  assert.deepEqual(parsePoolQuery({ sort: 'tvl', cursor }).errors, { cursor: 'was created with a different sort or order' });
+  assert.deepEqual(parsePoolQuery({ sort: 'apy', order: 'asc', cursor }).errors, { cursor: 'was created with a different sort or order' });
+  assert.equal(parsePoolQuery({ sort: 'apy', cursor }).errors, null);
+});
+
+test('malformed cursors are invalid, including non-numeric positions for numeric sorts', () => {
+  const cursors = [
+    'not base64 json',
+    rawCursor({ s: 'apy', o: 'desc', v: 'abc', id: 1 }),
+    rawCursor({ s: 'riskScore', o: 'desc', v: null, id: 1 }),
+    rawCursor({ s: 'volume24h', o: 'desc', v: { n: 1 }, id: 1 }),
+    rawCursor({ s: 'createdAt', o: 'desc', v: 'never', id: 1 }),
+    rawCursor({ s: 'createdAt', o: 'desc', v: 5, id: 1 }),
+    rawCursor({ s: 'apy', o: 'desc', v: 1, id: '1' }),
+    rawCursor({ s: 'name', o: 'desc', v: 1, id: 1 })
+  ];
+  for (const cursor of cursors) {
+    assert.equal(decodeCursor(cursor), null, Buffer.from(cursor, 'base64url').toString());
+  }
+  assert.deepEqual(parsePoolQuery({ sort: 'apy', cursor: cursors[1] }).errors, { cursor: 'is invalid' });
+});
@@ -0,0 +1,128 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import http from 'node:http';
+import express from 'express';
+import { createStorage } from '../src/storage/index.js';
+import { createPoolRouter } from '../src/utils/poolRoutes.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const poolAddress = 'Pool1111111111111111111111111111111111111111';
+
+/**
+ * Serve the pool routes over a fresh in-memory backend holding one pool
+ * @returns {Promise<{storage: MemoryStorage, pool: Object, get: Function, close: Function}>}
+ */
+async function startApp() {
+  const storage = createStorage({ backend: 'memory' });
+  const { pool } = await storage.storePoolWithEvent(
+    { poolAddress, signature: 'sig-1', tokenA: 'MintA', tokenB: 'MintB', source: 'ORCA' },
+    { signature: 'sig-1', eventType: 'created', rawData: '{}' }
+  );
+
+  const app = express();
+  app.use('/api/pools', createPoolRouter(storage));
+  const server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const base = `http://127.0.0.1:${server.address().port}/api/pools`;
+
+  return {
+    storage,
+    pool,
+    // node:http rather than fetch, which sends Cache-Control: no-cache along with If-None-Match
+    get: async (path, headers = {}) => {
+      const [response] = await once(http.get(`${base}${path}`, { headers }), 'response');
+      let text = '';
+      for await (const chunk of response) text += chunk;
+      return { status: response.statusCode, etag: response.headers.etag, body: text ? JSON.parse(text) : null };
+    },
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+test('history averages snapshots into hourly buckets for short ranges and daily ones beyond a week', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  // Midnight UTC two days ago, so the samples share a day
+  const start = Math.floor(Date.now() / DAY) * DAY - 2 * DAY;
+  app.storage.pools.get(app.pool.id).createdAt = new Date(start);
+  await app.storage.storeMetricSnapshots([
+    { poolId: app.pool.id, timestamp: new Date(start + 10 * 60 * 1000), apy: 10, tvl: 100, source: 'scheduler' },
+    { poolId: app.pool.id, timestamp: new Date(start + 40 * 60 * 1000), apy: 20, source: 'scheduler' },
+    { poolId: app.pool.id, timestamp: new Date(start + HOUR + 5 * 60 * 1000), apy: 30, tvl: 300, source: 'scheduler' }
+  ]);
+
+  // Defaults to the pool's lifetime: two days, so hourly
+  const hourly = await app.get(`/${poolAddress}/history`);
+  assert.equal(hourly.status, 200);
+  assert.equal(hourly.body.interval, 'hour');
+  assert.equal(hourly.body.from, new Date(start).toISOString());
+  assert.deepEqual(hourly.body.series.map(({ timestamp, apy, tvl, samples }) => ({ timestamp, apy, tvl, samples })), [
+    { timestamp: new Date(start).toISOString(), apy: 15, tvl: 100, samples: 2 },
+    { timestamp: new Date(start + HOUR).toISOString(), apy: 30, tvl: 300, samples: 1 }
+  ]);
+
+  const from = new Date(start - 10 * DAY).toISOString();
+  const daily = await app.get(`/${poolAddress}/history?from=${from}`);
+  assert.equal(daily.body.interval, 'day');
+  assert.deepEqual(daily.body.series.map(({ timestamp, apy, tvl, samples }) => ({ timestamp, apy, tvl, samples })), [
+    { timestamp: new Date(start).toISOString(), apy: 20, tvl: 200, samples: 3 }
+  ]);
+
+  // An explicit interval wins, and `to` is exclusive
+  const to = new Date(start + HOUR).toISOString();
+  const weekly = await app.get(`/${poolAddress}/history?from=${from}&to=${to}&interval=week`);
+  assert.equal(weekly.body.interval, 'week');
+  assert.deepEqual(weekly.body.series.map(bucket => [bucket.apy, bucket.samples]), [[15, 2]]);
+});
+
+test('history rejects bad ranges and intervals and unknown pools', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+
+  assert.equal((await app.get(`/${poolAddress}/history?interval=minute`)).status, 400);
+  assert.equal((await app.get(`/${poolAddress}/history?from=yesterday`)).status, 400);
+  const { status, body } = await app.get(`/${poolAddress}/history?from=2026-02-01T00:00:00Z&to=2026-01-01T00:00:00Z`);
+  assert.equal(status, 400);
+  assert.deepEqual(body, { error: 'from and to must be valid dates with from < to' });
+  assert.equal((await app.get('/Unknown1111111111111111111111111111111111111/history')).status, 404);
+});
+
+test('pool detail answers 304 to a matching If-None-Match until a new snapshot lands', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+
+  const first = await app.get(`/${poolAddress}`);
+  assert.equal(first.status, 200);
+  assert.equal(first.body.poolAddress, poolAddress);
+  assert.match(first.etag, /^W\/"pool-/);
+  assert.deepEqual(await app.get(`/${poolAddress}`, { 'if-none-match': first.etag }), { status: 304, etag: first.etag, body: null });
+  assert.equal((await app.get(`/${poolAddress}`, { 'if-none-match': 'W/"pool-0-0-0"' })).status, 200);
+
+  await app.storage.storeMetricSnapshots([{ poolId: app.pool.id, apy: 12, source: 'scheduler' }]);
+  const refreshed = await app.get(`/${poolAddress}`, { 'if-none-match': first.etag });
+  assert.equal(refreshed.status, 200);
+  assert.notEqual(refreshed.etag, first.etag);
+  assert.equal(refreshed.body.latestMetrics.apy, 12);
+});
+
+test('the event timeline answers 304 until a new event is recorded, per filter', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+
+  const first = await app.get(`/${poolAddress}/events`);
+  assert.equal(first.status, 200);
+  assert.deepEqual(first.body.events.map(event => event.eventType), ['created']);
+  assert.equal((await app.get(`/${poolAddress}/events`, { 'if-none-match': first.etag })).status, 304);
+  // Another filter is another representation
+  const swaps = await app.get(`/${poolAddress}/events?eventType=swap`, { 'if-none-match': first.etag });
+  assert.equal(swaps.status, 200);
+  assert.notEqual(swaps.etag, first.etag);
+
+  await app.storage.storeActivityEvent({ poolId: app.pool.id, eventType: 'swap', signature: 'swap-1', timestamp: new Date(), amountA: 1, amountB: -1 });
+  const updated = await app.get(`/${poolAddress}/events`, { 'if-none-match': first.etag });
+  assert.equal(updated.status, 200);
+  assert.deepEqual(updated.body.events.map(event => event.eventType), ['swap', 'created']);
+  assert.equal((await app.get(`/${poolAddress}/events?eventType=swap`, { 'if-none-match': swaps.etag })).status, 200);
+});
@@ -0,0 +1,133 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TokenBucketLimiter, RateLimiterRegistry, UPSTREAM_LIMITS, parseRetryAfter } from '../src/utils/rateLimiter.js';
+
+// Let pending promise callbacks run; setImmediate is left out of the mocked timers
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+/**
+ * Start acquiring a slot and record when it is granted
+ * @param {TokenBucketLimiter} limiter
+ * @returns {{granted: boolean, release: Function|null}}
+ */
+function acquire(limiter) {
+  const slot = { granted: false, release: null };
+  limiter.acquire().then(release => Object.assign(slot, { granted: true, release }));
+  return slot;
+}
+
+test('a full bucket lets a burst through, then tokens refill at the configured rate', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 0 });
+  const limiter = new TokenBucketLimiter({ name: 'test', ratePerSecond: 2, burst: 2, maxConcurrent: 10 });
+
+  const slots = [acquire(limiter), acquire(limiter), acquire(limiter), acquire(limiter)];
+  await flush();
+  assert.deepEqual(slots.map(slot => slot.granted), [true, true, false, false]);
+  assert.equal(limiter.stats().queued, 2);
+
+  t.mock.timers.tick(499);
+  await flush();
+  assert.equal(slots[2].granted, false);
+  t.mock.timers.tick(1);
+  await flush();
+  assert.deepEqual(slots.map(slot => slot.granted), [true, true, true, false]);
+
+  t.mock.timers.tick(500);
+  await flush();
+  assert.equal(slots[3].granted, true);
+  assert.equal(limiter.stats().inFlight, 4);
+});
+
+test('requests beyond the concurrency cap wait for a release, not for a timer', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 0 });
+  const limiter = new TokenBucketLimiter({ name: 'test', ratePerSecond: 1, burst: 5, maxConcurrent: 1 });
+
+  const first = acquire(limiter);
+  const second = acquire(limiter);
+  await flush();
+  assert.deepEqual([first.granted, second.granted], [true, false]);
+
+  t.mock.timers.tick(60000);
+  await flush();
+  assert.equal(second.granted, false);
+
+  first.release();
+  // A second call is a no-op: the slot is only given back once
+  first.release();
+  await flush();
+  assert.equal(second.granted, true);
+  assert.equal(limiter.stats().inFlight, 1);
+});
+
+test('a 429 pauses the bucket for Retry-After and halves the rate until requests succeed', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 0 });
+  const statuses = [429, 200, 200];
+  t.mock.method(globalThis, 'fetch', async () => {
+    const status = statuses.shift();
+    return new Response(null, { status, headers: status === 429 ? { 'retry-after': '3' } : {} });
+  });
+  const limiter = new TokenBucketLimiter({ name: 'test', ratePerSecond: 10, burst: 5, maxConcurrent: 5 });
+
+  const response = await limiter.request('http://upstream.test/pools');
+  assert.equal(response.status, 429);
+  assert.deepEqual(limiter.stats(), { rate: 5, burst: 5, maxConcurrent: 5, inFlight: 0, queued: 0, pausedMs: 3000, throttled: 1 });
+
+  const slot = acquire(limiter);
+  t.mock.timers.tick(2999);
+  await flush();
+  assert.equal(slot.granted, false);
+  t.mock.timers.tick(1);
+  await flush();
+  assert.equal(slot.granted, true);
+
+  await limiter.request('http://upstream.test/pools');
+  assert.equal(limiter.stats().rate, 6);
+  for (let i = 0; i < 10; i++) limiter.recover();
+  assert.equal(limiter.stats().rate, 10);
+});
+
+test('a 429 without a usable Retry-After pauses for five seconds and the rate never drops below an eighth', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 0 });
+  const limiter = new TokenBucketLimiter({ name: 'test', ratePerSecond: 8, burst: 5, maxConcurrent: 5 });
+
+  for (let i = 0; i < 5; i++) limiter.throttle(null);
+  assert.equal(limiter.stats().pausedMs, 5000);
+  assert.equal(limiter.stats().rate, 1);
+  assert.equal(limiter.stats().throttled, 5);
+
+  // A shorter Retry-After does not cut an earlier pause short
+  limiter.throttle(1000);
+  assert.equal(limiter.stats().pausedMs, 5000);
+});
+
+test('Retry-After is read as seconds or as an HTTP date', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-01-01T00:00:00Z') });
+
+  assert.equal(parseRetryAfter('2'), 2000);
+  assert.equal(parseRetryAfter('0.5'), 500);
+  assert.equal(parseRetryAfter('Thu, 01 Jan 2026 00:00:30 GMT'), 30000);
+  assert.equal(parseRetryAfter('Wed, 31 Dec 2025 23:59:00 GMT'), 0);
+  assert.equal(parseRetryAfter('soon'), null);
+  assert.equal(parseRetryAfter(null), null);
+});
+
+test('the registry holds one limiter per upstream and can be reconfigured', (t) => {
+  const previous = RateLimiterRegistry.instance;
+  t.after(() => { RateLimiterRegistry.instance = previous; });
+  RateLimiterRegistry.instance = undefined;
+
+  const registry = RateLimiterRegistry.default;
+  assert.equal(RateLimiterRegistry.default, registry);
+  assert.equal(registry.get('jupiter'), registry.get('jupiter'));
+  assert.deepEqual(Object.keys(registry.stats()), Object.keys(UPSTREAM_LIMITS));
+  assert.equal(registry.stats().defillama.rate, UPSTREAM_LIMITS.defillama.ratePerSecond);
+  assert.throws(() => registry.get('coingecko'), /No rate limiter for upstream "coingecko"/);
+
+  const configured = RateLimiterRegistry.configure({ rpc: { ratePerSecond: 20, burst: 40, maxConcurrent: 8 } });
+  assert.equal(RateLimiterRegistry.default, configured);
+  assert.notEqual(configured, registry);
+  assert.deepEqual(configured.stats(), {
+    rpc: { rate: 20, burst: 40, maxConcurrent: 8, inFlight: 0, queued: 0, pausedMs: 0, throttled: 0 }
+  });
+  assert.throws(() => configured.get('jupiter'), /No rate limiter/);
+});
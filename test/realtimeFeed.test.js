@@ -0,0 +1,141 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { once, EventEmitter } from 'node:events';
+import { WebSocket } from 'ws';
+import { RealtimeFeed } from '../src/utils/realtimeFeed.js';
+
+/**
+ * Start a feed on a random port
+ * @param {Object} options - RealtimeFeed options
+ * @param {Object} databaseClient - Source of replayed events
+ * @returns {Promise<{feed: RealtimeFeed, handler: EventEmitter, url: string, close: Function}>}
+ */
+async function startFeed(options, databaseClient = { getEventsSince: async () => [] }) {
+  const server = http.createServer();
+  const handler = new EventEmitter();
+  const feed = new RealtimeFeed(server, handler, databaseClient, options);
+  server.listen(0);
+  await once(server, 'listening');
+  return {
+    feed,
+    handler,
+    url: `ws://127.0.0.1:${server.address().port}/ws`,
+    close: async () => {
+      await feed.close();
+      server.close();
+    }
+  };
+}
+
+/**
+ * Connect a client and wait for its welcome message
+ * @param {string} url - Feed URL
+ * @returns {Promise<{ws: WebSocket, next: Function}>} Socket and a function resolving the next message
+ */
+async function connect(url) {
+  const ws = new WebSocket(url);
+  const messages = [];
+  const waiting = [];
+  ws.on('message', data => {
+    const message = JSON.parse(data.toString());
+    if (waiting.length > 0) waiting.shift()(message);
+    else messages.push(message);
+  });
+  const next = () => messages.length > 0 ? Promise.resolve(messages.shift()) : new Promise(resolve => waiting.push(resolve));
+  await once(ws, 'open');
+  assert.equal((await next()).type, 'welcome');
+  return { ws, next };
+}
+
+test('messages that are JSON but not objects get an error reply', async () => {
+  const { url, close } = await startFeed();
+  const { ws, next } = await connect(url);
+
+  for (const frame of ['null', '42', '"subscribe"', '[]']) {
+    ws.send(frame);
+    assert.deepEqual(await next(), { type: 'error', error: 'Messages must be JSON objects' });
+  }
+
+  ws.send(JSON.stringify({ type: 'subscribe' }));
+  assert.equal((await next()).type, 'subscribed');
+
+  ws.close();
+  await close();
+});
+
+test('an oversized frame closes only that client', async () => {
+  const { feed, url, close } = await startFeed({ maxPayload: 1024 });
+  const bad = await connect(url);
+  const good = await connect(url);
+
+  bad.ws.send('x'.repeat(4096));
+  const [code] = await once(bad.ws, 'close');
+  assert.equal(code, 1009);
+
+  good.ws.send(JSON.stringify({ type: 'subscribe' }));
+  assert.equal((await good.next()).type, 'subscribed');
+  assert.equal(feed.clientCount, 1);
+
+  good.ws.close();
+  await close();
+});
+
+test('a failing message handler answers with an error instead of crashing', async () => {
+  const { feed, url, close } = await startFeed();
+  feed.handleMessage = async () => {
+    throw new Error('boom');
+  };
+  const { ws, next } = await connect(url);
+
+  ws.send(JSON.stringify({ type: 'subscribe' }));
+  assert.deepEqual(await next(), { type: 'error', error: 'Internal error' });
+
+  ws.close();
+  await close();
+});
+
+const pool = { id: 1, poolAddress: 'POOL', tokenA: 'A', tokenB: 'B', source: 'RAYDIUM', apy: 10 };
+const event = (id) => ({ id, poolId: 1, eventType: 'swap', rawData: null, createdAt: new Date() });
+
+test('a client with more than maxBufferedBytes unsent is dropped while others keep receiving', async () => {
+  const { feed, handler, url, close } = await startFeed({ maxBufferedBytes: 1024 });
+  const slow = await connect(url);
+  const fast = await connect(url);
+  for (const client of [slow, fast]) {
+    client.ws.send(JSON.stringify({ type: 'subscribe' }));
+    assert.equal((await client.next()).type, 'subscribed');
+  }
+
+  // The server side of the slow client (clients are kept in connection order) has a backed-up socket
+  const [slowSide] = feed.wss.clients;
+  Object.defineProperty(slowSide, 'bufferedAmount', { value: 1025 });
+  handler.emit('pool.event', { pool, event: event(1) });
+
+  const [code] = await once(slow.ws, 'close');
+  assert.equal(code, 1006);
+  assert.equal((await fast.next()).cursor, 1);
+  assert.equal(feed.clientCount, 1);
+
+  fast.ws.close();
+  await close();
+});
+
+test('a client is dropped when more than maxBufferedEvents arrive during its replay', async () => {
+  let finishReplay;
+  const databaseClient = { getEventsSince: () => new Promise(resolve => { finishReplay = resolve; }) };
+  const { feed, handler, url, close } = await startFeed({ maxBufferedEvents: 2 }, databaseClient);
+  const { ws } = await connect(url);
+
+  ws.send(JSON.stringify({ type: 'subscribe', cursor: 0 }));
+  while (!finishReplay) await new Promise(resolve => setImmediate(resolve));
+  for (const id of [1, 2, 3]) {
+    handler.emit('pool.event', { pool, event: event(id) });
+  }
+
+  const [code] = await once(ws, 'close');
+  assert.equal(code, 1006);
+  finishReplay([]);
+  assert.equal(feed.clientCount, 0);
+  await close();
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { WebhookReplayer } from '../src/utils/replay.js';
+
+const pool = (poolAddress, signature, fields = {}) => ({ poolAddress, signature, tokenA: 'A', tokenB: 'B', source: 'RAYDIUM', decoder: 'raydium-cpmm', ...fields });
+
+test('a pool is matched to the baseline by signature before address', () => {
+  const diff = WebhookReplayer.diffPools(
+    [pool('DecodedPool', 'Sig1', { tokenA: 'A2' })],
+    [pool('HeuristicGuess', 'Sig1', { decoder: 'heuristic' })]
+  );
+
+  assert.deepEqual(diff.added, []);
+  assert.deepEqual(diff.missing, []);
+  assert.deepEqual(diff.changed, [{
+    poolAddress: 'DecodedPool',
+    signature: 'Sig1',
+    fields: [
+      { field: 'poolAddress', before: 'HeuristicGuess', after: 'DecodedPool' },
+      { field: 'tokenA', before: 'A', after: 'A2' },
+      { field: 'decoder', before: 'heuristic', after: 'raydium-cpmm' }
+    ]
+  }]);
+});
+
+test('baselines without a signature are matched by address', () => {
+  const diff = WebhookReplayer.diffPools(
+    [pool('Pool1', 'Sig1'), pool('Pool2', 'Sig2', { tokenB: 'C' })],
+    [pool('Pool1', undefined, { decoder: undefined }), pool('Pool2', undefined)]
+  );
+
+  assert.equal(diff.unchanged, 1);
+  assert.deepEqual(diff.changed.map(change => change.fields), [[{ field: 'tokenB', before: 'B', after: 'C' }]]);
+});
+
+test('unmatched pools are added or missing, and each baseline pool is matched once', () => {
+  const diff = WebhookReplayer.diffPools(
+    [pool('Pool1', 'Sig1'), pool('Pool1', 'Sig2'), pool('Pool3', 'Sig3')],
+    [pool('Pool1', 'Sig1'), pool('Pool4', 'Sig4')]
+  );
+
+  assert.equal(diff.unchanged, 1);
+  assert.deepEqual(diff.added.map(added => added.signature), ['Sig2', 'Sig3']);
+  assert.deepEqual(diff.missing.map(missing => missing.poolAddress), ['Pool4']);
+});
@@ -0,0 +1,216 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { once } from 'node:events';
+import { RetryHelper, HttpError, TimeoutError } from '../src/utils/retryHelper.js';
+import { TokenBucketLimiter } from '../src/utils/rateLimiter.js';
+import { CircuitBreaker, CircuitOpenError } from '../src/utils/circuitBreaker.js';
+import { DefiLlamaClient } from '../src/utils/defiLlamaClient.js';
+
+// Let pending promise callbacks run; setImmediate is left out of the mocked timers
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+test('backoff delays are a random share of the capped exponential delay', (t) => {
+  t.mock.method(Math, 'random', () => 0.5);
+
+  assert.equal(RetryHelper.backoffDelay(0, 1000, 30000), 500);
+  assert.equal(RetryHelper.backoffDelay(3, 1000, 30000), 4000);
+  assert.equal(RetryHelper.backoffDelay(10, 1000, 30000), 15000);
+
+  Math.random.mock.mockImplementation(() => 0.9999);
+  assert.equal(RetryHelper.backoffDelay(0, 1000, 30000), 999);
+});
+
+test('network errors, timeouts, 408, 429 and 5xx are retryable', () => {
+  const retryable = [
+    new HttpError('timeout', 408), new HttpError('busy', 429), new HttpError('down', 500), new HttpError('gateway', 503),
+    new TimeoutError(100), new DOMException('The operation timed out', 'TimeoutError'),
+    new TypeError('fetch failed'), Object.assign(new Error('reset'), { code: 'ECONNRESET' }),
+    new Error('socket', { cause: { code: 'UND_ERR_SOCKET' } }), Object.assign(new HttpError('bad', 400), { retryable: true })
+  ];
+  const final = [
+    new HttpError('bad', 400), new HttpError('missing', 404), new SyntaxError('Unexpected token'),
+    new TypeError('x is not a function'), Object.assign(new HttpError('down', 503), { retryable: false })
+  ];
+
+  retryable.forEach(error => assert.equal(RetryHelper.isRetryable(error), true, error.message));
+  final.forEach(error => assert.equal(RetryHelper.isRetryable(error), false, error.message));
+});
+
+test('an attempt that outlives its timeout is aborted and rejected', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  let signal;
+  const attempt = RetryHelper.withTimeout((abortSignal) => {
+    signal = abortSignal;
+    return new Promise(() => {});
+  }, 1000);
+
+  t.mock.timers.tick(999);
+  assert.equal(signal.aborted, false);
+  t.mock.timers.tick(1);
+  await assert.rejects(attempt, TimeoutError);
+  assert.ok(signal.reason instanceof TimeoutError);
+});
+
+test('retryable failures are retried after the jittered delay', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  t.mock.method(Math, 'random', () => 0.5);
+  let attempts = 0;
+  const result = RetryHelper.withBackoff(async () => {
+    attempts++;
+    if (attempts < 3) throw new HttpError('down', 503);
+    return 'ok';
+  }, { maxAttempts: 3, baseDelayMs: 1000 });
+
+  await flush();
+  assert.equal(attempts, 1);
+  t.mock.timers.tick(499);
+  await flush();
+  assert.equal(attempts, 1);
+  t.mock.timers.tick(1);
+  await flush();
+  assert.equal(attempts, 2);
+  t.mock.timers.tick(1000);
+  assert.equal(await result, 'ok');
+  assert.equal(attempts, 3);
+});
+
+test('non-retryable errors and the last failure are thrown without waiting', async () => {
+  let attempts = 0;
+  await assert.rejects(RetryHelper.withBackoff(async () => {
+    attempts++;
+    throw new HttpError('bad', 400);
+  }), { status: 400 });
+  assert.equal(attempts, 1);
+
+  await assert.rejects(RetryHelper.withBackoff(async () => {
+    throw new HttpError('down', 503);
+  }, { maxAttempts: 1 }), { status: 503 });
+});
+
+test('time waiting for a limiter slot counts towards neither the timeout nor the breaker', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+  const limiter = new TokenBucketLimiter({ name: 'test', ratePerSecond: 1, burst: 1, maxConcurrent: 1 });
+  const breaker = new CircuitBreaker({ name: 'test', failureThreshold: 1 });
+  (await limiter.acquire())();
+
+  let started = false;
+  const result = RetryHelper.withBackoff(async () => {
+    started = true;
+    return 'ok';
+  }, { maxAttempts: 1, timeoutMs: 100, breaker, limiter });
+
+  // Queued for the next token, well past the 100ms timeout
+  t.mock.timers.tick(999);
+  await flush();
+  assert.equal(started, false);
+  t.mock.timers.tick(1);
+
+  assert.equal(await result, 'ok');
+  assert.equal(breaker.stats().state, 'closed');
+  assert.equal(limiter.stats().inFlight, 0);
+});
+
+test('the timeout still covers the request once it has its slot', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+  const limiter = new TokenBucketLimiter({ name: 'test', ratePerSecond: 1, burst: 1, maxConcurrent: 1 });
+  const breaker = new CircuitBreaker({ name: 'test', failureThreshold: 1 });
+
+  const result = RetryHelper.withBackoff(() => new Promise(() => {}), { maxAttempts: 1, timeoutMs: 100, breaker, limiter });
+  await flush();
+  assert.equal(limiter.stats().inFlight, 1);
+  t.mock.timers.tick(100);
+
+  await assert.rejects(result, TimeoutError);
+  assert.equal(breaker.stats().state, 'open');
+  assert.equal(limiter.stats().inFlight, 0);
+});
+
+test('the breaker opens at the threshold and fails fast without calling the upstream', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 0 });
+  const breaker = new CircuitBreaker({ name: 'test', failureThreshold: 2, resetTimeoutMs: 1000 });
+  const down = async () => { throw new HttpError('down', 503); };
+
+  // 429s and 4xx come from an upstream that is up
+  await assert.rejects(breaker.run(async () => { throw new HttpError('busy', 429); }), { status: 429 });
+  await assert.rejects(breaker.run(async () => { throw new HttpError('bad', 400); }), { status: 400 });
+  await assert.rejects(breaker.run(down), { status: 503 });
+  assert.equal(breaker.stats().state, 'closed');
+  await assert.rejects(breaker.run(down), { status: 503 });
+  assert.deepEqual(breaker.stats(), { state: 'open', failures: 2, retryInMs: 1000, lastError: 'down' });
+
+  let called = false;
+  t.mock.timers.tick(400);
+  await assert.rejects(breaker.run(async () => { called = true; }), (error) => {
+    assert.ok(error instanceof CircuitOpenError);
+    assert.equal(error.retryInMs, 600);
+    assert.equal(RetryHelper.isRetryable(error), false);
+    return true;
+  });
+  assert.equal(called, false);
+});
+
+test('after the reset timeout a single probe is let through and closes the breaker', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 0 });
+  const breaker = new CircuitBreaker({ name: 'test', failureThreshold: 1, resetTimeoutMs: 1000 });
+  await assert.rejects(breaker.run(async () => { throw new HttpError('down', 503); }));
+  t.mock.timers.tick(1000);
+
+  let finishProbe;
+  const probe = breaker.run(() => new Promise(resolve => { finishProbe = resolve; }));
+  assert.equal(breaker.stats().state, 'half_open');
+  await assert.rejects(breaker.run(async () => 'second'), { name: 'CircuitOpenError', retryInMs: 0 });
+
+  finishProbe('ok');
+  assert.equal(await probe, 'ok');
+  assert.deepEqual(breaker.stats(), { state: 'closed', failures: 0, retryInMs: null, lastError: 'down' });
+  assert.equal(await breaker.run(async () => 'next'), 'next');
+});
+
+test('a failed probe opens the breaker for another reset timeout', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 0 });
+  const breaker = new CircuitBreaker({ name: 'test', failureThreshold: 3, resetTimeoutMs: 1000 });
+  for (let i = 0; i < 3; i++) {
+    await assert.rejects(breaker.run(async () => { throw new HttpError('down', 503); }));
+  }
+  t.mock.timers.tick(1500);
+
+  await assert.rejects(breaker.run(async () => { throw new TimeoutError(100); }), TimeoutError);
+  assert.equal(breaker.stats().state, 'open');
+  assert.equal(breaker.stats().retryInMs, 1000);
+  await assert.rejects(breaker.run(async () => 'ok'), CircuitOpenError);
+});
+
+test('a client retries 429 and 503 responses from its upstream until it succeeds', async (t) => {
+  t.mock.method(Math, 'random', () => 0);
+  const responses = [
+    [429, { 'retry-after': '0' }, ''],
+    [503, {}, ''],
+    [200, { 'content-type': 'application/json' }, JSON.stringify({ data: [{ pool: 'llama-pool' }] })]
+  ];
+  const requests = [];
+  const server = createServer((req, res) => {
+    requests.push(req.url);
+    const [status, headers, body] = responses.shift();
+    res.writeHead(status, headers).end(body);
+  });
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  t.after(() => server.close());
+
+  const limiter = new TokenBucketLimiter({ name: 'stub', ratePerSecond: 1000, burst: 10, maxConcurrent: 1 });
+  const breaker = new CircuitBreaker({ name: 'stub', failureThreshold: 5 });
+  const client = new DefiLlamaClient({
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    timeoutMs: 1000,
+    limiter,
+    breaker,
+    retry: { maxAttempts: 3, baseDelayMs: 1 }
+  });
+
+  assert.deepEqual(await client.fetchAllPools(), [{ pool: 'llama-pool' }]);
+  assert.deepEqual(requests, ['/pools', '/pools', '/pools']);
+  assert.equal(limiter.stats().throttled, 1);
+  assert.equal(limiter.stats().inFlight, 0);
+  assert.deepEqual(breaker.stats(), { state: 'closed', failures: 0, retryInMs: null, lastError: 'DefiLlama API error: 503' });
+});
@@ -0,0 +1,183 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RiskScorer } from '../src/utils/riskScorer.js';
+import { FixtureRpcClient } from '../src/utils/solanaRpc.js';
+
+const NOW = Date.UTC(2025, 0, 1);
+const HOUR = 60 * 60;
+const SOL = 'So11111111111111111111111111111111111111112';
+const TOKEN_PROGRAM = 'TokenkegQfeZyiNwAJbNbGNPFXCWuBvf9Ss623VQ5DA';
+const STREAMFLOW = 'strmRqUCoQUgGUan5YhzUZa6KqdzwX5L6FpUxfmKg5m';
+const INCINERATOR = '1nc1nerator11111111111111111111111111111111';
+
+const pool = { tokenA: 'TokenMint', tokenB: SOL, vaultA: 'VaultA', vaultB: 'VaultB', lpMint: 'LpMint' };
+const context = {
+  tokenAInfo: { verified: true, price: 0.01 },
+  tokenBInfo: { price: 150 },
+  initialLiquidity: { tokenA: 1_000_000, tokenB: 100 }
+};
+
+/**
+ * getAccountInfo result of a jsonParsed mint account
+ * @param {Object} info - Mint fields; supply is in whole tokens
+ */
+function mintAccount({ supply, decimals = 6, mintAuthority = null, freezeAuthority = null, program = 'spl-token' }) {
+  return {
+    value: {
+      owner: TOKEN_PROGRAM,
+      data: { program, parsed: { type: 'mint', info: { supply: String(supply * 10 ** decimals), decimals, mintAuthority, freezeAuthority } } }
+    }
+  };
+}
+
+/**
+ * Recorded RPC responses for a pool whose token passes every check. Overrides replace one part.
+ * @param {Object} overrides
+ * @param {Object} overrides.mint - Token mint fields
+ * @param {Array} overrides.holders - Token holders as [address, authority, amount]
+ * @param {number} overrides.lpSupply - LP supply
+ * @param {Array} overrides.lpHolders - LP holders as [address, authority, amount]
+ * @param {Array} overrides.signatures - Signatures of the token mint
+ * @returns {FixtureRpcClient}
+ */
+function stubRpc({
+  mint = {},
+  holders = [['VaultA', 'PoolAuthority', 600_000], ['Holder1', 'Wallet1', 50_000], ['Holder2', 'Wallet2', 50_000]],
+  lpSupply = 1000,
+  lpHolders = [['LpLocked', 'StreamEscrow', 950], ['LpWallet', 'Wallet1', 50]],
+  signatures = [{ signature: 'MintSig', blockTime: NOW / 1000 - 30 * 24 * HOUR }]
+} = {}) {
+  const getAccountInfo = {
+    TokenMint: mintAccount({ supply: 1_000_000, ...mint }),
+    LpMint: mintAccount({ supply: lpSupply, decimals: 9 }),
+    // A locker escrow is a program-owned account, not a token account
+    StreamEscrow: { value: { owner: STREAMFLOW, data: ['', 'base64'] } }
+  };
+  const largest = (list) => {
+    for (const [address, authority] of list) {
+      getAccountInfo[address] = { value: { owner: TOKEN_PROGRAM, data: { parsed: { type: 'account', info: { owner: authority } } } } };
+    }
+    return { value: list.map(([address, , uiAmount]) => ({ address, uiAmount })) };
+  };
+
+  return new FixtureRpcClient({
+    getAccountInfo,
+    getTokenLargestAccounts: { TokenMint: largest(holders), LpMint: largest(lpHolders) },
+    getSignaturesForAddress: { TokenMint: signatures }
+  });
+}
+
+test('score levels switch at 30 and 60', () => {
+  assert.equal(RiskScorer.levelForScore(0), 'low');
+  assert.equal(RiskScorer.levelForScore(29), 'low');
+  assert.equal(RiskScorer.levelForScore(30), 'medium');
+  assert.equal(RiskScorer.levelForScore(59), 'medium');
+  assert.equal(RiskScorer.levelForScore(60), 'high');
+  assert.equal(RiskScorer.levelForScore(100), 'high');
+});
+
+test('a token passing every check scores 0 and the quote token is not checked', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: NOW });
+  const result = await new RiskScorer(stubRpc()).scorePool(pool, context);
+
+  assert.deepEqual(result.flags, []);
+  assert.equal(result.score, 0);
+  assert.equal(result.level, 'low');
+  assert.equal(result.checks[`mint:${SOL}`], undefined);
+  assert.equal(result.checks.lp.lockedShare, 0.95);
+  assert.equal(result.checks.liquidity.usd, 25000);
+});
+
+test('mint and freeze authorities are flagged separately', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: NOW });
+
+  const mintable = await new RiskScorer(stubRpc({ mint: { mintAuthority: 'Creator' } })).scorePool(pool, context);
+  assert.deepEqual(mintable.flags, ['mint_authority']);
+  assert.equal(mintable.score, 25);
+
+  const freezable = await new RiskScorer(stubRpc({ mint: { freezeAuthority: 'Creator' } })).scorePool(pool, context);
+  assert.deepEqual(freezable.flags, ['freeze_authority']);
+
+  const both = await new RiskScorer(stubRpc({ mint: { mintAuthority: 'Creator', freezeAuthority: 'Creator' } })).scorePool(pool, context);
+  assert.equal(both.score, 50);
+  assert.equal(both.level, 'medium');
+});
+
+test('holder concentration ignores the pool vaults and burned tokens', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: NOW });
+  const scorer = (holders) => new RiskScorer(stubRpc({ holders }));
+
+  const atLimit = await scorer([['VaultA', 'PoolAuthority', 400_000], ['Holder1', 'Wallet1', 300_000], ['Holder2', 'Wallet2', 200_000]]).scorePool(pool, context);
+  assert.equal(atLimit.checks['holders:TokenMint'].top10Share, 0.5);
+  assert.deepEqual(atLimit.flags, []);
+
+  const concentrated = await scorer([['Holder1', 'Wallet1', 300_000], ['Holder2', 'Wallet2', 200_001]]).scorePool(pool, context);
+  assert.equal(concentrated.checks['holders:TokenMint'].topHolderShare, 0.3);
+  assert.deepEqual(concentrated.flags, ['holder_concentration']);
+
+  const burned = await scorer([['Burned', INCINERATOR, 900_000], ['Holder1', 'Wallet1', 50_000]]).scorePool(pool, context);
+  assert.deepEqual(burned.flags, []);
+});
+
+test('LP tokens count as locked when burned or held by a locker program', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: NOW });
+
+  const unlocked = await new RiskScorer(stubRpc({ lpHolders: [['LpLocked', 'StreamEscrow', 850], ['LpWallet', 'Wallet1', 150]] })).scorePool(pool, context);
+  assert.equal(unlocked.checks.lp.lockedShare, 0.85);
+  assert.deepEqual(unlocked.flags, ['lp_unlocked']);
+
+  const burnedTokens = await new RiskScorer(stubRpc({ lpHolders: [['LpBurned', INCINERATOR, 900], ['LpWallet', 'Wallet1', 100]] })).scorePool(pool, context);
+  assert.equal(burnedTokens.checks.lp.lockedShare, 0.9);
+  assert.deepEqual(burnedTokens.flags, []);
+
+  const burnedSupply = await new RiskScorer(stubRpc({ lpSupply: 0, lpHolders: [] })).scorePool(pool, context);
+  assert.equal(burnedSupply.checks.lp.lockedShare, 1);
+  assert.deepEqual(burnedSupply.flags, []);
+});
+
+test('only a mint first seen within newTokenHours is flagged as new', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: NOW });
+  const firstSeen = (hoursAgo) => [{ signature: 'MintSig', blockTime: NOW / 1000 - hoursAgo * HOUR }];
+
+  const fresh = await new RiskScorer(stubRpc({ signatures: firstSeen(23) })).scorePool(pool, context);
+  assert.equal(fresh.checks['age:TokenMint'].ageHours, 23);
+  assert.deepEqual(fresh.flags, ['new_token']);
+
+  const dayOld = await new RiskScorer(stubRpc({ signatures: firstSeen(24) })).scorePool(pool, context);
+  assert.deepEqual(dayOld.flags, []);
+
+  // More signatures than getFirstSeen pages through: the oldest one seen is only a lower bound
+  const busy = Array.from({ length: 3000 }, (_, index) => ({ signature: `Sig${index}`, blockTime: NOW / 1000 - HOUR }));
+  const unknownAge = await new RiskScorer(stubRpc({ signatures: busy })).scorePool(pool, context);
+  assert.equal(unknownAge.checks['age:TokenMint'].exact, false);
+  assert.deepEqual(unknownAge.flags, []);
+});
+
+test('checks that cannot run add the incomplete flag but no points', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: NOW });
+  const result = await new RiskScorer(stubRpc({ signatures: [] })).scorePool(pool, { ...context, initialLiquidity: null });
+
+  assert.equal(result.checks['age:TokenMint'].error, 'No signatures found');
+  assert.equal(result.checks.liquidity.error, 'No creation transfers');
+  assert.deepEqual(result.flags, ['incomplete']);
+  assert.equal(result.score, 0);
+});
+
+test('the score is capped at 100', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: NOW });
+  const rpc = stubRpc({
+    mint: { mintAuthority: 'Creator', freezeAuthority: 'Creator', program: 'spl-token-2022' },
+    holders: [['Holder1', 'Wallet1', 900_000]],
+    lpHolders: [['LpWallet', 'Wallet1', 1000]],
+    signatures: [{ signature: 'MintSig', blockTime: NOW / 1000 - HOUR }]
+  });
+  const result = await new RiskScorer(rpc).scorePool(pool, {
+    tokenAInfo: { verified: false, price: 0.01 },
+    tokenBInfo: { price: 150 },
+    initialLiquidity: { tokenA: 1000, tokenB: 0.1 }
+  });
+
+  assert.equal(result.flags.length, 8);
+  assert.equal(result.score, 100);
+  assert.equal(result.level, 'high');
+});
@@ -0,0 +1,125 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import { once } from 'node:events';
+import express from 'express';
+import { WebhookAuthenticator } from '../src/utils/webhookAuth.js';
+
+/**
+ * Serve the webhook route the way server.js does, with an enqueue step that can be made to fail
+ * @param {Object} options - WebhookAuthenticator options
+ * @returns {Promise<{post: Function, accepted: Array, failNext: Function, close: Function}>}
+ */
+async function startApp(options) {
+  const auth = new WebhookAuthenticator(options);
+  const accepted = [];
+  let fail = false;
+
+  const app = express();
+  app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+  app.post('/webhook/helius', auth.middleware(), (req, res) => {
+    if (fail) {
+      fail = false;
+      auth.forget(req.webhookTransactions);
+      return res.sendStatus(500);
+    }
+    accepted.push(...req.webhookTransactions.map(transaction => transaction.signature));
+    res.sendStatus(200);
+  });
+  const server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const url = `http://127.0.0.1:${server.address().port}/webhook/helius`;
+
+  return {
+    accepted,
+    failNext: () => { fail = true; },
+    post: async (body, headers = { authorization: 'current' }) => {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', ...headers },
+        body: typeof body === 'string' ? body : JSON.stringify(body)
+      });
+      const json = response.headers.get('content-type')?.startsWith('application/json');
+      return { status: response.status, body: json ? await response.json() : await response.text() };
+    },
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+const now = () => Math.floor(Date.now() / 1000);
+const tx = (signature, timestamp = now()) => ({ signature, timestamp, type: 'CREATE_POOL' });
+
+test('deliveries without a valid Authorization header are rejected', async (t) => {
+  const app = await startApp({ authTokens: ['current'] });
+  t.after(app.close);
+
+  assert.deepEqual(await app.post([tx('a')], {}), { status: 401, body: { error: 'Unauthorized', reason: 'invalid_authorization' } });
+  assert.equal((await app.post([tx('a')], { authorization: 'wrong' })).status, 401);
+  assert.equal((await app.post([tx('a')], { authorization: 'Bearer wrong' })).status, 401);
+  assert.deepEqual(app.accepted, []);
+});
+
+test('every configured token is accepted while rotating, bare or as a Bearer token', async (t) => {
+  const app = await startApp({ authTokens: ['current', 'previous'] });
+  t.after(app.close);
+
+  assert.equal((await app.post([tx('a')], { authorization: 'current' })).status, 200);
+  assert.equal((await app.post([tx('b')], { authorization: 'previous' })).status, 200);
+  assert.equal((await app.post([tx('c')], { authorization: 'Bearer previous' })).status, 200);
+  assert.deepEqual(app.accepted, ['a', 'b', 'c']);
+});
+
+test('the HMAC signature is checked against the raw body', async (t) => {
+  const app = await startApp({ authTokens: ['current'], hmacSecrets: ['new-secret', 'old-secret'] });
+  t.after(app.close);
+  // Whitespace that JSON.stringify would not reproduce: only the raw bytes verify
+  const raw = `[ ${JSON.stringify(tx('a'))} ]`;
+  const sign = (secret, body) => crypto.createHmac('sha256', secret).update(body).digest('hex');
+
+  assert.deepEqual(await app.post(raw, { authorization: 'current' }), { status: 401, body: { error: 'Unauthorized', reason: 'invalid_signature' } });
+  assert.equal((await app.post(raw, { authorization: 'current', 'x-webhook-signature': sign('wrong', raw) })).status, 401);
+  assert.equal((await app.post(raw, { authorization: 'current', 'x-webhook-signature': sign('new-secret', JSON.stringify([tx('a')])) })).status, 401);
+  assert.equal((await app.post(raw, { authorization: 'current', 'x-webhook-signature': `sha256=${sign('old-secret', raw)}` })).status, 200);
+  assert.deepEqual(app.accepted, ['a']);
+});
+
+test('stale transactions are rejected, and skipped in a payload that has fresh ones', async (t) => {
+  const app = await startApp({ authTokens: ['current'], maxAgeSeconds: 600 });
+  t.after(app.close);
+  const stale = tx('old', now() - 601);
+
+  assert.deepEqual(await app.post([stale]), { status: 409, body: { error: 'Conflict', reason: 'stale_payload', stale: ['old'], duplicate: [] } });
+  assert.equal((await app.post([stale, tx('fresh')])).status, 200);
+  assert.deepEqual(app.accepted, ['fresh']);
+});
+
+test('a transaction delivered twice is rejected as a replay', async (t) => {
+  const app = await startApp({ authTokens: ['current'] });
+  t.after(app.close);
+
+  assert.equal((await app.post([tx('a')])).status, 200);
+  assert.deepEqual(await app.post([tx('a')]), { status: 409, body: { error: 'Conflict', reason: 'replayed_payload', stale: [], duplicate: ['a'] } });
+  // Repeated within one payload, only the first copy is processed
+  assert.equal((await app.post([tx('b'), tx('b')])).status, 200);
+  assert.deepEqual(app.accepted, ['a', 'b']);
+});
+
+test('signatures are forgotten when enqueueing fails, so the retried delivery is accepted', async (t) => {
+  const app = await startApp({ authTokens: ['current'] });
+  t.after(app.close);
+
+  app.failNext();
+  assert.equal((await app.post([tx('a')])).status, 500);
+  assert.equal((await app.post([tx('a')])).status, 200);
+  assert.deepEqual(app.accepted, ['a']);
+});
+
+test('a payload with an element that is not a transaction object is rejected with 400', async (t) => {
+  const app = await startApp({ authTokens: ['current'] });
+  t.after(app.close);
+
+  for (const body of [[null], [1], [tx('a'), 'b'], [[tx('a')]]]) {
+    assert.deepEqual(await app.post(body), { status: 400, body: { error: 'Bad Request', reason: 'invalid_payload' } }, JSON.stringify(body));
+  }
+  assert.deepEqual(app.accepted, []);
+});
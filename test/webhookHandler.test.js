@@ -0,0 +1,198 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { createStorage } from '../src/storage/index.js';
+import { WebhookHandler } from '../src/utils/webhookHandler.js';
+
+const { transaction, expected } = JSON.parse(readFileSync(new URL('./fixtures/poolCreations.json', import.meta.url), 'utf8'))['orca-whirlpool-v2'];
+
+const tokens = new Map([
+  [expected.tokenA, { mintAddress: expected.tokenA, symbol: 'Wild', name: 'Wild Token', decimals: 6, verified: false, tags: [], price: 0.5 }],
+  [expected.tokenB, { mintAddress: expected.tokenB, symbol: 'USDC', name: 'USD Coin', decimals: 6, verified: true, tags: ['verified'], price: 1 }]
+]);
+const jupiterClient = {
+  getFullTokenDataBatch: async (mints) => new Map(mints.map(mint => [mint, tokens.get(mint) ?? null]))
+};
+const defiLlamaClient = {
+  getBestApyForPair: async () => ({ apy: 12.5, tvl: 50000, volume24h: 1000, poolId: 'llama-pool', matchConfidence: 'exact_pair' })
+};
+
+/**
+ * Handler writing to a fresh in-memory backend
+ * @returns {{storage: MemoryStorage, handler: WebhookHandler}}
+ */
+function setup() {
+  const storage = createStorage({ backend: 'memory' });
+  return { storage, handler: new WebhookHandler(storage, defiLlamaClient, jupiterClient) };
+}
+
+test('a pool-creating transaction is stored with its tokens, APY, events and first snapshot', async () => {
+  const { storage, handler } = setup();
+  const created = [];
+  handler.on('pool.created', ({ pool }) => created.push(pool.poolAddress));
+
+  assert.deepEqual(await handler.processWebhookPayload([transaction]), []);
+  assert.deepEqual(created, [expected.poolAddress]);
+
+  const pool = await storage.getPoolByAddress(expected.poolAddress);
+  assert.equal(pool.signature, transaction.signature);
+  assert.equal(pool.source, 'ORCA');
+  assert.equal(pool.decoder, 'orca-whirlpool');
+  assert.equal(pool.vaultA, expected.vaultA);
+  assert.equal(pool.apy, 12.5);
+  assert.equal(pool.apyConfidence, 'exact_pair');
+  assert.equal(pool.tokenAInfo.symbol, 'Wild');
+
+  const { events } = await storage.getPoolEvents(pool.id);
+  assert.deepEqual(events.map(event => event.eventType).sort(), ['created', 'enriched']);
+  assert.equal((await storage.getLatestMetricSnapshot(pool.id)).priceA, 0.5);
+});
+
+test('a repeated delivery does not store the pool twice', async () => {
+  const { storage, handler } = setup();
+
+  await handler.processWebhookPayload([transaction]);
+  assert.deepEqual(await handler.processWebhookPayload([transaction]), []);
+
+  const { pools } = await storage.queryPools();
+  assert.equal(pools.length, 1);
+  assert.equal((await storage.getPoolEvents(pools[0].id, { eventType: 'created' })).events.length, 1);
+});
+
+test('stored pools are found by source and token symbol regardless of case', async () => {
+  const { storage, handler } = setup();
+  await handler.processWebhookPayload([transaction]);
+
+  for (const filters of [{ source: 'orca' }, { token: 'WILD' }, { token: 'usdc' }, { source: 'Orca', token: 'wild' }]) {
+    const { pools } = await storage.queryPools(filters);
+    assert.deepEqual(pools.map(pool => pool.poolAddress), [expected.poolAddress], JSON.stringify(filters));
+  }
+  assert.equal((await storage.queryPools({ token: 'wil' })).pools.length, 0);
+});
+
+const trader = 'Trader1111111111111111111111111111111111111';
+const HOUR = 60 * 60;
+
+/**
+ * Helius-style activity transaction moving tokens in and out of the fixture pool's vaults
+ * @param {string} type - SWAP, ADD_LIQUIDITY or WITHDRAW_LIQUIDITY
+ * @param {Object} options
+ * @param {string} options.signature - Transaction signature
+ * @param {number} options.timestamp - Block time in seconds
+ * @param {Array<[string, number]>} options.flows - [mint, amount] pairs, positive into the pool
+ * @param {string} options.poolAddress - Pool account listed in the transaction
+ * @returns {Object}
+ */
+function activity(type, { signature, timestamp, flows, poolAddress = expected.poolAddress }) {
+  const vaults = { [expected.tokenA]: expected.vaultA, [expected.tokenB]: expected.vaultB };
+  return {
+    signature,
+    timestamp,
+    type,
+    source: 'ORCA',
+    feePayer: trader,
+    description: `${type} on Orca`,
+    instructions: [],
+    accountData: [{ account: trader }, { account: poolAddress }],
+    tokenTransfers: flows.map(([mint, amount]) => amount > 0
+      ? { mint, tokenAmount: amount, fromUserAccount: trader, fromTokenAccount: 'TraderAta', toUserAccount: poolAddress, toTokenAccount: vaults[mint] }
+      : { mint, tokenAmount: -amount, fromUserAccount: poolAddress, fromTokenAccount: vaults[mint], toUserAccount: trader, toTokenAccount: 'TraderAta' })
+  };
+}
+
+test('swaps and liquidity changes on a known pool are stored as typed events', async () => {
+  const { storage, handler } = setup();
+  await handler.processWebhookPayload([transaction]);
+  const emitted = [];
+  handler.on('pool.event', ({ event }) => emitted.push(event.eventType));
+  const at = transaction.timestamp + 60;
+
+  assert.deepEqual(await handler.processWebhookPayload([
+    activity('SWAP', { signature: 'swap-1', timestamp: at, flows: [[expected.tokenA, 100], [expected.tokenB, -40]] }),
+    activity('ADD_LIQUIDITY', { signature: 'add-1', timestamp: at + 1, flows: [[expected.tokenA, 200], [expected.tokenB, 100]] }),
+    activity('WITHDRAW_LIQUIDITY', { signature: 'withdraw-1', timestamp: at + 2, flows: [[expected.tokenB, -30]] })
+  ]), []);
+  assert.deepEqual(emitted, ['swap', 'add_liquidity', 'withdraw_liquidity']);
+
+  const pool = await storage.getPoolByAddress(expected.poolAddress);
+  const { events } = await storage.getPoolEvents(pool.id);
+  const bySignature = Object.fromEntries(events.map(event => [event.signature, event]));
+
+  assert.equal(bySignature['swap-1'].eventType, 'swap');
+  assert.equal(bySignature['swap-1'].amountA, 100);
+  assert.equal(bySignature['swap-1'].amountB, -40);
+  // One side of the trade: the mean of 100 Wild at $0.50 and 40 USDC
+  assert.equal(bySignature['swap-1'].valueUsd, 45);
+  assert.equal(bySignature['swap-1'].trader, trader);
+  assert.deepEqual(bySignature['swap-1'].timestamp, new Date(at * 1000));
+
+  assert.equal(bySignature['add-1'].eventType, 'add_liquidity');
+  // Both sides of the deposit: 200 Wild at $0.50 and 100 USDC
+  assert.equal(bySignature['add-1'].valueUsd, 200);
+  assert.equal(bySignature['withdraw-1'].eventType, 'withdraw_liquidity');
+  assert.equal(bySignature['withdraw-1'].amountA, 0);
+  assert.equal(bySignature['withdraw-1'].amountB, -30);
+  assert.equal(bySignature['withdraw-1'].valueUsd, 30);
+});
+
+test('activity on pools that are not stored is ignored', async () => {
+  const { storage, handler } = setup();
+  await handler.processWebhookPayload([transaction]);
+  const emitted = [];
+  handler.on('pool.event', ({ event }) => emitted.push(event));
+
+  const unknownPool = activity('SWAP', {
+    signature: 'swap-elsewhere',
+    timestamp: transaction.timestamp,
+    flows: [[expected.tokenA, 5]],
+    poolAddress: 'Unknown111111111111111111111111111111111111'
+  });
+  unknownPool.tokenTransfers[0].toTokenAccount = 'SomeOtherVault';
+
+  assert.deepEqual(await handler.processTransaction(unknownPool), []);
+  assert.deepEqual(emitted, []);
+  const pool = await storage.getPoolByAddress(expected.poolAddress);
+  assert.deepEqual((await storage.getPoolEvents(pool.id, { eventType: 'swap' })).events, []);
+});
+
+test('each swap recomputes the rolling 24h volume and a repeated delivery is counted once', async (t) => {
+  const now = transaction.timestamp + HOUR;
+  t.mock.timers.enable({ apis: ['Date'], now: now * 1000 });
+  const { storage, handler } = setup();
+  await handler.processWebhookPayload([transaction]);
+  const volumes = [];
+  handler.on('pool.event', ({ pool }) => volumes.push(pool.volume24h));
+
+  const old = activity('SWAP', { signature: 'swap-old', timestamp: now - 25 * HOUR, flows: [[expected.tokenB, 1000], [expected.tokenA, -2000]] });
+  const first = activity('SWAP', { signature: 'swap-1', timestamp: now - 2 * HOUR, flows: [[expected.tokenB, 10], [expected.tokenA, -20]] });
+  const second = activity('SWAP', { signature: 'swap-2', timestamp: now, flows: [[expected.tokenA, 60], [expected.tokenB, -30]] });
+  const liquidity = activity('ADD_LIQUIDITY', { signature: 'add-1', timestamp: now, flows: [[expected.tokenA, 500], [expected.tokenB, 250]] });
+
+  await handler.processWebhookPayload([old, first, second, liquidity, second]);
+  // The swap from 25 hours ago is stored but falls outside the window
+  assert.deepEqual(volumes, [0, 10, 40, 40]);
+  const pool = await storage.getPoolByAddress(expected.poolAddress);
+  assert.equal(pool.volume24h, 40);
+  assert.equal((await storage.getPoolEvents(pool.id, { eventType: 'swap' })).events.length, 3);
+});
+
+test('concurrent deliveries of one transaction store one pool and one created event', async (t) => {
+  const { storage, handler } = setup();
+  const created = [];
+  handler.on('pool.created', ({ pool }) => created.push(pool.poolAddress));
+  const stores = t.mock.method(storage, 'storePoolWithEvent');
+
+  const results = await Promise.all([handler.processTransaction(transaction), handler.processTransaction(transaction)]);
+
+  // Both passed the existence check; the second lost the write and counts as known
+  assert.equal(stores.mock.callCount(), 2);
+  const outcomes = await Promise.all(stores.mock.calls.map(call => call.result));
+  assert.deepEqual(outcomes.map(outcome => outcome.created), [true, false]);
+  assert.equal(results.filter(Boolean).length, 1);
+  assert.deepEqual(created, [expected.poolAddress]);
+
+  const { pools } = await storage.queryPools();
+  assert.equal(pools.length, 1);
+  assert.equal((await storage.getPoolEvents(pools[0].id, { eventType: 'created' })).events.length, 1);
+  assert.ok(await storage.getLatestMetricSnapshot(pools[0].id));
+});